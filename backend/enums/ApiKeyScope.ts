@@ -0,0 +1,11 @@
+export enum ApiKeyScope {
+    PORTFOLIOS_READ = "portfolios:read",
+    PORTFOLIOS_WRITE = "portfolios:write",
+    PROPERTIES_READ = "properties:read",
+    PROPERTIES_WRITE = "properties:write",
+    UNITS_READ = "units:read",
+    UNITS_WRITE = "units:write",
+    DEVICES_READ = "devices:read",
+    DEVICES_CONTROL = "devices:control",
+    DEVICES_WRITE = "devices:write",
+}
@@ -0,0 +1,34 @@
+export enum AuditAction {
+    IMPERSONATION_STARTED = "IMPERSONATION_STARTED",
+    IMPERSONATION_ENDED = "IMPERSONATION_ENDED",
+    IMPERSONATED_REQUEST = "IMPERSONATED_REQUEST",
+    IMPERSONATED_UNLOCK_BLOCKED = "IMPERSONATED_UNLOCK_BLOCKED",
+    ACCOUNT_EMAIL_CHANGE_REQUESTED = "ACCOUNT_EMAIL_CHANGE_REQUESTED",
+    ACCOUNT_EMAIL_CHANGED = "ACCOUNT_EMAIL_CHANGED",
+    ACCOUNT_PASSWORD_CHANGED = "ACCOUNT_PASSWORD_CHANGED",
+    ACCOUNT_DELETED = "ACCOUNT_DELETED",
+    DATA_EXPORT_REQUESTED = "DATA_EXPORT_REQUESTED",
+    DATA_EXPORT_DOWNLOADED = "DATA_EXPORT_DOWNLOADED",
+    INVITATION_SENT = "INVITATION_SENT",
+    INVITATION_CANCELLED = "INVITATION_CANCELLED",
+    INVITATION_ACCEPTED = "INVITATION_ACCEPTED",
+    UNIT_MOVE_OUT = "UNIT_MOVE_OUT",
+    ROLE_ASSIGNED = "ROLE_ASSIGNED",
+    ROLE_CHANGED = "ROLE_CHANGED",
+    ROLE_REMOVED = "ROLE_REMOVED",
+    ENTITY_DELETED = "ENTITY_DELETED",
+    ENTITY_RESTORED = "ENTITY_RESTORED",
+    ENTITY_PURGED = "ENTITY_PURGED",
+    PORTFOLIO_IMPORTED = "PORTFOLIO_IMPORTED",
+    PORTFOLIO_ARCHIVE_EXPORTED = "PORTFOLIO_ARCHIVE_EXPORTED",
+    PORTFOLIO_ARCHIVE_IMPORTED = "PORTFOLIO_ARCHIVE_IMPORTED",
+    TRANSFER_REQUESTED = "TRANSFER_REQUESTED",
+    TRANSFER_APPROVED = "TRANSFER_APPROVED",
+    TRANSFER_REJECTED = "TRANSFER_REJECTED",
+    TRANSFER_CANCELLED = "TRANSFER_CANCELLED",
+    TRANSFER_COMPLETED = "TRANSFER_COMPLETED",
+    TRANSFER_FAILED = "TRANSFER_FAILED",
+    DEVICE_REGISTERED = "DEVICE_REGISTERED",
+    DEVICE_UPDATED = "DEVICE_UPDATED",
+    DEVICE_DELETED = "DEVICE_DELETED",
+}
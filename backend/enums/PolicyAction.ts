@@ -0,0 +1,27 @@
+export enum PolicyAction {
+    PORTFOLIO_CREATE = "portfolio:create",
+    PORTFOLIO_READ = "portfolio:read",
+    PORTFOLIO_UPDATE = "portfolio:update",
+    PORTFOLIO_DELETE = "portfolio:delete",
+    PORTFOLIO_MANAGE_SECURITY = "portfolio:manageSecurity",
+    PORTFOLIO_MANAGE_ADMINS = "portfolio:manageAdmins",
+    PORTFOLIO_EXPORT = "portfolio:export",
+    PROPERTY_CREATE = "property:create",
+    PROPERTY_READ = "property:read",
+    PROPERTY_UPDATE = "property:update",
+    PROPERTY_DELETE = "property:delete",
+    PROPERTY_MANAGE_MANAGERS = "property:manageManagers",
+    PROPERTY_TRANSFER = "property:transfer",
+    UNIT_CREATE = "unit:create",
+    UNIT_READ = "unit:read",
+    UNIT_UPDATE = "unit:update",
+    UNIT_DELETE = "unit:delete",
+    UNIT_LIST_TENANTS = "unit:listTenants",
+    UNIT_MANAGE_TENANTS = "unit:manageTenants",
+    UNIT_GRANT_GUEST_ACCESS = "unit:grantGuestAccess",
+    UNIT_TRANSFER = "unit:transfer",
+    DEVICE_READ = "device:read",
+    DEVICE_CONTROL = "device:control",
+    DEVICE_MANAGE = "device:manage",
+    INTEGRATION_LINK = "integration:link",
+}
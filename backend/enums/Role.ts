@@ -3,6 +3,7 @@ export enum Role {
     PORTFOLIO_ADMIN = "PORTFOLIO_ADMIN",
     PROPERTY_MANAGER = "PROPERTY_MANAGER",
     TENANT = "TENANT",
+    GUEST = "GUEST",
     SUPER_ADMIN = "SUPER_ADMIN",
     // Add other roles as needed, e.g., SUPER_ADMIN
 } 
\ No newline at end of file
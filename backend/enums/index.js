@@ -9,11 +9,93 @@ const Role = Object.freeze({
     PORTFOLIO_ADMIN: 'PORTFOLIO_ADMIN',
     PROPERTY_MANAGER: 'PROPERTY_MANAGER',
     TENANT: 'TENANT',
+    GUEST: 'GUEST',
     SUPER_ADMIN: 'SUPER_ADMIN',
     // Add other roles as needed, e.g., SUPER_ADMIN
 });
 
+// Scopes that can be granted to integrator API keys
+const ApiKeyScope = Object.freeze({
+    PORTFOLIOS_READ: 'portfolios:read',
+    PORTFOLIOS_WRITE: 'portfolios:write',
+    PROPERTIES_READ: 'properties:read',
+    PROPERTIES_WRITE: 'properties:write',
+    UNITS_READ: 'units:read',
+    UNITS_WRITE: 'units:write',
+    DEVICES_READ: 'devices:read',
+    DEVICES_CONTROL: 'devices:control',
+    DEVICES_WRITE: 'devices:write',
+});
+
+// Actions checked by the authorization policy (services/PolicyService.js)
+const PolicyAction = Object.freeze({
+    PORTFOLIO_CREATE: 'portfolio:create',
+    PORTFOLIO_READ: 'portfolio:read',
+    PORTFOLIO_UPDATE: 'portfolio:update',
+    PORTFOLIO_DELETE: 'portfolio:delete',
+    PORTFOLIO_MANAGE_SECURITY: 'portfolio:manageSecurity',
+    PORTFOLIO_MANAGE_ADMINS: 'portfolio:manageAdmins',
+    PORTFOLIO_EXPORT: 'portfolio:export',
+    PROPERTY_CREATE: 'property:create',
+    PROPERTY_READ: 'property:read',
+    PROPERTY_UPDATE: 'property:update',
+    PROPERTY_DELETE: 'property:delete',
+    PROPERTY_MANAGE_MANAGERS: 'property:manageManagers',
+    PROPERTY_TRANSFER: 'property:transfer',
+    UNIT_CREATE: 'unit:create',
+    UNIT_READ: 'unit:read',
+    UNIT_UPDATE: 'unit:update',
+    UNIT_DELETE: 'unit:delete',
+    UNIT_LIST_TENANTS: 'unit:listTenants',
+    UNIT_MANAGE_TENANTS: 'unit:manageTenants',
+    UNIT_GRANT_GUEST_ACCESS: 'unit:grantGuestAccess',
+    UNIT_TRANSFER: 'unit:transfer',
+    DEVICE_READ: 'device:read',
+    DEVICE_CONTROL: 'device:control',
+    DEVICE_MANAGE: 'device:manage',
+    INTEGRATION_LINK: 'integration:link',
+});
+
+// Events recorded in the audit trail (models/AuditEvent.js)
+const AuditAction = Object.freeze({
+    IMPERSONATION_STARTED: 'IMPERSONATION_STARTED',
+    IMPERSONATION_ENDED: 'IMPERSONATION_ENDED',
+    IMPERSONATED_REQUEST: 'IMPERSONATED_REQUEST',
+    IMPERSONATED_UNLOCK_BLOCKED: 'IMPERSONATED_UNLOCK_BLOCKED',
+    ACCOUNT_EMAIL_CHANGE_REQUESTED: 'ACCOUNT_EMAIL_CHANGE_REQUESTED',
+    ACCOUNT_EMAIL_CHANGED: 'ACCOUNT_EMAIL_CHANGED',
+    ACCOUNT_PASSWORD_CHANGED: 'ACCOUNT_PASSWORD_CHANGED',
+    ACCOUNT_DELETED: 'ACCOUNT_DELETED',
+    DATA_EXPORT_REQUESTED: 'DATA_EXPORT_REQUESTED',
+    DATA_EXPORT_DOWNLOADED: 'DATA_EXPORT_DOWNLOADED',
+    INVITATION_SENT: 'INVITATION_SENT',
+    INVITATION_CANCELLED: 'INVITATION_CANCELLED',
+    INVITATION_ACCEPTED: 'INVITATION_ACCEPTED',
+    UNIT_MOVE_OUT: 'UNIT_MOVE_OUT',
+    ROLE_ASSIGNED: 'ROLE_ASSIGNED',
+    ROLE_CHANGED: 'ROLE_CHANGED',
+    ROLE_REMOVED: 'ROLE_REMOVED',
+    ENTITY_DELETED: 'ENTITY_DELETED',
+    ENTITY_RESTORED: 'ENTITY_RESTORED',
+    ENTITY_PURGED: 'ENTITY_PURGED',
+    PORTFOLIO_IMPORTED: 'PORTFOLIO_IMPORTED',
+    PORTFOLIO_ARCHIVE_EXPORTED: 'PORTFOLIO_ARCHIVE_EXPORTED',
+    PORTFOLIO_ARCHIVE_IMPORTED: 'PORTFOLIO_ARCHIVE_IMPORTED',
+    TRANSFER_REQUESTED: 'TRANSFER_REQUESTED',
+    TRANSFER_APPROVED: 'TRANSFER_APPROVED',
+    TRANSFER_REJECTED: 'TRANSFER_REJECTED',
+    TRANSFER_CANCELLED: 'TRANSFER_CANCELLED',
+    TRANSFER_COMPLETED: 'TRANSFER_COMPLETED',
+    TRANSFER_FAILED: 'TRANSFER_FAILED',
+    DEVICE_REGISTERED: 'DEVICE_REGISTERED',
+    DEVICE_UPDATED: 'DEVICE_UPDATED',
+    DEVICE_DELETED: 'DEVICE_DELETED',
+});
+
 module.exports = {
     AssociatedEntityType,
     Role,
+    ApiKeyScope,
+    PolicyAction,
+    AuditAction,
 }; 
\ No newline at end of file
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User'); // To potentially fetch full user object
+const SessionService = require('../services/SessionService');
+const ApiKeyService = require('../services/ApiKeyService');
 require('dotenv').config();
 
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -9,10 +11,44 @@ if (!JWT_SECRET) {
     process.exit(1);
 }
 
+// Authenticate an integrator API key, sent either as "X-API-Key: ush_..." or "Authorization: Bearer ush_..."
+const authenticateApiKey = async (rawKey, req, res, next) => {
+    try {
+        const apiKey = await ApiKeyService.authenticate(rawKey, req);
+        if (!apiKey) {
+            return res.status(401).json({ status: 'error', message: 'Not authorized, API key is invalid, expired or revoked.' });
+        }
+
+        const userDbRecord = await User.findById(apiKey.userId).select('-password +isSuperAdmin');
+        if (!userDbRecord) {
+            return res.status(401).json({ status: 'error', message: 'Not authorized, user record not found.' });
+        }
+
+        req.apiKey = apiKey; // Scopes and portfolio binding are enforced downstream
+        req.authMethod = 'apiKey';
+        req.user = { id: apiKey.userId.toString() };
+        req.userDbRecord = userDbRecord;
+        next();
+    } catch (error) {
+        console.error('API key verification error:', error.message);
+        return res.status(401).json({ status: 'error', message: 'Not authorized, API key issue.' });
+    }
+};
+
 const protect = async (req, res, next) => {
     let token;
 
+    const headerApiKey = req.headers['x-api-key'];
+    if (headerApiKey) {
+        return authenticateApiKey(headerApiKey, req, res, next);
+    }
+
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+        const bearer = req.headers.authorization.split(' ')[1];
+        if (ApiKeyService.isApiKey(bearer)) {
+            return authenticateApiKey(bearer, req, res, next);
+        }
+
         try {
             token = req.headers.authorization.split(' ')[1];
 
@@ -26,9 +62,37 @@ const protect = async (req, res, next) => {
             // For now, just attaching the decoded payload which includes user.id.
             req.user = decoded.user; // Payload was { user: { id: userId } }
             
-            // Fetch the full user object from DB
+            // Access tokens are bound to a server-side session so they can be revoked before they expire
+            if (!decoded.sid) {
+                return res.status(401).json({ status: 'error', message: 'Not authorized, token is not bound to a session. Please sign in again.' });
+            }
+
+            // Fetch the session and the full user object from DB
             // This allows access to any user fields, e.g., for global role checks like SuperAdmin
-            const userDbRecord = await User.findById(decoded.user.id).select('-password');
+            const [session, userDbRecord] = await Promise.all([
+                SessionService.findActiveSession(decoded.sid),
+                User.findById(decoded.user.id).select('-password +isSuperAdmin')
+            ]);
+            if (!session || !session.userId.equals(decoded.user.id)) {
+                return res.status(401).json({ status: 'error', message: 'Not authorized, session has been revoked or expired.' });
+            }
+            req.authSession = session; // Attach the session backing this access token
+            req.authMethod = 'session';
+
+            // Impersonation tokens name the impersonator; it must match the session they are bound to
+            const tokenImpersonatorId = decoded.imp ? decoded.imp.by : null;
+            const sessionImpersonatorId = session.impersonatorId ? session.impersonatorId.toString() : null;
+            if (tokenImpersonatorId !== sessionImpersonatorId) {
+                return res.status(401).json({ status: 'error', message: 'Not authorized, token does not match its session.' });
+            }
+            if (sessionImpersonatorId) {
+                req.impersonatorId = sessionImpersonatorId;
+                // Tag every log line for this request with both identities
+                if (req.log) {
+                    req.log = req.log.child({ userId: decoded.user.id, impersonatorId: sessionImpersonatorId });
+                }
+            }
+
             if (!userDbRecord) {
                 // This case should ideally not happen if JWT is valid and user was not deleted post-token-issuance
                 return res.status(401).json({ status: 'error', message: 'Not authorized, user record not found.' });
@@ -53,4 +117,48 @@ const protect = async (req, res, next) => {
     }
 };
 
-module.exports = { protect }; 
\ No newline at end of file
+// Blocks sessions that must enroll in MFA (per portfolio security policy) from the rest of the API.
+// Must run after `protect`.
+const requireMfaCompliance = (req, res, next) => {
+    if (req.authSession && req.authSession.mfaEnrollmentRequired) {
+        return res.status(403).json({
+            status: 'error',
+            code: 'MFA_ENROLLMENT_REQUIRED',
+            message: 'Multi-factor authentication is required for your account. Enroll via /api/auth/mfa/enroll.'
+        });
+    }
+    next();
+};
+
+// Restricts API-key requests to keys carrying the required scope. Session (JWT) requests pass
+// through untouched; their access is governed by role checks alone.
+// `scope` is a scope string or a function (req) => scope. Must run after `protect`.
+const requireScope = (scope) => (req, res, next) => {
+    if (!req.apiKey) {
+        return next();
+    }
+    const required = typeof scope === 'function' ? scope(req) : scope;
+    if (!required || req.apiKey.hasScope(required)) {
+        return next();
+    }
+    return res.status(403).json({
+        status: 'error',
+        code: 'INSUFFICIENT_SCOPE',
+        message: `This API key does not have the '${required}' scope.`
+    });
+};
+
+// Blocks API keys from routes that require an interactive user session (account management,
+// OAuth linking, key management itself). Must run after `protect`.
+const denyApiKeys = (req, res, next) => {
+    if (req.apiKey) {
+        return res.status(403).json({
+            status: 'error',
+            code: 'API_KEY_NOT_ALLOWED',
+            message: 'This endpoint cannot be called with an API key.'
+        });
+    }
+    next();
+};
+
+module.exports = { protect, requireMfaCompliance, requireScope, denyApiKeys }; 
\ No newline at end of file
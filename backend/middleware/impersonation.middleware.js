@@ -0,0 +1,31 @@
+const AuditService = require('../services/AuditService');
+const { AuditAction } = require('../enums');
+
+// Blocks impersonated sessions from account-level actions (MFA, API keys, starting another
+// impersonation, ...). Must run after `protect`.
+const denyImpersonation = (req, res, next) => {
+    if (req.impersonatorId) {
+        return res.status(403).json({
+            status: 'error',
+            code: 'IMPERSONATION_NOT_ALLOWED',
+            message: 'This action is not available while impersonating a user.'
+        });
+    }
+    next();
+};
+
+// Records every request made under an impersonated session once the response is sent.
+// Must run after `protect`.
+const auditImpersonatedRequests = (req, res, next) => {
+    if (req.impersonatorId) {
+        res.on('finish', () => {
+            AuditService.recordInBackground(AuditAction.IMPERSONATED_REQUEST, {
+                req,
+                metadata: { method: req.method, path: req.originalUrl, statusCode: res.statusCode }
+            });
+        });
+    }
+    next();
+};
+
+module.exports = { denyImpersonation, auditImpersonatedRequests };
@@ -0,0 +1,55 @@
+const PolicyService = require('../services/PolicyService');
+
+const { ResourceType, DenyReason } = PolicyService;
+
+const LABELS = {
+    [ResourceType.PORTFOLIO]: 'Portfolio',
+    [ResourceType.PROPERTY]: 'Property',
+    [ResourceType.UNIT]: 'Unit',
+    [ResourceType.DEVICE]: 'Device'
+};
+
+// Loads the resource named by `req.params[param]`, checks `action` against the policy and attaches
+// req.portfolio / req.property / req.unit / req.device (whichever apply) plus req.effectiveRoles.
+// Must run after `protect`.
+//   router.put('/:unitId', authorize(PolicyAction.UNIT_UPDATE, { type: 'UNIT', param: 'unitId' }), handler)
+const authorize = (action, { type, param, message } = {}) => async (req, res, next) => {
+    const label = LABELS[type];
+
+    try {
+        const decision = await PolicyService.authorize(
+            PolicyService.actorFromRequest(req),
+            action,
+            { type, id: req.params[param] }
+        );
+
+        if (decision.reason === DenyReason.NOT_FOUND) {
+            return res.status(404).json({ status: 'error', message: `${label} not found.` });
+        }
+        if (decision.reason === DenyReason.API_KEY_PORTFOLIO) {
+            return res.status(403).json({ status: 'error', message: 'Forbidden. This API key is restricted to a different portfolio.' });
+        }
+        if (!decision.allowed) {
+            return res.status(403).json({
+                status: 'error',
+                message: message || `Forbidden. You do not have permission to perform this action on this ${label.toLowerCase()}.`
+            });
+        }
+
+        const { context } = decision;
+        if (context.portfolio) req.portfolio = context.portfolio;
+        if (context.property) req.property = context.property;
+        if (context.unit) req.unit = context.unit;
+        if (context.device) req.device = context.device;
+        req.effectiveRoles = decision.roles;
+        next();
+    } catch (error) {
+        console.error(`Error in ${label.toLowerCase()} access check:`, error);
+        if (error.kind === 'ObjectId' || error.name === 'CastError') {
+            return res.status(400).json({ status: 'error', message: `Invalid ${label.toLowerCase()} ID format.` });
+        }
+        res.status(500).json({ status: 'error', message: 'Internal server error during access check.' });
+    }
+};
+
+module.exports = { authorize };
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Server-side record of a signed, single-use token emailed to a user
+// (password reset, email verification, email change). The token itself is a JWT whose `jti`
+// points at this record; consuming the token stamps `usedAt`.
+const ActionTokenSchema = new Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    required: true,
+    enum: ['PASSWORD_RESET', 'EMAIL_VERIFICATION', 'EMAIL_CHANGE']
+  },
+  // Address the token was sent to (for verification and email change this is the address being confirmed)
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Remove token records once they can no longer be used
+ActionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+ActionTokenSchema.index({ userId: 1, purpose: 1, usedAt: 1 });
+
+module.exports = mongoose.model('ActionToken', ActionTokenSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { ApiKeyScope } = require('../enums');
+
+// Integrator API key. The plaintext key ("ush_<prefix>_<secret>") is shown once at creation;
+// only a hash of the secret is stored. Requests made with a key act as `userId`, limited to
+// `scopes` and, when set, to a single portfolio.
+const ApiKeySchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true // Public identifier used to look the key up
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  portfolioId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: false,
+    default: null, // Null for keys that can reach everything the user can
+    index: true
+  },
+  scopes: [{
+    type: String,
+    enum: Object.values(ApiKeyScope)
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Last-used metadata
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  lastUsedUserAgent: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+// Method to check whether the key can still authenticate
+ApiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || new Date() < this.expiresAt);
+};
+
+ApiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
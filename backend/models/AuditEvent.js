@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { AuditAction } = require('../enums');
+
+// Append-only audit trail. `actorId` is the user the request acted as; `impersonatorId` is set
+// when a SuperAdmin was acting on their behalf.
+const AuditEventSchema = new Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: Object.values(AuditAction),
+    index: true
+  },
+  actorId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  impersonatorId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  sessionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  targetType: {
+    type: String,
+    default: null // e.g. USER, PORTFOLIO, PROPERTY, UNIT, DEVICE
+  },
+  targetId: {
+    type: Schema.Types.ObjectId,
+    default: null
+  },
+  metadata: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+AuditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+AuditEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const AccessWindowSchema = new Schema({
+  daysOfWeek: [{
+    type: Number,
+    min: 0, // Sunday
+    max: 6  // Saturday
+  }],
+  startTime: {
+    type: String, // "HH:MM" in the area's time zone
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// A shared space of a property (lobby, gym, garage, mail room) with its own devices. Tenants of
+// the entitled units, or individually listed tenants, can see the area's devices and control them
+// during the area's opening hours.
+const CommonAreaSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  propertyId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['LOBBY', 'GYM', 'GARAGE', 'MAIL_ROOM', 'LAUNDRY', 'POOL', 'ROOFTOP', 'STORAGE', 'OTHER'],
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  deviceIds: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Device'
+  }],
+  // Who may use the area. Only tenants of the property's units qualify: every unit when
+  // allUnits is set, otherwise tenants of the listed units plus the listed tenants.
+  access: {
+    allUnits: {
+      type: Boolean,
+      default: true
+    },
+    unitIds: [{
+      type: Schema.Types.ObjectId,
+      ref: 'Unit',
+      index: true
+    }],
+    tenantUserIds: [{
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    }]
+  },
+  // Opening hours; empty means always open. Devices can be seen at any time but only
+  // controlled while the area is open.
+  schedule: [AccessWindowSchema],
+  timeZone: {
+    type: String,
+    default: 'UTC'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('CommonArea', CommonAreaSchema);
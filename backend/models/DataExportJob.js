@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// An asynchronous personal data export (data access request) for one user. The finished
+// archive is stored gzipped on the job itself and removed with it once `expiresAt` passes.
+const DataExportJobSchema = new Schema({
+  subjectUserId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  requestedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'RUNNING', 'COMPLETED', 'FAILED'],
+    default: 'PENDING'
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  archive: {
+    type: Buffer,
+    select: false // Loaded only for download
+  },
+  archiveSize: {
+    type: Number,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+DataExportJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+DataExportJobSchema.index({ subjectUserId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DataExportJob', DataExportJobSchema);
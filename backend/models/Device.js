@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// A capability the device declares. `type` is a canonical capability and `attributes` holds values
+// for its attributes (see services/CapabilityCatalog).
 const DeviceCapabilitySchema = new Schema({
   type: {
     type: String,
@@ -39,22 +41,59 @@ const DeviceSchema = new Schema({
     ref: 'Property',
     required: false
   },
+  // Room within the unit or property the device is in (see Room)
+  roomId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Room',
+    default: null,
+    index: true
+  },
+  // Common area of the property the device serves (propertyId set, unitId null)
+  commonAreaId: {
+    type: Schema.Types.ObjectId,
+    ref: 'CommonArea',
+    default: null,
+    index: true
+  },
+  // Where the device was attached before its unit or property was soft-deleted, so a restore
+  // can put it back. Cleared on restore or purge.
+  detachedFrom: {
+    propertyId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Property'
+    },
+    unitId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Unit'
+    },
+    deletedWithId: {
+      type: Schema.Types.ObjectId,
+      index: true
+    },
+    detachedAt: Date
+  },
   status: {
     type: String,
     enum: ['ONLINE', 'OFFLINE', 'ERROR'],
     default: 'OFFLINE'
   },
   capabilities: [DeviceCapabilitySchema],
-  // Integration-specific data
+  // Integration-specific data, including the vendor's device ID (e.g. smartThingsDeviceId)
   integrationData: {
     type: Schema.Types.Mixed,
     default: {}
   },
-  // Device-specific metadata
+  // Device-specific metadata (provisioning details such as serialNumber, model, firmwareVersion)
   metadata: {
     type: Schema.Types.Mixed,
     default: {}
   }
 }, { timestamps: true });
 
+// A vendor device can be registered only once
+DeviceSchema.index(
+  { 'integrationData.smartThingsDeviceId': 1 },
+  { unique: true, partialFilterExpression: { 'integrationData.smartThingsDeviceId': { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Device', DeviceSchema); 
\ No newline at end of file
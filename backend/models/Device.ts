@@ -1,6 +1,6 @@
 export interface DeviceCapability {
-    type: string;
-    attributes?: any; // Can be more specific if attributes structure is known
+    type: string; // Canonical capability, e.g. "switch", "level", "thermostat" (see services/CapabilityCatalog.js)
+    attributes?: any; // Values for the capability's attributes, keyed by attribute name
 }
 
 export enum DeviceManufacturer {
@@ -40,12 +40,21 @@ export interface Device {
     type: DeviceType;
     status: DeviceStatus;
     capabilities?: DeviceCapability[];
-    integrationData?: any; // Integration-specific data
+    integrationData?: any; // Integration-specific data; vendor device IDs (e.g. smartThingsDeviceId) are unique
     metadata?: any; // Device-specific metadata
 
     // Multi-tenancy links (as per app-submission-steps.md)
     propertyId?: string | null; // FK to Property, indexed, nullable
     unitId?: string | null; // FK to Unit, indexed, nullable (replaces/aligns with old `room` field)
+    roomId?: string | null; // FK to Room within that unit/property, nullable
+    commonAreaId?: string | null; // FK to CommonArea of the property, nullable
+    // Previous location while its unit/property is soft-deleted (restored or cleared later)
+    detachedFrom?: {
+        propertyId?: string | null;
+        unitId?: string | null;
+        deletedWithId: string;
+        detachedAt: Date;
+    } | null;
 
     // Timestamps
     createdAt: Date;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A command a user sent to a device, with who sent it and how it ended. `deviceId` is set for
+// devices registered in this app; commands sent straight to a vendor device only carry the
+// vendor's ID.
+const DeviceCommandSchema = new Schema({
+  deviceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Device',
+    default: null,
+    index: true
+  },
+  vendor: {
+    type: String,
+    default: null // e.g. SMARTTHINGS
+  },
+  vendorDeviceId: {
+    type: String,
+    default: null
+  },
+  // ID the vendor assigned to the command, when it returns one
+  vendorCommandId: {
+    type: String,
+    default: null
+  },
+  initiatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Set when a SuperAdmin sent the command while impersonating `initiatedBy`
+  impersonatorId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  commands: {
+    type: [Schema.Types.Mixed],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'SUCCEEDED', 'FAILED'],
+    default: 'PENDING'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+DeviceCommandSchema.index({ initiatedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DeviceCommand', DeviceCommandSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const RETENTION_DAYS = parseInt(process.env.DEVICE_EVENT_RETENTION_DAYS, 10) || 90;
+const RETENTION_MS = RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// A change of one capability attribute of a device (see services/CapabilityCatalog), kept for
+// RETENTION_DAYS. DeviceState holds the latest value; these are the history.
+const DeviceEventSchema = new Schema({
+  deviceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  capability: {
+    type: String,
+    required: true
+  },
+  attribute: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+  unit: {
+    type: String,
+    default: null
+  },
+  // When the change happened
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  // How we learned of it: a vendor event, a poll or refresh that found a new value, the vendor's
+  // history when backfilling, or a command the vendor accepted
+  source: {
+    type: String,
+    enum: ['WEBHOOK', 'POLL', 'REFRESH', 'BACKFILL', 'COMMAND'],
+    required: true
+  },
+  // User who sent the command that made the change (COMMAND events only)
+  initiatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  // RETENTION_DAYS after the change happened (see expiryFor)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+// The same change reported twice at the same time is stored once (DeviceEventService also skips
+// repeats reported at slightly different times)
+DeviceEventSchema.index({ deviceId: 1, capability: 1, attribute: 1, timestamp: 1 }, { unique: true });
+DeviceEventSchema.index({ deviceId: 1, timestamp: -1, _id: -1 });
+DeviceEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+DeviceEventSchema.statics.expiryFor = function(timestamp) {
+  return new Date(new Date(timestamp).getTime() + RETENTION_MS);
+};
+
+module.exports = mongoose.model('DeviceEvent', DeviceEventSchema);
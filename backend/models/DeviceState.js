@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Latest known value of one attribute of a device's canonical capability (see
+// services/CapabilityCatalog), e.g. switch.switch = 'on'. One document per device, capability and
+// attribute; an older reading never replaces a newer one.
+const DeviceStateSchema = new Schema({
+  deviceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  capability: {
+    type: String,
+    required: true
+  },
+  attribute: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+  unit: {
+    type: String,
+    default: null
+  },
+  // When the value was observed (as reported by the vendor where it says)
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  // How the value reached us: a vendor event, a poll or on-demand refresh, or the expected result
+  // of a command the vendor accepted
+  source: {
+    type: String,
+    enum: ['WEBHOOK', 'POLL', 'REFRESH', 'COMMAND'],
+    required: true
+  },
+  // Last time the value was received or confirmed, whether or not it changed
+  checkedAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+DeviceStateSchema.index({ deviceId: 1, capability: 1, attribute: 1 }, { unique: true });
+DeviceStateSchema.index({ deviceId: 1, checkedAt: -1 });
+
+module.exports = mongoose.model('DeviceState', DeviceStateSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const RETENTION_AFTER_EXPIRY_SECONDS = 30 * 24 * 60 * 60; // Expired grants are purged after 30 days
+
+const AccessWindowSchema = new Schema({
+  daysOfWeek: [{
+    type: Number,
+    min: 0, // Sunday
+    max: 6  // Saturday
+  }],
+  startTime: {
+    type: String, // "HH:MM" in the grant's time zone
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// Time-bounded access for a guest to selected devices in a unit. Grants are checked by the
+// authorization policy on device read and control; they never create a UserRoleAssociation.
+const GuestAccessGrantSchema = new Schema({
+  guestUserId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  unitId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Unit',
+    required: true,
+    index: true
+  },
+  propertyId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  deviceIds: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Device',
+    index: true
+  }],
+  grantedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  // Optional recurring windows; empty means any time between validFrom and validUntil
+  schedule: [AccessWindowSchema],
+  timeZone: {
+    type: String,
+    default: 'UTC'
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+GuestAccessGrantSchema.index({ validUntil: 1 }, { expireAfterSeconds: RETENTION_AFTER_EXPIRY_SECONDS });
+
+// Grants inside their validity period and not revoked (schedule windows are checked separately)
+GuestAccessGrantSchema.statics.currentQuery = function(now = new Date()) {
+  return { revokedAt: null, validFrom: { $lte: now }, validUntil: { $gt: now } };
+};
+
+GuestAccessGrantSchema.methods.status = function(now = new Date()) {
+  if (this.revokedAt) return 'REVOKED';
+  if (now >= this.validUntil) return 'EXPIRED';
+  if (now < this.validFrom) return 'PENDING';
+  return 'ACTIVE';
+};
+
+module.exports = mongoose.model('GuestAccessGrant', GuestAccessGrantSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { AssociatedEntityType, Role } = require('../enums');
+
+const RETENTION_AFTER_EXPIRY_SECONDS = 30 * 24 * 60 * 60; // Expired invitations are purged after 30 days
+
+// An emailed invitation to take a role on a portfolio, property or unit. The invitee may not
+// have an account yet; accepting (at registration or after sign-in) creates the
+// UserRoleAssociation. Only a hash of the emailed token is stored.
+const InvitationSchema = new Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: [Role.OWNER, Role.PORTFOLIO_ADMIN, Role.PROPERTY_MANAGER, Role.TENANT, Role.GUEST]
+  },
+  targetType: {
+    type: String,
+    required: true,
+    enum: Object.values(AssociatedEntityType)
+  },
+  targetId: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  invitedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+InvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: RETENTION_AFTER_EXPIRY_SECONDS });
+InvitationSchema.index({ targetType: 1, targetId: 1, email: 1 });
+
+// Invitations that can still be accepted
+InvitationSchema.statics.pendingQuery = function(now = new Date()) {
+  return { acceptedAt: null, cancelledAt: null, expiresAt: { $gt: now } };
+};
+
+InvitationSchema.methods.status = function(now = new Date()) {
+  if (this.acceptedAt) return 'ACCEPTED';
+  if (this.cancelledAt) return 'CANCELLED';
+  if (now >= this.expiresAt) return 'EXPIRED';
+  return 'PENDING';
+};
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Failed sign-in tracking, keyed per account ("account:<email>") and per client IP ("ip:<address>").
+// Account keys are created for any submitted email, whether or not a user exists, so the
+// lockout behaviour itself never reveals which accounts are registered.
+const LoginThrottleSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  // Earliest time the next attempt is accepted (progressive delay)
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Failure counters reset once this passes without further failures
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', LoginThrottleSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const DeviceActionSchema = new Schema({
+  action: {
+    type: String,
+    required: true // CLEAR_LOCK_CODES, LOCK, TURN_OFF
+  },
+  outcome: {
+    type: String,
+    enum: ['DONE', 'FAILED', 'MANUAL_ACTION_REQUIRED'],
+    required: true
+  },
+  detail: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const DeviceResetSchema = new Schema({
+  deviceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  name: String,
+  type: String,
+  actions: [DeviceActionSchema]
+}, { _id: false });
+
+// Record of a tenant move-out: what access was removed and how each device in the unit was
+// reset, so managers can see what (if anything) still needs doing before the next tenant.
+const MoveOutReportSchema = new Schema({
+  unitId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Unit',
+    required: true,
+    index: true
+  },
+  propertyId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  performedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tenantUserIds: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  unitVacant: {
+    type: Boolean,
+    required: true
+  },
+  associationsRemoved: {
+    type: Number,
+    default: 0
+  },
+  guestGrantsRevoked: {
+    type: Number,
+    default: 0
+  },
+  smartThingsTokensDeactivated: {
+    type: Number,
+    default: 0
+  },
+  devices: [DeviceResetSchema],
+  // True when at least one device action failed or must be done by hand
+  followUpRequired: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('MoveOutReport', MoveOutReportSchema);
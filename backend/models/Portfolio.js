@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const softDelete = require('./plugins/softDelete');
 
 const PortfolioSchema = new Schema({
   name: {
@@ -17,6 +18,13 @@ const PortfolioSchema = new Schema({
     ref: 'Property',
     index: true
   }],
+  securityPolicy: {
+    // Forces OWNER/PORTFOLIO_ADMIN/PROPERTY_MANAGER users of this portfolio to enroll in MFA
+    requireMfa: {
+      type: Boolean,
+      default: false
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -27,4 +35,6 @@ const PortfolioSchema = new Schema({
   }
 });
 
+PortfolioSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Portfolio', PortfolioSchema); 
\ No newline at end of file
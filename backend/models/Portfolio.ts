@@ -11,6 +11,13 @@ export interface Portfolio {
     // Otherwise, roles like OWNER or PORTFOLIO_ADMIN for a portfolio would be managed via UserRoleAssociation.
     administratorUserIds?: string[]; // UserIDs, indexed. 
     propertyIds?: string[]; // PropertyIDs, indexed
+    securityPolicy?: {
+        requireMfa: boolean; // Managers/owners of this portfolio must enroll in MFA
+    };
+    // Soft delete (see models/plugins/softDelete.js); hidden from queries while deletedAt is set
+    deletedAt?: Date | null;
+    deletedBy?: string | null;
+    deletedWithId?: string | null; // Entity whose deletion archived this record
     createdAt: Date;
     updatedAt: Date;
 }
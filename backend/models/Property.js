@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const softDelete = require('./plugins/softDelete');
 
 const AddressSchema = new Schema({
   street: {
@@ -63,4 +64,6 @@ const PropertySchema = new Schema({
   }
 }, { timestamps: true });
 
+PropertySchema.plugin(softDelete);
+
 module.exports = mongoose.model('Property', PropertySchema); 
\ No newline at end of file
@@ -17,6 +17,10 @@ export interface Property {
     managerUserIds?: string[]; // UserIDs, indexed.
     unitIds?: string[]; // UnitIDs, indexed
     defaultTimeZone?: string; // Optional
+    // Soft delete (see models/plugins/softDelete.js); hidden from queries while deletedAt is set
+    deletedAt?: Date | null;
+    deletedBy?: string | null;
+    deletedWithId?: string | null; // Entity whose deletion archived this record
     createdAt: Date;
     updatedAt: Date;
 }
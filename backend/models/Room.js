@@ -11,6 +11,12 @@ const roomSchema = new mongoose.Schema({
     ref: 'Property',
     required: true
   },
+  // Set for rooms inside a unit; null for property-level rooms (lobby, gym, plant room)
+  unitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Unit',
+    default: null
+  },
   type: {
     type: String,
     enum: ['LIVING_ROOM', 'BEDROOM', 'KITCHEN', 'BATHROOM', 'OFFICE', 'GARAGE', 'OTHER'],
@@ -19,12 +25,19 @@ const roomSchema = new mongoose.Schema({
   deviceIds: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Device'
-  }]
+  }],
+  // Vendor room this room mirrors, e.g. { smartThingsRoomId, smartThingsLocationId }
+  integrationData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
 }, {
   timestamps: true
 });
 
 // Index for efficient queries
-roomSchema.index({ propertyId: 1 });
+roomSchema.index({ propertyId: 1, unitId: 1 });
+roomSchema.index({ unitId: 1 });
+roomSchema.index({ 'integrationData.smartThingsRoomId': 1 }, { sparse: true });
 
-module.exports = mongoose.model('Room', roomSchema); 
\ No newline at end of file
+module.exports = mongoose.model('Room', roomSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A Session is created on every successful login/registration and represents one
+// refresh-token family. Each refresh rotates the token; the previous token's hash is
+// kept so that replaying an already-rotated token can be detected and the whole
+// family revoked.
+const SessionSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false // Never return token material in queries by default
+  },
+  rotatedTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: {
+    type: String,
+    required: false
+  },
+  ipAddress: {
+    type: String,
+    required: false
+  },
+  // Set when the user's portfolio policy requires MFA but they haven't enrolled yet;
+  // such sessions may only reach the MFA enrollment endpoints.
+  mfaEnrollmentRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Impersonation: set when a SuperAdmin is acting as `userId`. Such sessions are short-lived,
+  // have no usable refresh token and are tagged in logs and the audit trail.
+  impersonatorId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  impersonationReason: {
+    type: String,
+    default: null
+  },
+  // Whether lock "unlock" commands are permitted while impersonating
+  allowLockUnlock: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null // e.g. LOGOUT, LOGOUT_ALL, TOKEN_REUSE, IMPERSONATION_ENDED
+  }
+}, { timestamps: true });
+
+// Expired sessions are removed by MongoDB once the refresh window has passed
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Method to check whether the session can still be used
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && new Date() < this.expiresAt;
+};
+
+// Static method to revoke every active session of a user (optionally keeping one)
+SessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
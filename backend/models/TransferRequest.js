@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { AssociatedEntityType } = require('../enums');
+
+const ApprovalSchema = new Schema({
+  approvedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// A request to move a property to another portfolio, or a unit to another property. It is carried
+// out only once an owner on each side (source and destination parent) has approved it.
+const TransferRequestSchema = new Schema({
+  entityType: {
+    type: String,
+    enum: [AssociatedEntityType.PROPERTY, AssociatedEntityType.UNIT],
+    required: true
+  },
+  entityId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  // Parent the entity leaves and joins: portfolios for a property, properties for a unit
+  fromParentId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  toParentId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  requestedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  // Property transfers only: keep the property's direct PROPERTY_MANAGER roles after the move
+  keepManagers: {
+    type: Boolean,
+    default: false
+  },
+  sourceApproval: {
+    type: ApprovalSchema,
+    default: () => ({})
+  },
+  destinationApproval: {
+    type: ApprovalSchema,
+    default: () => ({})
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'COMPLETED', 'REJECTED', 'CANCELLED', 'FAILED'],
+    default: 'PENDING',
+    index: true
+  },
+  decidedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // What the move changed, filled in on completion
+  result: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+// Pending requests past expiresAt can no longer be approved
+TransferRequestSchema.methods.isExpired = function(now = new Date()) {
+  return this.status === 'PENDING' && now >= this.expiresAt;
+};
+
+module.exports = mongoose.model('TransferRequest', TransferRequestSchema);
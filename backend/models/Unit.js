@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const softDelete = require('./plugins/softDelete');
 
 const UnitSchema = new Schema({
   name: {
@@ -24,11 +25,26 @@ const UnitSchema = new Schema({
     ref: 'User',
     index: true
   }],
+  // Deprecated: common-area access now comes from CommonArea.access. No longer read, written or
+  // archived; kept so existing documents still load.
   commonAreaAccessIds: [{
     type: Schema.Types.ObjectId,
-    ref: 'Device', // Assuming these are IDs of devices in common areas
+    ref: 'Device',
     index: true
-  }]
+  }],
+  // Set to OCCUPIED when a tenant is assigned and VACANT after the last tenant moves out
+  // (null for units created before occupancy was tracked)
+  occupancyStatus: {
+    type: String,
+    enum: ['OCCUPIED', 'VACANT', null],
+    default: null
+  },
+  vacantSince: {
+    type: Date,
+    default: null
+  }
 }, { timestamps: true });
 
+UnitSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Unit', UnitSchema); 
\ No newline at end of file
@@ -5,7 +5,13 @@ export interface Unit {
     deviceIds?: string[]; // DeviceIDs, indexed
     // TENANT roles for this unit would be managed via UserRoleAssociation.
     tenantUserIds?: string[]; // UserIDs, indexed. 
-    commonAreaAccessIds?: string[]; // DeviceIDs, optional, indexed (e.g., access to shared amenities)
+    commonAreaAccessIds?: string[]; // Deprecated: superseded by CommonArea.access, no longer read
+    occupancyStatus?: 'OCCUPIED' | 'VACANT' | null; // Maintained by tenant assignment and move-out
+    vacantSince?: Date | null;
+    // Soft delete (see models/plugins/softDelete.js); hidden from queries while deletedAt is set
+    deletedAt?: Date | null;
+    deletedBy?: string | null;
+    deletedWithId?: string | null; // Entity whose deletion archived this record
     createdAt: Date;
     updatedAt: Date;
 }
@@ -27,6 +27,57 @@ const UserSchema = new Schema({
     required: true,
     select: false // Password should not be returned by default in queries
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // New address awaiting confirmation via POST /api/auth/confirm-email-change
+  pendingEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  // Set when the account was deleted at the user's request; personal data has been anonymized
+  anonymizedAt: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP multi-factor authentication. Secrets are encrypted by MfaService and never selected by default.
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: { // Set during enrollment until the first code is confirmed
+      type: String,
+      select: false
+    },
+    recoveryCodeHashes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: { // Last accepted TOTP time step, to prevent code replay
+      type: Number,
+      select: false
+    }
+  },
   isSuperAdmin: {
     type: Boolean,
     default: false,
@@ -67,16 +118,7 @@ const UserSchema = new Schema({
     required: false,
     default: null
   },
-  // Guest access fields mirroring the Swift model for consistency (optional here if managed differently)
-  /*
-  guestAccess: {
-    deviceIds: [{ type: String }],
-    validFrom: { type: Date },
-    validUntil: { type: Date },
-    propertyId: { type: String, default: null }, // or ObjectId, ref: 'Property'
-    unitId: { type: String, default: null }      // or ObjectId, ref: 'Unit'
-  },
-  */
+  // Guest access is stored in the GuestAccessGrant collection (see models/GuestAccessGrant.js)
 
   // Removed createdAt and updatedAt fields here, will use Mongoose timestamps
 }, { timestamps: true }); // Added Mongoose timestamps option here
@@ -89,6 +131,9 @@ UserSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (err) {
     next(err);
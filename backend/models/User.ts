@@ -11,6 +11,17 @@ export interface User {
     lastName: string;
     email: string; // Unique, indexed
     passwordHash: string; // Store a hash, not plain password
+    emailVerified: boolean; // Set once the user confirms their address via POST /api/auth/verify-email
+    emailVerifiedAt?: Date | null;
+    pendingEmail?: string | null; // New address awaiting confirmation (PUT /api/v1/users/me/email)
+    passwordChangedAt?: Date | null;
+    anonymizedAt?: Date | null; // Set when the account was deleted (DELETE /api/v1/users/me)
+
+    // TOTP MFA state (secret material is never returned by the API)
+    mfa?: {
+        enabled: boolean;
+        enabledAt?: Date | null;
+    };
 
     // Multi-tenancy default navigation preferences
     defaultPortfolioId?: string | null; // Optional, FK to Portfolio
@@ -30,15 +41,7 @@ export interface User {
     // An ORM might provide a way to easily fetch these, e.g., user.getRoleAssociations().
     // roleAssociations?: UserRoleAssociation[]; // This would be populated by a query, not stored directly on User document if following separate collection model.
 
-    // Guest access fields - these were in User.js, align with plan if necessary.
-    // If guest access is also managed by UserRoleAssociation with a GUEST role, these might be redundant or refactored.
-    guestAccess?: {
-        deviceIds: string[];
-        validFrom?: Date | null;
-        validUntil?: Date | null;
-        propertyId?: string | null;
-        unitId?: string | null;
-    };
+    // Guest access is stored separately as GuestAccessGrant records (see GuestAccessGrant.js).
 }
 
 // Example Mongoose-style schema (illustrative, and showing changes from current User.js)
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const softDelete = require('./plugins/softDelete');
 
 const UserRoleAssociationSchema = new Schema({
   userId: {
@@ -48,4 +49,6 @@ UserRoleAssociationSchema.pre('save', function(next) {
     next();
 });
 
+UserRoleAssociationSchema.plugin(softDelete);
+
 module.exports = mongoose.model('UserRoleAssociation', UserRoleAssociationSchema); 
\ No newline at end of file
@@ -7,6 +7,10 @@ export interface UserRoleAssociation {
     associatedEntityType: AssociatedEntityType; // String Enum: "PORTFOLIO", "PROPERTY", "UNIT", required, indexed
     associatedEntityId: string; // Refers to ID in Portfolio/Property/Unit, required, indexed
     roleWithinEntity: Role; // String Enum mirroring iOS User.Role, required, indexed
+    // Soft delete (see models/plugins/softDelete.js); hidden from queries while deletedAt is set
+    deletedAt?: Date | null;
+    deletedBy?: string | null;
+    deletedWithId?: string | null; // Entity whose deletion archived this record
     createdAt: Date;
     updatedAt: Date;
 }
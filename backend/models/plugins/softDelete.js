@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Query operations that only ever see live (not soft-deleted) documents
+const QUERY_HOOKS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+const mentionsDeletedAt = (filter) => !!filter && Object.prototype.hasOwnProperty.call(filter, 'deletedAt');
+
+// Soft delete: adds deletedAt/deletedBy/deletedWithId and hides documents with deletedAt set from
+// every query, aggregation and populate. Queries whose filter names `deletedAt` themselves (e.g.
+// { deletedAt: { $ne: null } } to find archived documents) are left untouched.
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // The entity whose deletion archived this document (its own _id when deleted directly).
+    // Everything archived together is restored or purged together.
+    deletedWithId: {
+      type: Schema.Types.ObjectId,
+      default: null,
+      index: true
+    }
+  });
+
+  schema.pre(QUERY_HOOKS, function() {
+    if (!mentionsDeletedAt(this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const [first] = this.pipeline();
+    if (!(first && first.$match && mentionsDeletedAt(first.$match))) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+};
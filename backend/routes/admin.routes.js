@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const AuditEvent = require('../models/AuditEvent');
+const User = require('../models/User');
+const DataExportJob = require('../models/DataExportJob');
+const ImpersonationService = require('../services/ImpersonationService');
+const DataExportService = require('../services/DataExportService');
+const AuditService = require('../services/AuditService');
+const { AuditAction } = require('../enums');
+
+// Platform administration. Mounted behind protect, denyApiKeys and denyImpersonation in server.js.
+
+const exportDownloadPath = (job) => `/api/v1/admin/exports/${job._id}/download`;
+
+// All routes here require the global SuperAdmin flag
+router.use((req, res, next) => {
+    if (!req.userDbRecord || req.userDbRecord.isSuperAdmin !== true) {
+        return res.status(403).json({ status: 'error', message: 'Forbidden. SuperAdmin access required.' });
+    }
+    next();
+});
+
+// POST /api/v1/admin/impersonations - Start impersonating a user
+// Body: { userId, reason, allowLockUnlock?, durationMinutes? }
+// Returns a short-lived access token acting as the user. It cannot be refreshed; every request
+// made with it is logged and audited with both identities.
+router.post('/impersonations', async (req, res) => {
+    const { userId, reason, allowLockUnlock = false, durationMinutes } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ status: 'error', message: 'A valid userId is required.' });
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ status: 'error', message: 'A reason is required to impersonate a user.' });
+    }
+    if (typeof allowLockUnlock !== 'boolean') {
+        return res.status(400).json({ status: 'error', message: 'allowLockUnlock must be a boolean.' });
+    }
+    if (durationMinutes !== undefined && (!Number.isInteger(durationMinutes) || durationMinutes < 1)) {
+        return res.status(400).json({ status: 'error', message: 'durationMinutes must be a positive integer.' });
+    }
+
+    try {
+        const result = await ImpersonationService.start(req.userDbRecord, userId, req, {
+            reason: reason.trim(),
+            allowLockUnlock,
+            durationMinutes
+        });
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
+
+        req.log && req.log.warn({ impersonatorId: req.user.id, userId, sessionId: result.session._id }, 'Impersonation started');
+
+        res.status(201).json({
+            status: 'success',
+            data: {
+                token: result.token,
+                expiresIn: result.expiresIn,
+                expiresAt: result.expiresAt,
+                sessionId: result.session._id,
+                allowLockUnlock,
+                impersonatedUser: {
+                    id: result.targetUser._id,
+                    email: result.targetUser.email,
+                    firstName: result.targetUser.firstName,
+                    lastName: result.targetUser.lastName
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error starting impersonation:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to start impersonation', details: error.message });
+    }
+});
+
+// GET /api/v1/admin/impersonations - List active impersonation sessions
+router.get('/impersonations', async (req, res) => {
+    try {
+        const sessions = await ImpersonationService.listActive();
+        res.status(200).json({ status: 'success', data: { sessions } });
+    } catch (error) {
+        console.error('Error listing impersonations:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list impersonations', details: error.message });
+    }
+});
+
+// DELETE /api/v1/admin/impersonations/:sessionId - End an impersonation session
+router.delete('/impersonations/:sessionId', async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.sessionId, impersonatorId: { $ne: null } });
+        if (!session) {
+            return res.status(404).json({ status: 'error', message: 'Impersonation session not found.' });
+        }
+
+        const revoked = await ImpersonationService.end(session, req, req.user.id);
+        res.status(200).json({
+            status: 'success',
+            message: revoked ? 'Impersonation ended.' : 'Impersonation had already ended.'
+        });
+    } catch (error) {
+        console.error('Error ending impersonation:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ status: 'error', message: 'Invalid session ID format.' });
+        }
+        res.status(500).json({ status: 'error', message: 'Failed to end impersonation', details: error.message });
+    }
+});
+
+// GET /api/v1/admin/audit-events - Browse the audit trail, newest first
+// Query: actorId, impersonatorId, sessionId, action, targetType, targetId, before (ISO date), limit (max 200)
+router.get('/audit-events', async (req, res) => {
+    const { actorId, impersonatorId, sessionId, action, targetType, targetId, before, limit = 50 } = req.query;
+
+    const query = {};
+    for (const [field, value] of Object.entries({ actorId, impersonatorId, sessionId, targetId })) {
+        if (value !== undefined) {
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+                return res.status(400).json({ status: 'error', message: `Invalid ${field} format.` });
+            }
+            query[field] = value;
+        }
+    }
+    if (action !== undefined) {
+        if (!Object.values(AuditAction).includes(action)) {
+            return res.status(400).json({ status: 'error', message: `Invalid action. Must be one of: ${Object.values(AuditAction).join(', ')}.` });
+        }
+        query.action = action;
+    }
+    if (targetType !== undefined) query.targetType = targetType;
+    if (before !== undefined) {
+        const beforeDate = new Date(before);
+        if (isNaN(beforeDate.getTime())) {
+            return res.status(400).json({ status: 'error', message: 'before must be a valid date.' });
+        }
+        query.createdAt = { $lt: beforeDate };
+    }
+
+    try {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+        const events = await AuditEvent.find(query).sort({ createdAt: -1 }).limit(pageSize);
+        res.status(200).json({
+            status: 'success',
+            data: {
+                events,
+                nextBefore: events.length === pageSize ? events[events.length - 1].createdAt : null
+            }
+        });
+    } catch (error) {
+        console.error('Error listing audit events:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list audit events', details: error.message });
+    }
+});
+
+// POST /api/v1/admin/users/:userId/export - Start a personal data export for a user
+// Used to answer data access requests received outside the app
+router.post('/users/:userId/export', async (req, res) => {
+    try {
+        const user = await User.findById(req.params.userId).select('_id');
+        if (!user) {
+            return res.status(404).json({ status: 'error', message: 'User not found.' });
+        }
+
+        const { job, created } = await DataExportService.requestExport(user._id, req.user.id);
+        if (created) {
+            await AuditService.record(AuditAction.DATA_EXPORT_REQUESTED, { req, targetType: 'USER', targetId: user._id });
+        }
+
+        res.status(202).json({
+            status: 'success',
+            message: created ? 'Export started.' : 'An export is already in progress for this user.',
+            data: { job: DataExportService.serializeJob(job, exportDownloadPath(job)) }
+        });
+    } catch (error) {
+        console.error('Error starting data export:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ status: 'error', message: 'Invalid user ID format.' });
+        }
+        res.status(500).json({ status: 'error', message: 'Failed to start data export', details: error.message });
+    }
+});
+
+// GET /api/v1/admin/users/:userId/export - List a user's data exports
+router.get('/users/:userId/export', async (req, res) => {
+    try {
+        const jobs = await DataExportJob.find({ subjectUserId: req.params.userId }).sort({ createdAt: -1 });
+        res.status(200).json({
+            status: 'success',
+            data: { jobs: jobs.map(job => DataExportService.serializeJob(job, exportDownloadPath(job))) }
+        });
+    } catch (error) {
+        console.error('Error listing data exports:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ status: 'error', message: 'Invalid user ID format.' });
+        }
+        res.status(500).json({ status: 'error', message: 'Failed to list data exports', details: error.message });
+    }
+});
+
+// GET /api/v1/admin/exports/:jobId/download - Download a finished data export (gzipped JSON)
+router.get('/exports/:jobId/download', async (req, res) => {
+    try {
+        const job = await DataExportJob.findById(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ status: 'error', message: 'Export not found.' });
+        }
+        if (job.status !== 'COMPLETED') {
+            return res.status(409).json({ status: 'error', message: `Export is not ready (status: ${job.status}).` });
+        }
+
+        const archive = await DataExportService.loadArchive(job);
+        if (!archive) {
+            return res.status(410).json({ status: 'error', message: 'Export has expired.' });
+        }
+
+        await AuditService.record(AuditAction.DATA_EXPORT_DOWNLOADED, {
+            req,
+            targetType: 'USER',
+            targetId: job.subjectUserId,
+            metadata: { jobId: job._id }
+        });
+
+        res.set(DataExportService.downloadHeaders(job));
+        res.status(200).send(archive);
+    } catch (error) {
+        console.error('Error downloading data export:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ status: 'error', message: 'Invalid export ID format.' });
+        }
+        res.status(500).json({ status: 'error', message: 'Failed to download data export', details: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const ApiKey = require('../models/ApiKey');
+const Portfolio = require('../models/Portfolio');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const ApiKeyService = require('../services/ApiKeyService');
+const { AssociatedEntityType, Role, ApiKeyScope } = require('../enums');
+
+// These routes require an interactive session; API keys are rejected where this router is mounted.
+
+// Portfolio IDs where the user may manage portfolio-bound keys
+async function findAdministeredPortfolioIds(userId) {
+    const associations = await UserRoleAssociation.find({
+        userId,
+        associatedEntityType: AssociatedEntityType.PORTFOLIO,
+        roleWithinEntity: { $in: [Role.OWNER, Role.PORTFOLIO_ADMIN] }
+    }).select('associatedEntityId');
+    return associations.map(assoc => assoc.associatedEntityId);
+}
+
+// POST /api/v1/api-keys - Create an API key
+// Auth: Any user may create a personal key. A portfolio-bound key requires OWNER or PORTFOLIO_ADMIN of that portfolio.
+// The plaintext key is only returned in this response.
+router.post('/', async (req, res) => {
+    const { name, scopes, portfolioId, expiresAt } = req.body;
+    const requestingUserId = req.user.id;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ status: 'error', message: 'API key name is required.' });
+    }
+    const validScopes = Object.values(ApiKeyScope);
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => validScopes.includes(scope))) {
+        return res.status(400).json({ status: 'error', message: `scopes must be a non-empty array of: ${validScopes.join(', ')}.` });
+    }
+
+    let expiry = null;
+    if (expiresAt !== undefined && expiresAt !== null) {
+        expiry = new Date(expiresAt);
+        if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+            return res.status(400).json({ status: 'error', message: 'expiresAt must be a valid future date.' });
+        }
+    }
+
+    try {
+        if (portfolioId) {
+            const portfolio = await Portfolio.findById(portfolioId);
+            if (!portfolio) {
+                return res.status(404).json({ status: 'error', message: 'Portfolio not found.' });
+            }
+            const administeredPortfolioIds = await findAdministeredPortfolioIds(requestingUserId);
+            if (!administeredPortfolioIds.some(id => id.equals(portfolio._id))) {
+                return res.status(403).json({ status: 'error', message: 'Forbidden. Only the portfolio Owner or Admins can create keys for this portfolio.' });
+            }
+        }
+
+        const { apiKey, plaintextKey } = await ApiKeyService.createKey({
+            name: name.trim(),
+            userId: requestingUserId,
+            portfolioId: portfolioId || null,
+            scopes: [...new Set(scopes)],
+            expiresAt: expiry,
+            createdBy: requestingUserId
+        });
+
+        res.status(201).json({
+            status: 'success',
+            message: 'API key created. Store the key now; it will not be shown again.',
+            data: { apiKey, key: plaintextKey }
+        });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ status: 'error', message: 'Invalid portfolioId format.' });
+        }
+        res.status(500).json({ status: 'error', message: 'Failed to create API key', details: error.message });
+    }
+});
+
+// GET /api/v1/api-keys - List API keys
+// Auth: Returns the user's own keys plus keys bound to portfolios they own or administer.
+router.get('/', async (req, res) => {
+    const requestingUserId = req.user.id;
+    const { includeRevoked } = req.query;
+
+    try {
+        const administeredPortfolioIds = await findAdministeredPortfolioIds(requestingUserId);
+        const query = {
+            $or: [
+                { userId: requestingUserId },
+                { portfolioId: { $in: administeredPortfolioIds } }
+            ]
+        };
+        if (includeRevoked !== 'true') {
+            query.revokedAt = null;
+        }
+
+        const apiKeys = await ApiKey.find(query).sort({ createdAt: -1 });
+        res.status(200).json({ status: 'success', data: { apiKeys } });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list API keys', details: error.message });
+    }
+});
+
+// DELETE /api/v1/api-keys/:keyId - Revoke an API key
+// Auth: The key's user, or an OWNER/PORTFOLIO_ADMIN of the portfolio the key is bound to.
+router.delete('/:keyId', async (req, res) => {
+    const requestingUserId = req.user.id;
+
+    try {
+        const apiKey = await ApiKey.findById(req.params.keyId);
+        if (!apiKey) {
+            return res.status(404).json({ status: 'error', message: 'API key not found.' });
+        }
+
+        let canRevoke = apiKey.userId.equals(requestingUserId);
+        if (!canRevoke && apiKey.portfolioId) {
+            const administeredPortfolioIds = await findAdministeredPortfolioIds(requestingUserId);
+            canRevoke = administeredPortfolioIds.some(id => id.equals(apiKey.portfolioId));
+        }
+        if (!canRevoke) {
+            return res.status(403).json({ status: 'error', message: 'Forbidden. You do not have permission to revoke this API key.' });
+        }
+
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            await apiKey.save();
+        }
+
+        res.status(200).json({ status: 'success', message: 'API key revoked.', data: { apiKey } });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ status: 'error', message: 'Invalid API key ID format.' });
+        }
+        res.status(500).json({ status: 'error', message: 'Failed to revoke API key', details: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const UserRoleAssociation = require('../models/UserRoleAssociation');
+const SessionService = require('../services/SessionService');
+const ActionTokenService = require('../services/ActionTokenService');
+const MailService = require('../services/mail');
+const MfaService = require('../services/MfaService');
+const LoginThrottleService = require('../services/LoginThrottleService');
+const AccountService = require('../services/AccountService');
+const InvitationService = require('../services/InvitationService');
+const { protect, denyApiKeys } = require('../middleware/auth.middleware');
+const { denyImpersonation } = require('../middleware/impersonation.middleware');
+const ImpersonationService = require('../services/ImpersonationService');
 require('dotenv').config();
 
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -11,12 +20,55 @@ if (!JWT_SECRET) {
     process.exit(1);
 }
 
+const MIN_PASSWORD_LENGTH = 8;
+
+// Identical responses for unknown accounts and wrong passwords so sign-in can't be used to enumerate users
+const INVALID_CREDENTIALS_MESSAGE = 'Invalid email or password';
+
+const sendThrottled = (res, retryAfterSeconds) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message: 'Too many failed sign-in attempts. Please try again later.',
+    retryAfter: retryAfterSeconds
+  });
+};
+
+// Send (or re-send) the email verification link. Delivery failures are logged but never
+// fail the calling request, since the user can ask for a new link.
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await ActionTokenService.issue(user, 'EMAIL_VERIFICATION');
+    await MailService.sendEmailVerification(user, token);
+  } catch (error) {
+    console.error('Failed to send verification email:', error);
+  }
+};
+
+// Create a session for an authenticated user and send their profile together with the tokens
+const respondWithSession = async (req, res, user, statusCode = 200) => {
+  const mfaEnrollmentRequired = await MfaService.isEnrollmentRequired(user);
+  const tokens = await SessionService.createSession(user, req, { mfaEnrollmentRequired });
+
+  // After generating token and before sending response, fetch user roleAssociations and build full user object
+  const userFull = await User.findById(user.id).select('-password');
+  const roleAssociations = await UserRoleAssociation.find({ userId: user.id });
+  const userResponse = userFull.toJSON();
+  userResponse.roleAssociations = roleAssociations;
+
+  res.status(statusCode).json({
+    success: true,
+    user: userResponse,
+    ...tokens
+  });
+};
+
 // @route   POST /api/auth/register
-// @desc    Register a new user
+// @desc    Register a new user; an `inviteToken` from an invitation email is accepted on the new account
 // @access  Public
 router.post('/register', async (req, res, next) => {
   try {
-    const { firstName, lastName, email, password } = req.body;
+    const { firstName, lastName, email, password, inviteToken } = req.body;
 
     if (!firstName || !lastName || !email || !password) {
         return res.status(400).json({ success: false, message: 'Please provide firstName, lastName, email, and password.'});
@@ -39,25 +91,24 @@ router.post('/register', async (req, res, next) => {
     });
     
     await user.save();
+
+    // Registering from an invitation link: the role is granted right away, and since the link
+    // was delivered to this address there is no need to verify it separately
+    if (inviteToken) {
+      const invitation = await InvitationService.accept(inviteToken, user, req);
+      if (invitation.error) {
+        req.log && req.log.info({ userId: user.id, reason: invitation.error.message }, 'Invitation not accepted at registration');
+      } else {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+      }
+    }
+    if (!user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
     
-    const payload = {
-        user: {
-            id: user.id
-        }
-    };
-    const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '1h' });
-    
-    // After generating token and before sending response, fetch user roleAssociations and build full user object
-    const userFull = await User.findById(user.id).select('-password');
-    const roleAssociations = await UserRoleAssociation.find({ userId: user.id });
-    const userResponse = userFull.toJSON();
-    userResponse.roleAssociations = roleAssociations;
-    
-    res.status(201).json({
-      success: true,
-      user: userResponse,
-      token
-    });
+    await respondWithSession(req, res, user, 201);
   } catch (error) {
     console.error('Registration error:', error); // Log the actual error
     next(error);
@@ -65,7 +116,7 @@ router.post('/register', async (req, res, next) => {
 });
 
 // @route   POST /api/auth/login
-// @desc    Login user and return JWT token
+// @desc    Login user and return an access token plus a refresh token
 // @access  Public
 router.post('/login', async (req, res, next) => {
   try {
@@ -75,43 +126,491 @@ router.post('/login', async (req, res, next) => {
         return res.status(400).json({ success: false, message: 'Please provide email and password.'});
     }
     
+    const normalizedEmail = String(email).toLowerCase().trim();
+    const throttleKeys = LoginThrottleService.keysFor(normalizedEmail, req.ip);
+    const throttle = await LoginThrottleService.check(throttleKeys);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle.retryAfterSeconds);
+    }
+    
     // Need to explicitly select password as it's select: false in schema
-    const user = await User.findOne({ email }).select('+password +isSuperAdmin'); 
-    if (!user) {
-      return res.status(404).json({
+    const user = await User.findOne({ email: normalizedEmail }).select('+password +isSuperAdmin'); 
+    const isMatch = user
+      ? await user.comparePassword(password)
+      : await LoginThrottleService.compareDummyPassword(password);
+    if (!isMatch) { 
+      await LoginThrottleService.recordFailure(throttleKeys);
+      return res.status(401).json({
         success: false,
-        message: 'User not found'
+        message: INVALID_CREDENTIALS_MESSAGE
       });
     }
     
+    // Users with MFA enabled must complete a second step via POST /api/auth/mfa/verify.
+    // Their failure counter is only cleared once that step succeeds.
+    if (user.mfa && user.mfa.enabled) {
+      return res.status(200).json({
+        success: true,
+        mfaRequired: true,
+        mfaToken: MfaService.issueChallengeToken(user)
+      });
+    }
+    
+    await LoginThrottleService.recordSuccess(normalizedEmail);
+    await respondWithSession(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error); // Log the actual error
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair (rotation)
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ success: false, message: 'Please provide refreshToken.' });
+    }
+
+    const result = await SessionService.rotateRefreshToken(refreshToken, req);
+    const user = result ? await User.findById(result.session.userId) : null;
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // Portfolio MFA policies may have changed since login, so re-evaluate the enrollment gate
+    const mfaEnrollmentRequired = await MfaService.isEnrollmentRequired(user);
+    if (mfaEnrollmentRequired !== result.session.mfaEnrollmentRequired) {
+      await SessionService.setMfaEnrollmentRequired({ _id: result.session._id }, mfaEnrollmentRequired);
+    }
+
+    res.status(200).json({
+      success: true,
+      ...result.tokens,
+      mfaEnrollmentRequired
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session, or every session of the user with { allSessions: true }
+// @access  Private
+router.post('/logout', protect, denyApiKeys, async (req, res, next) => {
+  try {
+    if (req.impersonatorId) {
+      // Logging out of an impersonation only ends the impersonation, never the user's own sessions
+      await ImpersonationService.end(req.authSession, req, req.impersonatorId);
+    } else if (req.body && req.body.allSessions === true) {
+      await SessionService.revokeAllForUser(req.user.id, 'LOGOUT_ALL');
+    } else {
+      await SessionService.revokeSession(req.authSession._id, 'LOGOUT');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).json({ success: false, message: 'Please provide email.' });
+    }
+
+    // Always respond the same way so the endpoint can't be used to discover accounts
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user) {
+      try {
+        const token = await ActionTokenService.issue(user, 'PASSWORD_RESET');
+        await MailService.sendPasswordReset(user, token);
+      } catch (error) {
+        console.error('Failed to send password reset email:', error);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token; signs the user out everywhere
+// @access  Public (requires a valid reset token)
+router.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        return res.status(400).json({ success: false, message: 'Please provide token and password.' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
+    const record = await ActionTokenService.consume(token, 'PASSWORD_RESET');
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = password; // Hashed by the pre-save hook
+    // Receiving the reset link proves ownership of the mailbox
+    if (!user.emailVerified && user.email === record.email) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await SessionService.revokeAllForUser(user._id, 'PASSWORD_RESET');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using a verification token
+// @access  Public (requires a valid verification token)
+router.post('/verify-email', async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ success: false, message: 'Please provide token.' });
+    }
+
+    const record = await ActionTokenService.consume(token, 'EMAIL_VERIFICATION');
+    const user = record ? await User.findById(record.userId) : null;
+    if (!user || user.email !== record.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address verified'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/confirm-email-change
+// @desc    Confirm a pending email change using the link sent to the new address
+// @access  Public (requires a valid email change token)
+router.post('/confirm-email-change', async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ success: false, message: 'Please provide token.' });
+    }
+
+    const result = await AccountService.confirmEmailChange(token, req);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address changed',
+      email: result.user.email
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new verification link to the current user
+// @access  Private
+router.post('/verify-email/resend', protect, denyApiKeys, denyImpersonation, async (req, res, next) => {
+  try {
+    const user = req.userDbRecord;
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    next(error);
+  }
+});
+
+// --- Multi-factor authentication (TOTP) ---
+
+// @route   POST /api/auth/mfa/verify
+// @desc    Complete a two-step login with a TOTP or recovery code
+// @access  Public (requires the mfaToken returned by /login)
+router.post('/mfa/verify', async (req, res, next) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    if (!mfaToken || !code) {
+        return res.status(400).json({ success: false, message: 'Please provide mfaToken and code.' });
+    }
+
+    const userId = MfaService.verifyChallengeToken(mfaToken);
+    const user = userId
+      ? await User.findById(userId).select('+mfa.secret +mfa.recoveryCodeHashes +mfa.lastUsedStep')
+      : null;
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'MFA challenge expired. Please sign in again.'
+      });
+    }
+
+    // Second-factor guesses count towards the same account/IP lockout as passwords
+    const throttleKeys = LoginThrottleService.keysFor(user.email, req.ip);
+    const throttle = await LoginThrottleService.check(throttleKeys);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle.retryAfterSeconds);
+    }
+
+    const method = await MfaService.verifyUserCode(user, code);
+    if (!method) {
+      await LoginThrottleService.recordFailure(throttleKeys);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    await LoginThrottleService.recordSuccess(user.email);
+
+    await respondWithSession(req, res, user);
+  } catch (error) {
+    console.error('MFA verification error:', error);
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/mfa/enroll
+// @desc    Start TOTP enrollment; returns the secret and an otpauth:// URL for authenticator apps
+// @access  Private
+router.post('/mfa/enroll', protect, denyApiKeys, denyImpersonation, async (req, res, next) => {
+  try {
+    const user = req.userDbRecord;
+
+    if (user.mfa && user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is already enabled'
+      });
+    }
+
+    const secret = MfaService.generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'mfa.pendingSecret': MfaService.encryptSecret(secret) } });
+
+    res.status(200).json({
+      success: true,
+      secret,
+      otpauthUrl: MfaService.buildOtpAuthUrl(user.email, secret)
+    });
+  } catch (error) {
+    console.error('MFA enrollment error:', error);
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/mfa/activate
+// @desc    Confirm enrollment with a first TOTP code; returns one-time recovery codes
+// @access  Private
+router.post('/mfa/activate', protect, denyApiKeys, denyImpersonation, async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+        return res.status(400).json({ success: false, message: 'Please provide code.' });
+    }
+
+    const user = await User.findById(req.user.id).select('+mfa.pendingSecret +mfa.secret +mfa.recoveryCodeHashes +mfa.lastUsedStep');
+    if (!user.mfa || !user.mfa.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'No MFA enrollment in progress. Call /api/auth/mfa/enroll first.'
+      });
+    }
+
+    const secret = MfaService.decryptSecret(user.mfa.pendingSecret);
+    const step = MfaService.verifyTotp(secret, code);
+    if (step === null) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = MfaService.generateRecoveryCodes();
+    user.mfa.enabled = true;
+    user.mfa.enabledAt = new Date();
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.recoveryCodeHashes = hashes;
+    user.mfa.lastUsedStep = step;
+    await user.save();
+
+    // Lift the enrollment gate from any session that was waiting on it
+    await SessionService.setMfaEnrollmentRequired({ userId: user._id, mfaEnrollmentRequired: true }, false);
+
+    res.status(200).json({
+      success: true,
+      message: 'MFA enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('MFA activation error:', error);
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/mfa/recovery-codes
+// @desc    Replace all recovery codes (requires a current TOTP code)
+// @access  Private
+router.post('/mfa/recovery-codes', protect, denyApiKeys, denyImpersonation, async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+        return res.status(400).json({ success: false, message: 'Please provide code.' });
+    }
+
+    const user = await User.findById(req.user.id).select('+mfa.secret +mfa.recoveryCodeHashes +mfa.lastUsedStep');
+    if (!user.mfa || !user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is not enabled'
+      });
+    }
+
+    if (await MfaService.verifyUserCode(user, code) !== 'totp') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = MfaService.generateRecoveryCodes();
+    user.mfa.recoveryCodeHashes = hashes;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('MFA recovery code error:', error);
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/mfa/disable
+// @desc    Turn MFA off (requires password and a TOTP/recovery code); refused when a portfolio policy requires MFA
+// @access  Private
+router.post('/mfa/disable', protect, denyApiKeys, denyImpersonation, async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+        return res.status(400).json({ success: false, message: 'Please provide password and code.' });
+    }
+
+    const user = await User.findById(req.user.id).select('+password +mfa.secret +mfa.recoveryCodeHashes +mfa.lastUsedStep');
+    if (!user.mfa || !user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is not enabled'
+      });
+    }
+
+    if (await MfaService.isMfaRequiredForUser(user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'MFA is required by the security policy of a portfolio you manage and cannot be disabled'
+      });
+    }
+
     const isMatch = await user.comparePassword(password);
-    if (!isMatch) { 
+    if (!isMatch || !(await MfaService.verifyUserCode(user, code))) {
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
-    
-    const payload = {
-        user: {
-            id: user.id
-        }
-    };
-    const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '1h' });
-    
-    // After generating token and before sending response, fetch user roleAssociations and build full user object
-    const userFull = await User.findById(user.id).select('-password');
-    const roleAssociations = await UserRoleAssociation.find({ userId: user.id });
-    const userResponse = userFull.toJSON();
-    userResponse.roleAssociations = roleAssociations;
-    
+
+    user.mfa.enabled = false;
+    user.mfa.enabledAt = null;
+    user.mfa.secret = undefined;
+    user.mfa.recoveryCodeHashes = undefined;
+    user.mfa.lastUsedStep = undefined;
+    await user.save();
+
     res.status(200).json({
       success: true,
-      user: userResponse,
-      token
+      message: 'MFA disabled'
     });
   } catch (error) {
-    console.error('Login error:', error); // Log the actual error
+    console.error('MFA disable error:', error);
     next(error);
   }
 });
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const CommonArea = require('../models/CommonArea');
+const PolicyService = require('../services/PolicyService');
+const CommonAreaService = require('../services/CommonAreaService');
+const { AssociatedEntityType, PolicyAction } = require('../enums');
+
+// Loads req.commonArea and checks `action` on the property it belongs to.
+// Tenants see the areas available to them through GET /api/v1/units/:unitId/common-areas.
+const authorizeArea = (action, message) => async (req, res, next) => {
+    const { areaId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(areaId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid common area ID format.' });
+    }
+
+    try {
+        const area = await CommonArea.findById(areaId);
+        const decision = area && await PolicyService.authorize(
+            PolicyService.actorFromRequest(req),
+            action,
+            { type: AssociatedEntityType.PROPERTY, id: area.propertyId }
+        );
+        if (!area || decision.reason === PolicyService.DenyReason.NOT_FOUND) {
+            return res.status(404).json({ status: 'error', message: 'Common area not found.' });
+        }
+        if (decision.reason === PolicyService.DenyReason.API_KEY_PORTFOLIO) {
+            return res.status(403).json({ status: 'error', message: 'Forbidden. This API key is restricted to a different portfolio.' });
+        }
+        if (!decision.allowed) {
+            return res.status(403).json({ status: 'error', message });
+        }
+        req.commonArea = area;
+        req.property = decision.context.property;
+        next();
+    } catch (error) {
+        console.error('Error in common area access check:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error during access check.' });
+    }
+};
+
+const canView = authorizeArea(PolicyAction.PROPERTY_READ, 'Forbidden. You do not have permission to view this common area.');
+const canUpdate = authorizeArea(PolicyAction.PROPERTY_UPDATE, 'Forbidden. You do not have permission to manage this common area.');
+const canManageDevices = authorizeArea(PolicyAction.DEVICE_MANAGE, 'Forbidden. You do not have permission to manage devices in this common area.');
+
+// GET /api/v1/common-areas/:areaId - Get a common area with its access settings
+// Auth: User must be "PROPERTY_MANAGER" of the property or "OWNER"/"PORTFOLIO_ADMIN" of its portfolio.
+router.get('/:areaId', canView, (req, res) => {
+    res.status(200).json({ status: 'success', data: { commonArea: req.commonArea } });
+});
+
+// PUT /api/v1/common-areas/:areaId - Update a common area, who may use it and its opening hours
+// Auth: User must be "PROPERTY_MANAGER" of the property or "OWNER"/"PORTFOLIO_ADMIN" of its portfolio.
+// Body: any of { name, type, description, access: { allUnits, unitIds, tenantUserIds }, schedule, timeZone }
+router.put('/:areaId', canUpdate, async (req, res) => {
+    const invalid = CommonAreaService.validate(req.body, { partial: true });
+    if (invalid) {
+        return res.status(400).json({ status: 'error', message: invalid });
+    }
+
+    try {
+        const invalidUnits = await CommonAreaService.checkAccessUnits(req.commonArea.propertyId, req.body.access);
+        if (invalidUnits) {
+            return res.status(400).json({ status: 'error', message: invalidUnits });
+        }
+
+        const commonArea = await CommonAreaService.update(req.commonArea, req.body);
+        res.status(200).json({ status: 'success', data: { commonArea } });
+    } catch (error) {
+        console.error('Error updating common area:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to update common area', details: error.message });
+    }
+});
+
+// DELETE /api/v1/common-areas/:areaId - Delete a common area
+// Auth: User must be "PROPERTY_MANAGER" of the property or "OWNER"/"PORTFOLIO_ADMIN" of its portfolio.
+// Its devices stay on the property.
+router.delete('/:areaId', canUpdate, async (req, res) => {
+    try {
+        const result = await CommonAreaService.remove(req.commonArea);
+        res.status(200).json({ status: 'success', message: 'Common area deleted.', data: result });
+    } catch (error) {
+        console.error('Error deleting common area:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to delete common area', details: error.message });
+    }
+});
+
+// --- Devices of a Common Area ---
+
+// GET /api/v1/common-areas/:areaId/devices - List the devices of a common area
+// Auth: User must be "PROPERTY_MANAGER" of the property or "OWNER"/"PORTFOLIO_ADMIN" of its portfolio.
+router.get('/:areaId/devices', canView, async (req, res) => {
+    try {
+        const { devices } = await CommonAreaService.describe(req.commonArea);
+        res.status(200).json({ status: 'success', data: { devices } });
+    } catch (error) {
+        console.error('Error listing common area devices:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list devices', details: error.message });
+    }
+});
+
+// POST /api/v1/common-areas/:areaId/devices - Add devices to a common area
+// Auth: User must be able to manage devices on the property.
+// Body: { deviceIds: [...] } - devices must be attached to the property and not to a unit.
+router.post('/:areaId/devices', canManageDevices, async (req, res) => {
+    const { deviceIds } = req.body;
+
+    if (!Array.isArray(deviceIds) || deviceIds.length === 0 || !deviceIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ status: 'error', message: 'deviceIds must be a non-empty array of device IDs.' });
+    }
+
+    try {
+        const result = await CommonAreaService.assignDevices(req.commonArea, deviceIds);
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
+        res.status(200).json({ status: 'success', data: { commonArea: result.area } });
+    } catch (error) {
+        console.error('Error adding devices to common area:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to add devices', details: error.message });
+    }
+});
+
+// DELETE /api/v1/common-areas/:areaId/devices/:deviceId - Remove a device from a common area
+// Auth: User must be able to manage devices on the property.
+router.delete('/:areaId/devices/:deviceId', canManageDevices, async (req, res) => {
+    const { deviceId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid device ID format.' });
+    }
+
+    try {
+        const commonArea = await CommonAreaService.unassignDevice(req.commonArea, deviceId);
+        res.status(200).json({ status: 'success', data: { commonArea } });
+    } catch (error) {
+        console.error('Error removing device from common area:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to remove device', details: error.message });
+    }
+});
+
+module.exports = router;
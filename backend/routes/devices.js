@@ -2,96 +2,120 @@ const express = require('express');
 const router = express.Router();
 const Device = require('../models/Device');
 const { protect } = require('../middleware/auth.middleware');
-const UserRoleAssociation = require('../models/UserRoleAssociation');
 const Property = require('../models/Property');
+const PolicyService = require('../services/PolicyService');
+const ImpersonationService = require('../services/ImpersonationService');
+const DeviceControlService = require('../services/DeviceControlService');
+const DeviceService = require('../services/DeviceService');
+const CapabilityCatalog = require('../services/CapabilityCatalog');
+const DeviceStateService = require('../services/DeviceStateService');
+const DeviceEventService = require('../services/DeviceEventService');
+const mongoose = require('mongoose');
+const { AssociatedEntityType, PolicyAction } = require('../enums');
+
 
 // Middleware for authentication would go here
 // const auth = require('../middleware/auth');
 
+// Responds with the legacy error shape when the policy denies `action` on `device`; returns true if it did
+const denyDeviceAccess = async (req, res, action, device) => {
+  const decision = await PolicyService.authorize(
+    PolicyService.actorFromRequest(req),
+    action,
+    { type: PolicyService.ResourceType.DEVICE, doc: device }
+  );
+  if (decision.allowed) {
+    return false;
+  }
+  res.status(403).json({ success: false, message: 'Forbidden: No access to this device.' });
+  return true;
+};
+
+// Resolves the unit (preferred) or property a device is registered on or moved to, when the user may
+// manage devices there: { unit, property }. Otherwise responds with the legacy error shape and resolves to null.
+const resolveManagedLocation = async (req, res, { unitId, propertyId }) => {
+  const [type, id, label] = unitId
+    ? [AssociatedEntityType.UNIT, unitId, 'unit']
+    : [AssociatedEntityType.PROPERTY, propertyId, 'property'];
+  if (!id) {
+    res.status(400).json({ success: false, message: 'unitId or propertyId is required.' });
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: `Invalid ${label} ID format.` });
+    return null;
+  }
+
+  const decision = await PolicyService.authorize(PolicyService.actorFromRequest(req), PolicyAction.DEVICE_MANAGE, { type, id });
+  if (decision.reason === PolicyService.DenyReason.NOT_FOUND) {
+    res.status(404).json({ success: false, message: `${label === 'unit' ? 'Unit' : 'Property'} not found` });
+    return null;
+  }
+  if (!decision.allowed) {
+    res.status(403).json({ success: false, message: `Forbidden: No access to requested ${label}.` });
+    return null;
+  }
+  if (unitId && propertyId && String(decision.context.propertyId) !== String(propertyId)) {
+    res.status(400).json({ success: false, message: 'unitId does not belong to propertyId.' });
+    return null;
+  }
+  return { unit: decision.context.unit, property: decision.context.property };
+};
+
 // @route   GET /api/devices
-// @desc    Get all devices the user has access to
+// @desc    Get all devices the user has access to, each with its stored state (see GET /api/devices/:id/state)
 // @access  Private
 router.get('/', protect, async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const actor = PolicyService.actorFromRequest(req);
     const { portfolioId, propertyId, unitId } = req.query;
 
-    // Fetch role associations for this user
-    const associations = await UserRoleAssociation.find({ userId });
-
-    // Helper sets for quick lookup
-    const allowedUnitIds = associations
-      .filter(a => a.associatedEntityType === 'UNIT')
-      .map(a => a.associatedEntityId.toString());
-    const allowedPropertyIds = associations
-      .filter(a => a.associatedEntityType === 'PROPERTY')
-      .map(a => a.associatedEntityId.toString());
-    const hasPortfolioLevelAccess = associations.some(
-      a => a.associatedEntityType === 'PORTFOLIO'
-    );
-
-    let query = {};
+    // Explicit unit/property filters must name an entity the user can read devices in.
+    // A portfolio filter is not checked up front: managers of a single property may filter by its
+    // portfolio, and the policy scope below limits the results either way.
+    if (unitId && !(await PolicyService.can(actor, PolicyAction.DEVICE_READ, { type: AssociatedEntityType.UNIT, id: unitId }))) {
+      return res.status(403).json({ success: false, message: 'Forbidden: No access to requested unit.' });
+    }
+    if (propertyId && !(await PolicyService.can(actor, PolicyAction.DEVICE_READ, { type: AssociatedEntityType.PROPERTY, id: propertyId }))) {
+      return res.status(403).json({ success: false, message: 'Forbidden: No access to requested property.' });
+    }
+
+    const scope = await PolicyService.accessibleIds(actor, PolicyAction.DEVICE_READ);
+    const conditions = [PolicyService.filterFor(scope, PolicyService.ResourceType.DEVICE)];
     if (unitId) {
-      // Explicit unit filter – ensure user authorized
-      if (!allowedUnitIds.includes(unitId.toString()) && !hasPortfolioLevelAccess) {
-        return res.status(403).json({ success: false, message: 'Forbidden: No access to requested unit.' });
-      }
-      query.unitId = unitId;
+      conditions.push({ unitId });
     } else if (propertyId) {
-      if (!allowedPropertyIds.includes(propertyId.toString()) && !hasPortfolioLevelAccess) {
-        return res.status(403).json({ success: false, message: 'Forbidden: No access to requested property.' });
-      }
-      query.propertyId = propertyId;
+      conditions.push({ propertyId });
     } else if (portfolioId) {
-      // Implement portfolio => properties lookup to filter by portfolio.
-      // First verify user is allowed to access this portfolio. Acceptable if:
-      //  a) user has portfolio-level association for this portfolio OR
-      //  b) user has property-level association for at least one property in this portfolio.
-
-      const allowedPortfolioIds = associations
-        .filter(a => a.associatedEntityType === 'PORTFOLIO')
-        .map(a => a.associatedEntityId.toString());
-
-      if (!allowedPortfolioIds.includes(portfolioId.toString()) && !hasPortfolioLevelAccess) {
-        // Secondary check: property-level associations inside portfolio
-        const propertiesWithinPortfolio = await Property.find({ portfolioId }).select('_id');
-        const propertyIdStrings = propertiesWithinPortfolio.map(p => p._id.toString());
-        const hasPropertyAccessWithinPortfolio = allowedPropertyIds.some(pid => propertyIdStrings.includes(pid));
-        if (!hasPropertyAccessWithinPortfolio) {
-          return res.status(403).json({ success: false, message: 'Forbidden: No access to requested portfolio.' });
-        }
-      }
-
-      // Build query to fetch devices whose propertyId belongs to this portfolio (and within user's scope if no portfolio-level access):
-      const propertiesInPortfolio = await Property.find({ portfolioId }).select('_id');
-      const portfolioPropertyIds = propertiesInPortfolio.map(p => p._id);
-      query.propertyId = { $in: portfolioPropertyIds };
-    } else {
-      // Default: restrict to allowed unit/property IDs
-      query.$or = [
-        { unitId: { $in: allowedUnitIds } },
-        { propertyId: { $in: allowedPropertyIds } }
-      ];
-      if (hasPortfolioLevelAccess) {
-        // Portfolio-level users can also see devices not linked to unit or property explicitly (e.g., common devices)
-        query = { $or: [query, { unitId: { $exists: false } }, { propertyId: { $exists: false } }] };
-      }
+      const portfolioPropertyIds = await Property.find({ portfolioId }).distinct('_id');
+      conditions.push({ propertyId: { $in: portfolioPropertyIds } });
     }
 
-    const devices = await Device.find(query);
+    const devices = await Device.find({ $and: conditions });
+    const states = await DeviceStateService.forDevices(devices.map(device => device._id));
     
     res.status(200).json({
       success: true,
       count: devices.length,
-      data: devices
+      data: devices.map(device => ({ ...device.toJSON(), state: states.get(String(device._id)) }))
     });
   } catch (error) {
     next(error);
   }
 });
 
+// @route   GET /api/devices/capabilities
+// @desc    Get the canonical capability catalog: typed attributes with units, and command argument schemas
+// @access  Private
+router.get('/capabilities', protect, (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: CapabilityCatalog.capabilities
+  });
+});
+
 // @route   GET /api/devices/:id
-// @desc    Get a single device by ID
+// @desc    Get a single device by ID, with its stored state
 // @access  Private
 router.get('/:id', protect, async (req, res, next) => {
   try {
@@ -104,28 +128,81 @@ router.get('/:id', protect, async (req, res, next) => {
       });
     }
     
-    // Authorization: verify user access using role associations
-    const associations = await UserRoleAssociation.find({ userId: req.user.id });
-    const allowedUnitIds = associations.filter(a => a.associatedEntityType === 'UNIT').map(a => a.associatedEntityId.toString());
-    const allowedPropertyIds = associations.filter(a => a.associatedEntityType === 'PROPERTY').map(a => a.associatedEntityId.toString());
-    const hasPortfolioLevelAccess = associations.some(a => a.associatedEntityType === 'PORTFOLIO');
+    if (await denyDeviceAccess(req, res, PolicyAction.DEVICE_READ, device)) {
+      return;
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: { ...device.toJSON(), state: await DeviceStateService.forDevice(device._id) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/devices/:id/state
+// @desc    Get a device's stored state: the latest value and timestamp of each capability attribute, with `stale`
+//          set when the vendor has not reported recently. ?refresh=true reads the state from the vendor first.
+// @access  Private
+router.get('/:id/state', protect, async (req, res, next) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+    
+    if (await denyDeviceAccess(req, res, PolicyAction.DEVICE_READ, device)) {
+      return;
+    }
+
+    if (req.query.refresh === 'true') {
+      const result = await DeviceControlService.refreshState(device);
+      if (result.error) {
+        return res.status(result.error.status).json({ success: false, message: result.error.message });
+      }
+      return res.status(200).json({ success: true, data: result.state });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: await DeviceStateService.forDevice(device._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const deviceUnitId = device.unitId ? device.unitId.toString() : null;
-    const devicePropertyId = device.propertyId ? device.propertyId.toString() : null;
+// @route   POST /api/devices/:id/state/refresh
+// @desc    Read a device's current state from its vendor, store it and return it
+// @access  Private
+router.post('/:id/state/refresh', protect, async (req, res, next) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+    
+    if (await denyDeviceAccess(req, res, PolicyAction.DEVICE_READ, device)) {
+      return;
+    }
 
-    if (
-      !hasPortfolioLevelAccess &&
-      !(
-        (deviceUnitId && allowedUnitIds.includes(deviceUnitId)) ||
-        (devicePropertyId && allowedPropertyIds.includes(devicePropertyId))
-      )
-    ) {
-      return res.status(403).json({ success: false, message: 'Forbidden: No access to this device.' });
+    const result = await DeviceControlService.refreshState(device);
+    if (result.error) {
+      return res.status(result.error.status).json({ success: false, message: result.error.message });
     }
     
     res.status(200).json({
       success: true,
-      data: device
+      data: result.state
     });
   } catch (error) {
     next(error);
@@ -133,38 +210,129 @@ router.get('/:id', protect, async (req, res, next) => {
 });
 
 // @route   POST /api/devices
-// @desc    Create a new device
-// @access  Private (Owner or Property Manager only)
-router.post('/', async (req, res, next) => {
+// @desc    Register a device on a unit or directly on a property.
+//          Body: { name, manufacturer, type, unitId | propertyId, roomId?, capabilities?: [{ type, attributes }] (canonical, see
+//          GET /api/devices/capabilities),
+//          integrationData?: { smartThingsDeviceId, ... }, metadata? }. A vendor device ID can be registered only once (409).
+// @access  Private (managers of the unit's property, or of the property)
+router.post('/', protect, async (req, res, next) => {
   try {
-    const { name, manufacturer, type, propertyId, roomId } = req.body;
-    
-    const device = new Device({
-      name,
-      manufacturer,
-      type,
-      property: propertyId,
-      room: roomId,
-      status: 'OFFLINE',
-      capabilities: []
+    const invalid = DeviceService.validate(req.body);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const { unitId, propertyId } = req.body;
+    const target = await resolveManagedLocation(req, res, { unitId, propertyId });
+    if (!target) {
+      return;
+    }
+
+    const result = await DeviceService.create(target, req.body, req);
+    if (result.error) {
+      return res.status(result.error.status).json({ success: false, message: result.error.message });
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: result.device
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/devices/:id
+// @desc    Update a device's details, capabilities, vendor IDs or room. Passing unitId or propertyId moves it
+//          (out of its room and common area); managers of both the old and new location are required.
+// @access  Private (managers of the device's unit or property)
+router.put('/:id', protect, async (req, res, next) => {
+  try {
+    const invalid = DeviceService.validate(req.body, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const device = await Device.findById(req.params.id);
     
-    await device.save();
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
     
-    res.status(201).json({
+    if (await denyDeviceAccess(req, res, PolicyAction.DEVICE_MANAGE, device)) {
+      return;
+    }
+
+    const { unitId, propertyId } = req.body;
+    let destination = null;
+    if (unitId || propertyId) {
+      destination = await resolveManagedLocation(req, res, { unitId, propertyId });
+      if (!destination) {
+        return;
+      }
+    }
+
+    const result = await DeviceService.update(device, req.body, { destination, req });
+    if (result.error) {
+      return res.status(result.error.status).json({ success: false, message: result.error.message });
+    }
+    
+    res.status(200).json({
       success: true,
-      data: device
+      data: result.device
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   POST /api/devices/:id/control
-// @desc    Control a device
+// @route   DELETE /api/devices/:id
+// @desc    Delete a device, removing it from its unit, room, common area and guest grants
+// @access  Private (managers of the device's unit or property)
+router.delete('/:id', protect, async (req, res, next) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+    
+    if (await denyDeviceAccess(req, res, PolicyAction.DEVICE_MANAGE, device)) {
+      return;
+    }
+
+    const result = await DeviceService.remove(device, req);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Device deleted',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/devices/:id/events
+// @desc    Get a device's attribute change history, newest first.
+//          Query: from, to (ISO dates; from inclusive, to exclusive), capability, attribute, limit (max 200), cursor
+//          (nextCursor from the previous page).
 // @access  Private
-router.post('/:id/control', protect, async (req, res, next) => {
+router.get('/:id/events', protect, async (req, res, next) => {
   try {
+    const { from, to, capability, attribute, limit, cursor } = req.query;
+    const filters = { from, to, capability, attribute, limit, cursor };
+    const invalid = DeviceEventService.validateQuery(filters);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
     const device = await Device.findById(req.params.id);
     
     if (!device) {
@@ -174,36 +342,98 @@ router.post('/:id/control', protect, async (req, res, next) => {
       });
     }
     
-    // Authorization check (reuse logic from GET /:id)
-    const associations = await UserRoleAssociation.find({ userId: req.user.id });
-    const allowedUnitIds = associations.filter(a => a.associatedEntityType === 'UNIT').map(a => a.associatedEntityId.toString());
-    const allowedPropertyIds = associations.filter(a => a.associatedEntityType === 'PROPERTY').map(a => a.associatedEntityId.toString());
-    const hasPortfolioLevelAccess = associations.some(a => a.associatedEntityType === 'PORTFOLIO');
+    if (await denyDeviceAccess(req, res, PolicyAction.DEVICE_READ, device)) {
+      return;
+    }
 
-    const deviceUnitId = device.unitId ? device.unitId.toString() : null;
-    const devicePropertyId = device.propertyId ? device.propertyId.toString() : null;
+    const { events, nextCursor } = await DeviceEventService.list(device._id, filters);
+    
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: events,
+      nextCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (
-      !hasPortfolioLevelAccess &&
-      !(
-        (deviceUnitId && allowedUnitIds.includes(deviceUnitId)) ||
-        (devicePropertyId && allowedPropertyIds.includes(devicePropertyId))
-      )
-    ) {
-      return res.status(403).json({ success: false, message: 'Forbidden: No access to this device.' });
+// @route   POST /api/devices/:id/events/backfill
+// @desc    Fill gaps in a device's event history from its vendor's history. Body: { limit } (vendor events to read,
+//          default 200, max 1000). Changes already stored are skipped.
+// @access  Private
+router.post('/:id/events/backfill', protect, async (req, res, next) => {
+  try {
+    const { limit = 200 } = req.body || {};
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ success: false, message: 'limit must be a whole number between 1 and 1000.' });
     }
+
+    const device = await Device.findById(req.params.id);
     
-    // In a real implementation, you would send the command to the device
-    // through the appropriate integration service
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
     
-    // For now, just update the device status
-    device.status = 'ONLINE';
-    await device.save();
+    if (await denyDeviceAccess(req, res, PolicyAction.DEVICE_READ, device)) {
+      return;
+    }
+
+    const result = await DeviceControlService.backfillEvents(device, { limit });
+    if (result.error) {
+      return res.status(result.error.status).json({ success: false, message: result.error.message });
+    }
     
     res.status(200).json({
       success: true,
-      message: 'Command sent to device',
-      data: device
+      message: `Stored ${result.stored} of ${result.received} event(s) from the vendor`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/devices/:id/control
+// @desc    Control a device with a canonical command, e.g. { command: 'setLevel', parameters: { level: 40 } }.
+//          The command must belong to a capability the device declares (see GET /api/devices/capabilities). Responds with the DeviceCommand record: 200 when the vendor accepted it, 502 when it failed.
+// @access  Private
+router.post('/:id/control', protect, async (req, res, next) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+    
+    if (await denyDeviceAccess(req, res, PolicyAction.DEVICE_CONTROL, device)) {
+      return;
+    }
+
+    const invalid = DeviceControlService.validate(req.body, device);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    // Support staff impersonating a user may not unlock doors unless explicitly allowed
+    if (ImpersonationService.blocksUnlock(req, req.body, device)) {
+      return res.status(403).json({ success: false, message: 'Forbidden: Unlock commands are not allowed while impersonating.' });
+    }
+    
+    const command = await DeviceControlService.sendCommand(device, req.body, { userId: req.user.id, req });
+    const succeeded = command.status === 'SUCCEEDED';
+    
+    res.status(succeeded ? 200 : 502).json({
+      success: succeeded,
+      message: succeeded ? 'Command sent to device' : `Command failed: ${command.error}`,
+      data: command
     });
   } catch (error) {
     next(error);
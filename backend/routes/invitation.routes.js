@@ -0,0 +1,194 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const PolicyService = require('../services/PolicyService');
+const InvitationService = require('../services/InvitationService');
+const { AssociatedEntityType } = require('../enums');
+
+const { DenyReason } = PolicyService;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Check that the caller may manage invitations on an entity. Sends the error response and
+// resolves to false when they may not.
+async function ensureCanManage(req, res, targetType, targetId) {
+    const decision = await PolicyService.authorize(
+        PolicyService.actorFromRequest(req),
+        InvitationService.manageActionFor(targetType),
+        { type: targetType, id: targetId }
+    );
+    if (decision.reason === DenyReason.NOT_FOUND) {
+        res.status(404).json({ status: 'error', message: `${targetType.charAt(0)}${targetType.slice(1).toLowerCase()} not found.` });
+        return false;
+    }
+    if (!decision.allowed) {
+        res.status(403).json({ status: 'error', message: 'Forbidden. You cannot manage invitations for this entity.' });
+        return false;
+    }
+    return true;
+}
+
+// Load :invitationId and check the caller may manage it; sends the error response and resolves to null otherwise
+async function loadManageableInvitation(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.invitationId)) {
+        res.status(400).json({ status: 'error', message: 'Invalid invitation ID format.' });
+        return null;
+    }
+    const invitation = await Invitation.findById(req.params.invitationId);
+    if (!invitation) {
+        res.status(404).json({ status: 'error', message: 'Invitation not found.' });
+        return null;
+    }
+    if (!(await ensureCanManage(req, res, invitation.targetType, invitation.targetId))) {
+        return null;
+    }
+    return invitation;
+}
+
+// POST /api/v1/invitations - Invite someone by email to a role on a portfolio, property or unit
+// Auth: Same as adding the role directly (OWNER for portfolio roles, OWNER/PORTFOLIO_ADMIN for
+// property managers, managers for tenants).
+// Body: { email, role, targetType, targetId }
+router.post('/', async (req, res) => {
+    const { email, role, targetType, targetId } = req.body;
+
+    if (!email || !EMAIL_PATTERN.test(String(email).trim())) {
+        return res.status(400).json({ status: 'error', message: 'A valid email is required.' });
+    }
+    if (!Object.values(AssociatedEntityType).includes(targetType)) {
+        return res.status(400).json({ status: 'error', message: `targetType must be one of: ${Object.values(AssociatedEntityType).join(', ')}.` });
+    }
+    if (!targetId || !mongoose.Types.ObjectId.isValid(targetId)) {
+        return res.status(400).json({ status: 'error', message: 'A valid targetId is required.' });
+    }
+
+    try {
+        if (!(await ensureCanManage(req, res, targetType, targetId))) {
+            return;
+        }
+
+        const result = await InvitationService.invite({ email, role, targetType, targetId, inviter: req.userDbRecord }, req);
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
+
+        res.status(201).json({ status: 'success', data: { invitation: InvitationService.serialize(result.invitation) } });
+    } catch (error) {
+        console.error('Error creating invitation:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to create invitation', details: error.message });
+    }
+});
+
+// GET /api/v1/invitations?targetType=UNIT&targetId=... - List invitations for an entity
+// Auth: Same as creating them. Query: status (PENDING | ACCEPTED | CANCELLED | EXPIRED)
+router.get('/', async (req, res) => {
+    const { targetType, targetId, status } = req.query;
+
+    if (!Object.values(AssociatedEntityType).includes(targetType) || !mongoose.Types.ObjectId.isValid(targetId)) {
+        return res.status(400).json({ status: 'error', message: 'Valid targetType and targetId query parameters are required.' });
+    }
+
+    try {
+        if (!(await ensureCanManage(req, res, targetType, targetId))) {
+            return;
+        }
+
+        const now = new Date();
+        const invitations = (await Invitation.find({ targetType, targetId }).sort({ createdAt: -1 }))
+            .map(invitation => InvitationService.serialize(invitation, now))
+            .filter(invitation => !status || invitation.status === status);
+
+        res.status(200).json({ status: 'success', data: { invitations } });
+    } catch (error) {
+        console.error('Error listing invitations:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list invitations', details: error.message });
+    }
+});
+
+// GET /api/v1/invitations/mine - Pending invitations sent to the current user's email address
+router.get('/mine', async (req, res) => {
+    try {
+        const invitations = await Invitation.find({ ...Invitation.pendingQuery(), email: req.userDbRecord.email })
+            .sort({ createdAt: -1 })
+            .populate('invitedBy', 'firstName lastName');
+
+        res.status(200).json({
+            status: 'success',
+            data: { invitations: invitations.map(invitation => InvitationService.serialize(invitation)) }
+        });
+    } catch (error) {
+        console.error('Error listing own invitations:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list invitations', details: error.message });
+    }
+});
+
+// POST /api/v1/invitations/accept - Accept an invitation with the emailed token
+// Auth: Any signed-in user whose email matches the invitation. Body: { token }
+router.post('/accept', async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ status: 'error', message: 'Invitation token is required.' });
+    }
+
+    try {
+        const result = await InvitationService.accept(token, req.userDbRecord, req);
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                invitation: InvitationService.serialize(result.invitation),
+                userRoleAssociation: result.association
+            }
+        });
+    } catch (error) {
+        console.error('Error accepting invitation:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to accept invitation', details: error.message });
+    }
+});
+
+// POST /api/v1/invitations/:invitationId/resend - Send a fresh link and extend the expiry
+// Auth: Same as creating the invitation.
+router.post('/:invitationId/resend', async (req, res) => {
+    try {
+        const invitation = await loadManageableInvitation(req, res);
+        if (!invitation) {
+            return;
+        }
+        if (invitation.acceptedAt || invitation.cancelledAt) {
+            return res.status(409).json({ status: 'error', message: `Invitation has already been ${invitation.status().toLowerCase()}.` });
+        }
+
+        await InvitationService.resend(invitation, req.userDbRecord, req);
+        res.status(200).json({ status: 'success', data: { invitation: InvitationService.serialize(invitation) } });
+    } catch (error) {
+        console.error('Error resending invitation:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to resend invitation', details: error.message });
+    }
+});
+
+// DELETE /api/v1/invitations/:invitationId - Cancel a pending invitation
+// Auth: Same as creating the invitation.
+router.delete('/:invitationId', async (req, res) => {
+    try {
+        const invitation = await loadManageableInvitation(req, res);
+        if (!invitation) {
+            return;
+        }
+        if (invitation.status() !== 'PENDING') {
+            return res.status(409).json({ status: 'error', message: `Invitation is already ${invitation.status().toLowerCase()}.` });
+        }
+
+        await InvitationService.cancel(invitation, req.user.id, req);
+        res.status(200).json({ status: 'success', message: 'Invitation cancelled.' });
+    } catch (error) {
+        console.error('Error cancelling invitation:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to cancel invitation', details: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const PolicyService = require('../services/PolicyService');
+const HierarchyService = require('../services/HierarchyService');
+
+// GET /api/v1/me/tree - Portfolios, properties and units the caller can access, in one response
+// Auth: Any authenticated user; only nodes reachable through the caller's roles are returned.
+// Each node carries the caller's effective role there; units and accessible properties carry device counts.
+// Supports revalidation: send the returned ETag in If-None-Match to get 304 when nothing changed.
+router.get('/tree', async (req, res) => {
+    try {
+        const tree = await HierarchyService.buildTree(PolicyService.actorFromRequest(req));
+
+        res.set({ ETag: HierarchyService.etagFor(tree), 'Cache-Control': 'private, no-cache' });
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        res.status(200).json({ status: 'success', data: { tree } });
+    } catch (error) {
+        console.error('Error building hierarchy tree:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to load hierarchy', details: error.message });
+    }
+});
+
+module.exports = router;
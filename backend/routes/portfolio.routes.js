@@ -4,8 +4,17 @@ const Portfolio = require('../models/Portfolio'); // Assuming Portfolio.js
 const UserRoleAssociation = require('../models/UserRoleAssociation'); // Assuming UserRoleAssociation.js
 const User = require('../models/User'); // Assuming User.js
 const Property = require('../models/Property'); // Assuming Property.js
-const { AssociatedEntityType, Role } = require('../enums'); // Assuming enums are defined and exported
+const { AssociatedEntityType, Role, PolicyAction } = require('../enums'); // Assuming enums are defined and exported
 const mongoose = require('mongoose'); // Assuming mongoose is imported
+const PolicyService = require('../services/PolicyService');
+const RoleAssignmentService = require('../services/RoleAssignmentService');
+const InvitationService = require('../services/InvitationService');
+const DeletionService = require('../services/DeletionService');
+const ImportService = require('../services/ImportService');
+const PortfolioArchiveService = require('../services/PortfolioArchiveService');
+const { authorize } = require('../middleware/policy.middleware');
+
+const portfolioParam = { type: AssociatedEntityType.PORTFOLIO, param: 'portfolioId' };
 
 // Middleware to simulate JWT authentication and populate req.user
 // In a real app, this would be actual JWT middleware
@@ -31,10 +40,8 @@ router.post('/', async (req, res) => {
     // req.userDbRecord is the full user model instance (guaranteed by protect middleware)
     const requestingUser = req.userDbRecord;
 
-    // Authorization: Requires global SuperAdmin role
-    // Assuming User model has `isSuperAdmin: Boolean` or `globalRole: String`
-    // Adjust check as per your User schema for identifying SuperAdmin
-    if (!requestingUser || !(requestingUser.isSuperAdmin === true || requestingUser.globalRole === Role.SUPER_ADMIN)) {
+    // Authorization: Requires global SuperAdmin role (portfolio-bound API keys are always refused)
+    if (!(await PolicyService.can(PolicyService.actorFromRequest(req), PolicyAction.PORTFOLIO_CREATE))) {
         return res.status(403).json({ status: 'error', message: 'Forbidden. Only a SuperAdmin can create new portfolios.' });
     }
 
@@ -86,31 +93,25 @@ router.post('/', async (req, res) => {
 
 // GET /api/v1/portfolios - List portfolios accessible to the current authenticated user
 router.get('/', async (req, res) => {
-    // req.user.id is from JWT, req.userDbRecord also available
-    const userId = req.user.id;
     const { page = 1, limit = 10, sortBy = 'name' } = req.query;
 
     try {
-        // Find all portfolio associations for the user
-        const userPortfolioAssociations = await UserRoleAssociation.find({
-            userId,
-            associatedEntityType: AssociatedEntityType.PORTFOLIO,
-        }).select('associatedEntityId');
-
-        const portfolioIds = userPortfolioAssociations.map(assoc => assoc.associatedEntityId);
+        // Portfolios the user (or API key) may read, as decided by the policy
+        const scope = await PolicyService.accessibleIds(PolicyService.actorFromRequest(req), PolicyAction.PORTFOLIO_READ);
+        const query = PolicyService.filterFor(scope, AssociatedEntityType.PORTFOLIO);
 
-        if (portfolioIds.length === 0) {
+        if (!scope.all && scope.portfolioIds.length === 0) {
             return res.status(200).json({ status: 'success', data: { portfolios: [], pagination: { total: 0, page, limit } } });
         }
 
         // Fetch portfolios based on these IDs
-        const portfoliosQuery = Portfolio.find({ _id: { $in: portfolioIds } })
+        const portfoliosQuery = Portfolio.find(query)
             .sort(sortBy)
             .skip((page - 1) * limit)
             .limit(parseInt(limit));
 
         const portfolios = await portfoliosQuery.exec();
-        const totalPortfolios = await Portfolio.countDocuments({ _id: { $in: portfolioIds } });
+        const totalPortfolios = await Portfolio.countDocuments(query);
 
         res.status(200).json({
             status: 'success',
@@ -130,61 +131,42 @@ router.get('/', async (req, res) => {
     }
 });
 
-// Middleware to check for portfolio access and attach portfolio to req
-async function checkPortfolioAccessAndLoad(req, res, next) {
-    const { portfolioId } = req.params;
-    if (!req.user || !req.user.id) {
-        return res.status(401).json({ status: 'error', message: 'Authentication required.' });
-    }
-    const userId = req.user.id;
-
-    try {
-        const portfolio = await Portfolio.findById(portfolioId);
-        if (!portfolio) {
-            return res.status(404).json({ status: 'error', message: 'Portfolio not found.' });
-        }
-
-        const association = await UserRoleAssociation.findOne({
-            userId,
-            associatedEntityType: AssociatedEntityType.PORTFOLIO,
-            associatedEntityId: portfolioId,
-        });
-
-        if (!association) {
-            return res.status(403).json({ status: 'error', message: 'Forbidden. You do not have access to this portfolio.' });
-        }
-
-        req.portfolio = portfolio; // Attach portfolio to request object
-        req.userPortfolioRole = association.roleWithinEntity; // Attach user's role in this portfolio
-        next();
-    } catch (error) {
-        console.error('Error in portfolio access check:', error);
-        if (error.kind === 'ObjectId') {
-            return res.status(400).json({ status: 'error', message: 'Invalid portfolio ID format.' });
-        }
-        res.status(500).json({ status: 'error', message: 'Internal server error during access check.' });
-    }
-}
-
 // GET /api/v1/portfolios/:portfolioId - Get details of a specific portfolio
-router.get('/:portfolioId', checkPortfolioAccessAndLoad, async (req, res) => {
-    // The checkPortfolioAccessAndLoad middleware already verifies access and loads the portfolio.
+router.get('/:portfolioId', authorize(PolicyAction.PORTFOLIO_READ, portfolioParam), async (req, res) => {
+    // The authorize middleware already verifies access and loads the portfolio.
     res.status(200).json({ status: 'success', data: { portfolio: req.portfolio } });
 });
 
 // PUT /api/v1/portfolios/:portfolioId - Update portfolio details
-router.put('/:portfolioId', checkPortfolioAccessAndLoad, async (req, res) => {
-    const { name, administratorUserIds } = req.body;
-    const { portfolioId } = req.params;
-    const portfolioToUpdate = req.portfolio; // Loaded by checkPortfolioAccessAndLoad
+// Auth: User must have "OWNER" or "PORTFOLIO_ADMIN" role for this portfolioId.
+router.put('/:portfolioId', authorize(PolicyAction.PORTFOLIO_UPDATE, {
+    ...portfolioParam,
+    message: 'Forbidden. You do not have permission to update this portfolio.'
+}), async (req, res) => {
+    const { name, administratorUserIds, securityPolicy } = req.body;
+    const portfolioToUpdate = req.portfolio; // Loaded by authorize
+
+    // Security policy changes (e.g. enforcing MFA) are reserved for the portfolio owner.
+    if (securityPolicy !== undefined && !(await PolicyService.can(
+        PolicyService.actorFromRequest(req),
+        PolicyAction.PORTFOLIO_MANAGE_SECURITY,
+        { type: AssociatedEntityType.PORTFOLIO, doc: portfolioToUpdate }
+    ))) {
+        return res.status(403).json({ status: 'error', message: 'Forbidden. Only the portfolio owner can change the security policy.' });
+    }
+
+    // Administrators are managed one at a time through /:portfolioId/admins, which guards the last
+    // owner and records each change.
+    if (administratorUserIds !== undefined) {
+        return res.status(400).json({ status: 'error', message: 'administratorUserIds cannot be updated here. Use the /portfolios/:portfolioId/admins endpoints.' });
+    }
 
-    // Authorization: User must have "OWNER" or "PORTFOLIO_ADMIN" role for this portfolioId.
-    if (req.userPortfolioRole !== Role.OWNER && req.userPortfolioRole !== Role.PORTFOLIO_ADMIN) {
-        return res.status(403).json({ status: 'error', message: 'Forbidden. You do not have permission to update this portfolio.' });
+    if (name === undefined && securityPolicy === undefined) {
+        return res.status(400).json({ status: 'error', message: 'No update fields provided (name or securityPolicy).' });
     }
 
-    if (name === undefined && administratorUserIds === undefined) { // Check for undefined to allow empty array for admins
-        return res.status(400).json({ status: 'error', message: 'No update fields provided (name or administratorUserIds).' });
+    if (securityPolicy !== undefined && (securityPolicy === null || typeof securityPolicy.requireMfa !== 'boolean')) {
+        return res.status(400).json({ status: 'error', message: 'securityPolicy.requireMfa must be a boolean.' });
     }
 
     try {
@@ -192,30 +174,8 @@ router.put('/:portfolioId', checkPortfolioAccessAndLoad, async (req, res) => {
             portfolioToUpdate.name = name;
         }
 
-        if (administratorUserIds !== undefined && Array.isArray(administratorUserIds)) {
-            // Validate user IDs if necessary (e.g., check if they are valid ObjectIds)
-            // This is a full replacement of administrators as per plan.
-            // 1. Remove existing OWNER/PORTFOLIO_ADMIN UserRoleAssociations for this portfolio
-            await UserRoleAssociation.deleteMany({
-                associatedEntityType: AssociatedEntityType.PORTFOLIO,
-                associatedEntityId: portfolioId,
-                roleWithinEntity: { $in: [Role.OWNER, Role.PORTFOLIO_ADMIN] },
-            });
-
-            // 2. Add new administrator UserRoleAssociations
-            const newAdminRolesPromises = administratorUserIds.map((userId, index) => {
-                const roleToAssign = index === 0 ? Role.OWNER : Role.PORTFOLIO_ADMIN;
-                return new UserRoleAssociation({
-                    userId: userId,
-                    associatedEntityType: AssociatedEntityType.PORTFOLIO,
-                    associatedEntityId: portfolioId,
-                    roleWithinEntity: roleToAssign,
-                }).save();
-            });
-            await Promise.all(newAdminRolesPromises);
-            
-            // 3. Update the Portfolio document's administratorUserIds field
-            portfolioToUpdate.administratorUserIds = administratorUserIds.map(id => new mongoose.Types.ObjectId(id)); // Ensure they are ObjectIds
+        if (securityPolicy !== undefined) {
+            portfolioToUpdate.securityPolicy.requireMfa = securityPolicy.requireMfa;
         }
 
         portfolioToUpdate.updatedAt = Date.now();
@@ -228,64 +188,76 @@ router.put('/:portfolioId', checkPortfolioAccessAndLoad, async (req, res) => {
 });
 
 // DELETE /api/v1/portfolios/:portfolioId - Delete a portfolio
-router.delete('/:portfolioId', checkPortfolioAccessAndLoad, async (req, res) => {
+// Auth: User must have "OWNER" role for this portfolioId (or be a SuperAdmin).
+// Soft delete: the portfolio, its properties, units and role associations are archived and its
+// devices detached. It can be restored with POST /:portfolioId/restore until the retention window ends.
+router.delete('/:portfolioId', authorize(PolicyAction.PORTFOLIO_DELETE, {
+    ...portfolioParam,
+    message: 'Forbidden. You do not have permission to delete this portfolio.'
+}), async (req, res) => {
+    try {
+        const deletion = await DeletionService.softDelete(AssociatedEntityType.PORTFOLIO, req.portfolio, req.userDbRecord, req);
+
+        res.status(200).json({
+            status: 'success',
+            message: `Portfolio deleted. It can be restored until ${deletion.restorableUntil.toISOString()}.`,
+            data: { deletion }
+        });
+    } catch (error) {
+        console.error('Error deleting portfolio:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to delete portfolio', details: error.message });
+    }
+});
+
+// POST /api/v1/portfolios/:portfolioId/restore - Restore a deleted portfolio with everything deleted along with it
+// Auth: User must have been "OWNER" of the portfolio (or be a SuperAdmin). Only within the retention window.
+router.post('/:portfolioId/restore', async (req, res) => {
     const { portfolioId } = req.params;
 
-    // Authorization: User must have "OWNER" role for this portfolioId.
-    if (req.userPortfolioRole !== Role.OWNER) {
-        // The plan also mentions "SuperAdmin", which is not implemented yet as a generic role.
-        // For now, only OWNER of the portfolio can delete.
-        return res.status(403).json({ status: 'error', message: 'Forbidden. You do not have permission to delete this portfolio.' });
+    if (!mongoose.Types.ObjectId.isValid(portfolioId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid portfolio ID format.' });
     }
 
     try {
-        // TODO: Implement soft delete or add more robust deletion logic.
-        // For now, a hard delete is performed.
-        // Plan: "Also handle dissociation of properties, units, devices, and user role associations carefully (cascade or prevent if dependencies exist)."
-        // This is a placeholder for that more complex logic.
-        // For now, we'll just delete the portfolio and its direct role associations.
-
-        // 1. Find all properties in this portfolio
-        const propertiesInPortfolio = await Property.find({ portfolioId }).select('_id');
-        const propertyIds = propertiesInPortfolio.map(p => p._id);
-
-        if (propertyIds.length > 0) {
-            // For now, prevent deletion if properties exist, as cascade logic is complex for this step.
-            // A more robust implementation would delete or disassociate them.
-            return res.status(400).json({
-                status: 'error',
-                message: 'Portfolio cannot be deleted as it contains properties. Please delete properties first.'
-            });
+        const portfolio = await DeletionService.findDeleted(AssociatedEntityType.PORTFOLIO, portfolioId);
+        if (!portfolio) {
+            return res.status(404).json({ status: 'error', message: 'Deleted portfolio not found.' });
         }
 
-        // Delete the portfolio
-        await Portfolio.findByIdAndDelete(portfolioId);
+        const permission = await DeletionService.authorizeRestore(PolicyService.actorFromRequest(req), AssociatedEntityType.PORTFOLIO, portfolio);
+        if (permission.error) {
+            return res.status(permission.error.status).json({ status: 'error', message: permission.error.message });
+        }
+        if (!permission.allowed) {
+            return res.status(403).json({ status: 'error', message: 'Forbidden. You do not have permission to restore this portfolio.' });
+        }
 
-        // Delete all UserRoleAssociations related to this portfolio
-        await UserRoleAssociation.deleteMany({
-            associatedEntityType: AssociatedEntityType.PORTFOLIO,
-            associatedEntityId: portfolioId,
-        });
+        const result = await DeletionService.restore(AssociatedEntityType.PORTFOLIO, portfolio, req.userDbRecord, req);
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
 
-        res.status(204).send(); // No content
+        res.status(200).json({
+            status: 'success',
+            data: { portfolio: await Portfolio.findById(portfolioId), restored: result.restored }
+        });
     } catch (error) {
-        console.error('Error deleting portfolio:', error);
-        res.status(500).json({ status: 'error', message: 'Failed to delete portfolio', details: error.message });
+        console.error('Error restoring portfolio:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to restore portfolio', details: error.message });
     }
 });
 
 // --- Nested Routes for Properties within a Portfolio ---
 
 // POST /api/v1/portfolios/:portfolioId/properties - Create and add a new property to this portfolio
-router.post('/:portfolioId/properties', checkPortfolioAccessAndLoad, async (req, res) => {
+// Auth: User must have "OWNER" or "PORTFOLIO_ADMIN" role for this portfolioId.
+router.post('/:portfolioId/properties', authorize(PolicyAction.PROPERTY_CREATE, {
+    ...portfolioParam,
+    message: 'Forbidden. You do not have permission to add properties to this portfolio.'
+}), async (req, res) => {
     const { portfolioId } = req.params;
     const { name, address, managerUserIds } = req.body;
-    const currentPortfolio = req.portfolio; // Loaded by checkPortfolioAccessAndLoad
-
-    // Authorization: User must have "OWNER" or "PORTFOLIO_ADMIN" role for this portfolioId.
-    if (req.userPortfolioRole !== Role.OWNER && req.userPortfolioRole !== Role.PORTFOLIO_ADMIN) {
-        return res.status(403).json({ status: 'error', message: 'Forbidden. You do not have permission to add properties to this portfolio.' });
-    }
+    const currentPortfolio = req.portfolio; // Loaded by authorize
 
     if (!name) {
         return res.status(400).json({ status: 'error', message: 'Property name is required.' });
@@ -327,9 +299,9 @@ router.post('/:portfolioId/properties', checkPortfolioAccessAndLoad, async (req,
 });
 
 // GET /api/v1/portfolios/:portfolioId/properties - List all properties within this portfolio
-router.get('/:portfolioId/properties', checkPortfolioAccessAndLoad, async (req, res) => {
+router.get('/:portfolioId/properties', authorize(PolicyAction.PORTFOLIO_READ, portfolioParam), async (req, res) => {
     const { portfolioId } = req.params;
-    // Access is already verified by checkPortfolioAccessAndLoad middleware.
+    // Access is already verified by the authorize middleware.
 
     try {
         const properties = await Property.find({ portfolioId });
@@ -340,21 +312,113 @@ router.get('/:portfolioId/properties', checkPortfolioAccessAndLoad, async (req,
     }
 });
 
+// POST /api/v1/portfolios/:portfolioId/import - Bulk import properties, units and tenants
+// Auth: User must have "OWNER" or "PORTFOLIO_ADMIN" role for this portfolioId.
+// Body: a CSV file (Content-Type: text/csv) or JSON { rows: [...] }, one row per unit with columns
+// propertyName, street, city, state, zipCode, country, defaultTimeZone, unitName, tenantEmails.
+// Properties and units are matched to existing ones by name; tenant emails without an account are invited.
+// Query: dryRun=true validates and returns the diff without writing anything.
+router.post('/:portfolioId/import', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), authorize(PolicyAction.PROPERTY_CREATE, {
+    ...portfolioParam,
+    message: 'Forbidden. You do not have permission to add properties to this portfolio.'
+}), async (req, res) => {
+    const dryRun = req.query.dryRun === 'true';
+    const input = typeof req.body === 'string' ? req.body : (Array.isArray(req.body) ? req.body : req.body.rows);
+
+    const parsed = ImportService.parseInput(input);
+    if (parsed.error) {
+        return res.status(parsed.error.status).json({ status: 'error', message: parsed.error.message });
+    }
+
+    try {
+        const plan = await ImportService.plan(req.portfolio, parsed.rows);
+        const data = { dryRun, valid: plan.valid, summary: plan.summary, diff: plan.diff, errors: plan.errors };
+
+        if (dryRun) {
+            return res.status(200).json({ status: 'success', data });
+        }
+        if (!plan.valid) {
+            return res.status(400).json({ status: 'error', message: 'The import has errors. Nothing was imported.', data });
+        }
+
+        const result = await ImportService.apply(req.portfolio, plan, req.userDbRecord, req);
+        res.status(201).json({ status: 'success', data: { ...data, invitationErrors: result.invitationErrors } });
+    } catch (error) {
+        console.error('Error importing into portfolio:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to import', details: error.message });
+    }
+});
+
+// --- Portfolio Archives ---
+
+// GET /api/v1/portfolios/:portfolioId/archive - Download the whole portfolio as a versioned archive (gzipped JSON)
+// Auth: User must have "OWNER" role for this portfolioId (or be a SuperAdmin).
+// Contains the portfolio, properties, units, rooms, devices (with configuration) and role assignments.
+router.get('/:portfolioId/archive', authorize(PolicyAction.PORTFOLIO_EXPORT, {
+    ...portfolioParam,
+    message: 'Forbidden. Only the portfolio owner can export this portfolio.'
+}), async (req, res) => {
+    try {
+        const archive = await PortfolioArchiveService.exportArchive(req.portfolio, req);
+
+        res.set(PortfolioArchiveService.downloadHeaders(req.portfolio));
+        res.status(200).send(archive);
+    } catch (error) {
+        console.error('Error exporting portfolio archive:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to export portfolio', details: error.message });
+    }
+});
+
+// POST /api/v1/portfolios/from-archive - Re-create a portfolio from an archive with new IDs
+// Auth: Requires global SuperAdmin role (same as creating a portfolio).
+// Body: the archive file (Content-Type: application/gzip) or its JSON, up to 25 MB either way.
+// Query: name (optional new portfolio name).
+// Roles are restored for users whose email has an account here; the rest are listed in unmatchedUsers.
+router.post('/from-archive', express.raw({ type: ['application/gzip', 'application/octet-stream'], limit: '25mb' }), express.json({ limit: '25mb' }), async (req, res) => {
+    if (!(await PolicyService.can(PolicyService.actorFromRequest(req), PolicyAction.PORTFOLIO_CREATE))) {
+        return res.status(403).json({ status: 'error', message: 'Forbidden. Only a SuperAdmin can create new portfolios.' });
+    }
+
+    try {
+        const read = await PortfolioArchiveService.readArchive(req.body);
+        if (read.error) {
+            return res.status(read.error.status).json({ status: 'error', message: read.error.message });
+        }
+
+        const result = await PortfolioArchiveService.importArchive(read.archive, { name: req.query.name }, req);
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
+
+        res.status(201).json({
+            status: 'success',
+            data: {
+                portfolio: result.portfolio,
+                summary: result.summary,
+                idMap: result.idMap,
+                unmatchedUsers: result.unmatchedUsers
+            }
+        });
+    } catch (error) {
+        console.error('Error importing portfolio archive:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to import portfolio archive', details: error.message });
+    }
+});
+
 // --- Nested Routes for Admins of a Portfolio ---
 
 // POST /api/v1/portfolios/:portfolioId/admins - Add/invite an administrator to this portfolio
-router.post('/:portfolioId/admins', checkPortfolioAccessAndLoad, async (req, res) => {
+// Auth: User must be "OWNER" of this portfolioId.
+// Body: { userId, role } to assign an existing user directly, or { email, role } to send an invitation.
+router.post('/:portfolioId/admins', authorize(PolicyAction.PORTFOLIO_MANAGE_ADMINS, {
+    ...portfolioParam,
+    message: 'Forbidden. Only the portfolio owner can manage administrators.'
+}), async (req, res) => {
     const { portfolioId } = req.params;
-    const { userId, role } = req.body; 
-    const currentPortfolio = req.portfolio; // Loaded by checkPortfolioAccessAndLoad
-
-    // Authorization: User must be "OWNER" of this portfolioId.
-    if (req.userPortfolioRole !== Role.OWNER) {
-        return res.status(403).json({ status: 'error', message: 'Forbidden. Only the portfolio owner can manage administrators.' });
-    }
+    const { userId, email, role } = req.body; 
 
-    if (!userId || !role) {
-        return res.status(400).json({ status: 'error', message: 'User ID and role are required.' });
+    if ((!userId && !email) || !role) {
+        return res.status(400).json({ status: 'error', message: 'User ID (or email) and role are required.' });
     }
 
     if (role !== Role.PORTFOLIO_ADMIN && role !== Role.OWNER) {
@@ -362,27 +426,30 @@ router.post('/:portfolioId/admins', checkPortfolioAccessAndLoad, async (req, res
     }
 
     try {
+        if (!userId) {
+            const result = await InvitationService.invite({
+                email,
+                role,
+                targetType: AssociatedEntityType.PORTFOLIO,
+                targetId: req.portfolio._id,
+                inviter: req.userDbRecord
+            }, req);
+            if (result.error) {
+                return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+            }
+            return res.status(201).json({ status: 'success', data: { invitation: InvitationService.serialize(result.invitation) } });
+        }
+
         const userExists = await User.findById(userId);
         if (!userExists) {
             return res.status(404).json({ status: 'error', message: 'User to be added as admin not found.' });
         }
 
-        let association = await UserRoleAssociation.findOneAndUpdate(
-            { // find condition
-                userId: userId,
-                associatedEntityType: AssociatedEntityType.PORTFOLIO,
-                associatedEntityId: portfolioId,
-            },
-            { // update or insert
-                $set: { roleWithinEntity: role }
-            },
-            { upsert: true, new: true, runValidators: true } // options
-        );
-        
-        // Add userId to portfolio's administratorUserIds array if not already present
-        currentPortfolio.administratorUserIds.addToSet(new mongoose.Types.ObjectId(userId));
-        currentPortfolio.updatedAt = Date.now();
-        await currentPortfolio.save();
+        if (role !== Role.OWNER && await RoleAssignmentService.isLastOwner(userExists._id, portfolioId)) {
+            return res.status(409).json({ status: 'error', message: 'Cannot demote the last owner of a portfolio. Make someone else an owner first.' });
+        }
+
+        const association = await RoleAssignmentService.assign(userId, role, AssociatedEntityType.PORTFOLIO, portfolioId, req);
 
         res.status(200).json({ status: 'success', data: { userRoleAssociation: association } });
     } catch (error) {
@@ -394,4 +461,59 @@ router.post('/:portfolioId/admins', checkPortfolioAccessAndLoad, async (req, res
     }
 });
 
+// PATCH /api/v1/portfolios/:portfolioId/admins/:userId - Change an administrator's role (OWNER <-> PORTFOLIO_ADMIN)
+// Auth: User must be "OWNER" of this portfolioId. The last owner cannot be demoted.
+// Body: { role }
+router.patch('/:portfolioId/admins/:userId', authorize(PolicyAction.PORTFOLIO_MANAGE_ADMINS, {
+    ...portfolioParam,
+    message: 'Forbidden. Only the portfolio owner can manage administrators.'
+}), async (req, res) => {
+    const { portfolioId, userId } = req.params;
+    const { role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid userId format.' });
+    }
+    if (!role) {
+        return res.status(400).json({ status: 'error', message: 'Role is required.' });
+    }
+
+    try {
+        const result = await RoleAssignmentService.changeRole(userId, role, AssociatedEntityType.PORTFOLIO, portfolioId, req);
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
+
+        res.status(200).json({ status: 'success', data: { userRoleAssociation: result.association } });
+    } catch (error) {
+        console.error('Error changing portfolio admin role:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to change administrator role', details: error.message });
+    }
+});
+
+// DELETE /api/v1/portfolios/:portfolioId/admins/:userId - Remove an owner or administrator from this portfolio
+// Auth: User must be "OWNER" of this portfolioId. The last owner cannot be removed.
+router.delete('/:portfolioId/admins/:userId', authorize(PolicyAction.PORTFOLIO_MANAGE_ADMINS, {
+    ...portfolioParam,
+    message: 'Forbidden. Only the portfolio owner can manage administrators.'
+}), async (req, res) => {
+    const { portfolioId, userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid userId format.' });
+    }
+
+    try {
+        const result = await RoleAssignmentService.remove(userId, AssociatedEntityType.PORTFOLIO, portfolioId, req);
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
+
+        res.status(200).json({ status: 'success', message: 'Administrator removed from portfolio.' });
+    } catch (error) {
+        console.error('Error removing portfolio admin:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to remove administrator', details: error.message });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -101,7 +101,7 @@ router.post('/', async (req, res, next) => {
 router.get('/:id/devices', async (req, res, next) => {
   try {
     // TODO: Add robust permission check to ensure user can access this property's devices
-    const devices = await Device.find({ property: req.params.id }); // Ensure Device model has 'property' field
+    const devices = await Device.find({ propertyId: req.params.id });
     
     res.status(200).json({
       success: true,
@@ -119,7 +119,7 @@ router.get('/:id/devices', async (req, res, next) => {
 router.get('/:id/rooms', async (req, res, next) => {
   try {
     // TODO: Add robust permission check to ensure user can access this property's rooms
-    const rooms = await Room.find({ property: req.params.id }); // Ensure Room model has 'property' field
+    const rooms = await Room.find({ propertyId: req.params.id });
     
     res.status(200).json({
       success: true,
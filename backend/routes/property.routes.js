@@ -5,37 +5,43 @@ const Property = require('../models/Property');
 const Portfolio = require('../models/Portfolio');
 const UserRoleAssociation = require('../models/UserRoleAssociation');
 const Unit = require('../models/Unit');
+const CommonArea = require('../models/CommonArea');
 const User = require('../models/User');
-const { AssociatedEntityType, Role } = require('../enums');
+const { AssociatedEntityType, Role, PolicyAction } = require('../enums');
+const PolicyService = require('../services/PolicyService');
+const RoleAssignmentService = require('../services/RoleAssignmentService');
+const InvitationService = require('../services/InvitationService');
+const DeletionService = require('../services/DeletionService');
+const TransferService = require('../services/TransferService');
+const RoomService = require('../services/RoomService');
+const CommonAreaService = require('../services/CommonAreaService');
+const { authorize } = require('../middleware/policy.middleware');
+
+const propertyParam = { type: AssociatedEntityType.PROPERTY, param: 'propertyId' };
 
 // POST /api/v1/properties - Create a new property
 // Auth: User must have "OWNER" or "PORTFOLIO_ADMIN" role for the parent portfolioId.
 router.post('/', async (req, res) => {
     const { name, portfolioId, address, managerUserIds } = req.body;
-    const requestingUserId = req.user.id; // From JWT, ensured by global protect middleware
 
     if (!name || !portfolioId) {
         return res.status(400).json({ status: 'error', message: 'Property name and portfolioId are required.' });
     }
 
     try {
-        // 1. Check if portfolio exists
-        const parentPortfolio = await Portfolio.findById(portfolioId);
-        if (!parentPortfolio) {
+        // 1-2. Check the parent portfolio exists and the user may add properties to it
+        const decision = await PolicyService.authorize(
+            PolicyService.actorFromRequest(req),
+            PolicyAction.PROPERTY_CREATE,
+            { type: AssociatedEntityType.PORTFOLIO, id: portfolioId }
+        );
+        if (decision.reason === PolicyService.DenyReason.NOT_FOUND) {
             return res.status(404).json({ status: 'error', message: 'Parent portfolio not found.' });
         }
-
-        // 2. Authorization: Check if user is OWNER or PORTFOLIO_ADMIN of the parent portfolio
-        const portfolioAccess = await UserRoleAssociation.findOne({
-            userId: requestingUserId,
-            associatedEntityType: AssociatedEntityType.PORTFOLIO,
-            associatedEntityId: portfolioId,
-            roleWithinEntity: { $in: [Role.OWNER, Role.PORTFOLIO_ADMIN] }
-        });
-
-        if (!portfolioAccess) {
+        if (!decision.allowed) {
             return res.status(403).json({ status: 'error', message: 'Forbidden. You do not have permission to add properties to this portfolio.' });
         }
+        const parentPortfolio = decision.context.portfolio;
 
         // 3. Create Property
         const newProperty = new Property({
@@ -80,46 +86,20 @@ router.post('/', async (req, res) => {
 // GET /api/v1/properties - List properties accessible to the current user
 // Auth: Fetches properties where user has an association (e.g., PROPERTY_MANAGER) or via portfolio access.
 router.get('/', async (req, res) => {
-    const requestingUserId = req.user.id;
     const { portfolioId, page = 1, limit = 10, sortBy = 'name' } = req.query;
 
     try {
-        let accessiblePropertyIds = [];
-
-        // Find properties directly managed by the user
-        const directPropertyAssociations = await UserRoleAssociation.find({
-            userId: requestingUserId,
-            associatedEntityType: AssociatedEntityType.PROPERTY,
-        }).select('associatedEntityId');
-        accessiblePropertyIds = directPropertyAssociations.map(assoc => assoc.associatedEntityId);
-
-        // Find portfolios accessible to the user
-        const portfolioAssociations = await UserRoleAssociation.find({
-            userId: requestingUserId,
-            associatedEntityType: AssociatedEntityType.PORTFOLIO,
-        }).select('associatedEntityId');
-        const accessiblePortfolioIds = portfolioAssociations.map(assoc => assoc.associatedEntityId);
-
-        if (accessiblePortfolioIds.length > 0) {
-            const propertiesInAccessiblePortfolios = await Property.find({
-                portfolioId: { $in: accessiblePortfolioIds }
-            }).select('_id');
-            accessiblePropertyIds = [
-                ...new Set([...accessiblePropertyIds, ...propertiesInAccessiblePortfolios.map(p => p._id)])
-            ];
-        }
-        
+        // Properties the user (or API key) may read, as decided by the policy
+        const scope = await PolicyService.accessibleIds(PolicyService.actorFromRequest(req), PolicyAction.PROPERTY_READ);
+
         // Construct query based on filters and accessible IDs
-        const query = { _id: { $in: accessiblePropertyIds } };
+        const query = PolicyService.filterFor(scope, AssociatedEntityType.PROPERTY);
         if (portfolioId) {
-             // Further filter by a specific portfolioId if the user has access to it
-            if (!accessiblePortfolioIds.some(id => id.equals(portfolioId))) {
-                return res.status(403).json({ status: 'error', message: 'Forbidden. You do not have access to the specified portfolio.' });
-            }
+            // Further filter by a specific portfolioId; only properties the user can read are returned
             query.portfolioId = portfolioId;
         }
 
-        if (accessiblePropertyIds.length === 0 && !portfolioId) { // if no accessible properties and no specific portfolio filter that might yield results
+        if (!scope.all && scope.propertyIds.length === 0) {
             return res.status(200).json({ status: 'success', data: { properties: [], pagination: {total: 0, page, limit} }});
         }
 
@@ -150,90 +130,20 @@ router.get('/', async (req, res) => {
     }
 });
 
-// Middleware to check for property access and attach property to req
-async function checkPropertyAccessAndLoad(req, res, next) {
-    const { propertyId } = req.params;
-    const requestingUserId = req.user.id;
-
-    try {
-        const property = await Property.findById(propertyId);
-        if (!property) {
-            return res.status(404).json({ status: 'error', message: 'Property not found.' });
-        }
-
-        // Option 1: Direct association with the property
-        let association = await UserRoleAssociation.findOne({
-            userId: requestingUserId,
-            associatedEntityType: AssociatedEntityType.PROPERTY,
-            associatedEntityId: propertyId,
-        });
-
-        // Option 2: Access via parent portfolio
-        if (!association) {
-            const parentPortfolioAssociation = await UserRoleAssociation.findOne({
-                userId: requestingUserId,
-                associatedEntityType: AssociatedEntityType.PORTFOLIO,
-                associatedEntityId: property.portfolioId,
-                // Any role in portfolio grants visibility to its properties for GET
-            });
-            if (parentPortfolioAssociation) {
-                // User has access to the portfolio, so they can view the property.
-                // We don't set req.userPropertyRole here as it's indirect access for GET.
-            } else {
-                 return res.status(403).json({ status: 'error', message: 'Forbidden. You do not have access to this property or its portfolio.' });
-            }
-        }
-        
-        req.property = property; // Attach property to request object
-        if (association) {
-             req.userPropertyRole = association.roleWithinEntity; // Attach user's direct role in this property
-        }
-        // If access is only via portfolio, req.userPropertyRole will be undefined.
-        // Specific endpoints will need to check this and req.userDbRecord (e.g. for portfolio owner rights)
-
-        next();
-    } catch (error) {
-        console.error('Error in property access check:', error);
-        if (error.kind === 'ObjectId') {
-            return res.status(400).json({ status: 'error', message: 'Invalid property ID format.' });
-        }
-        res.status(500).json({ status: 'error', message: 'Internal server error during property access check.' });
-    }
-}
-
 // GET /api/v1/properties/:propertyId - Get details of a specific property
-router.get('/:propertyId', checkPropertyAccessAndLoad, async (req, res) => {
-    // The checkPropertyAccessAndLoad middleware already verifies access and loads the property.
+router.get('/:propertyId', authorize(PolicyAction.PROPERTY_READ, propertyParam), async (req, res) => {
+    // The authorize middleware already verifies access and loads the property.
     res.status(200).json({ status: 'success', data: { property: req.property } });
 });
 
 // PUT /api/v1/properties/:propertyId - Update property details
 // Auth: User must have "PROPERTY_MANAGER" role for this propertyId or admin/owner of parent portfolio.
-router.put('/:propertyId', checkPropertyAccessAndLoad, async (req, res) => {
+router.put('/:propertyId', authorize(PolicyAction.PROPERTY_UPDATE, {
+    ...propertyParam,
+    message: 'Forbidden. You do not have permission to update this property.'
+}), async (req, res) => {
     const { name, address, managerUserIds } = req.body;
     const propertyToUpdate = req.property; // Loaded by middleware
-    const requestingUserId = req.user.id;
-
-    // Authorization check
-    let canUpdate = false;
-    if (req.userPropertyRole === Role.PROPERTY_MANAGER) {
-        canUpdate = true;
-    }
-    if (!canUpdate) {
-        const parentPortfolioAccess = await UserRoleAssociation.findOne({
-            userId: requestingUserId,
-            associatedEntityType: AssociatedEntityType.PORTFOLIO,
-            associatedEntityId: propertyToUpdate.portfolioId,
-            roleWithinEntity: { $in: [Role.OWNER, Role.PORTFOLIO_ADMIN] }
-        });
-        if (parentPortfolioAccess) {
-            canUpdate = true;
-        }
-    }
-
-    if (!canUpdate) {
-        return res.status(403).json({ status: 'error', message: 'Forbidden. You do not have permission to update this property.' });
-    }
 
     if (name === undefined && address === undefined && managerUserIds === undefined) {
         return res.status(400).json({ status: 'error', message: 'No update fields provided.' });
@@ -278,77 +188,117 @@ router.put('/:propertyId', checkPropertyAccessAndLoad, async (req, res) => {
 
 // DELETE /api/v1/properties/:propertyId - Delete a property
 // Auth: User must be "OWNER"/"PORTFOLIO_ADMIN" of parent portfolio.
-router.delete('/:propertyId', checkPropertyAccessAndLoad, async (req, res) => {
-    const propertyToDelete = req.property;
-    const requestingUserId = req.user.id;
-
-    // Authorization: User must be OWNER or PORTFOLIO_ADMIN of the parent portfolio.
-    const parentPortfolioAccess = await UserRoleAssociation.findOne({
-        userId: requestingUserId,
-        associatedEntityType: AssociatedEntityType.PORTFOLIO,
-        associatedEntityId: propertyToDelete.portfolioId,
-        roleWithinEntity: { $in: [Role.OWNER, Role.PORTFOLIO_ADMIN] }
-    });
-
-    if (!parentPortfolioAccess) {
-        return res.status(403).json({ status: 'error', message: 'Forbidden. You do not have permission to delete this property.' });
+// Soft delete: the property, its units and role associations are archived and its devices detached.
+// It can be restored with POST /:propertyId/restore until the retention window ends.
+router.delete('/:propertyId', authorize(PolicyAction.PROPERTY_DELETE, {
+    ...propertyParam,
+    message: 'Forbidden. You do not have permission to delete this property.'
+}), async (req, res) => {
+    try {
+        const deletion = await DeletionService.softDelete(AssociatedEntityType.PROPERTY, req.property, req.userDbRecord, req);
+
+        res.status(200).json({
+            status: 'success',
+            message: `Property deleted. It can be restored until ${deletion.restorableUntil.toISOString()}.`,
+            data: { deletion }
+        });
+    } catch (error) {
+        console.error('Error deleting property:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to delete property', details: error.message });
+    }
+});
+
+// POST /api/v1/properties/:propertyId/restore - Restore a deleted property with its units
+// Auth: User must be "OWNER"/"PORTFOLIO_ADMIN" of parent portfolio, which must not be deleted itself.
+router.post('/:propertyId/restore', async (req, res) => {
+    const { propertyId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid property ID format.' });
     }
 
     try {
-        // TODO: Handle dissociation of units, devices, user role associations more carefully.
-        // For now, prevent deletion if units exist.
-        const unitsInProperty = await Unit.find({ propertyId: propertyToDelete._id }).limit(1);
-        if (unitsInProperty.length > 0) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Property cannot be deleted as it contains units. Please delete units first.'
-            });
+        const property = await DeletionService.findDeleted(AssociatedEntityType.PROPERTY, propertyId);
+        if (!property) {
+            return res.status(404).json({ status: 'error', message: 'Deleted property not found.' });
         }
 
-        // Remove propertyId from parent portfolio's propertyIds array
-        await Portfolio.findByIdAndUpdate(propertyToDelete.portfolioId, {
-            $pull: { propertyIds: propertyToDelete._id },
-            $set: { updatedAt: Date.now() }
-        });
+        const permission = await DeletionService.authorizeRestore(PolicyService.actorFromRequest(req), AssociatedEntityType.PROPERTY, property);
+        if (permission.error) {
+            return res.status(permission.error.status).json({ status: 'error', message: permission.error.message });
+        }
+        if (!permission.allowed) {
+            return res.status(403).json({ status: 'error', message: 'Forbidden. You do not have permission to restore this property.' });
+        }
 
-        // Delete the property
-        await Property.findByIdAndDelete(propertyToDelete._id);
+        const result = await DeletionService.restore(AssociatedEntityType.PROPERTY, property, req.userDbRecord, req);
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
 
-        // Delete all UserRoleAssociations related to this property
-        await UserRoleAssociation.deleteMany({
-            associatedEntityType: AssociatedEntityType.PROPERTY,
-            associatedEntityId: propertyToDelete._id,
+        res.status(200).json({
+            status: 'success',
+            data: { property: await Property.findById(propertyId), restored: result.restored }
         });
+    } catch (error) {
+        console.error('Error restoring property:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to restore property', details: error.message });
+    }
+});
+
+// POST /api/v1/properties/:propertyId/transfer - Request moving a property to another portfolio
+// Auth: User must be "OWNER" of the current or the destination portfolio. The move happens once an
+// owner on each side has approved it (see /api/v1/transfers); the requester's side is approved now.
+router.post('/:propertyId/transfer', async (req, res) => {
+    const { propertyId } = req.params;
+    const { toPortfolioId, note, keepManagers } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid property ID format.' });
+    }
+    if (!toPortfolioId || !mongoose.Types.ObjectId.isValid(toPortfolioId)) {
+        return res.status(400).json({ status: 'error', message: 'A valid toPortfolioId is required.' });
+    }
+
+    try {
+        // Loaded directly: a requester on the destination side may not be able to read it yet
+        const property = await Property.findById(propertyId);
+        if (!property) {
+            return res.status(404).json({ status: 'error', message: 'Property not found.' });
+        }
 
-        res.status(204).send(); // No content
+        const result = await TransferService.request(AssociatedEntityType.PROPERTY, property, toPortfolioId, PolicyService.actorFromRequest(req), {
+            note,
+            keepManagers
+        }, req);
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
+
+        const { transfer } = result;
+        res.status(transfer.status === 'PENDING' ? 202 : 200).json({
+            status: transfer.status === 'FAILED' ? 'error' : 'success',
+            message: transfer.status === 'PENDING'
+                ? 'Transfer requested. It needs approval from an owner of the other portfolio.'
+                : `Transfer ${transfer.status.toLowerCase()}.`,
+            data: { transfer }
+        });
     } catch (error) {
-        console.error('Error deleting property:', error);
-        res.status(500).json({ status: 'error', message: 'Failed to delete property', details: error.message });
+        console.error('Error requesting property transfer:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to request property transfer', details: error.message });
     }
 });
 
 // --- Nested Routes for Units within a Property ---
 
 // POST /api/v1/properties/:propertyId/units - Create and add a new unit to this property
-// Auth: User must have "PROPERTY_MANAGER" role for this propertyId.
-router.post('/:propertyId/units', checkPropertyAccessAndLoad, async (req, res) => {
+// Auth: User must have "PROPERTY_MANAGER" role for this propertyId or be an admin/owner of the portfolio.
+router.post('/:propertyId/units', authorize(PolicyAction.UNIT_CREATE, {
+    ...propertyParam,
+    message: 'Forbidden. You must be a Property Manager for this property or an admin/owner of the portfolio to add units.'
+}), async (req, res) => {
     const { propertyId } = req.params;
     const { name, tenantUserIds, deviceIds } = req.body; // As per plan for Unit endpoints
-    const currentProperty = req.property; // Loaded by middleware
-
-    // Authorization: User must have "PROPERTY_MANAGER" role for this propertyId.
-    if (req.userPropertyRole !== Role.PROPERTY_MANAGER) {
-        // Also allow Portfolio Owner/Admin to perform this action for flexibility
-        const portfolioAccess = await UserRoleAssociation.findOne({
-            userId: req.user.id,
-            associatedEntityType: AssociatedEntityType.PORTFOLIO,
-            associatedEntityId: currentProperty.portfolioId,
-            roleWithinEntity: { $in: [Role.OWNER, Role.PORTFOLIO_ADMIN] }
-        });
-        if (!portfolioAccess) {
-            return res.status(403).json({ status: 'error', message: 'Forbidden. You must be a Property Manager for this property or an admin/owner of the portfolio to add units.' });
-        }
-    }
 
     if (!name) {
         return res.status(400).json({ status: 'error', message: 'Unit name is required.' });
@@ -400,9 +350,9 @@ router.post('/:propertyId/units', checkPropertyAccessAndLoad, async (req, res) =
 
 // GET /api/v1/properties/:propertyId/units - List all units within this property
 // Auth: User must have an association with this propertyId (or its parent portfolio).
-router.get('/:propertyId/units', checkPropertyAccessAndLoad, async (req, res) => {
+router.get('/:propertyId/units', authorize(PolicyAction.PROPERTY_READ, propertyParam), async (req, res) => {
     const { propertyId } = req.params;
-    // Access is already verified by checkPropertyAccessAndLoad middleware.
+    // Access is already verified by the authorize middleware.
 
     try {
         const units = await Unit.find({ propertyId });
@@ -417,51 +367,39 @@ router.get('/:propertyId/units', checkPropertyAccessAndLoad, async (req, res) =>
 
 // POST /api/v1/properties/:propertyId/managers - Add/invite a manager to this property
 // Auth: User must be "OWNER"/"PORTFOLIO_ADMIN" of parent portfolio.
-router.post('/:propertyId/managers', checkPropertyAccessAndLoad, async (req, res) => {
+// Body: { userId } to assign an existing user directly, or { email } to send an invitation.
+router.post('/:propertyId/managers', authorize(PolicyAction.PROPERTY_MANAGE_MANAGERS, {
+    ...propertyParam,
+    message: 'Forbidden. Only portfolio owner/admin can manage property managers.'
+}), async (req, res) => {
     const { propertyId } = req.params;
-    const { userId } = req.body; // Role is fixed to PROPERTY_MANAGER as per plan
-    const currentProperty = req.property; // Loaded by middleware
-    const requestingUserId = req.user.id;
-
-    // Authorization: User must be OWNER or PORTFOLIO_ADMIN of the parent portfolio.
-    const parentPortfolioAccess = await UserRoleAssociation.findOne({
-        userId: requestingUserId,
-        associatedEntityType: AssociatedEntityType.PORTFOLIO,
-        associatedEntityId: currentProperty.portfolioId,
-        roleWithinEntity: { $in: [Role.OWNER, Role.PORTFOLIO_ADMIN] }
-    });
-
-    if (!parentPortfolioAccess) {
-        return res.status(403).json({ status: 'error', message: 'Forbidden. Only portfolio owner/admin can manage property managers.' });
-    }
+    const { userId, email } = req.body; // Role is fixed to PROPERTY_MANAGER as per plan
 
-    if (!userId) {
-        return res.status(400).json({ status: 'error', message: 'User ID is required.' });
+    if (!userId && !email) {
+        return res.status(400).json({ status: 'error', message: 'User ID or email is required.' });
     }
 
     try {
+        if (!userId) {
+            const result = await InvitationService.invite({
+                email,
+                role: Role.PROPERTY_MANAGER,
+                targetType: AssociatedEntityType.PROPERTY,
+                targetId: req.property._id,
+                inviter: req.userDbRecord
+            }, req);
+            if (result.error) {
+                return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+            }
+            return res.status(201).json({ status: 'success', data: { invitation: InvitationService.serialize(result.invitation) } });
+        }
+
         const userExists = await User.findById(userId);
         if (!userExists) {
             return res.status(404).json({ status: 'error', message: 'User to be added as manager not found.' });
         }
 
-        const association = await UserRoleAssociation.findOneAndUpdate(
-            {
-                userId: userId,
-                associatedEntityType: AssociatedEntityType.PROPERTY,
-                associatedEntityId: propertyId,
-            },
-            { $set: { roleWithinEntity: Role.PROPERTY_MANAGER } },
-            { upsert: true, new: true, runValidators: true }
-        );
-
-        // Update Property model's managerUserIds array
-        await Property.findByIdAndUpdate(propertyId, 
-           { 
-               $addToSet: { managerUserIds: new mongoose.Types.ObjectId(userId) }, 
-               // $set: { updatedAt: Date.now() } // Handled by Mongoose {timestamps: true}
-           }
-        );
+        const association = await RoleAssignmentService.assign(userId, Role.PROPERTY_MANAGER, AssociatedEntityType.PROPERTY, propertyId, req);
 
         res.status(200).json({ status: 'success', data: { userRoleAssociation: association } });
     } catch (error) {
@@ -473,4 +411,133 @@ router.post('/:propertyId/managers', checkPropertyAccessAndLoad, async (req, res
     }
 });
 
+// DELETE /api/v1/properties/:propertyId/managers/:userId - Remove a manager from this property
+// Auth: User must be "OWNER"/"PORTFOLIO_ADMIN" of parent portfolio.
+router.delete('/:propertyId/managers/:userId', authorize(PolicyAction.PROPERTY_MANAGE_MANAGERS, {
+    ...propertyParam,
+    message: 'Forbidden. Only portfolio owner/admin can manage property managers.'
+}), async (req, res) => {
+    const { propertyId, userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid userId format.' });
+    }
+
+    try {
+        const result = await RoleAssignmentService.remove(userId, AssociatedEntityType.PROPERTY, propertyId, req);
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
+
+        res.status(200).json({ status: 'success', message: 'Manager removed from property.' });
+    } catch (error) {
+        console.error('Error removing property manager:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to remove property manager', details: error.message });
+    }
+});
+
+// --- Nested Routes for Rooms of a Property ---
+
+// POST /api/v1/properties/:propertyId/rooms - Create a room in the property, outside any unit (lobby, gym, plant room)
+// Auth: User must be "PROPERTY_MANAGER" of this property or "OWNER"/"PORTFOLIO_ADMIN" of parent portfolio.
+router.post('/:propertyId/rooms', authorize(PolicyAction.DEVICE_MANAGE, {
+    ...propertyParam,
+    message: 'Forbidden. You do not have permission to manage rooms for this property.'
+}), async (req, res) => {
+    const { name, type } = req.body;
+
+    const invalid = RoomService.validate({ name, type });
+    if (invalid) {
+        return res.status(400).json({ status: 'error', message: invalid });
+    }
+
+    try {
+        const room = await RoomService.create({ property: req.property }, { name, type });
+        res.status(201).json({ status: 'success', data: { room } });
+    } catch (error) {
+        console.error('Error creating room:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to create room', details: error.message });
+    }
+});
+
+// GET /api/v1/properties/:propertyId/rooms - List rooms of this property, including its units' rooms
+// Auth: User must be able to view devices in this property.
+router.get('/:propertyId/rooms', authorize(PolicyAction.DEVICE_READ, {
+    ...propertyParam,
+    message: 'Forbidden. You do not have permission to view rooms for this property.'
+}), async (req, res) => {
+    try {
+        const rooms = await RoomService.listFor({ property: req.property });
+        res.status(200).json({ status: 'success', data: { rooms } });
+    } catch (error) {
+        console.error('Error listing rooms:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list rooms', details: error.message });
+    }
+});
+
+// POST /api/v1/properties/:propertyId/rooms/smartthings-sync - Map SmartThings rooms to rooms in the property, outside any unit (lobby, gym, plant room)
+// Auth: User must be "PROPERTY_MANAGER" of this property or "OWNER"/"PORTFOLIO_ADMIN" of parent portfolio, with SmartThings linked for this property.
+// Body: { locationId } (optional when the SmartThings account has a single location).
+// Creates rooms for SmartThings rooms that have no counterpart and places linked devices in them.
+router.post('/:propertyId/rooms/smartthings-sync', authorize(PolicyAction.DEVICE_MANAGE, {
+    ...propertyParam,
+    message: 'Forbidden. You do not have permission to manage rooms for this property.'
+}), async (req, res) => {
+    try {
+        const result = await RoomService.syncSmartThingsRooms({ property: req.property }, req.user.id, req.body.locationId || null);
+        if (result.error) {
+            return res.status(result.error.status).json({
+                status: 'error',
+                message: result.error.message,
+                ...(result.error.locations ? { data: { locations: result.error.locations } } : {})
+            });
+        }
+        res.status(200).json({ status: 'success', data: { summary: result.summary, rooms: result.rooms } });
+    } catch (error) {
+        console.error('Error syncing SmartThings rooms:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to sync SmartThings rooms', details: error.message });
+    }
+});
+
+// --- Nested Routes for Common Areas of a Property ---
+
+// POST /api/v1/properties/:propertyId/common-areas - Create a common area (lobby, gym, garage, mail room)
+// Auth: User must be "PROPERTY_MANAGER" of this property or "OWNER"/"PORTFOLIO_ADMIN" of parent portfolio.
+// Body: { name, type, description, access: { allUnits, unitIds, tenantUserIds }, schedule, timeZone }
+// Access defaults to every unit's tenants, at any time.
+router.post('/:propertyId/common-areas', authorize(PolicyAction.PROPERTY_UPDATE, {
+    ...propertyParam,
+    message: 'Forbidden. You do not have permission to manage common areas for this property.'
+}), async (req, res) => {
+    const invalid = CommonAreaService.validate(req.body);
+    if (invalid) {
+        return res.status(400).json({ status: 'error', message: invalid });
+    }
+
+    try {
+        const invalidUnits = await CommonAreaService.checkAccessUnits(req.property._id, req.body.access);
+        if (invalidUnits) {
+            return res.status(400).json({ status: 'error', message: invalidUnits });
+        }
+
+        const commonArea = await CommonAreaService.create(req.property, req.body);
+        res.status(201).json({ status: 'success', data: { commonArea } });
+    } catch (error) {
+        console.error('Error creating common area:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to create common area', details: error.message });
+    }
+});
+
+// GET /api/v1/properties/:propertyId/common-areas - List the property's common areas
+// Auth: User must be "PROPERTY_MANAGER" of this property or "OWNER"/"PORTFOLIO_ADMIN" of parent portfolio.
+router.get('/:propertyId/common-areas', authorize(PolicyAction.PROPERTY_READ, propertyParam), async (req, res) => {
+    try {
+        const commonAreas = await CommonArea.find({ propertyId: req.property._id }).sort({ name: 1 });
+        res.status(200).json({ status: 'success', data: { commonAreas } });
+    } catch (error) {
+        console.error('Error listing common areas:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list common areas', details: error.message });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const PolicyService = require('../services/PolicyService');
+const RoomService = require('../services/RoomService');
+const DeviceControlService = require('../services/DeviceControlService');
+const { PolicyAction } = require('../enums');
+
+// Loads req.room and checks `action` on the unit or property it belongs to
+const authorizeRoom = (action, message) => async (req, res, next) => {
+    const { roomId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(roomId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid room ID format.' });
+    }
+
+    try {
+        const room = await Room.findById(roomId);
+        const decision = room && await RoomService.authorize(PolicyService.actorFromRequest(req), action, room);
+        // Rooms of deleted units/properties are gone as far as callers are concerned
+        if (!room || decision.reason === PolicyService.DenyReason.NOT_FOUND) {
+            return res.status(404).json({ status: 'error', message: 'Room not found.' });
+        }
+        if (decision.reason === PolicyService.DenyReason.API_KEY_PORTFOLIO) {
+            return res.status(403).json({ status: 'error', message: 'Forbidden. This API key is restricted to a different portfolio.' });
+        }
+        if (!decision.allowed) {
+            return res.status(403).json({ status: 'error', message });
+        }
+        req.room = room;
+        next();
+    } catch (error) {
+        console.error('Error in room access check:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error during access check.' });
+    }
+};
+
+const canView = authorizeRoom(PolicyAction.DEVICE_READ, 'Forbidden. You do not have permission to view this room.');
+const canManage = authorizeRoom(PolicyAction.DEVICE_MANAGE, 'Forbidden. You do not have permission to manage this room.');
+const canControl = authorizeRoom(PolicyAction.DEVICE_CONTROL, 'Forbidden. You do not have permission to control devices in this room.');
+
+// GET /api/v1/rooms/:roomId - Get a room
+// Auth: User must be able to view devices in the room's unit (or property, for property-level rooms).
+router.get('/:roomId', canView, (req, res) => {
+    res.status(200).json({ status: 'success', data: { room: req.room } });
+});
+
+// PUT /api/v1/rooms/:roomId - Update a room's name, type or SmartThings room link
+// Auth: User must be able to manage devices in the room's unit or property.
+// Body: { name, type, smartThingsRoomId } (smartThingsRoomId null unlinks the room)
+router.put('/:roomId', canManage, async (req, res) => {
+    const { name, type, smartThingsRoomId } = req.body;
+
+    const invalid = RoomService.validate({ name, type }, { partial: true });
+    if (invalid) {
+        return res.status(400).json({ status: 'error', message: invalid });
+    }
+
+    try {
+        const room = req.room;
+        if (name !== undefined) room.name = name;
+        if (type !== undefined) room.type = type;
+        if (smartThingsRoomId !== undefined) {
+            room.integrationData = { ...room.integrationData, smartThingsRoomId: smartThingsRoomId || null };
+        }
+        await room.save();
+
+        res.status(200).json({ status: 'success', data: { room } });
+    } catch (error) {
+        console.error('Error updating room:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to update room', details: error.message });
+    }
+});
+
+// DELETE /api/v1/rooms/:roomId - Delete a room
+// Auth: User must be able to manage devices in the room's unit or property.
+// Its devices stay where they are, without a room.
+router.delete('/:roomId', canManage, async (req, res) => {
+    try {
+        const result = await RoomService.remove(req.room);
+        res.status(200).json({ status: 'success', message: 'Room deleted.', data: result });
+    } catch (error) {
+        console.error('Error deleting room:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to delete room', details: error.message });
+    }
+});
+
+// --- Devices in a Room ---
+
+// GET /api/v1/rooms/:roomId/devices - List the devices in a room
+// Auth: User must be able to view devices in the room's unit or property.
+router.get('/:roomId/devices', canView, async (req, res) => {
+    try {
+        const devices = await RoomService.devicesIn(req.room);
+        res.status(200).json({ status: 'success', data: { devices } });
+    } catch (error) {
+        console.error('Error listing room devices:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list devices', details: error.message });
+    }
+});
+
+// POST /api/v1/rooms/:roomId/devices - Put devices in a room (moving them out of their current room)
+// Auth: User must be able to manage devices in the room's unit or property.
+// Body: { deviceIds: [...] } - devices must already be attached to the room's unit (or property).
+router.post('/:roomId/devices', canManage, async (req, res) => {
+    const { deviceIds } = req.body;
+
+    if (!Array.isArray(deviceIds) || deviceIds.length === 0 || !deviceIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ status: 'error', message: 'deviceIds must be a non-empty array of device IDs.' });
+    }
+
+    try {
+        const result = await RoomService.assignDevices(req.room, deviceIds);
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
+        res.status(200).json({ status: 'success', data: { room: result.room } });
+    } catch (error) {
+        console.error('Error assigning devices to room:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to assign devices', details: error.message });
+    }
+});
+
+// DELETE /api/v1/rooms/:roomId/devices/:deviceId - Take a device out of a room
+// Auth: User must be able to manage devices in the room's unit or property.
+router.delete('/:roomId/devices/:deviceId', canManage, async (req, res) => {
+    const { deviceId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid device ID format.' });
+    }
+
+    try {
+        const room = await RoomService.unassignDevice(req.room, deviceId);
+        res.status(200).json({ status: 'success', data: { room } });
+    } catch (error) {
+        console.error('Error removing device from room:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to remove device from room', details: error.message });
+    }
+});
+
+// POST /api/v1/rooms/:roomId/control - Send one command to every device in a room
+// Auth: User must be able to control devices in the room's unit or property; devices the user
+// cannot control are skipped. Body: the same command as POST /api/v1/devices/:id/control.
+router.post('/:roomId/control', canControl, async (req, res) => {
+    const invalid = DeviceControlService.validate(req.body);
+    if (invalid) {
+        return res.status(400).json({ status: 'error', message: invalid });
+    }
+
+    try {
+        const results = await RoomService.control(req.room, req.body, PolicyService.actorFromRequest(req), req);
+        const sent = results.filter(result => result.status === 'SUCCEEDED').length;
+        res.status(200).json({
+            status: 'success',
+            message: `Command sent to ${sent} of ${results.length} device(s).`,
+            data: { results }
+        });
+    } catch (error) {
+        console.error('Error controlling room:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to control room', details: error.message });
+    }
+});
+
+module.exports = router;
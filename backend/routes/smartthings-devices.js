@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const SmartThingsToken = require('../models/SmartThingsToken');
+const DeviceCommand = require('../models/DeviceCommand');
 const { protect } = require('../middleware/auth.middleware');
 const logger = require('../logger');
+const ImpersonationService = require('../services/ImpersonationService');
+const SmartThingsService = require('../services/SmartThingsService');
 
 // Helper function to get SmartThings API headers with access token
 const getSmartThingsHeaders = (accessToken) => ({
@@ -83,6 +86,8 @@ router.get('/', protect, async (req, res) => {
       name: device.name || device.label,
       type: device.deviceTypeName,
       capabilities: device.components?.[0]?.capabilities || [],
+      // Capabilities in the canonical catalog (see GET /api/v1/devices/capabilities)
+      canonicalCapabilities: SmartThingsService.canonicalCapabilities(device.components?.[0]?.capabilities),
       status: device.status,
       locationId: device.locationId,
       roomId: device.roomId,
@@ -182,7 +187,10 @@ router.get('/:deviceId', protect, async (req, res) => {
       name: deviceData.name || deviceData.label,
       type: deviceData.deviceTypeName,
       capabilities: deviceData.components?.[0]?.capabilities || [],
+      canonicalCapabilities: SmartThingsService.canonicalCapabilities(deviceData.components?.[0]?.capabilities),
       status: statusData.components?.main || {},
+      // The main component's status in canonical capability/attribute terms
+      state: SmartThingsService.canonicalStatus(statusData.components?.main),
       locationId: deviceData.locationId,
       roomId: deviceData.roomId,
       metadata: {
@@ -239,6 +247,14 @@ router.post('/:deviceId/commands', protect, async (req, res) => {
         message: 'Commands array is required'
       });
     }
+
+    // Support staff impersonating a user may not unlock doors unless explicitly allowed
+    if (ImpersonationService.blocksUnlock(req, commands)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unlock commands are not allowed while impersonating'
+      });
+    }
     
     // Get active token
     const tokenRecord = await getActiveToken(userId, propertyId, unitId);
@@ -250,6 +266,15 @@ router.post('/:deviceId/commands', protect, async (req, res) => {
     }
     
     await ensureValidToken(tokenRecord);
+
+    // Keep a record of who sent what, for the user's data exports
+    const commandRecord = await new DeviceCommand({
+      vendor: 'SMARTTHINGS',
+      vendorDeviceId: deviceId,
+      initiatedBy: userId,
+      impersonatorId: req.impersonatorId || null,
+      commands
+    }).save();
     
     // Send commands to SmartThings API
     const commandResponse = await fetch(`https://api.smartthings.com/v1/devices/${deviceId}/commands`, {
@@ -267,6 +292,8 @@ router.post('/:deviceId/commands', protect, async (req, res) => {
         error,
         userId
       });
+      commandRecord.set({ status: 'FAILED', error: `SmartThings responded ${commandResponse.status}`, completedAt: new Date() });
+      await commandRecord.save();
       return res.status(commandResponse.status).json({
         success: false,
         message: 'Failed to send command to SmartThings device'
@@ -274,6 +301,9 @@ router.post('/:deviceId/commands', protect, async (req, res) => {
     }
     
     const commandData = await commandResponse.json();
+
+    commandRecord.set({ status: 'SUCCEEDED', completedAt: new Date() });
+    await commandRecord.save();
     
     logger.info('SmartThings command sent successfully', { 
       userId,
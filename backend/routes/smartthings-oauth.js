@@ -3,6 +3,8 @@ const router = express.Router();
 const SmartThingsToken = require('../models/SmartThingsToken');
 const { protect } = require('../middleware/auth.middleware');
 const logger = require('../logger');
+const PolicyService = require('../services/PolicyService');
+const { AssociatedEntityType, PolicyAction } = require('../enums');
 
 // SmartThings OAuth 2.0 Configuration
 const SMARTTHINGS_CLIENT_ID = process.env.SMARTTHINGS_CLIENT_ID;
@@ -21,6 +23,21 @@ router.get('/authorize', protect, async (req, res) => {
   try {
     const userId = req.user.id;
     const { propertyId, unitId } = req.query;
+
+    // Linking an account to a unit or property requires rights over it
+    if (unitId || propertyId) {
+      const resource = unitId
+        ? { type: AssociatedEntityType.UNIT, id: unitId }
+        : { type: AssociatedEntityType.PROPERTY, id: propertyId };
+      const decision = await PolicyService.authorize(PolicyService.actorFromRequest(req), PolicyAction.INTEGRATION_LINK, resource);
+      const belongsToProperty = !unitId || !propertyId || (decision.context && decision.context.propertyId.equals(propertyId));
+      if (!decision.allowed || !belongsToProperty) {
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden: You cannot link SmartThings to this property or unit.'
+        });
+      }
+    }
     
     // Generate state parameter for CSRF protection
     const state = Buffer.from(JSON.stringify({
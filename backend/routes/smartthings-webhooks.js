@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const SmartThingsToken = require('../models/SmartThingsToken');
+const Device = require('../models/Device');
+const SmartThingsService = require('../services/SmartThingsService');
+const DeviceStateService = require('../services/DeviceStateService');
 const logger = require('../logger');
 
 // Webhook verification signature validation
@@ -211,7 +214,8 @@ const handleDeviceEvent = async (req, res) => {
       attribute, 
       value, 
       unit, 
-      data 
+      data,
+      eventTime
     } = event;
     
     logger.info('SmartThings device event', {
@@ -224,12 +228,6 @@ const handleDeviceEvent = async (req, res) => {
       unit
     });
     
-    // Here you would typically:
-    // 1. Update device state in your database
-    // 2. Send real-time updates to connected clients
-    // 3. Trigger automation rules
-    // 4. Send notifications to users
-    
     try {
       await processDeviceEvent({
         deviceId,
@@ -240,7 +238,8 @@ const handleDeviceEvent = async (req, res) => {
         value,
         unit,
         data,
-        timestamp: new Date()
+        // When the device reported it, so the change lines up with the same one in device history
+        timestamp: eventTime ? new Date(eventTime) : new Date()
       });
     } catch (error) {
       logger.error('Error processing device event', {
@@ -278,6 +277,7 @@ const processDeviceEvent = async (eventData) => {
     capability, 
     attribute, 
     value, 
+    unit,
     timestamp 
   } = eventData;
   
@@ -291,27 +291,16 @@ const processDeviceEvent = async (eventData) => {
     timestamp
   });
   
-  // TODO: Implement event processing logic
-  // This is where you would:
-  // 1. Update device state in your database
-  // 2. Send real-time updates to iOS app via WebSocket/Server-Sent Events
-  // 3. Trigger automation rules
-  // 4. Send push notifications
-  
-  // For now, just log the event
-  // In production, you might store events in a separate collection:
-  /*
-  const DeviceEvent = require('../models/DeviceEvent');
-  const deviceEvent = new DeviceEvent({
-    deviceId,
-    locationId,
-    capability,
-    attribute,
-    value,
-    timestamp
-  });
-  await deviceEvent.save();
-  */
+  // Update the stored state of the device registered for this SmartThings device, if any. Changed
+  // values are kept in its event history (see GET /api/v1/devices/:id/events). Attributes outside
+  // the capability catalog are ignored.
+  const device = deviceId && capability && attribute
+    ? await Device.findOne({ 'integrationData.smartThingsDeviceId': deviceId }).select('_id')
+    : null;
+  if (device) {
+    const state = SmartThingsService.canonicalStatus({ [capability]: { [attribute]: { value, unit, timestamp } } });
+    await DeviceStateService.record(device._id, state, 'WEBHOOK');
+  }
 };
 
 // @route   GET /api/webhooks/smartthings/health
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const TransferRequest = require('../models/TransferRequest');
+const PolicyService = require('../services/PolicyService');
+const TransferService = require('../services/TransferService');
+
+const TRANSFER_STATUSES = ['PENDING', 'COMPLETED', 'REJECTED', 'CANCELLED', 'FAILED'];
+
+// Loads req.transfer if the caller requested it or owns either side of it
+const loadTransfer = async (req, res, next) => {
+    const { transferId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(transferId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid transfer ID format.' });
+    }
+    try {
+        const transfer = await TransferRequest.findById(transferId);
+        if (!transfer || !(await TransferService.canView(PolicyService.actorFromRequest(req), transfer))) {
+            return res.status(404).json({ status: 'error', message: 'Transfer not found.' });
+        }
+        req.transfer = transfer;
+        next();
+    } catch (error) {
+        console.error('Error loading transfer:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to load transfer', details: error.message });
+    }
+};
+
+const sendOutcome = (res, transfer, message) => res.status(200).json({
+    status: transfer.status === 'FAILED' ? 'error' : 'success',
+    message: transfer.status === 'FAILED' ? `Transfer failed: ${transfer.error}` : message,
+    data: { transfer }
+});
+
+// GET /api/v1/transfers - Transfers the caller requested or can act on
+// Auth: Any authenticated user. Optional ?status= (default PENDING).
+router.get('/', async (req, res) => {
+    const status = req.query.status || 'PENDING';
+    if (!TRANSFER_STATUSES.includes(status)) {
+        return res.status(400).json({ status: 'error', message: `status must be one of: ${TRANSFER_STATUSES.join(', ')}.` });
+    }
+
+    try {
+        const transfers = await TransferService.listForUser(PolicyService.actorFromRequest(req), status);
+        res.status(200).json({ status: 'success', data: { transfers } });
+    } catch (error) {
+        console.error('Error listing transfers:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list transfers', details: error.message });
+    }
+});
+
+// GET /api/v1/transfers/:transferId - Get a transfer
+// Auth: The requester or an "OWNER" on either side.
+router.get('/:transferId', loadTransfer, (req, res) => {
+    res.status(200).json({ status: 'success', data: { transfer: req.transfer } });
+});
+
+// POST /api/v1/transfers/:transferId/approve - Approve the caller's side(s) of a pending transfer
+// Auth: "OWNER" on the source or destination side. The move runs as soon as both sides approved.
+router.post('/:transferId/approve', loadTransfer, async (req, res) => {
+    try {
+        const result = await TransferService.approve(req.transfer, PolicyService.actorFromRequest(req), req);
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
+        sendOutcome(res, result.transfer, result.transfer.status === 'COMPLETED'
+            ? 'Transfer approved and completed.'
+            : 'Transfer approved. Waiting for the other side.');
+    } catch (error) {
+        console.error('Error approving transfer:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to approve transfer', details: error.message });
+    }
+});
+
+// POST /api/v1/transfers/:transferId/reject - Reject a pending transfer
+// Auth: "OWNER" on the source or destination side.
+router.post('/:transferId/reject', loadTransfer, async (req, res) => {
+    try {
+        const result = await TransferService.close(req.transfer, PolicyService.actorFromRequest(req), 'REJECTED', req);
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
+        sendOutcome(res, result.transfer, 'Transfer rejected.');
+    } catch (error) {
+        console.error('Error rejecting transfer:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to reject transfer', details: error.message });
+    }
+});
+
+// DELETE /api/v1/transfers/:transferId - Cancel a pending transfer
+// Auth: The requester only.
+router.delete('/:transferId', loadTransfer, async (req, res) => {
+    try {
+        const result = await TransferService.close(req.transfer, PolicyService.actorFromRequest(req), 'CANCELLED', req);
+        if (result.error) {
+            return res.status(result.error.status).json({ status: 'error', message: result.error.message });
+        }
+        sendOutcome(res, result.transfer, 'Transfer cancelled.');
+    } catch (error) {
+        console.error('Error cancelling transfer:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to cancel transfer', details: error.message });
+    }
+});
+
+module.exports = router;
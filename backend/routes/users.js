@@ -1,11 +1,44 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const { protect } = require('../middleware/auth.middleware');
 const UserRoleAssociation = require('../models/UserRoleAssociation');
+const LoginThrottleService = require('../services/LoginThrottleService');
+const AccountService = require('../services/AccountService');
+const MfaService = require('../services/MfaService');
+const DataExportJob = require('../models/DataExportJob');
+const DataExportService = require('../services/DataExportService');
+const AuditService = require('../services/AuditService');
+const { AuditAction } = require('../enums');
+const { denyImpersonation } = require('../middleware/impersonation.middleware');
 
-// Middleware for authentication would go here
-// const auth = require('../middleware/auth');
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const exportDownloadPath = (job) => `/api/v1/users/me/export/${job._id}/download`;
+
+// Stream a finished export archive to the client and record the download
+const sendExportArchive = async (req, res, job) => {
+  if (job.status !== 'COMPLETED') {
+    return res.status(409).json({ success: false, message: `Export is not ready (status: ${job.status})` });
+  }
+
+  const archive = await DataExportService.loadArchive(job);
+  if (!archive) {
+    return res.status(410).json({ success: false, message: 'Export has expired' });
+  }
+
+  await AuditService.record(AuditAction.DATA_EXPORT_DOWNLOADED, {
+    req,
+    targetType: 'USER',
+    targetId: job.subjectUserId,
+    metadata: { jobId: job._id }
+  });
+
+  res.set(DataExportService.downloadHeaders(job));
+  res.status(200).send(archive);
+};
 
 // @route   GET /api/users/me
 // @desc    Get current user profile
@@ -30,36 +63,47 @@ router.get('/me', protect, async (req, res, next) => {
 });
 
 // @route   PUT /api/users/me
-// @desc    Update current user profile
+// @desc    Update current user profile (name and default navigation targets)
 // @access  Private
-router.put('/me', async (req, res, next) => {
+router.put('/me', protect, async (req, res, next) => {
   try {
-    // In a real implementation, you would get the user ID from the JWT token
-    // const userId = req.user.id;
-    const userId = '123'; // Dummy user ID for now
-    
     const { firstName, lastName, email } = req.body;
-    
-    // Build user object
+
+    if (email !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use PUT /users/me/email to change your email address'
+      });
+    }
+
     const userFields = {};
-    if (firstName) userFields.firstName = firstName;
-    if (lastName) userFields.lastName = lastName;
-    if (email) userFields.email = email;
-    
-    // Update user
+    for (const [field, value] of Object.entries({ firstName, lastName })) {
+      if (value === undefined) continue;
+      if (typeof value !== 'string' || !value.trim()) {
+        return res.status(400).json({ success: false, message: `${field} must be a non-empty string` });
+      }
+      userFields[field] = value.trim();
+    }
+
+    const defaults = await AccountService.resolveDefaults(req.userDbRecord, req.body);
+    if (defaults.error) {
+      return res.status(defaults.error.status).json({ success: false, message: defaults.error.message });
+    }
+    Object.assign(userFields, defaults.fields);
+
     const user = await User.findByIdAndUpdate(
-      userId,
+      req.user.id,
       { $set: userFields },
-      { new: true }
+      { new: true, runValidators: true }
     ).select('-password');
-    
+
     if (!user) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
-    
+
     res.status(200).json({
       success: true,
       data: user
@@ -69,11 +113,182 @@ router.put('/me', async (req, res, next) => {
   }
 });
 
+// @route   PUT /api/users/me/email
+// @desc    Request an email change; a confirmation link is sent to the new address
+// @access  Private (requires the current password)
+router.put('/me/email', protect, denyImpersonation, async (req, res, next) => {
+  try {
+    const { email, currentPassword } = req.body;
+
+    if (!email || !currentPassword) {
+      return res.status(400).json({ success: false, message: 'Please provide email and currentPassword.' });
+    }
+    if (!EMAIL_PATTERN.test(String(email).trim())) {
+      return res.status(400).json({ success: false, message: 'Please provide a valid email address.' });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user || !(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ success: false, message: 'Current password is incorrect.' });
+    }
+
+    const result = await AccountService.requestEmailChange(user, email, req);
+    if (result.error) {
+      return res.status(result.error.status).json({ success: false, message: result.error.message });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Check your new inbox to confirm the change',
+      pendingEmail: result.pendingEmail
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/users/me/password
+// @desc    Change password; other sessions are signed out
+// @access  Private (requires the current password)
+router.put('/me/password', protect, denyImpersonation, async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ success: false, message: 'Please provide currentPassword and newPassword.' });
+    }
+    if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ success: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const result = await AccountService.changePassword(user, currentPassword, String(newPassword), req);
+    if (result.error) {
+      return res.status(result.error.status).json({ success: false, message: result.error.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed. Other sessions have been signed out.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/users/me
+// @desc    Delete the current account: personal data is anonymized and all access removed
+// @access  Private (requires the current password, and an MFA code when MFA is enabled)
+router.delete('/me', protect, denyImpersonation, async (req, res, next) => {
+  try {
+    const { currentPassword, code } = req.body || {};
+
+    if (!currentPassword) {
+      return res.status(400).json({ success: false, message: 'Please provide currentPassword.' });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user || !(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ success: false, message: 'Current password is incorrect.' });
+    }
+    if (user.mfa && user.mfa.enabled && (!code || !(await MfaService.verifyUserCode(user, code)))) {
+      return res.status(401).json({ success: false, message: 'A valid MFA code is required.' });
+    }
+
+    const solePortfolios = await AccountService.soleOwnedPortfolioIds(user._id);
+    if (solePortfolios.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Transfer ownership of your portfolios before deleting your account',
+        portfolioIds: solePortfolios
+      });
+    }
+
+    await AccountService.deleteAccount(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account has been deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/users/me/export
+// @desc    Start a personal data export; poll GET /users/me/export for the download link
+// @access  Private
+router.post('/me/export', protect, denyImpersonation, async (req, res, next) => {
+  try {
+    const { job, created } = await DataExportService.requestExport(req.user.id, req.user.id);
+
+    if (created) {
+      await AuditService.record(AuditAction.DATA_EXPORT_REQUESTED, { req, targetType: 'USER', targetId: req.user.id });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: created ? 'Export started' : 'An export is already in progress',
+      data: DataExportService.serializeJob(job, exportDownloadPath(job))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/users/me/export
+// @desc    List the current user's data exports, with download links for finished ones
+// @access  Private
+router.get('/me/export', protect, denyImpersonation, async (req, res, next) => {
+  try {
+    const jobs = await DataExportJob.find({ subjectUserId: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: jobs.map(job => DataExportService.serializeJob(job, exportDownloadPath(job)))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/users/me/export/:jobId/download
+// @desc    Download a finished data export (gzipped JSON)
+// @access  Private
+router.get('/me/export/:jobId/download', protect, denyImpersonation, async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({ success: false, message: 'Invalid export ID' });
+    }
+
+    const job = await DataExportJob.findOne({ _id: req.params.jobId, subjectUserId: req.user.id });
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Export not found' });
+    }
+
+    await sendExportArchive(req, res, job);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID
-// @access  Private (Admin only)
+// @access  Private (the user themselves, or a SuperAdmin)
 router.get('/:id', async (req, res, next) => {
   try {
+    const isSelf = req.params.id === req.user.id;
+    if (!isSelf && (!req.userDbRecord || req.userDbRecord.isSuperAdmin !== true)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden. You can only view your own profile.'
+      });
+    }
+
     const user = await User.findById(req.params.id).select('-password');
     
     if (!user) {
@@ -92,4 +307,38 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+// @route   POST /api/users/:id/unlock
+// @desc    Clear a sign-in lockout for a user (and optionally for an IP address)
+// @access  Private (SuperAdmin only)
+router.post('/:id/unlock', async (req, res, next) => {
+  try {
+    if (!req.userDbRecord || req.userDbRecord.isSuperAdmin !== true) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden. Only a SuperAdmin can unlock accounts.'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { ipAddress } = req.body || {};
+    const cleared = await LoginThrottleService.unlock({ email: user.email, ipAddress });
+
+    req.log && req.log.info({ userId: user.id, ipAddress, unlockedBy: req.user.id, cleared }, 'Sign-in lockout cleared by admin');
+
+    res.status(200).json({
+      success: true,
+      message: cleared ? 'Account unlocked' : 'Account was not locked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
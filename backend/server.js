@@ -16,7 +16,8 @@ const propertyRoutes = require('./routes/properties');
 // const deviceRoutes = require('./routes/devices'); // Removed legacy import
 const userRoutes = require('./routes/users');
 const portfolioRoutes = require('./routes/portfolio.routes');
-const { protect } = require('./middleware/auth.middleware'); // Import the protect middleware
+const { protect, requireMfaCompliance, requireScope, denyApiKeys } = require('./middleware/auth.middleware'); // Import the protect middleware
+const { denyImpersonation, auditImpersonatedRequests } = require('./middleware/impersonation.middleware');
 
 // Initialize express app
 const app = express();
@@ -34,7 +35,11 @@ app.use((req, res, next) => {
 });
 
 // Set up structured logging with Pino
-app.use(pinoHttp({ logger }));
+app.use(pinoHttp({
+  logger,
+  // Requests made under an impersonation token carry both identities (set by `protect`)
+  customProps: (req) => (req.impersonatorId ? { userId: req.user.id, impersonatorId: req.impersonatorId } : {})
+}));
 
 // Middleware
 // Replace wide-open CORS with allow-list via ALLOWED_ORIGINS env var
@@ -58,11 +63,22 @@ app.use(rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
 }));
-app.use(bodyParser.json());
+// Portfolio archive imports parse their own, larger JSON body (see routes/portfolio.routes.js)
+const jsonParser = bodyParser.json();
+app.use((req, res, next) => (req.path === '/api/v1/portfolios/from-archive' ? next() : jsonParser(req, res, next)));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Connect to database
-connectDB();
+connectDB().then(() => {
+  // Pick up personal data exports interrupted by a restart
+  require('./services/DataExportService').resumePending().catch(error => {
+    logger.error({ err: error }, 'Failed to resume pending data exports');
+  });
+  // Hard-delete soft-deleted portfolios/properties/units once their restore window has passed
+  require('./services/DeletionService').schedulePurge();
+  // Keep stored device state fresh for devices whose vendor has not reported in a while
+  require('./services/DeviceControlService').scheduleStatePolling();
+});
 
 // Public Routes (like auth, health-check)
 app.use('/api/auth', authRoutes);
@@ -81,31 +97,75 @@ app.use('/api/v1/smartthings/oauth', smartthingsOAuthServerRoutes);
 // Protected API v1 Routes
 // All routes under /api/v1 will now be protected by the 'protect' middleware
 const apiV1Router = express.Router();
-apiV1Router.use('/portfolios', portfolioRoutes); 
+
+// API key scope required for a request: "<resource>:read" for GET, "<resource>:write" otherwise.
+// Device sub-resources (e.g. /units/:unitId/devices) and device control use the device scopes;
+// refreshing a device's stored state or backfilling its events only reads from the vendor.
+const scopeFor = (resource) => (req) => {
+  const isDevicePath = resource === 'devices' || /\/devices(\/|$)/.test(req.path);
+  if (isDevicePath && req.method === 'POST' && /\/control\/?$/.test(req.path)) {
+    return 'devices:control';
+  }
+  if (isDevicePath && req.method === 'POST' && /\/(state\/refresh|events\/backfill)\/?$/.test(req.path)) {
+    return 'devices:read';
+  }
+  const scopeResource = isDevicePath ? 'devices' : resource;
+  return `${scopeResource}:${req.method === 'GET' ? 'read' : 'write'}`;
+};
+
+apiV1Router.use('/portfolios', requireScope(scopeFor('portfolios')), portfolioRoutes); 
 const propertyV1Routes = require('./routes/property.routes');
-apiV1Router.use('/properties', propertyV1Routes);
+apiV1Router.use('/properties', requireScope(scopeFor('properties')), propertyV1Routes);
 const unitV1Routes = require('./routes/unit.routes'); // Import unit v1 routes
-apiV1Router.use('/units', unitV1Routes); // Add unit v1 routes
+apiV1Router.use('/units', requireScope(scopeFor('units')), unitV1Routes); // Add unit v1 routes
 // Add other v1 routes here, e.g.:
 // apiV1Router.use('/units', unitRoutes); // If unitRoutes are also v1 and need protection
 
+// The caller's own view of the hierarchy (navigation tree)
+const meV1Routes = require('./routes/me.routes');
+apiV1Router.use('/me', requireScope(scopeFor('portfolios')), meV1Routes);
+
 // Re-introduce devices route import for v1 protected path
 const deviceRoutes = require('./routes/devices');
-apiV1Router.use('/devices', deviceRoutes);
+apiV1Router.use('/devices', requireScope(scopeFor('devices')), deviceRoutes);
+
+// Rooms within units and properties, and the devices in them (device scopes)
+const roomRoutes = require('./routes/room.routes');
+apiV1Router.use('/rooms', requireScope(scopeFor('devices')), roomRoutes);
+
+// Shared amenities of a property (lobby, gym, garage) and who may use them
+const commonAreaRoutes = require('./routes/common-area.routes');
+apiV1Router.use('/common-areas', requireScope(scopeFor('properties')), commonAreaRoutes);
 
 // SmartThings OAuth routes (protected) - for our app to call SmartThings
 const smartthingsOAuthRoutes = require('./routes/smartthings-oauth');
-apiV1Router.use('/smartthings/oauth', smartthingsOAuthRoutes);
+apiV1Router.use('/smartthings/oauth', denyApiKeys, smartthingsOAuthRoutes);
 
 // SmartThings device management routes (protected)
 const smartthingsDeviceRoutes = require('./routes/smartthings-devices');
-apiV1Router.use('/smartthings/devices', smartthingsDeviceRoutes);
+apiV1Router.use('/smartthings/devices', denyApiKeys, smartthingsDeviceRoutes);
 
 // Remove legacy users path and add under api v1 router
 // app.use('/api/users', userRoutes);
-apiV1Router.use('/users', userRoutes);
+apiV1Router.use('/users', denyApiKeys, userRoutes);
+
+// Email invitations to portfolio, property and unit roles (session only)
+const invitationRoutes = require('./routes/invitation.routes');
+apiV1Router.use('/invitations', denyApiKeys, invitationRoutes);
+
+// Property and unit transfers awaiting owner approval on both sides (session only)
+const transferRoutes = require('./routes/transfer.routes');
+apiV1Router.use('/transfers', denyApiKeys, transferRoutes);
+
+// Platform administration (SuperAdmin only; impersonation, audit trail)
+const adminRoutes = require('./routes/admin.routes');
+apiV1Router.use('/admin', denyApiKeys, denyImpersonation, adminRoutes);
+
+// API key management (session only)
+const apiKeyRoutes = require('./routes/api-key.routes');
+apiV1Router.use('/api-keys', denyApiKeys, denyImpersonation, apiKeyRoutes);
 
-app.use('/api/v1', protect, apiV1Router); // Protect all /api/v1 routes
+app.use('/api/v1', protect, requireMfaCompliance, auditImpersonatedRequests, apiV1Router); // Protect all /api/v1 routes
 
 // Legacy or other public/unprotected routes (example)
 // app.use('/api/properties', propertyRoutes); // This line can be removed or commented if properties are now fully v1
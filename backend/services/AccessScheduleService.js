@@ -0,0 +1,81 @@
+// Recurring weekly access windows, e.g. { daysOfWeek: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '17:00' }.
+// Days are 0 (Sunday) to 6 (Saturday); times are "HH:MM" in the window's time zone. A window whose
+// end is before its start runs overnight and belongs to the day it starts on.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+class AccessScheduleService {
+  isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  toMinutes(time) {
+    const match = TIME_PATTERN.exec(time);
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+  }
+
+  // Returns an error message for the first invalid window, or null when all are valid
+  validateWindows(windows) {
+    if (!Array.isArray(windows)) {
+      return 'schedule must be an array of windows.';
+    }
+    for (const [index, window] of windows.entries()) {
+      if (!window || !Array.isArray(window.daysOfWeek) || window.daysOfWeek.length === 0 ||
+          !window.daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        return `schedule[${index}].daysOfWeek must be a non-empty array of integers 0 (Sunday) to 6 (Saturday).`;
+      }
+      if (this.toMinutes(window.startTime) === null || this.toMinutes(window.endTime) === null) {
+        return `schedule[${index}] startTime and endTime must be "HH:MM".`;
+      }
+      if (window.startTime === window.endTime) {
+        return `schedule[${index}] startTime and endTime must differ.`;
+      }
+    }
+    return null;
+  }
+
+  // Weekday and minute-of-day of `date` in `timeZone`
+  localTime(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const get = type => parts.find(part => part.type === type).value;
+    return {
+      day: WEEKDAYS[get('weekday')],
+      minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+    };
+  }
+
+  // True when `date` falls inside any window. An empty list means no time-of-day restriction.
+  isWithinWindows(windows, timeZone = 'UTC', date = new Date()) {
+    if (!windows || windows.length === 0) {
+      return true;
+    }
+
+    const { day, minutes } = this.localTime(date, timeZone || 'UTC');
+    const previousDay = (day + 6) % 7;
+
+    return windows.some(window => {
+      const start = this.toMinutes(window.startTime);
+      const end = this.toMinutes(window.endTime);
+      if (start < end) {
+        return window.daysOfWeek.includes(day) && minutes >= start && minutes < end;
+      }
+      // Overnight window, e.g. 22:00-06:00
+      return (window.daysOfWeek.includes(day) && minutes >= start) ||
+        (window.daysOfWeek.includes(previousDay) && minutes < end);
+    });
+  }
+}
+
+module.exports = new AccessScheduleService();
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const SmartThingsToken = require('../models/SmartThingsToken');
+const ApiKey = require('../models/ApiKey');
+const ActionToken = require('../models/ActionToken');
+const GuestAccessGrant = require('../models/GuestAccessGrant');
+const Portfolio = require('../models/Portfolio');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const DataExportJob = require('../models/DataExportJob');
+const SessionService = require('./SessionService');
+const ActionTokenService = require('./ActionTokenService');
+const PolicyService = require('./PolicyService');
+const RoleAssignmentService = require('./RoleAssignmentService');
+const AuditService = require('./AuditService');
+const MailService = require('./mail');
+const logger = require('../logger');
+const { AssociatedEntityType, AuditAction, PolicyAction, Role } = require('../enums');
+
+const { ResourceType } = PolicyService;
+
+// Default navigation fields and the access the user needs on each target
+const DEFAULT_FIELDS = Object.freeze({
+  defaultPortfolioId: { type: ResourceType.PORTFOLIO, action: PolicyAction.PORTFOLIO_READ },
+  defaultPropertyId: { type: ResourceType.PROPERTY, action: PolicyAction.PROPERTY_READ },
+  defaultUnitId: { type: ResourceType.UNIT, action: PolicyAction.UNIT_READ }
+});
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+class AccountService {
+  // Validate requested default*Id changes. Resolves to { fields } with the values to $set, or
+  // { error: { status, message } }. `null` clears a default. Nested defaults must sit under the
+  // chosen parent (e.g. the default property must belong to the default portfolio).
+  async resolveDefaults(user, requested) {
+    const fields = {};
+    const contexts = {};
+
+    for (const [field, { type, action }] of Object.entries(DEFAULT_FIELDS)) {
+      if (requested[field] === undefined) continue;
+      if (requested[field] === null) {
+        fields[field] = null;
+        continue;
+      }
+      if (!mongoose.Types.ObjectId.isValid(requested[field])) {
+        return { error: { status: 400, message: `Invalid ${field} format.` } };
+      }
+      const decision = await PolicyService.authorize(user, action, { type, id: requested[field] });
+      if (!decision.allowed) {
+        // Don't reveal whether an inaccessible entity exists
+        return { error: { status: 400, message: `${field} does not refer to an entity you can access.` } };
+      }
+      fields[field] = decision.context[`${type.toLowerCase()}Id`];
+      contexts[field] = decision.context;
+    }
+
+    const effective = { ...this.currentDefaults(user), ...fields };
+    if (contexts.defaultPropertyId && effective.defaultPortfolioId &&
+        !contexts.defaultPropertyId.portfolioId.equals(effective.defaultPortfolioId)) {
+      return { error: { status: 400, message: 'defaultPropertyId must belong to defaultPortfolioId.' } };
+    }
+    if (contexts.defaultUnitId && effective.defaultPropertyId &&
+        !contexts.defaultUnitId.propertyId.equals(effective.defaultPropertyId)) {
+      return { error: { status: 400, message: 'defaultUnitId must belong to defaultPropertyId.' } };
+    }
+
+    return { fields };
+  }
+
+  currentDefaults(user) {
+    return Object.keys(DEFAULT_FIELDS).reduce((acc, field) => {
+      acc[field] = user[field] ? idOf(user[field]) : null;
+      return acc;
+    }, {});
+  }
+
+  // Start an email change: the new address is stored as pending and only replaces the current one
+  // once confirmed through the emailed link. Resolves to { error } if the address is taken.
+  async requestEmailChange(user, newEmail, req) {
+    const email = String(newEmail).toLowerCase().trim();
+    if (email === user.email) {
+      return { error: { status: 400, message: 'This is already your email address.' } };
+    }
+    if (await User.exists({ email })) {
+      return { error: { status: 409, message: 'This email address is already in use.' } };
+    }
+
+    user.pendingEmail = email;
+    await user.save();
+
+    const token = await ActionTokenService.issue(user, 'EMAIL_CHANGE', email);
+    await MailService.sendEmailChangeConfirmation(user, token, email);
+
+    await AuditService.record(AuditAction.ACCOUNT_EMAIL_CHANGE_REQUESTED, {
+      req,
+      targetType: 'USER',
+      targetId: user._id,
+      metadata: { pendingEmail: email }
+    });
+    return { pendingEmail: email };
+  }
+
+  // Apply a confirmed email change. Resolves to the updated user, or { error }.
+  async confirmEmailChange(token, req) {
+    const record = await ActionTokenService.consume(token, 'EMAIL_CHANGE');
+    const user = record ? await User.findById(record.userId) : null;
+    if (!user || user.anonymizedAt || user.pendingEmail !== record.email) {
+      return { error: { status: 400, message: 'Invalid or expired email change token' } };
+    }
+    if (await User.exists({ email: record.email, _id: { $ne: user._id } })) {
+      return { error: { status: 409, message: 'This email address is already in use.' } };
+    }
+
+    const previousEmail = user.email;
+    user.email = record.email;
+    user.pendingEmail = null;
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    // Outstanding reset/verification links were sent to the old address
+    await ActionToken.updateMany(
+      { userId: user._id, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+
+    await AuditService.record(AuditAction.ACCOUNT_EMAIL_CHANGED, {
+      req,
+      actorId: user._id,
+      targetType: 'USER',
+      targetId: user._id,
+      metadata: { previousEmail, email: user.email }
+    });
+
+    try {
+      await MailService.sendEmailChangedNotice(user, previousEmail);
+    } catch (error) {
+      logger.error({ err: error, userId: user.id }, 'Failed to send email change notice');
+    }
+    return { user };
+  }
+
+  // Change the password of a user loaded with +password. Other sessions are signed out.
+  async changePassword(user, currentPassword, newPassword, req) {
+    if (!(await user.comparePassword(currentPassword))) {
+      return { error: { status: 401, message: 'Current password is incorrect.' } };
+    }
+
+    user.password = newPassword; // Hashed by the pre-save hook
+    await user.save();
+
+    await SessionService.revokeAllForUser(user._id, 'PASSWORD_CHANGED', req.authSession ? req.authSession._id : null);
+    await AuditService.record(AuditAction.ACCOUNT_PASSWORD_CHANGED, { req, targetType: 'USER', targetId: user._id });
+    return { user };
+  }
+
+  // Portfolios where the user is the only OWNER; deleting the account would orphan them
+  async soleOwnedPortfolioIds(userId) {
+    const owned = await UserRoleAssociation.find({
+      userId,
+      associatedEntityType: AssociatedEntityType.PORTFOLIO,
+      roleWithinEntity: Role.OWNER
+    }).select('associatedEntityId');
+
+    const sole = [];
+    for (const assoc of owned) {
+      const otherOwners = await UserRoleAssociation.countDocuments({
+        associatedEntityType: AssociatedEntityType.PORTFOLIO,
+        associatedEntityId: assoc.associatedEntityId,
+        roleWithinEntity: Role.OWNER,
+        userId: { $ne: userId }
+      });
+      if (otherOwners === 0) sole.push(assoc.associatedEntityId);
+    }
+    return sole;
+  }
+
+  // GDPR-style erasure. The User document is kept (other records reference it) but every personal
+  // field is overwritten, credentials are destroyed and all access is removed, including the guest
+  // access the user handed out.
+  async deleteAccount(user, req) {
+    const now = new Date();
+    const userId = user._id;
+    const memberships = await UserRoleAssociation.find({ userId });
+
+    const [associations, smartThingsTokens] = await Promise.all([
+      UserRoleAssociation.deleteMany({ userId }),
+      SmartThingsToken.deleteMany({ userId }),
+      // Roles on soft-deleted entities too, so a later restore does not bring them back
+      UserRoleAssociation.deleteMany({ userId, deletedAt: { $ne: null } }),
+      SessionService.revokeAllForUser(userId, 'ACCOUNT_DELETED'),
+      ApiKey.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: now } }),
+      ActionToken.deleteMany({ userId }),
+      DataExportJob.deleteMany({ subjectUserId: userId })
+    ]);
+    // Grants the user holds as a guest and those they handed out as a tenant
+    const guestGrants = await GuestAccessGrant.updateMany(
+      { $or: [{ guestUserId: userId }, { grantedBy: userId }], revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'ACCOUNT_DELETED' } }
+    );
+
+    // Member lists on the entities follow the removed roles (a unit left without tenants becomes
+    // vacant); lists on soft-deleted entities are cleaned too, as their roles were
+    for (const membership of memberships) {
+      await RoleAssignmentService.syncMemberList(userId, membership.associatedEntityType, membership.associatedEntityId, membership.roleWithinEntity, null);
+    }
+    await Promise.all([
+      Portfolio.updateMany({ administratorUserIds: userId, deletedAt: { $ne: null } }, { $pull: { administratorUserIds: userId } }),
+      Property.updateMany({ managerUserIds: userId, deletedAt: { $ne: null } }, { $pull: { managerUserIds: userId } }),
+      Unit.updateMany({ tenantUserIds: userId, deletedAt: { $ne: null } }, { $pull: { tenantUserIds: userId } })
+    ]);
+
+    user.firstName = 'Deleted';
+    user.lastName = 'User';
+    user.email = `deleted-${userId}@deleted.invalid`;
+    user.pendingEmail = null;
+    user.password = crypto.randomBytes(32).toString('hex'); // Unknown to anyone; the account can't sign in
+    user.emailVerified = false;
+    user.emailVerifiedAt = null;
+    user.mfa.enabled = false;
+    user.mfa.enabledAt = null;
+    user.mfa.secret = undefined;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.recoveryCodeHashes = undefined;
+    user.mfa.lastUsedStep = undefined;
+    user.defaultPortfolioId = null;
+    user.defaultPropertyId = null;
+    user.defaultUnitId = null;
+    user.anonymizedAt = now;
+    await user.save();
+
+    await AuditService.record(AuditAction.ACCOUNT_DELETED, {
+      req,
+      targetType: 'USER',
+      targetId: userId,
+      metadata: {
+        roleAssociationsRemoved: associations.deletedCount,
+        smartThingsTokensRemoved: smartThingsTokens.deletedCount,
+        guestGrantsRevoked: guestGrants.modifiedCount
+      }
+    });
+    return user;
+  }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ActionToken = require('../models/ActionToken');
+require('dotenv').config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// Lifetime of each token purpose, in seconds
+const TOKEN_TTL_SECONDS = Object.freeze({
+  PASSWORD_RESET: 60 * 60, // 1 hour
+  EMAIL_VERIFICATION: 24 * 60 * 60, // 24 hours
+  EMAIL_CHANGE: 24 * 60 * 60 // 24 hours
+});
+
+class ActionTokenService {
+  // Issue a signed token for a user. Any outstanding token for the same purpose is invalidated
+  // so only the most recently emailed link works.
+  async issue(user, purpose, email = user.email) {
+    const ttlSeconds = TOKEN_TTL_SECONDS[purpose];
+    if (!ttlSeconds) {
+      throw new Error(`Unknown action token purpose: ${purpose}`);
+    }
+
+    await ActionToken.updateMany(
+      { userId: user._id, purpose, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+
+    const jti = crypto.randomBytes(16).toString('hex');
+    await new ActionToken({
+      jti,
+      userId: user._id,
+      purpose,
+      email,
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+    }).save();
+
+    return jwt.sign({ sub: user._id.toString(), purpose }, JWT_SECRET, {
+      expiresIn: ttlSeconds,
+      jwtid: jti
+    });
+  }
+
+  // Verify and burn a token. Returns the ActionToken record, or null if the token is
+  // malformed, expired, issued for another purpose, or has already been used.
+  async consume(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+
+    if (decoded.purpose !== purpose || !decoded.jti) {
+      return null;
+    }
+
+    return ActionToken.findOneAndUpdate(
+      {
+        jti: decoded.jti,
+        userId: decoded.sub,
+        purpose,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new ActionTokenService();
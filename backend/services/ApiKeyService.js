@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+
+const KEY_PREFIX = 'ush';
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000; // Avoid a write on every request
+
+class ApiKeyService {
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  // API keys look like "ush_<12 hex prefix>_<secret>"
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(`${KEY_PREFIX}_`);
+  }
+
+  parseKey(rawKey) {
+    const parts = rawKey.split('_');
+    if (parts.length !== 3 || parts[0] !== KEY_PREFIX || !parts[1] || !parts[2]) {
+      return null;
+    }
+    return { prefix: parts[1], secret: parts[2] };
+  }
+
+  // Create a key; resolves to { apiKey, plaintextKey }. The plaintext is never stored.
+  async createKey({ name, userId, portfolioId = null, scopes, expiresAt = null, createdBy }) {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url').replace(/_/g, '-');
+
+    const apiKey = new ApiKey({
+      name,
+      prefix,
+      keyHash: this.hashSecret(secret),
+      userId,
+      portfolioId,
+      scopes,
+      expiresAt,
+      createdBy
+    });
+    await apiKey.save();
+
+    return { apiKey, plaintextKey: `${KEY_PREFIX}_${prefix}_${secret}` };
+  }
+
+  // Resolve a presented key to an active ApiKey document, or null. Records last-used metadata.
+  async authenticate(rawKey, req) {
+    const parsed = this.parseKey(rawKey);
+    if (!parsed) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({ prefix: parsed.prefix }).select('+keyHash');
+    if (!apiKey || !apiKey.isActive()) {
+      return null;
+    }
+
+    const presented = Buffer.from(this.hashSecret(parsed.secret));
+    const stored = Buffer.from(apiKey.keyHash);
+    if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+      return null;
+    }
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_WRITE_INTERVAL_MS || apiKey.lastUsedIp !== req.ip) {
+      apiKey.lastUsedAt = now;
+      apiKey.lastUsedIp = req.ip;
+      apiKey.lastUsedUserAgent = req.headers['user-agent'] || null;
+      await ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: now, lastUsedIp: apiKey.lastUsedIp, lastUsedUserAgent: apiKey.lastUsedUserAgent } }
+      );
+    }
+
+    return apiKey;
+  }
+}
+
+module.exports = new ApiKeyService();
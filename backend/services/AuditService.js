@@ -0,0 +1,34 @@
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../logger');
+
+class AuditService {
+  // Identity fields for an event raised while handling `req`
+  contextFromRequest(req) {
+    if (!req) {
+      return {};
+    }
+    return {
+      actorId: req.user ? req.user.id : null,
+      impersonatorId: req.impersonatorId || null,
+      sessionId: req.authSession ? req.authSession._id : null,
+      ipAddress: req.ip || null,
+      userAgent: req.headers ? req.headers['user-agent'] || null : null
+    };
+  }
+
+  // Record an event. Explicit fields override those derived from `req`.
+  async record(action, { req, ...fields } = {}) {
+    const event = new AuditEvent({ ...this.contextFromRequest(req), ...fields, action });
+    await event.save();
+    return event;
+  }
+
+  // Fire-and-forget variant for places where an audit write failure must not fail the request
+  recordInBackground(action, options = {}) {
+    this.record(action, options).catch(error => {
+      logger.error({ err: error, action }, 'Failed to write audit event');
+    });
+  }
+}
+
+module.exports = new AuditService();
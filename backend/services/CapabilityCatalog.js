@@ -0,0 +1,280 @@
+// Canonical device capabilities shared by every vendor. Devices declare capabilities by these
+// names, commands sent through POST /devices/:id/control use these command names and arguments,
+// and vendor mappings (e.g. SmartThingsService) translate their own capabilities into these.
+//
+// Value specs (attributes and command arguments) are
+//   { type: 'enum', values }
+//   { type: 'integer' | 'number', min?, max?, unit? | units? }
+//   { type: 'string' | 'boolean' }
+//   { type: 'object', properties: { name: spec } }
+// `unit` is the fixed unit of a value; `units` lists the units a vendor may report it in.
+// Command names are unique across the catalog, so a command alone identifies its capability.
+
+const percent = { type: 'integer', min: 0, max: 100, unit: '%' };
+const huePercent = { type: 'number', min: 0, max: 100, unit: '%' };
+const temperature = { type: 'number', min: -50, max: 150, units: ['C', 'F'] };
+const detection = { type: 'enum', values: ['clear', 'detected', 'tested'] };
+
+const CAPABILITIES = Object.freeze({
+  switch: {
+    attributes: { switch: { type: 'enum', values: ['on', 'off'] } },
+    commands: { on: {}, off: {} }
+  },
+  level: {
+    attributes: { level: percent },
+    commands: { setLevel: { level: percent } }
+  },
+  color: {
+    attributes: { hue: huePercent, saturation: huePercent },
+    commands: {
+      setColor: { color: { type: 'object', properties: { hue: huePercent, saturation: huePercent } } },
+      setHue: { hue: huePercent },
+      setSaturation: { saturation: huePercent }
+    }
+  },
+  colorTemperature: {
+    attributes: { colorTemperature: { type: 'integer', min: 1000, max: 30000, unit: 'K' } },
+    commands: { setColorTemperature: { temperature: { type: 'integer', min: 1000, max: 30000, unit: 'K' } } }
+  },
+  thermostat: {
+    attributes: {
+      heatingSetpoint: temperature,
+      coolingSetpoint: temperature,
+      thermostatMode: { type: 'enum', values: ['auto', 'cool', 'heat', 'off', 'emergency heat'] },
+      thermostatOperatingState: { type: 'enum', values: ['idle', 'heating', 'cooling', 'fan only', 'pending heat', 'pending cool'] }
+    },
+    commands: {
+      setHeatingSetpoint: { temperature },
+      setCoolingSetpoint: { temperature },
+      setThermostatMode: { mode: { type: 'enum', values: ['auto', 'cool', 'heat', 'off', 'emergency heat'] } }
+    }
+  },
+  lock: {
+    attributes: { lock: { type: 'enum', values: ['locked', 'unlocked', 'unknown', 'jammed'] } },
+    commands: { lock: {}, unlock: {} }
+  },
+  doorControl: {
+    attributes: { door: { type: 'enum', values: ['open', 'closed', 'opening', 'closing', 'unknown'] } },
+    commands: { open: {}, close: {} }
+  },
+  valve: {
+    attributes: { valve: { type: 'enum', values: ['open', 'closed'] } },
+    commands: { openValve: {}, closeValve: {} }
+  },
+  audioVolume: {
+    attributes: { volume: percent, mute: { type: 'enum', values: ['muted', 'unmuted'] } },
+    commands: { setVolume: { volume: percent }, mute: {}, unmute: {} }
+  },
+  contact: {
+    attributes: { contact: { type: 'enum', values: ['open', 'closed'] } },
+    commands: {}
+  },
+  motion: {
+    attributes: { motion: { type: 'enum', values: ['active', 'inactive'] } },
+    commands: {}
+  },
+  temperature: {
+    attributes: { temperature },
+    commands: {}
+  },
+  humidity: {
+    attributes: { humidity: { type: 'number', min: 0, max: 100, unit: '%' } },
+    commands: {}
+  },
+  illuminance: {
+    attributes: { illuminance: { type: 'number', min: 0, unit: 'lux' } },
+    commands: {}
+  },
+  battery: {
+    attributes: { battery: percent },
+    commands: {}
+  },
+  energyMeter: {
+    attributes: { energy: { type: 'number', min: 0, unit: 'kWh' } },
+    commands: {}
+  },
+  powerMeter: {
+    attributes: { power: { type: 'number', unit: 'W' } },
+    commands: {}
+  },
+  waterLeak: {
+    attributes: { water: { type: 'enum', values: ['dry', 'wet'] } },
+    commands: {}
+  },
+  smoke: {
+    attributes: { smoke: detection },
+    commands: {}
+  },
+  carbonMonoxide: {
+    attributes: { carbonMonoxide: detection },
+    commands: {}
+  }
+});
+
+// Attribute values a command is expected to produce once the vendor accepts it
+const COMMAND_EFFECTS = Object.freeze({
+  on: () => ({ switch: 'on' }),
+  off: () => ({ switch: 'off' }),
+  setLevel: (p) => ({ level: p.level }),
+  setColor: (p) => ({ hue: p.color.hue, saturation: p.color.saturation }),
+  setHue: (p) => ({ hue: p.hue }),
+  setSaturation: (p) => ({ saturation: p.saturation }),
+  setColorTemperature: (p) => ({ colorTemperature: p.temperature }),
+  setHeatingSetpoint: (p) => ({ heatingSetpoint: p.temperature }),
+  setCoolingSetpoint: (p) => ({ coolingSetpoint: p.temperature }),
+  setThermostatMode: (p) => ({ thermostatMode: p.mode }),
+  lock: () => ({ lock: 'locked' }),
+  unlock: () => ({ lock: 'unlocked' }),
+  open: () => ({ door: 'open' }),
+  close: () => ({ door: 'closed' }),
+  openValve: () => ({ valve: 'open' }),
+  closeValve: () => ({ valve: 'closed' }),
+  setVolume: (p) => ({ volume: p.volume }),
+  mute: () => ({ mute: 'muted' }),
+  unmute: () => ({ mute: 'unmuted' })
+});
+
+// Command name -> capability name
+const COMMAND_INDEX = {};
+for (const [capability, spec] of Object.entries(CAPABILITIES)) {
+  for (const command of Object.keys(spec.commands)) {
+    if (COMMAND_INDEX[command]) {
+      throw new Error(`Capability command "${command}" is defined by both ${COMMAND_INDEX[command]} and ${capability}.`);
+    }
+    COMMAND_INDEX[command] = capability;
+  }
+}
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+class CapabilityCatalog {
+  get capabilities() {
+    return CAPABILITIES;
+  }
+
+  get capabilityNames() {
+    return Object.keys(CAPABILITIES);
+  }
+
+  get commandNames() {
+    return Object.keys(COMMAND_INDEX);
+  }
+
+  get(capability) {
+    return Object.prototype.hasOwnProperty.call(CAPABILITIES, capability) ? CAPABILITIES[capability] : null;
+  }
+
+  // Capability that defines `command`, or null
+  capabilityForCommand(command) {
+    return Object.prototype.hasOwnProperty.call(COMMAND_INDEX, command) ? COMMAND_INDEX[command] : null;
+  }
+
+  // Whether `value` matches a value spec (see the top of this file)
+  matches(spec, value) {
+    switch (spec.type) {
+      case 'enum':
+        return spec.values.includes(value);
+      case 'integer':
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value) &&
+          (spec.type === 'number' || Number.isInteger(value)) &&
+          (spec.min === undefined || value >= spec.min) &&
+          (spec.max === undefined || value <= spec.max);
+      case 'string':
+        return typeof value === 'string';
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'object':
+        return isPlainObject(value) && Object.keys(spec.properties).every(name => this.matches(spec.properties[name], value[name]));
+      default:
+        return false;
+    }
+  }
+
+  // Canonical capability names a device declares. Empty for devices registered without any.
+  declaredBy(device) {
+    return (device && device.capabilities ? device.capabilities : [])
+      .map(capability => capability.type)
+      .filter(type => this.get(type));
+  }
+
+  // Checks `{ command, parameters }` against the catalog and, when given, against the capabilities
+  // the device declares (a device declaring none accepts no command). Resolves
+  // `{ capability, command, parameters }` or `{ error }` with a message.
+  resolveCommand(body, device = null) {
+    const { command, parameters = {} } = body || {};
+    const capability = this.capabilityForCommand(command);
+    if (!capability) {
+      return { error: `command must be one of: ${this.commandNames.join(', ')}.` };
+    }
+    if (!isPlainObject(parameters)) {
+      return { error: 'parameters must be an object.' };
+    }
+    const args = CAPABILITIES[capability].commands[command];
+    const invalid = Object.keys(args).find(name => !this.matches(args[name], parameters[name]));
+    if (invalid) {
+      return { error: `Invalid or missing parameter "${invalid}" for ${command}.` };
+    }
+    const declared = device ? this.declaredBy(device) : null;
+    if (declared && declared.length === 0) {
+      return { error: 'This device declares no capabilities. Add them with PUT /api/v1/devices/:id before sending commands.' };
+    }
+    if (declared && !declared.includes(capability)) {
+      return { error: `This device does not support ${command} (capability "${capability}").` };
+    }
+    const known = {};
+    for (const name of Object.keys(args)) known[name] = parameters[name];
+    return { capability, command, parameters: known };
+  }
+
+  // State a resolved command is expected to leave the device in, in the same shape vendor mappings
+  // report state: { capability: { attribute: { value, unit, timestamp } } }
+  expectedState({ capability, command, parameters }, timestamp = new Date()) {
+    const effect = COMMAND_EFFECTS[command];
+    if (!effect) {
+      return {};
+    }
+    const attributes = {};
+    for (const [attribute, value] of Object.entries(effect(parameters || {}))) {
+      attributes[attribute] = { value, unit: CAPABILITIES[capability].attributes[attribute].unit || null, timestamp };
+    }
+    return { [capability]: attributes };
+  }
+
+  // Validates device capability declarations: [{ type, attributes? }] where `type` is a catalog
+  // capability and `attributes` holds values for its attributes. Returns an error message or null.
+  validateDeclarations(capabilities) {
+    if (!Array.isArray(capabilities)) {
+      return 'capabilities must be an array of { type, attributes } objects.';
+    }
+    const seen = new Set();
+    for (const declaration of capabilities) {
+      if (!isPlainObject(declaration) || typeof declaration.type !== 'string') {
+        return 'capabilities must be an array of { type, attributes } objects.';
+      }
+      const spec = this.get(declaration.type);
+      if (!spec) {
+        return `Unknown capability "${declaration.type}". Capabilities must be one of: ${this.capabilityNames.join(', ')}.`;
+      }
+      if (seen.has(declaration.type)) {
+        return `Capability "${declaration.type}" is declared more than once.`;
+      }
+      seen.add(declaration.type);
+      if (declaration.attributes === undefined) continue;
+      if (!isPlainObject(declaration.attributes)) {
+        return `Attributes of capability "${declaration.type}" must be an object.`;
+      }
+      for (const [name, value] of Object.entries(declaration.attributes)) {
+        if (!spec.attributes[name]) {
+          return `Capability "${declaration.type}" has no attribute "${name}".`;
+        }
+        if (value !== null && !this.matches(spec.attributes[name], value)) {
+          return `Invalid value for attribute "${name}" of capability "${declaration.type}".`;
+        }
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = new CapabilityCatalog();
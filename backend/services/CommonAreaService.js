@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const CommonArea = require('../models/CommonArea');
+const Device = require('../models/Device');
+const Unit = require('../models/Unit');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const AccessScheduleService = require('./AccessScheduleService');
+const { AssociatedEntityType, Role } = require('../enums');
+
+const AREA_TYPES = CommonArea.schema.path('type').enumValues;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const includesId = (ids, id) => (ids || []).some(candidate => candidate.equals(id));
+
+// Common areas of a property and who may use them. Entitlement only ever reaches tenants of the
+// area's property (see CommonArea.access); the policy consults it for device read and control.
+class CommonAreaService {
+  get areaTypes() {
+    return AREA_TYPES;
+  }
+
+  // Validates a create (name and type required) or update body. Returns an error message or null.
+  validate({ name, type, access, schedule, timeZone }, { partial = false } = {}) {
+    if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+      return 'Common area name is required.';
+    }
+    if ((!partial || type !== undefined) && !AREA_TYPES.includes(type)) {
+      return `Common area type must be one of: ${AREA_TYPES.join(', ')}.`;
+    }
+    if (access !== undefined) {
+      if (!access || typeof access !== 'object') {
+        return 'access must be an object with allUnits, unitIds and tenantUserIds.';
+      }
+      if (access.allUnits !== undefined && typeof access.allUnits !== 'boolean') {
+        return 'access.allUnits must be a boolean.';
+      }
+      for (const field of ['unitIds', 'tenantUserIds']) {
+        if (access[field] !== undefined &&
+            (!Array.isArray(access[field]) || !access[field].every(id => mongoose.Types.ObjectId.isValid(id)))) {
+          return `access.${field} must be an array of IDs.`;
+        }
+      }
+    }
+    if (schedule !== undefined) {
+      const invalid = AccessScheduleService.validateWindows(schedule);
+      if (invalid) return invalid;
+    }
+    if (timeZone !== undefined && !AccessScheduleService.isValidTimeZone(timeZone)) {
+      return 'timeZone must be an IANA time zone, e.g. "America/New_York".';
+    }
+    return null;
+  }
+
+  // Entitled units must belong to the area's property. Returns an error message or null.
+  async checkAccessUnits(propertyId, access) {
+    if (!access || !access.unitIds || access.unitIds.length === 0) {
+      return null;
+    }
+    const found = await Unit.countDocuments({ _id: { $in: access.unitIds }, propertyId });
+    return found === new Set(access.unitIds.map(String)).size ? null : 'access.unitIds must be units of this property.';
+  }
+
+  async create(property, { name, type, description, access, schedule, timeZone }) {
+    return new CommonArea({
+      name,
+      type,
+      description,
+      propertyId: property._id,
+      access: access || {},
+      schedule: schedule || [],
+      timeZone: timeZone || property.defaultTimeZone || 'UTC'
+    }).save();
+  }
+
+  async update(area, { name, type, description, access, schedule, timeZone }) {
+    if (name !== undefined) area.name = name;
+    if (type !== undefined) area.type = type;
+    if (description !== undefined) area.description = description;
+    if (access !== undefined) {
+      if (access.allUnits !== undefined) area.access.allUnits = access.allUnits;
+      if (access.unitIds !== undefined) area.access.unitIds = access.unitIds;
+      if (access.tenantUserIds !== undefined) area.access.tenantUserIds = access.tenantUserIds;
+    }
+    if (schedule !== undefined) area.schedule = schedule;
+    if (timeZone !== undefined) area.timeZone = timeZone;
+    return area.save();
+  }
+
+  // Deleting an area leaves its devices on the property
+  async remove(area) {
+    const devices = await Device.updateMany({ commonAreaId: area._id }, { $set: { commonAreaId: null } });
+    await area.deleteOne();
+    return { devicesUnassigned: devices.modifiedCount };
+  }
+
+  // Put devices in an area, taking them out of any other area. They must be attached to the
+  // area's property and not to a unit. Resolves to { area } or { error }.
+  async assignDevices(area, deviceIds) {
+    const devices = await Device.find({ _id: { $in: deviceIds } });
+    if (devices.length !== new Set(deviceIds.map(String)).size) {
+      return { error: { status: 404, message: 'One or more devices were not found.' } };
+    }
+    const misplaced = devices.filter(device => device.unitId || !device.propertyId || !idOf(device.propertyId).equals(area.propertyId));
+    if (misplaced.length > 0) {
+      return {
+        error: {
+          status: 400,
+          message: `Devices must be attached to this property and not to a unit: ${misplaced.map(device => device._id).join(', ')}.`
+        }
+      };
+    }
+
+    const ids = devices.map(device => device._id);
+    await CommonArea.updateMany({ _id: { $ne: area._id }, deviceIds: { $in: ids } }, { $pull: { deviceIds: { $in: ids } } });
+    await Device.updateMany({ _id: { $in: ids } }, { $set: { commonAreaId: area._id } });
+    return { area: await CommonArea.findByIdAndUpdate(area._id, { $addToSet: { deviceIds: { $each: ids } } }, { new: true }) };
+  }
+
+  async unassignDevice(area, deviceId) {
+    await Device.updateOne({ _id: deviceId, commonAreaId: area._id }, { $set: { commonAreaId: null } });
+    return CommonArea.findByIdAndUpdate(area._id, { $pull: { deviceIds: deviceId } }, { new: true });
+  }
+
+  // Take devices out of their areas, e.g. after they were moved into a unit
+  async detachDevices(deviceIds) {
+    await CommonArea.updateMany({ deviceIds: { $in: deviceIds } }, { $pull: { deviceIds: { $in: deviceIds } } });
+    await Device.updateMany({ _id: { $in: deviceIds } }, { $set: { commonAreaId: null } });
+  }
+
+  isOpen(area, now = new Date()) {
+    return AccessScheduleService.isWithinWindows(area.schedule, area.timeZone, now);
+  }
+
+  // Whether a tenant of `unitIds` (their units in the area's property), or `userId` by name, may use the area
+  entitles(area, userId, unitIds) {
+    if (unitIds.length === 0) {
+      return false;
+    }
+    return area.access.allUnits ||
+      unitIds.some(unitId => includesId(area.access.unitIds, unitId)) ||
+      includesId(area.access.tenantUserIds, userId);
+  }
+
+  // Units the user is a tenant of, grouped by property ID
+  async tenantUnitsByProperty(userId) {
+    const unitIds = await UserRoleAssociation.find({
+      userId,
+      associatedEntityType: AssociatedEntityType.UNIT,
+      roleWithinEntity: Role.TENANT
+    }).distinct('associatedEntityId');
+    const units = await Unit.find({ _id: { $in: unitIds } }).select('propertyId');
+    const byProperty = new Map();
+    for (const unit of units) {
+      const key = unit.propertyId.toString();
+      if (!byProperty.has(key)) byProperty.set(key, []);
+      byProperty.get(key).push(unit._id);
+    }
+    return byProperty;
+  }
+
+  // Areas the user may use. Limit to one property with `propertyId`.
+  async entitledAreas(userId, { propertyId = null } = {}) {
+    const byProperty = await this.tenantUnitsByProperty(userId);
+    const propertyIds = [...byProperty.keys()].filter(id => !propertyId || id === propertyId.toString());
+    if (propertyIds.length === 0) {
+      return [];
+    }
+    const areas = await CommonArea.find({ propertyId: { $in: propertyIds } }).sort({ name: 1 });
+    const userObjectId = new mongoose.Types.ObjectId(String(userId));
+    return areas.filter(area => this.entitles(area, userObjectId, byProperty.get(area.propertyId.toString())));
+  }
+
+  // Device IDs the user reaches through common areas; with `control`, only areas open right now
+  async entitledDeviceIds(userId, { control = false, now = new Date() } = {}) {
+    const areas = await this.entitledAreas(userId);
+    return areas
+      .filter(area => !control || this.isOpen(area, now))
+      .flatMap(area => area.deviceIds);
+  }
+
+  // Whether the user may read (or, with `control`, control right now) a common-area device
+  async allowsDevice(userId, device, { control = false, now = new Date() } = {}) {
+    if (!device.commonAreaId) {
+      return false;
+    }
+    const area = await CommonArea.findById(device.commonAreaId);
+    if (!area || !includesId(area.deviceIds, device._id)) {
+      return false;
+    }
+    const unitIds = (await this.tenantUnitsByProperty(userId)).get(area.propertyId.toString()) || [];
+    return this.entitles(area, new mongoose.Types.ObjectId(String(userId)), unitIds) && (!control || this.isOpen(area, now));
+  }
+
+  // Areas available to a unit's tenants: those open to every unit or to this unit, plus areas the
+  // calling tenant is listed on by name
+  async areasForUnit(unit, userId = null) {
+    const areas = await CommonArea.find({ propertyId: idOf(unit.propertyId) }).sort({ name: 1 });
+    return areas.filter(area => area.access.allUnits ||
+      includesId(area.access.unitIds, unit._id) ||
+      (userId && includesId(area.access.tenantUserIds, new mongoose.Types.ObjectId(String(userId)))));
+  }
+
+  // Tenant-facing view of an area with its devices
+  async describe(area, now = new Date()) {
+    const devices = await Device.find({ _id: { $in: area.deviceIds } }).sort({ name: 1 });
+    return {
+      id: area._id,
+      name: area.name,
+      type: area.type,
+      description: area.description,
+      schedule: area.schedule,
+      timeZone: area.timeZone,
+      openNow: this.isOpen(area, now),
+      devices
+    };
+  }
+}
+
+module.exports = new CommonAreaService();
@@ -0,0 +1,154 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const User = require('../models/User');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const SmartThingsToken = require('../models/SmartThingsToken');
+const GuestAccessGrant = require('../models/GuestAccessGrant');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const DeviceCommand = require('../models/DeviceCommand');
+const DeviceEvent = require('../models/DeviceEvent');
+const AuditEvent = require('../models/AuditEvent');
+const DataExportJob = require('../models/DataExportJob');
+const logger = require('../logger');
+require('dotenv').config();
+
+const gzip = promisify(zlib.gzip);
+
+const ARCHIVE_FORMAT = 'unified-smart-home/personal-data-export';
+const ARCHIVE_VERSION = 1;
+const EXPORT_RETENTION_HOURS = parseInt(process.env.DATA_EXPORT_RETENTION_HOURS, 10) || 72;
+const MAX_ARCHIVE_BYTES = 15 * 1024 * 1024; // Stays below MongoDB's 16 MB document limit
+
+// Everything held about a user, one entry per archive section. Secret material (password and
+// token hashes, OAuth tokens, MFA secrets) is `select: false` on the models and never loaded here.
+const SECTIONS = Object.freeze({
+  user: (userId) => User.findById(userId).select('-password'),
+  roleAssociations: (userId) => UserRoleAssociation.find({ userId }),
+  smartThingsTokens: (userId) => SmartThingsToken.find({ userId }),
+  guestAccessGrants: (userId) => GuestAccessGrant.find({ guestUserId: userId }),
+  sessions: (userId) => Session.find({ userId }).select('createdAt lastUsedAt expiresAt userAgent ipAddress impersonatorId revokedAt revokedReason'),
+  apiKeys: (userId) => ApiKey.find({ userId }),
+  deviceCommands: (userId) => DeviceCommand.find({ initiatedBy: userId }).sort({ createdAt: 1 }),
+  deviceEvents: (userId) => DeviceEvent.find({ initiatedBy: userId }).sort({ timestamp: 1 }),
+  auditEvents: (userId) => AuditEvent.find({ $or: [{ actorId: userId }, { impersonatorId: userId }, { targetType: 'USER', targetId: userId }] }).sort({ createdAt: 1 })
+});
+
+class DataExportService {
+  // Queue an export of `subjectUserId`. An export already in progress for the user is returned
+  // instead of starting another one.
+  async requestExport(subjectUserId, requestedBy) {
+    const inFlight = await DataExportJob.findOne({
+      subjectUserId,
+      status: { $in: ['PENDING', 'RUNNING'] }
+    });
+    if (inFlight) {
+      return { job: inFlight, created: false };
+    }
+
+    const job = await new DataExportJob({
+      subjectUserId,
+      requestedBy,
+      expiresAt: this.retentionDeadline()
+    }).save();
+
+    this.runInBackground(job._id);
+    return { job, created: true };
+  }
+
+  retentionDeadline(from = new Date()) {
+    return new Date(from.getTime() + EXPORT_RETENTION_HOURS * 60 * 60 * 1000);
+  }
+
+  runInBackground(jobId) {
+    setImmediate(() => {
+      this.run(jobId).catch(error => {
+        logger.error({ err: error, jobId }, 'Data export job crashed');
+      });
+    });
+  }
+
+  // Restart jobs interrupted by a process restart
+  async resumePending() {
+    const jobs = await DataExportJob.find({ status: { $in: ['PENDING', 'RUNNING'] } }).select('_id');
+    jobs.forEach(job => this.runInBackground(job._id));
+    return jobs.length;
+  }
+
+  async run(jobId) {
+    const job = await DataExportJob.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['PENDING', 'RUNNING'] } },
+      { $set: { status: 'RUNNING', startedAt: new Date() } },
+      { new: true }
+    );
+    if (!job) {
+      return null;
+    }
+
+    try {
+      const archive = await gzip(JSON.stringify(await this.buildArchive(job.subjectUserId)));
+      if (archive.length > MAX_ARCHIVE_BYTES) {
+        throw new Error('Export archive exceeds the maximum supported size');
+      }
+
+      const completedAt = new Date();
+      job.set({
+        status: 'COMPLETED',
+        completedAt,
+        archive,
+        archiveSize: archive.length,
+        expiresAt: this.retentionDeadline(completedAt)
+      });
+    } catch (error) {
+      logger.error({ err: error, jobId: job.id }, 'Data export job failed');
+      job.set({ status: 'FAILED', completedAt: new Date(), error: error.message });
+    }
+    return job.save();
+  }
+
+  async buildArchive(userId) {
+    const sections = {};
+    for (const [name, load] of Object.entries(SECTIONS)) {
+      sections[name] = await load(userId);
+    }
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      generatedAt: new Date().toISOString(),
+      userId: userId.toString(),
+      sections
+    };
+  }
+
+  async loadArchive(job) {
+    const withArchive = await DataExportJob.findById(job._id).select('+archive');
+    return withArchive && withArchive.archive ? withArchive.archive : null;
+  }
+
+  downloadHeaders(job) {
+    const fileName = `personal-data-${job.subjectUserId}-${job.createdAt.toISOString().slice(0, 10)}.json.gz`;
+    return {
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'no-store'
+    };
+  }
+
+  // Public view of a job; `downloadPath` is included once the archive is ready
+  serializeJob(job, downloadPath) {
+    return {
+      id: job._id,
+      subjectUserId: job.subjectUserId,
+      requestedBy: job.requestedBy,
+      status: job.status,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+      expiresAt: job.expiresAt,
+      archiveSize: job.archiveSize,
+      error: job.error,
+      downloadUrl: job.status === 'COMPLETED' ? downloadPath : null
+    };
+  }
+}
+
+module.exports = new DataExportService();
@@ -0,0 +1,300 @@
+const Portfolio = require('../models/Portfolio');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Room = require('../models/Room');
+const CommonArea = require('../models/CommonArea');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const GuestAccessGrant = require('../models/GuestAccessGrant');
+const Invitation = require('../models/Invitation');
+const SmartThingsToken = require('../models/SmartThingsToken');
+const MoveOutReport = require('../models/MoveOutReport');
+const GuestAccessService = require('./GuestAccessService');
+const PolicyService = require('./PolicyService');
+const AuditService = require('./AuditService');
+const logger = require('../logger');
+const { AssociatedEntityType, AuditAction, PolicyAction, Role } = require('../enums');
+
+const RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS, 10) || 30;
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.SOFT_DELETE_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+const ENTITY_MODELS = Object.freeze({
+  [AssociatedEntityType.PORTFOLIO]: Portfolio,
+  [AssociatedEntityType.PROPERTY]: Property,
+  [AssociatedEntityType.UNIT]: Unit
+});
+
+// The user's navigation default that points at each entity type
+const DEFAULT_FIELDS = Object.freeze({
+  [AssociatedEntityType.PORTFOLIO]: 'defaultPortfolioId',
+  [AssociatedEntityType.PROPERTY]: 'defaultPropertyId',
+  [AssociatedEntityType.UNIT]: 'defaultUnitId'
+});
+
+// Filter matching role associations / invitations on any entity of a tree
+const entityTargets = (tree, typeField, idField) => [
+  [AssociatedEntityType.PORTFOLIO, tree.portfolioIds],
+  [AssociatedEntityType.PROPERTY, tree.propertyIds],
+  [AssociatedEntityType.UNIT, tree.unitIds]
+]
+  .filter(([, ids]) => ids.length > 0)
+  .map(([type, ids]) => ({ [typeField]: type, [idField]: { $in: ids } }));
+
+// Soft delete of portfolios, properties and units. Deleting an entity archives it together with
+// everything beneath it (properties, units, role associations), detaches its devices and revokes
+// outstanding guest grants and invitations. Within the retention window the whole set can be
+// restored; afterwards purgeExpired() removes it for good.
+class DeletionService {
+  get retentionDays() {
+    return RETENTION_DAYS;
+  }
+
+  restorableUntil(doc) {
+    return new Date(doc.deletedAt.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  // IDs of the live entities at and below `doc`
+  async collectTree(entityType, doc) {
+    const tree = { portfolioIds: [], propertyIds: [], unitIds: [] };
+    if (entityType === AssociatedEntityType.PORTFOLIO) {
+      tree.portfolioIds = [doc._id];
+      tree.propertyIds = await Property.find({ portfolioId: doc._id }).distinct('_id');
+      tree.unitIds = await Unit.find({ propertyId: { $in: tree.propertyIds } }).distinct('_id');
+    } else if (entityType === AssociatedEntityType.PROPERTY) {
+      tree.propertyIds = [doc._id];
+      tree.unitIds = await Unit.find({ propertyId: doc._id }).distinct('_id');
+    } else {
+      tree.unitIds = [doc._id];
+    }
+    return tree;
+  }
+
+  // Archive `doc` and its children. Resolves to a summary of what was archived.
+  async softDelete(entityType, doc, actor, req = null) {
+    const now = new Date();
+    const rootId = doc._id;
+    const archive = { deletedAt: now, deletedBy: actor._id, deletedWithId: rootId };
+    const tree = await this.collectTree(entityType, doc);
+
+    await Portfolio.updateMany({ _id: { $in: tree.portfolioIds } }, { $set: { ...archive, updatedAt: now } });
+    await Property.updateMany({ _id: { $in: tree.propertyIds } }, { $set: archive });
+    await Unit.updateMany({ _id: { $in: tree.unitIds } }, { $set: archive });
+
+    const roleTargets = entityTargets(tree, 'associatedEntityType', 'associatedEntityId');
+    const associations = await UserRoleAssociation.updateMany({ $or: roleTargets }, { $set: archive });
+
+    // Devices stay in the inventory, unattached, remembering where they were
+    const devices = await Device.updateMany(
+      { $or: [{ unitId: { $in: tree.unitIds } }, { propertyId: { $in: tree.propertyIds } }] },
+      [
+        { $set: { detachedFrom: { propertyId: '$propertyId', unitId: '$unitId', deletedWithId: rootId, detachedAt: now } } },
+        { $set: { propertyId: null, unitId: null } }
+      ]
+    );
+
+    const grants = await GuestAccessGrant.find({ unitId: { $in: tree.unitIds }, revokedAt: null });
+    for (const grant of grants) {
+      await GuestAccessService.revokeGrant(grant, actor._id, 'ENTITY_DELETED');
+    }
+
+    const invitations = await Invitation.updateMany(
+      { ...Invitation.pendingQuery(now), $or: entityTargets(tree, 'targetType', 'targetId') },
+      { $set: { cancelledAt: now, cancelledBy: actor._id } }
+    );
+
+    for (const [type, ids] of [
+      [AssociatedEntityType.PORTFOLIO, tree.portfolioIds],
+      [AssociatedEntityType.PROPERTY, tree.propertyIds],
+      [AssociatedEntityType.UNIT, tree.unitIds]
+    ]) {
+      if (ids.length > 0) {
+        await User.updateMany({ [DEFAULT_FIELDS[type]]: { $in: ids } }, { $set: { [DEFAULT_FIELDS[type]]: null } });
+      }
+    }
+
+    // A directly deleted child leaves its parent's list (a parent deleted with it keeps the list for restore)
+    if (entityType === AssociatedEntityType.PROPERTY) {
+      await Portfolio.findByIdAndUpdate(doc.portfolioId, { $pull: { propertyIds: rootId }, $set: { updatedAt: now } });
+    } else if (entityType === AssociatedEntityType.UNIT) {
+      await Property.findByIdAndUpdate(doc.propertyId._id || doc.propertyId, { $pull: { unitIds: rootId } });
+    }
+
+    const summary = {
+      deletedAt: now,
+      restorableUntil: this.restorableUntil({ deletedAt: now }),
+      propertiesArchived: entityType === AssociatedEntityType.PROPERTY ? 0 : tree.propertyIds.length,
+      unitsArchived: entityType === AssociatedEntityType.UNIT ? 0 : tree.unitIds.length,
+      roleAssociationsArchived: associations.modifiedCount,
+      devicesDetached: devices.modifiedCount,
+      guestGrantsRevoked: grants.length,
+      invitationsCancelled: invitations.modifiedCount
+    };
+    await AuditService.record(AuditAction.ENTITY_DELETED, {
+      req,
+      targetType: entityType,
+      targetId: rootId,
+      metadata: summary
+    });
+    return summary;
+  }
+
+  // A soft-deleted entity by ID, or null
+  async findDeleted(entityType, id) {
+    return ENTITY_MODELS[entityType].findOne({ _id: id, deletedAt: { $ne: null } });
+  }
+
+  // Whether `user` may restore a soft-deleted entity: the same people who could delete it,
+  // judged on its (live) parent. Resolves to { allowed } or { error }.
+  async authorizeRestore(user, entityType, doc) {
+    const actor = PolicyService.toActor(user);
+
+    if (entityType === AssociatedEntityType.PORTFOLIO) {
+      if (actor.apiKeyPortfolioId && !doc._id.equals(actor.apiKeyPortfolioId)) {
+        return { allowed: false };
+      }
+      // Owners' associations were archived along with the portfolio
+      const wasOwner = await UserRoleAssociation.exists({
+        userId: actor.id,
+        associatedEntityType: AssociatedEntityType.PORTFOLIO,
+        associatedEntityId: doc._id,
+        roleWithinEntity: Role.OWNER,
+        deletedAt: { $ne: null }
+      });
+      return { allowed: actor.isSuperAdmin || !!wasOwner };
+    }
+
+    const [action, parent] = entityType === AssociatedEntityType.PROPERTY
+      ? [PolicyAction.PROPERTY_DELETE, { type: AssociatedEntityType.PORTFOLIO, id: doc.portfolioId }]
+      : [PolicyAction.UNIT_DELETE, { type: AssociatedEntityType.PROPERTY, id: doc.propertyId }];
+    const decision = await PolicyService.authorize(actor, action, parent);
+    if (decision.reason === PolicyService.DenyReason.NOT_FOUND) {
+      return { error: { status: 409, message: `The parent ${parent.type.toLowerCase()} has been deleted. Restore it first.` } };
+    }
+    return { allowed: decision.allowed };
+  }
+
+  // Bring back an entity deleted directly, along with everything archived with it.
+  // Resolves to { restored } or { error: { status, message } }.
+  async restore(entityType, doc, actor, req = null) {
+    const rootId = doc._id;
+    if (!doc.deletedWithId || !doc.deletedWithId.equals(rootId)) {
+      return { error: { status: 409, message: 'This was deleted together with its parent. Restore the parent instead.' } };
+    }
+    if (this.restorableUntil(doc) <= new Date()) {
+      return { error: { status: 410, message: 'The restore window for this deletion has passed.' } };
+    }
+
+    const archived = { deletedWithId: rootId, deletedAt: { $ne: null } };
+    const unarchive = { $set: { deletedAt: null, deletedBy: null, deletedWithId: null } };
+    const [portfolios, properties, units, associations] = await Promise.all(
+      [Portfolio, Property, Unit, UserRoleAssociation].map(Model => Model.updateMany(archived, unarchive))
+    );
+
+    // Reattach devices that were not moved elsewhere in the meantime
+    const devices = await Device.updateMany(
+      { 'detachedFrom.deletedWithId': rootId, propertyId: null, unitId: null },
+      [
+        { $set: { propertyId: '$detachedFrom.propertyId', unitId: '$detachedFrom.unitId' } },
+        { $unset: 'detachedFrom' }
+      ]
+    );
+    await Device.updateMany({ 'detachedFrom.deletedWithId': rootId }, { $unset: { detachedFrom: 1 } });
+
+    if (entityType === AssociatedEntityType.PROPERTY) {
+      await Portfolio.findByIdAndUpdate(doc.portfolioId, { $addToSet: { propertyIds: rootId }, $set: { updatedAt: Date.now() } });
+    } else if (entityType === AssociatedEntityType.UNIT) {
+      await Property.findByIdAndUpdate(doc.propertyId, { $addToSet: { unitIds: rootId } });
+    }
+
+    const restored = {
+      entities: portfolios.modifiedCount + properties.modifiedCount + units.modifiedCount,
+      roleAssociations: associations.modifiedCount,
+      devicesReattached: devices.modifiedCount
+    };
+    await AuditService.record(AuditAction.ENTITY_RESTORED, {
+      req,
+      targetType: entityType,
+      targetId: rootId,
+      metadata: { ...restored, restoredBy: actor._id }
+    });
+    return { restored };
+  }
+
+  // Hard-delete one deletion (root entity plus everything archived with it) and its leftovers
+  async purge(entityType, root) {
+    const rootId = root._id;
+    const archived = { deletedWithId: rootId, deletedAt: { $ne: null } };
+    const tree = {
+      portfolioIds: await Portfolio.find(archived).distinct('_id'),
+      propertyIds: await Property.find(archived).distinct('_id'),
+      unitIds: await Unit.find(archived).distinct('_id')
+    };
+    const roomIds = await Room.find({ $or: [{ propertyId: { $in: tree.propertyIds } }, { unitId: { $in: tree.unitIds } }] }).distinct('_id');
+    const commonAreaIds = await CommonArea.find({ propertyId: { $in: tree.propertyIds } }).distinct('_id');
+
+    await Promise.all([
+      Portfolio.deleteMany(archived),
+      Property.deleteMany(archived),
+      Unit.deleteMany(archived),
+      UserRoleAssociation.deleteMany(archived),
+      Device.updateMany({ 'detachedFrom.deletedWithId': rootId }, { $unset: { detachedFrom: 1 } }),
+      Device.updateMany({ roomId: { $in: roomIds } }, { $set: { roomId: null } }),
+      Room.deleteMany({ _id: { $in: roomIds } }),
+      Device.updateMany({ commonAreaId: { $in: commonAreaIds } }, { $set: { commonAreaId: null } }),
+      CommonArea.deleteMany({ _id: { $in: commonAreaIds } }),
+      CommonArea.updateMany({ 'access.unitIds': { $in: tree.unitIds } }, { $pull: { 'access.unitIds': { $in: tree.unitIds } } }),
+      SmartThingsToken.deleteMany({ $or: [{ propertyId: { $in: tree.propertyIds } }, { unitId: { $in: tree.unitIds } }] }),
+      GuestAccessGrant.deleteMany({ unitId: { $in: tree.unitIds } }),
+      MoveOutReport.deleteMany({ unitId: { $in: tree.unitIds } }),
+      Invitation.deleteMany({ $or: entityTargets(tree, 'targetType', 'targetId') })
+    ]);
+
+    await AuditService.record(AuditAction.ENTITY_PURGED, {
+      targetType: entityType,
+      targetId: rootId,
+      metadata: {
+        deletedAt: root.deletedAt,
+        properties: tree.propertyIds.length,
+        units: tree.unitIds.length
+      }
+    });
+  }
+
+  // Purge every deletion older than the retention window. Resolves to the number purged.
+  async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    let purged = 0;
+
+    for (const [entityType, Model] of Object.entries(ENTITY_MODELS)) {
+      const roots = await Model.find({
+        deletedAt: { $ne: null, $lte: cutoff },
+        $expr: { $eq: ['$deletedWithId', '$_id'] }
+      });
+      for (const root of roots) {
+        await this.purge(entityType, root);
+        purged += 1;
+      }
+    }
+    return purged;
+  }
+
+  // Run purgeExpired() now and then periodically for the life of the process
+  schedulePurge() {
+    const run = () => {
+      this.purgeExpired()
+        .then(count => {
+          if (count > 0) {
+            logger.info({ count }, 'Purged soft-deleted entities');
+          }
+        })
+        .catch(error => {
+          logger.error({ err: error }, 'Failed to purge soft-deleted entities');
+        });
+    };
+    run();
+    setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+  }
+}
+
+module.exports = new DeletionService();
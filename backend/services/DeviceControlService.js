@@ -0,0 +1,175 @@
+const Device = require('../models/Device');
+const DeviceCommand = require('../models/DeviceCommand');
+const CapabilityCatalog = require('./CapabilityCatalog');
+const DeviceStateService = require('./DeviceStateService');
+const DeviceEventService = require('./DeviceEventService');
+const SmartThingsDriver = require('./drivers/SmartThingsDriver');
+const logger = require('../logger');
+
+const POLL_INTERVAL_MINUTES = parseInt(process.env.DEVICE_STATE_POLL_INTERVAL_MINUTES, 10) || 5;
+// Devices refreshed per poll, oldest state first
+const POLL_BATCH_SIZE = 50;
+
+// Sends canonical commands (see CapabilityCatalog) to devices through vendor drivers, recording
+// each attempt as a DeviceCommand, and reads device state back into DeviceStateService. A driver is
+// { vendor, handles(device), linkedQuery(), vendorDeviceId(device), supports(command),
+// translate(device, command), execute(device, command, { userId }), fetchState(device),
+// fetchHistory(device, { limit }) }; the first registered driver that handles a device is used.
+class DeviceControlService {
+  constructor() {
+    this.drivers = [];
+    // Device ID -> when this process last polled it, so devices that fail to refresh wait a full
+    // stale period before being tried again instead of starving the rest. Devices no longer linked
+    // are dropped on each poll.
+    this.polledAt = new Map();
+    this.registerDriver(SmartThingsDriver);
+  }
+
+  registerDriver(driver) {
+    this.drivers.push(driver);
+  }
+
+  driverFor(device) {
+    return this.drivers.find(driver => driver.handles(device)) || null;
+  }
+
+  // Returns an error message, or null for a valid { command, parameters }. With a device, the
+  // command must also belong to a capability the device declares.
+  validate(body, device = null) {
+    return CapabilityCatalog.resolveCommand(body, device).error || null;
+  }
+
+  // Send `{ command, parameters }` (already validated) to a device on behalf of `userId`.
+  // Resolves to the saved DeviceCommand: SUCCEEDED, or FAILED with the reason.
+  async sendCommand(device, body, { userId, req = null }) {
+    const { capability, command, parameters } = CapabilityCatalog.resolveCommand(body);
+    const normalized = { capability, command, parameters };
+    const driver = this.driverFor(device);
+    const record = new DeviceCommand({
+      deviceId: device._id,
+      vendor: driver ? driver.vendor : null,
+      vendorDeviceId: driver ? driver.vendorDeviceId(device) : null,
+      initiatedBy: userId,
+      impersonatorId: req && req.impersonatorId ? req.impersonatorId : null,
+      commands: driver ? driver.translate(device, normalized) : [normalized]
+    });
+
+    if (!driver) {
+      record.set({ status: 'FAILED', error: 'Device is not linked to a supported integration.', completedAt: new Date() });
+      return record.save();
+    }
+    if (!driver.supports(command)) {
+      record.set({ status: 'FAILED', error: `${driver.vendor} does not support the ${command} command.`, completedAt: new Date() });
+      return record.save();
+    }
+
+    await record.save();
+    try {
+      const result = await driver.execute(device, normalized, { userId });
+      record.set({ status: 'SUCCEEDED', vendorCommandId: result.vendorCommandId || null, completedAt: new Date() });
+    } catch (error) {
+      record.set({ status: 'FAILED', error: error.message, completedAt: new Date() });
+      return record.save();
+    }
+    await record.save();
+
+    // The device acted; failing to record what we expect of it does not change that
+    try {
+      await DeviceStateService.applyCommand(device._id, normalized, { userId });
+      if (device.status !== 'ONLINE') {
+        device.status = 'ONLINE';
+        await device.save();
+      }
+    } catch (error) {
+      logger.error({ err: error, deviceId: device._id, commandId: record._id }, 'Failed to record state after device command');
+    }
+    return record;
+  }
+
+  // Read a device's current state from its vendor into DeviceStateService. Resolves to the state
+  // description (see DeviceStateService.describe) or { error }.
+  async refreshState(device, source = 'REFRESH') {
+    const driver = this.driverFor(device);
+    if (!driver) {
+      return { error: { status: 400, message: 'Device is not linked to a supported integration.' } };
+    }
+    try {
+      await DeviceStateService.record(device._id, await driver.fetchState(device), source);
+    } catch (error) {
+      return { error: { status: 502, message: `Failed to read device state: ${error.message}` } };
+    }
+    if (device.status !== 'ONLINE') {
+      device.status = 'ONLINE';
+      await device.save();
+    }
+    return { state: await DeviceStateService.forDevice(device._id) };
+  }
+
+  // Fill gaps in a device's event history (e.g. missed webhooks) from its vendor's history. Changes
+  // already stored are skipped. Resolves to { received, stored } or { error }.
+  async backfillEvents(device, { limit = 200 } = {}) {
+    const driver = this.driverFor(device);
+    if (!driver) {
+      return { error: { status: 400, message: 'Device is not linked to a supported integration.' } };
+    }
+    let changes;
+    try {
+      changes = await driver.fetchHistory(device, { limit });
+    } catch (error) {
+      return { error: { status: 502, message: `Failed to read device history: ${error.message}` } };
+    }
+    const stored = await DeviceEventService.record(device._id, changes, 'BACKFILL');
+    return { received: changes.length, stored };
+  }
+
+  // Refresh linked devices whose state is stale, oldest first, up to POLL_BATCH_SIZE per run.
+  // Resolves to the number of devices refreshed.
+  async pollStaleStates(now = new Date()) {
+    let refreshed = 0;
+    const linked = new Set();
+    for (const driver of this.drivers) {
+      const devices = await Device.find(driver.linkedQuery());
+      devices.forEach(device => linked.add(String(device._id)));
+      const lastChecked = await DeviceStateService.lastCheckedByDevice(devices.map(device => device._id));
+      const seen = (device) => Math.max(lastChecked.get(String(device._id)) || 0, this.polledAt.get(String(device._id)) || 0);
+      const stale = devices
+        .filter(device => DeviceStateService.isOld(seen(device) ? new Date(seen(device)) : null, now))
+        .sort((a, b) => seen(a) - seen(b))
+        .slice(0, POLL_BATCH_SIZE);
+      for (const device of stale) {
+        this.polledAt.set(String(device._id), now.getTime());
+        const result = await this.refreshState(device, 'POLL');
+        if (result.error) {
+          logger.warn({ deviceId: device._id, vendor: driver.vendor, error: result.error.message }, 'Device state poll failed');
+        } else {
+          refreshed += 1;
+        }
+      }
+    }
+    for (const deviceId of this.polledAt.keys()) {
+      if (!linked.has(deviceId)) {
+        this.polledAt.delete(deviceId);
+      }
+    }
+    return refreshed;
+  }
+
+  // Run pollStaleStates() now and then periodically for the life of the process
+  scheduleStatePolling() {
+    const run = () => {
+      this.pollStaleStates()
+        .then(count => {
+          if (count > 0) {
+            logger.info({ count }, 'Polled device states');
+          }
+        })
+        .catch(error => {
+          logger.error({ err: error }, 'Failed to poll device states');
+        });
+    };
+    run();
+    setInterval(run, POLL_INTERVAL_MINUTES * 60 * 1000).unref();
+  }
+}
+
+module.exports = new DeviceControlService();
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const DeviceEvent = require('../models/DeviceEvent');
+const CapabilityCatalog = require('./CapabilityCatalog');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DEDUPE_WINDOW_MS = (parseInt(process.env.DEVICE_EVENT_DEDUPE_SECONDS, 10) || 60) * 1000;
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// History of device attribute changes (see DeviceEvent). DeviceStateService records a change
+// whenever a vendor reading or an accepted command alters an attribute; backfills from the vendor
+// fill in the rest.
+class DeviceEventService {
+  // Store changes ([{ capability, attribute, value, unit, timestamp }]) from `source`, made by the
+  // user `initiatedBy` when they come from a command. A change already stored is skipped: one with
+  // the same attribute and time, or one whose nearest stored neighbour within DEDUPE_WINDOW_MS has
+  // the same value (the same change reported by different sources with slightly different times).
+  // Resolves to the number stored.
+  async record(deviceId, changes, source, { initiatedBy = null } = {}) {
+    const valid = changes
+      .filter(change => CapabilityCatalog.get(change.capability) && toDate(change.timestamp))
+      .map(change => ({ ...change, timestamp: toDate(change.timestamp) }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    if (valid.length === 0) {
+      return 0;
+    }
+
+    const known = await this.neighboursOf(deviceId, valid);
+    const docs = [];
+    for (const change of valid) {
+      const key = `${change.capability}.${change.attribute}`;
+      const events = known.get(key) || [];
+      if (this.isDuplicate(events, change)) continue;
+      events.push(change);
+      known.set(key, events);
+      docs.push({
+        deviceId,
+        capability: change.capability,
+        attribute: change.attribute,
+        value: change.value,
+        unit: change.unit || null,
+        timestamp: change.timestamp,
+        source,
+        initiatedBy,
+        expiresAt: DeviceEvent.expiryFor(change.timestamp)
+      });
+    }
+    if (docs.length === 0) {
+      return 0;
+    }
+    try {
+      const inserted = await DeviceEvent.insertMany(docs, { ordered: false });
+      return inserted.length;
+    } catch (error) {
+      // Duplicates of stored changes fail individually; the rest are inserted
+      const writeErrors = error.writeErrors || [error];
+      if (writeErrors.every(writeError => writeError.code === 11000)) {
+        return (error.insertedDocs || []).length;
+      }
+      throw error;
+    }
+  }
+
+  // Stored events of the attributes in `changes` from DEDUPE_WINDOW_MS before the first change to
+  // DEDUPE_WINDOW_MS after the last, as `capability.attribute` -> [{ value, timestamp }]
+  async neighboursOf(deviceId, changes) {
+    const attributes = [...new Map(changes.map(({ capability, attribute }) => [`${capability}.${attribute}`, { capability, attribute }])).values()];
+    const stored = await DeviceEvent.find({
+      deviceId,
+      $or: attributes,
+      timestamp: {
+        $gte: new Date(changes[0].timestamp.getTime() - DEDUPE_WINDOW_MS),
+        $lte: new Date(changes[changes.length - 1].timestamp.getTime() + DEDUPE_WINDOW_MS)
+      }
+    }).select('capability attribute value timestamp');
+    const byKey = new Map();
+    for (const event of stored) {
+      const key = `${event.capability}.${event.attribute}`;
+      byKey.set(key, (byKey.get(key) || []).concat({ value: event.value, timestamp: event.timestamp }));
+    }
+    return byKey;
+  }
+
+  // Whether `change` repeats the closest event before or after it (within DEDUPE_WINDOW_MS)
+  isDuplicate(events, change) {
+    let before = null;
+    let after = null;
+    for (const event of events) {
+      const gap = event.timestamp - change.timestamp;
+      if (Math.abs(gap) > DEDUPE_WINDOW_MS) continue;
+      if (gap <= 0 && (!before || event.timestamp > before.timestamp)) before = event;
+      if (gap >= 0 && (!after || event.timestamp < after.timestamp)) after = event;
+    }
+    const same = (event) => event && JSON.stringify(event.value) === JSON.stringify(change.value);
+    return same(before) || same(after);
+  }
+
+  // Opaque pagination cursor pointing after `event`
+  encodeCursor(event) {
+    return Buffer.from(JSON.stringify({ t: event.timestamp.getTime(), id: String(event._id) })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(id)) return null;
+      return { timestamp: new Date(t), id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Validates list filters ({ from, to, capability, attribute, limit, cursor }, as strings from a
+  // query). Returns an error message or null.
+  validateQuery({ from, to, capability, attribute, limit, cursor }) {
+    if (from !== undefined && !toDate(from)) return 'from must be a valid date.';
+    if (to !== undefined && !toDate(to)) return 'to must be a valid date.';
+    if (capability !== undefined && !CapabilityCatalog.get(capability)) {
+      return `capability must be one of: ${CapabilityCatalog.capabilityNames.join(', ')}.`;
+    }
+    if (attribute !== undefined && typeof attribute !== 'string') return 'attribute must be a single attribute name.';
+    if (attribute !== undefined && capability !== undefined && !CapabilityCatalog.get(capability).attributes[attribute]) {
+      return `Capability "${capability}" has no attribute "${attribute}".`;
+    }
+    if (limit !== undefined && !(parseInt(limit, 10) >= 1)) return 'limit must be a positive number.';
+    if (cursor !== undefined && !this.decodeCursor(cursor)) return 'Invalid cursor.';
+    return null;
+  }
+
+  // A page of a device's events, newest first: { events, nextCursor } (nextCursor null on the last
+  // page). `from` is inclusive, `to` exclusive.
+  async list(deviceId, { from, to, capability, attribute, limit, cursor } = {}) {
+    const conditions = [{ deviceId }];
+    if (from !== undefined || to !== undefined) {
+      const timestamp = {};
+      if (from !== undefined) timestamp.$gte = toDate(from);
+      if (to !== undefined) timestamp.$lt = toDate(to);
+      conditions.push({ timestamp });
+    }
+    if (capability !== undefined) conditions.push({ capability });
+    if (attribute !== undefined) conditions.push({ attribute });
+    if (cursor !== undefined) {
+      const after = this.decodeCursor(cursor);
+      conditions.push({ $or: [{ timestamp: { $lt: after.timestamp } }, { timestamp: after.timestamp, _id: { $lt: after.id } }] });
+    }
+
+    const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const events = await DeviceEvent.find({ $and: conditions }).sort({ timestamp: -1, _id: -1 }).limit(pageSize + 1);
+    const hasMore = events.length > pageSize;
+    const page = hasMore ? events.slice(0, pageSize) : events;
+    return { events: page, nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null };
+  }
+
+  async removeFor(deviceId) {
+    await DeviceEvent.deleteMany({ deviceId });
+  }
+}
+
+module.exports = new DeviceEventService();
@@ -0,0 +1,272 @@
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const Unit = require('../models/Unit');
+const Room = require('../models/Room');
+const GuestAccessGrant = require('../models/GuestAccessGrant');
+const AuditService = require('./AuditService');
+const CapabilityCatalog = require('./CapabilityCatalog');
+const DeviceStateService = require('./DeviceStateService');
+const DeviceEventService = require('./DeviceEventService');
+const RoomService = require('./RoomService');
+const CommonAreaService = require('./CommonAreaService');
+const { AuditAction } = require('../enums');
+
+const MANUFACTURERS = Device.schema.path('manufacturer').enumValues;
+const DEVICE_TYPES = Device.schema.path('type').enumValues;
+
+// integrationData fields holding a vendor's ID for the device; each may be registered only once
+const VENDOR_ID_FIELDS = ['smartThingsDeviceId'];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Registration, editing and removal of devices. Callers authorize DEVICE_MANAGE on the unit or
+// property involved; this service keeps the unit, room, common area and guest grant references
+// to the device in step.
+class DeviceService {
+  get manufacturers() {
+    return MANUFACTURERS;
+  }
+
+  get types() {
+    return DEVICE_TYPES;
+  }
+
+  // Validates the device fields for create (name/manufacturer/type required) or update (only what
+  // is given). Returns an error message or null.
+  validate({ name, manufacturer, type, capabilities, integrationData, metadata, roomId }, { partial = false } = {}) {
+    if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+      return 'Device name is required.';
+    }
+    if ((!partial || manufacturer !== undefined) && !MANUFACTURERS.includes(manufacturer)) {
+      return `manufacturer must be one of: ${MANUFACTURERS.join(', ')}.`;
+    }
+    if ((!partial || type !== undefined) && !DEVICE_TYPES.includes(type)) {
+      return `type must be one of: ${DEVICE_TYPES.join(', ')}.`;
+    }
+    if (capabilities !== undefined) {
+      const invalid = CapabilityCatalog.validateDeclarations(capabilities);
+      if (invalid) return invalid;
+    }
+    if (integrationData !== undefined) {
+      if (!isPlainObject(integrationData)) {
+        return 'integrationData must be an object.';
+      }
+      const invalid = VENDOR_ID_FIELDS.find(field =>
+        integrationData[field] !== undefined && integrationData[field] !== null &&
+        (typeof integrationData[field] !== 'string' || !integrationData[field].trim()));
+      if (invalid) {
+        return `integrationData.${invalid} must be a non-empty string.`;
+      }
+    }
+    if (metadata !== undefined && !isPlainObject(metadata)) {
+      return 'metadata must be an object.';
+    }
+    if (roomId !== undefined && roomId !== null && !mongoose.Types.ObjectId.isValid(roomId)) {
+      return 'Invalid room ID format.';
+    }
+    return null;
+  }
+
+  // Vendor IDs in `integrationData` as { field: value }, skipping empty ones
+  vendorIdsOf(integrationData) {
+    const ids = {};
+    for (const field of VENDOR_ID_FIELDS) {
+      if (integrationData && typeof integrationData[field] === 'string' && integrationData[field].trim()) {
+        ids[field] = integrationData[field].trim();
+      }
+    }
+    return ids;
+  }
+
+  // Resolves to an { error } when another device already uses one of the vendor IDs, else null
+  async checkVendorIds(integrationData, exceptDeviceId = null) {
+    for (const [field, value] of Object.entries(this.vendorIdsOf(integrationData))) {
+      const filter = { [`integrationData.${field}`]: value };
+      if (exceptDeviceId) filter._id = { $ne: exceptDeviceId };
+      const existing = await Device.findOne(filter).select('_id');
+      if (existing) {
+        return { error: { status: 409, message: `A device with ${field} "${value}" is already registered.`, deviceId: existing._id } };
+      }
+    }
+    return null;
+  }
+
+  // Resolves to { room } for a room the device may be put in at `location`, or { error }
+  async resolveRoom(roomId, location) {
+    const room = await Room.findById(roomId);
+    if (!room || !RoomService.belongsIn(location, room)) {
+      return { error: { status: 400, message: `Room must belong to the device's ${location.unitId ? 'unit' : 'property (outside any unit)'}.` } };
+    }
+    return { room };
+  }
+
+  // Register a device on a unit (its property is taken from the unit) or directly on a property.
+  // Resolves to { device } or { error }.
+  async create({ property = null, unit = null }, fields, req = null) {
+    const location = {
+      propertyId: unit ? idOf(unit.propertyId) : property._id,
+      unitId: unit ? unit._id : null
+    };
+
+    const integrationData = { ...(fields.integrationData || {}), ...this.vendorIdsOf(fields.integrationData) };
+    const duplicate = await this.checkVendorIds(integrationData);
+    if (duplicate) return duplicate;
+
+    let room = null;
+    if (fields.roomId) {
+      const resolved = await this.resolveRoom(fields.roomId, location);
+      if (resolved.error) return resolved;
+      room = resolved.room;
+    }
+
+    const device = new Device({
+      name: fields.name,
+      manufacturer: fields.manufacturer,
+      type: fields.type,
+      ...location,
+      roomId: room ? room._id : null,
+      status: 'OFFLINE',
+      capabilities: fields.capabilities || [],
+      integrationData,
+      metadata: fields.metadata || {}
+    });
+    try {
+      await device.save();
+    } catch (error) {
+      // Lost a race with another registration of the same vendor device
+      if (error.code === 11000) {
+        return { error: { status: 409, message: 'A device with this vendor device ID is already registered.' } };
+      }
+      throw error;
+    }
+
+    if (location.unitId) {
+      await Unit.updateOne({ _id: location.unitId }, { $addToSet: { deviceIds: device._id } });
+    }
+    if (room) {
+      await Room.updateOne({ _id: room._id }, { $addToSet: { deviceIds: device._id } });
+    }
+
+    await AuditService.record(AuditAction.DEVICE_REGISTERED, {
+      req,
+      targetType: 'DEVICE',
+      targetId: device._id,
+      metadata: { propertyId: location.propertyId, unitId: location.unitId, vendorIds: this.vendorIdsOf(integrationData) }
+    });
+    return { device };
+  }
+
+  // Update a device's details and, when `destination` is given, move it to another unit or
+  // property (taking it out of its room, common area and guest grants). Vendor IDs merge into the
+  // existing integrationData; null removes one. Resolves to { device } or { error }.
+  async update(device, fields, { destination = null, req = null } = {}) {
+    const changes = {};
+    for (const field of ['name', 'manufacturer', 'type', 'capabilities', 'metadata']) {
+      if (fields[field] !== undefined) {
+        device[field] = fields[field];
+        changes[field] = true;
+      }
+    }
+
+    if (fields.integrationData !== undefined) {
+      const integrationData = { ...(device.integrationData || {}), ...fields.integrationData, ...this.vendorIdsOf(fields.integrationData) };
+      for (const field of VENDOR_ID_FIELDS) {
+        if (integrationData[field] === null) delete integrationData[field];
+      }
+      const duplicate = await this.checkVendorIds(integrationData, device._id);
+      if (duplicate) return duplicate;
+      device.integrationData = integrationData;
+      device.markModified('integrationData');
+      changes.integrationData = true;
+    }
+
+    const previousUnitId = device.unitId || null;
+    if (destination) {
+      const location = {
+        propertyId: destination.unit ? idOf(destination.unit.propertyId) : destination.property._id,
+        unitId: destination.unit ? destination.unit._id : null
+      };
+      const moved = !idOf(device.propertyId) || !idOf(device.propertyId).equals(location.propertyId) ||
+        String(device.unitId || '') !== String(location.unitId || '');
+      if (moved) {
+        device.propertyId = location.propertyId;
+        device.unitId = location.unitId;
+        changes.location = { propertyId: location.propertyId, unitId: location.unitId };
+      }
+    }
+
+    let room;
+    if (fields.roomId !== undefined && fields.roomId !== null) {
+      const resolved = await this.resolveRoom(fields.roomId, device);
+      if (resolved.error) return resolved;
+      room = resolved.room;
+    }
+
+    try {
+      await device.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return { error: { status: 409, message: 'A device with this vendor device ID is already registered.' } };
+      }
+      throw error;
+    }
+
+    let guestGrantsUpdated = 0;
+    if (changes.location) {
+      if (previousUnitId) {
+        await Unit.updateOne({ _id: previousUnitId }, { $pull: { deviceIds: device._id } });
+      }
+      if (device.unitId) {
+        await Unit.updateOne({ _id: device.unitId }, { $addToSet: { deviceIds: device._id } });
+      }
+      await RoomService.detachDevices([device._id]);
+      await CommonAreaService.detachDevices([device._id]);
+      // Grants were given for the old location; guests there must not keep access after the move
+      const grants = await GuestAccessGrant.updateMany({ deviceIds: device._id }, { $pull: { deviceIds: device._id } });
+      guestGrantsUpdated = grants.modifiedCount;
+    }
+    if (room) {
+      await RoomService.assignDevices(room, [device._id]);
+      changes.roomId = room._id;
+    } else if (fields.roomId === null && device.roomId) {
+      await RoomService.detachDevices([device._id]);
+      changes.roomId = null;
+    }
+
+    await AuditService.record(AuditAction.DEVICE_UPDATED, {
+      req,
+      targetType: 'DEVICE',
+      targetId: device._id,
+      metadata: { changes: Object.keys(changes), ...(changes.location ? { location: changes.location, guestGrantsUpdated } : {}) }
+    });
+    return { device: await Device.findById(device._id) };
+  }
+
+  // Delete a device, its stored state and event history, and every reference to it. Its command
+  // history is kept.
+  async remove(device, req = null) {
+    await Unit.updateMany({ deviceIds: device._id }, { $pull: { deviceIds: device._id } });
+    await RoomService.detachDevices([device._id]);
+    await CommonAreaService.detachDevices([device._id]);
+    const grants = await GuestAccessGrant.updateMany({ deviceIds: device._id }, { $pull: { deviceIds: device._id } });
+    await DeviceStateService.removeFor(device._id);
+    await DeviceEventService.removeFor(device._id);
+    await device.deleteOne();
+
+    await AuditService.record(AuditAction.DEVICE_DELETED, {
+      req,
+      targetType: 'DEVICE',
+      targetId: device._id,
+      metadata: {
+        name: device.name,
+        propertyId: device.propertyId || null,
+        unitId: device.unitId || null,
+        vendorIds: this.vendorIdsOf(device.integrationData)
+      }
+    });
+    return { guestGrantsUpdated: grants.modifiedCount };
+  }
+}
+
+module.exports = new DeviceService();
@@ -0,0 +1,145 @@
+const DeviceState = require('../models/DeviceState');
+const CapabilityCatalog = require('./CapabilityCatalog');
+const DeviceEventService = require('./DeviceEventService');
+
+const STALE_MINUTES = parseInt(process.env.DEVICE_STATE_STALE_MINUTES, 10) || 15;
+
+// Sources that report what the device actually did; COMMAND values are only what we expect
+const VENDOR_SOURCES = ['WEBHOOK', 'POLL', 'REFRESH'];
+
+const toDate = (value, fallback) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : fallback;
+};
+
+// Stores the latest value of each capability attribute of a device (see DeviceState) and serves
+// it with a `stale` flag. Vendor I/O (polls, refreshes, commands) happens in DeviceControlService,
+// which records what it learns here.
+class DeviceStateService {
+  isOld(checkedAt, now = new Date()) {
+    return !checkedAt || now - checkedAt > STALE_MINUTES * 60 * 1000;
+  }
+
+  // Record readings in canonical form ({ capability: { attribute: { value, unit, timestamp } } })
+  // from `source`. A vendor reading replaces an older vendor reading or any expected value from a
+  // command; an expected value only replaces an older one. Readings that change a value are also
+  // kept as DeviceEvents, attributed to `initiatedBy` for commands. Resolves to the number of
+  // attributes written.
+  async record(deviceId, state, source, { now = new Date(), initiatedBy = null } = {}) {
+    const readings = [];
+    for (const [capability, attributes] of Object.entries(state || {})) {
+      const spec = CapabilityCatalog.get(capability);
+      if (!spec) continue;
+      for (const [attribute, reading] of Object.entries(attributes || {})) {
+        if (!spec.attributes[attribute] || !reading) continue;
+        readings.push({ capability, attribute, ...reading, timestamp: toDate(reading.timestamp, now) });
+      }
+    }
+    if (readings.length === 0) {
+      return 0;
+    }
+
+    const current = await DeviceState.find({
+      deviceId,
+      $or: readings.map(({ capability, attribute }) => ({ capability, attribute }))
+    });
+    const existing = new Map(current.map(doc => [`${doc.capability}.${doc.attribute}`, doc]));
+    const fromVendor = VENDOR_SOURCES.includes(source);
+
+    const operations = [];
+    const changes = [];
+    for (const reading of readings) {
+      const doc = existing.get(`${reading.capability}.${reading.attribute}`);
+      const replaces = !doc || reading.timestamp >= doc.timestamp || (fromVendor && doc.source === 'COMMAND');
+      if (!replaces) continue;
+      // Vendor readings are compared with the last vendor-reported value (an expected value from a
+      // command is not one); a command's expected value with whatever is stored
+      const previous = doc && (!fromVendor || VENDOR_SOURCES.includes(doc.source)) ? doc.value : undefined;
+      if (JSON.stringify(previous) !== JSON.stringify(reading.value)) {
+        changes.push(reading);
+      }
+      operations.push({
+        updateOne: {
+          filter: { deviceId, capability: reading.capability, attribute: reading.attribute },
+          update: {
+            $set: {
+              value: reading.value,
+              unit: reading.unit || null,
+              timestamp: reading.timestamp,
+              source,
+              checkedAt: now
+            }
+          },
+          upsert: true
+        }
+      });
+    }
+    if (operations.length > 0) {
+      await DeviceState.bulkWrite(operations, { ordered: false });
+    }
+    if (changes.length > 0) {
+      await DeviceEventService.record(deviceId, changes, source, { initiatedBy: fromVendor ? null : initiatedBy });
+    }
+    return operations.length;
+  }
+
+  // Record the state a command the vendor accepted from `userId` is expected to produce
+  // ({ capability, command, parameters } as resolved by CapabilityCatalog)
+  async applyCommand(deviceId, command, { userId = null, now = new Date() } = {}) {
+    return this.record(deviceId, CapabilityCatalog.expectedState(command, now), 'COMMAND', { now, initiatedBy: userId });
+  }
+
+  // { capabilities: { capability: { attribute: { value, unit, timestamp, source, checkedAt, stale } } },
+  // checkedAt, stale }. `checkedAt` is the last vendor reading; the device is stale without a recent
+  // one. Values expected from a command are stale until the vendor confirms them.
+  describe(docs, now = new Date()) {
+    const capabilities = {};
+    let checkedAt = null;
+    for (const doc of docs) {
+      const fromVendor = VENDOR_SOURCES.includes(doc.source);
+      capabilities[doc.capability] = capabilities[doc.capability] || {};
+      capabilities[doc.capability][doc.attribute] = {
+        value: doc.value,
+        unit: doc.unit,
+        timestamp: doc.timestamp,
+        source: doc.source,
+        checkedAt: doc.checkedAt,
+        stale: !fromVendor || this.isOld(doc.checkedAt, now)
+      };
+      if (fromVendor && (!checkedAt || doc.checkedAt > checkedAt)) {
+        checkedAt = doc.checkedAt;
+      }
+    }
+    return { capabilities, checkedAt, stale: this.isOld(checkedAt, now) };
+  }
+
+  async forDevice(deviceId) {
+    return this.describe(await DeviceState.find({ deviceId }).sort({ capability: 1, attribute: 1 }));
+  }
+
+  // Device ID string -> state description, for each of `deviceIds`
+  async forDevices(deviceIds) {
+    const docs = await DeviceState.find({ deviceId: { $in: deviceIds } }).sort({ capability: 1, attribute: 1 });
+    const byDevice = new Map(deviceIds.map(id => [String(id), []]));
+    for (const doc of docs) {
+      byDevice.get(String(doc.deviceId)).push(doc);
+    }
+    const now = new Date();
+    return new Map([...byDevice].map(([id, deviceDocs]) => [id, this.describe(deviceDocs, now)]));
+  }
+
+  // Device ID string -> last vendor reading, for those of `deviceIds` that have one
+  async lastCheckedByDevice(deviceIds) {
+    const rows = await DeviceState.aggregate([
+      { $match: { deviceId: { $in: deviceIds }, source: { $in: VENDOR_SOURCES } } },
+      { $group: { _id: '$deviceId', checkedAt: { $max: '$checkedAt' } } }
+    ]);
+    return new Map(rows.map(row => [String(row._id), row.checkedAt]));
+  }
+
+  async removeFor(deviceId) {
+    await DeviceState.deleteMany({ deviceId });
+  }
+}
+
+module.exports = new DeviceStateService();
@@ -0,0 +1,51 @@
+const GuestAccessGrant = require('../models/GuestAccessGrant');
+const Device = require('../models/Device');
+const AccessScheduleService = require('./AccessScheduleService');
+
+class GuestAccessService {
+  // A grant allows access right now if it is current and inside one of its schedule windows
+  isGrantActive(grant, now = new Date()) {
+    return grant.status(now) === 'ACTIVE' &&
+      AccessScheduleService.isWithinWindows(grant.schedule, grant.timeZone, now);
+  }
+
+  // Whether the user currently holds a guest grant covering the device. A grant only covers
+  // devices still in the unit it was given for.
+  async hasActiveGrantForDevice(userId, device, now = new Date()) {
+    if (!device.unitId) {
+      return false;
+    }
+    const grants = await GuestAccessGrant.find({
+      ...GuestAccessGrant.currentQuery(now),
+      guestUserId: userId,
+      unitId: device.unitId,
+      deviceIds: device._id
+    });
+    return grants.some(grant => this.isGrantActive(grant, now));
+  }
+
+  // IDs of all devices the user can currently reach through guest grants (those still in the
+  // grant's unit)
+  async activeDeviceIdsForUser(userId, now = new Date()) {
+    const grants = (await GuestAccessGrant.find({ ...GuestAccessGrant.currentQuery(now), guestUserId: userId }))
+      .filter(grant => this.isGrantActive(grant, now) && grant.deviceIds.length > 0);
+    if (grants.length === 0) {
+      return [];
+    }
+    return Device.find({
+      $or: grants.map(grant => ({ _id: { $in: grant.deviceIds }, unitId: grant.unitId }))
+    }).distinct('_id');
+  }
+
+  async revokeGrant(grant, revokedBy, reason = 'REVOKED') {
+    if (grant.revokedAt) {
+      return grant;
+    }
+    grant.revokedAt = new Date();
+    grant.revokedBy = revokedBy;
+    grant.revokedReason = reason;
+    return grant.save();
+  }
+}
+
+module.exports = new GuestAccessService();
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const Portfolio = require('../models/Portfolio');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const Device = require('../models/Device');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const PolicyService = require('./PolicyService');
+const { AssociatedEntityType, PolicyAction, Role } = require('../enums');
+
+// Strongest first; a node's effective role is the first of these the user holds on it or an ancestor
+const ROLE_PRECEDENCE = [Role.SUPER_ADMIN, Role.OWNER, Role.PORTFOLIO_ADMIN, Role.PROPERTY_MANAGER, Role.TENANT, Role.GUEST];
+
+const key = (id) => id.toString();
+
+// Navigation tree of everything a user can reach: portfolios -> properties -> units, with device
+// counts and the user's effective role at each node. Ancestors the user holds no role on (e.g. the
+// property above a tenant's unit) are included as containers with effectiveRole null.
+class HierarchyService {
+  // Roles held directly, keyed by entity ID
+  async directRoles(actor) {
+    const associations = await UserRoleAssociation.find({ userId: actor.id }).select('associatedEntityType associatedEntityId roleWithinEntity');
+    const roles = new Map();
+    const idsByType = { [AssociatedEntityType.PORTFOLIO]: [], [AssociatedEntityType.PROPERTY]: [], [AssociatedEntityType.UNIT]: [] };
+    for (const assoc of associations) {
+      const id = key(assoc.associatedEntityId);
+      if (!roles.has(id)) roles.set(id, []);
+      roles.get(id).push(assoc.roleWithinEntity);
+      idsByType[assoc.associatedEntityType].push(assoc.associatedEntityId);
+    }
+    return { roles, idsByType };
+  }
+
+  // One aggregation over portfolios with nested lookups. Whole subtrees are returned below
+  // portfolios/properties in `fullPortfolioIds`/`fullPropertyIds`; elsewhere only the listed
+  // properties and units are kept.
+  aggregateTree({ portfolioIds, fullPortfolioIds, fullPropertyIds, propertyIds, unitIds }) {
+    const deviceCount = (field, extra = {}) => ({
+      $lookup: {
+        from: Device.collection.name,
+        let: { ownerId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: [`$${field}`, '$$ownerId'] }, ...extra } },
+          { $count: 'count' }
+        ],
+        as: 'deviceCount'
+      }
+    });
+    const flattenCount = { deviceCount: { $ifNull: [{ $arrayElemAt: ['$deviceCount.count', 0] }, 0] } };
+
+    return Portfolio.aggregate([
+      ...(portfolioIds ? [{ $match: { _id: { $in: portfolioIds } } }] : []),
+      { $sort: { name: 1 } },
+      {
+        $lookup: {
+          from: Property.collection.name,
+          let: { portfolioId: '$_id', fullPortfolio: fullPortfolioIds ? { $in: ['$_id', fullPortfolioIds] } : true },
+          pipeline: [
+            {
+              $match: {
+                deletedAt: null,
+                $expr: {
+                  $and: [
+                    { $eq: ['$portfolioId', '$$portfolioId'] },
+                    { $or: ['$$fullPortfolio', { $in: ['$_id', propertyIds || []] }] }
+                  ]
+                }
+              }
+            },
+            { $sort: { name: 1 } },
+            {
+              $lookup: {
+                from: Unit.collection.name,
+                let: {
+                  propertyId: '$_id',
+                  fullProperty: { $or: ['$$fullPortfolio', { $in: ['$_id', fullPropertyIds || []] }] }
+                },
+                pipeline: [
+                  {
+                    $match: {
+                      deletedAt: null,
+                      $expr: {
+                        $and: [
+                          { $eq: ['$propertyId', '$$propertyId'] },
+                          { $or: ['$$fullProperty', { $in: ['$_id', unitIds || []] }] }
+                        ]
+                      }
+                    }
+                  },
+                  { $sort: { name: 1 } },
+                  deviceCount('unitId'),
+                  { $project: { name: 1, occupancyStatus: 1, ...flattenCount } }
+                ],
+                as: 'units'
+              }
+            },
+            // Devices on the property itself (common areas, building systems)
+            deviceCount('propertyId', { unitId: null }),
+            { $project: { name: 1, address: 1, units: 1, ...flattenCount } }
+          ],
+          as: 'properties'
+        }
+      },
+      { $project: { name: 1, properties: 1 } }
+    ]);
+  }
+
+  // Resolves to { portfolios: [...] } for the actor (see PolicyService.actorFromRequest)
+  async buildTree(actor) {
+    const boundPortfolioId = actor.apiKeyPortfolioId || null;
+    const { roles, idsByType } = actor.isSuperAdmin ? { roles: new Map(), idsByType: null } : await this.directRoles(actor);
+    let scope;
+
+    if (actor.isSuperAdmin) {
+      scope = { portfolioIds: boundPortfolioId ? [boundPortfolioId] : null, fullPortfolioIds: null };
+    } else {
+      const roleUnitParents = idsByType.UNIT.length > 0
+        ? await Unit.find({ _id: { $in: idsByType.UNIT } }).distinct('propertyId')
+        : [];
+      const propertyIds = [...idsByType.PROPERTY, ...roleUnitParents];
+      const ancestorPortfolioIds = propertyIds.length > 0
+        ? await Property.find({ _id: { $in: propertyIds } }).distinct('portfolioId')
+        : [];
+      let portfolioIds = [...idsByType.PORTFOLIO, ...ancestorPortfolioIds];
+      if (boundPortfolioId) {
+        portfolioIds = portfolioIds.filter(id => id.equals(boundPortfolioId));
+      }
+      scope = {
+        portfolioIds,
+        fullPortfolioIds: idsByType.PORTFOLIO,
+        fullPropertyIds: idsByType.PROPERTY,
+        propertyIds,
+        unitIds: idsByType.UNIT
+      };
+    }
+
+    const portfolios = scope.portfolioIds && scope.portfolioIds.length === 0 ? [] : await this.aggregateTree(scope);
+
+    // Effective roles flow down the tree
+    const effective = (inherited, id) => {
+      const held = [...new Set([...inherited, ...(roles.get(key(id)) || [])])];
+      return held.sort((a, b) => ROLE_PRECEDENCE.indexOf(a) - ROLE_PRECEDENCE.indexOf(b));
+    };
+    const node = (held) => ({ effectiveRole: held[0] || null, roles: held });
+    const canSeeDevices = (held) => held.some(role => PolicyService.roleAllows(role, PolicyAction.DEVICE_READ));
+
+    return {
+      portfolios: portfolios.map(portfolio => {
+        const portfolioRoles = effective(actor.isSuperAdmin ? [Role.SUPER_ADMIN] : [], portfolio._id);
+        return {
+          id: portfolio._id,
+          name: portfolio.name,
+          ...node(portfolioRoles),
+          properties: portfolio.properties.map(property => {
+            const propertyRoles = effective(portfolioRoles, property._id);
+            return {
+              id: property._id,
+              name: property.name,
+              address: property.address,
+              ...node(propertyRoles),
+              deviceCount: canSeeDevices(propertyRoles) ? property.deviceCount : null,
+              units: property.units.map(unit => {
+                const unitRoles = effective(propertyRoles, unit._id);
+                return {
+                  id: unit._id,
+                  name: unit.name,
+                  occupancyStatus: unit.occupancyStatus || null,
+                  ...node(unitRoles),
+                  deviceCount: unit.deviceCount
+                };
+              })
+            };
+          })
+        };
+      })
+    };
+  }
+
+  // Strong validator for a tree response
+  etagFor(tree) {
+    return `"${crypto.createHash('sha1').update(JSON.stringify(tree)).digest('base64url')}"`;
+  }
+}
+
+module.exports = new HierarchyService();
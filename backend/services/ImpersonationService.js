@@ -0,0 +1,93 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SessionService = require('./SessionService');
+const AuditService = require('./AuditService');
+const { AuditAction } = require('../enums');
+
+class ImpersonationService {
+  // Resolves to { session, token, expiresIn, expiresAt, targetUser }, or { error } with an HTTP status
+  async start(impersonator, targetUserId, req, { reason, allowLockUnlock = false, durationMinutes } = {}) {
+    const targetUser = await User.findById(targetUserId).select('-password +isSuperAdmin');
+    if (!targetUser) {
+      return { error: { status: 404, message: 'User not found.' } };
+    }
+    if (targetUser._id.equals(impersonator._id)) {
+      return { error: { status: 400, message: 'You cannot impersonate yourself.' } };
+    }
+    if (targetUser.isSuperAdmin === true) {
+      return { error: { status: 403, message: 'SuperAdmin accounts cannot be impersonated.' } };
+    }
+
+    const result = await SessionService.createImpersonationSession(impersonator, targetUser, req, {
+      reason,
+      allowLockUnlock,
+      durationMinutes
+    });
+
+    await AuditService.record(AuditAction.IMPERSONATION_STARTED, {
+      req,
+      actorId: targetUser._id,
+      impersonatorId: impersonator._id,
+      sessionId: result.session._id,
+      targetType: 'USER',
+      targetId: targetUser._id,
+      metadata: { reason, allowLockUnlock, expiresAt: result.expiresAt }
+    });
+
+    return { ...result, targetUser };
+  }
+
+  // End an impersonation session early (also used when it is logged out)
+  async end(session, req, endedBy) {
+    const revoked = await SessionService.revokeSession(session._id, 'IMPERSONATION_ENDED');
+    if (revoked) {
+      await AuditService.record(AuditAction.IMPERSONATION_ENDED, {
+        req,
+        actorId: session.userId,
+        impersonatorId: session.impersonatorId,
+        sessionId: session._id,
+        targetType: 'USER',
+        targetId: session.userId,
+        metadata: { endedBy }
+      });
+    }
+    return revoked;
+  }
+
+  async listActive() {
+    return Session.find({ impersonatorId: { $ne: null }, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 })
+      .populate('userId', 'firstName lastName email')
+      .populate('impersonatorId', 'firstName lastName email');
+  }
+
+  // A command that would unlock a lock: { capability: 'lock', command: 'unlock' }, or a bare
+  // 'unlock' command sent to a LOCK device
+  isUnlockCommand(command, device = null) {
+    if (!command || String(command.command).toLowerCase() !== 'unlock') {
+      return false;
+    }
+    const capability = command.capability ? String(command.capability).toLowerCase() : null;
+    return capability === 'lock' || (!capability && (!device || device.type === 'LOCK'));
+  }
+
+  // True when the request is impersonated and may not send unlock commands. Records the attempt.
+  blocksUnlock(req, commands, device = null, targetId = null) {
+    if (!req.impersonatorId || (req.authSession && req.authSession.allowLockUnlock)) {
+      return false;
+    }
+    const list = Array.isArray(commands) ? commands : [commands];
+    if (!list.some(command => this.isUnlockCommand(command, device))) {
+      return false;
+    }
+    AuditService.recordInBackground(AuditAction.IMPERSONATED_UNLOCK_BLOCKED, {
+      req,
+      targetType: 'DEVICE',
+      targetId: device ? device._id : targetId,
+      metadata: { path: req.originalUrl }
+    });
+    return true;
+  }
+}
+
+module.exports = new ImpersonationService();
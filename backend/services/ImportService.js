@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+const Portfolio = require('../models/Portfolio');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const InvitationService = require('./InvitationService');
+const AuditService = require('./AuditService');
+const { AssociatedEntityType, AuditAction, Role } = require('../enums');
+
+const MAX_ROWS = 2000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Columns of an import row (CSV header names are matched case-insensitively). One row per unit;
+// rows sharing a propertyName belong to the same property, which only needs its address once.
+const COLUMNS = ['propertyName', 'street', 'city', 'state', 'zipCode', 'country', 'defaultTimeZone', 'unitName', 'tenantEmails'];
+const ADDRESS_COLUMNS = ['street', 'city', 'state', 'zipCode', 'country'];
+
+const nameKey = (name) => name.trim().toLowerCase();
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF or LF line endings
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter(values => values.some(value => value.trim() !== ''));
+}
+
+// { field, message } pairs from a Mongoose validation error
+const validationMessages = (error) => (error ? Object.values(error.errors).map(err => ({ field: err.path, message: err.message })) : []);
+
+// Bulk onboarding of properties, units and tenants into a portfolio from CSV or JSON rows.
+// plan() validates and diffs against what already exists without writing anything; apply()
+// writes a valid plan in one transaction and then sends invitations to unknown tenant emails.
+class ImportService {
+  get columns() {
+    return COLUMNS;
+  }
+
+  // Turn a CSV string or an array of row objects into normalized rows.
+  // Resolves to { rows } or { error: { status, message } }.
+  parseInput(input) {
+    let rawRows = input;
+    if (typeof input === 'string') {
+      let records;
+      try {
+        records = parseCsv(input.replace(/^\uFEFF/, ''));
+      } catch (error) {
+        return { error: { status: 400, message: `Invalid CSV: ${error.message}.` } };
+      }
+      if (records.length === 0) {
+        return { error: { status: 400, message: 'The CSV file is empty.' } };
+      }
+      const header = records[0].map(name => COLUMNS.find(column => column.toLowerCase() === name.trim().toLowerCase()) || null);
+      if (!header.includes('propertyName')) {
+        return { error: { status: 400, message: `The CSV header must include propertyName. Known columns: ${COLUMNS.join(', ')}.` } };
+      }
+      rawRows = records.slice(1).map(values => header.reduce((row, column, index) => {
+        if (column) row[column] = values[index];
+        return row;
+      }, {}));
+    }
+
+    if (!Array.isArray(rawRows) || rawRows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      return { error: { status: 400, message: 'Rows must be a CSV body or a JSON array of objects.' } };
+    }
+    if (rawRows.length === 0) {
+      return { error: { status: 400, message: 'There are no rows to import.' } };
+    }
+    if (rawRows.length > MAX_ROWS) {
+      return { error: { status: 400, message: `At most ${MAX_ROWS} rows can be imported at once.` } };
+    }
+
+    const rows = rawRows.map(raw => {
+      const row = {};
+      for (const column of COLUMNS) {
+        const value = raw[column];
+        if (column === 'tenantEmails') {
+          const emails = Array.isArray(value) ? value : String(value || '').split(/[;,\s]+/);
+          row.tenantEmails = emails.map(email => String(email).trim().toLowerCase()).filter(Boolean);
+        } else {
+          row[column] = value === undefined || value === null ? '' : String(value).trim();
+        }
+      }
+      return row;
+    });
+    return { rows };
+  }
+
+  // Validate rows and work out what an import would do. Row numbers in errors are 1-based data rows
+  // (the CSV header is not counted).
+  async plan(portfolio, rows) {
+    const errors = [];
+    const rowError = (row, field, message) => errors.push({ row, field, message });
+
+    const existingProperties = await Property.find({ portfolioId: portfolio._id });
+    const propertiesByName = new Map(existingProperties.map(property => [nameKey(property.name), property]));
+    const existingUnits = await Unit.find({ propertyId: { $in: existingProperties.map(property => property._id) } });
+
+    const properties = new Map(); // name key -> planned property
+    const emails = new Set();
+
+    rows.forEach((row, index) => {
+      const rowNumber = index + 1;
+      if (!row.propertyName) {
+        rowError(rowNumber, 'propertyName', 'propertyName is required.');
+        return;
+      }
+
+      const key = nameKey(row.propertyName);
+      let planned = properties.get(key);
+      if (!planned) {
+        const existing = propertiesByName.get(key) || null;
+        planned = { key, row: rowNumber, existing, doc: null, units: new Map() };
+        properties.set(key, planned);
+      }
+
+      const hasAddress = ADDRESS_COLUMNS.some(column => row[column]);
+      if (!planned.existing && !planned.doc && hasAddress) {
+        const address = ADDRESS_COLUMNS.reduce((acc, column) => (row[column] ? { ...acc, [column]: row[column] } : acc), {});
+        planned.addressRow = rowNumber;
+        planned.doc = new Property({
+          name: row.propertyName,
+          portfolioId: portfolio._id,
+          address,
+          defaultTimeZone: row.defaultTimeZone || undefined
+        });
+        validationMessages(planned.doc.validateSync()).forEach(({ field, message }) => rowError(rowNumber, field, message));
+      } else if (hasAddress && planned.doc) {
+        const conflicting = ADDRESS_COLUMNS.find(column => row[column] && row[column] !== (planned.doc.address[column] || ''));
+        if (conflicting) {
+          rowError(rowNumber, conflicting, `Conflicts with the address given for "${row.propertyName}" on row ${planned.addressRow}.`);
+        }
+      }
+
+      if (!row.unitName) {
+        if (row.tenantEmails.length > 0) {
+          rowError(rowNumber, 'unitName', 'Tenants can only be imported into a unit.');
+        }
+        return;
+      }
+
+      const unitKey = nameKey(row.unitName);
+      if (planned.units.has(unitKey)) {
+        rowError(rowNumber, 'unitName', `Unit "${row.unitName}" appears more than once for "${row.propertyName}".`);
+        return;
+      }
+      const existingUnit = planned.existing
+        ? existingUnits.find(unit => unit.propertyId.equals(planned.existing._id) && nameKey(unit.name) === unitKey) || null
+        : null;
+      const unit = { row: rowNumber, existing: existingUnit, doc: null, tenantEmails: [] };
+      if (!existingUnit) {
+        unit.doc = new Unit({ name: row.unitName, propertyId: planned.existing ? planned.existing._id : planned.doc ? planned.doc._id : undefined });
+        validationMessages(unit.doc.validateSync(['name'])).forEach(({ field, message }) => rowError(rowNumber, field, message));
+      }
+
+      for (const email of new Set(row.tenantEmails)) {
+        if (!EMAIL_PATTERN.test(email)) {
+          rowError(rowNumber, 'tenantEmails', `"${email}" is not a valid email address.`);
+          continue;
+        }
+        unit.tenantEmails.push(email);
+        emails.add(email);
+      }
+      planned.units.set(unitKey, unit);
+    });
+
+    for (const planned of properties.values()) {
+      if (!planned.existing && !planned.doc) {
+        rowError(planned.row, 'street', `"${rows[planned.row - 1].propertyName}" is a new property and needs an address.`);
+      }
+    }
+
+    // Tenants: existing accounts get the role directly; unknown addresses are invited
+    const users = await User.find({ email: { $in: [...emails] } }).select('_id email');
+    const usersByEmail = new Map(users.map(user => [user.email, user]));
+    const existingUnitIds = [...properties.values()]
+      .flatMap(planned => [...planned.units.values()])
+      .filter(unit => unit.existing)
+      .map(unit => unit.existing._id);
+    const memberships = await UserRoleAssociation.find({
+      associatedEntityType: AssociatedEntityType.UNIT,
+      associatedEntityId: { $in: existingUnitIds },
+      userId: { $in: users.map(user => user._id) }
+    }).select('userId associatedEntityId');
+    const isMember = (userId, unitId) => memberships.some(assoc => assoc.userId.equals(userId) && assoc.associatedEntityId.equals(unitId));
+
+    const summary = { propertiesCreated: 0, propertiesExisting: 0, unitsCreated: 0, unitsExisting: 0, tenantsAssigned: 0, tenantsInvited: 0, tenantsExisting: 0 };
+    const diff = [...properties.values()].map(planned => {
+      summary[planned.existing ? 'propertiesExisting' : 'propertiesCreated'] += 1;
+      return {
+        name: planned.existing ? planned.existing.name : rows[planned.row - 1].propertyName,
+        action: planned.existing ? 'EXISTING' : 'CREATE',
+        propertyId: planned.existing ? planned.existing._id : null,
+        units: [...planned.units.values()].map(unit => {
+          summary[unit.existing ? 'unitsExisting' : 'unitsCreated'] += 1;
+          unit.tenants = unit.tenantEmails.map(email => {
+            const user = usersByEmail.get(email) || null;
+            const action = !user ? 'INVITE' : unit.existing && isMember(user._id, unit.existing._id) ? 'EXISTING' : 'ASSIGN';
+            summary[{ INVITE: 'tenantsInvited', ASSIGN: 'tenantsAssigned', EXISTING: 'tenantsExisting' }[action]] += 1;
+            return { email, action, user };
+          });
+          return {
+            name: unit.existing ? unit.existing.name : unit.doc.name,
+            action: unit.existing ? 'EXISTING' : 'CREATE',
+            unitId: unit.existing ? unit.existing._id : null,
+            tenants: unit.tenants.map(({ email, action }) => ({ email, action }))
+          };
+        })
+      };
+    });
+
+    return { valid: errors.length === 0, errors, summary, diff, properties: [...properties.values()] };
+  }
+
+  // Write a valid plan. Entities and roles for existing users are created in one transaction;
+  // invitations are sent afterwards. Resolves to { summary, invitationErrors }.
+  async apply(portfolio, plan, actor, req = null) {
+    const now = new Date();
+    const newProperties = plan.properties.filter(planned => !planned.existing);
+    const units = plan.properties.flatMap(planned => [...planned.units.values()].map(unit => ({ planned, unit })));
+    const propertyIdOf = (planned) => (planned.existing || planned.doc)._id;
+    const unitIdOf = (unit) => (unit.existing || unit.doc)._id;
+
+    await mongoose.connection.transaction(async (session) => {
+      if (newProperties.length > 0) {
+        await Property.insertMany(newProperties.map(planned => planned.doc.toObject()), { session });
+        await Portfolio.updateOne(
+          { _id: portfolio._id },
+          { $addToSet: { propertyIds: { $each: newProperties.map(propertyIdOf) } }, $set: { updatedAt: now } },
+          { session }
+        );
+      }
+
+      for (const { planned, unit } of units) {
+        const assigned = unit.tenants.filter(tenant => tenant.action === 'ASSIGN').map(tenant => tenant.user._id);
+        if (!unit.existing) {
+          await Unit.insertMany([{ ...unit.doc.toObject(), propertyId: propertyIdOf(planned) }], { session });
+          await Property.updateOne({ _id: propertyIdOf(planned) }, { $addToSet: { unitIds: unit.doc._id } }, { session });
+        }
+        if (assigned.length > 0) {
+          await UserRoleAssociation.insertMany(assigned.map(userId => ({
+            userId,
+            associatedEntityType: AssociatedEntityType.UNIT,
+            associatedEntityId: unitIdOf(unit),
+            roleWithinEntity: Role.TENANT
+          })), { session });
+          await Unit.updateOne(
+            { _id: unitIdOf(unit) },
+            { $addToSet: { tenantUserIds: { $each: assigned } }, $set: { occupancyStatus: 'OCCUPIED', vacantSince: null } },
+            { session }
+          );
+        }
+      }
+    });
+
+    const invitationErrors = [];
+    for (const { unit } of units) {
+      for (const tenant of unit.tenants.filter(candidate => candidate.action === 'INVITE')) {
+        try {
+          const result = await InvitationService.invite({
+            email: tenant.email,
+            role: Role.TENANT,
+            targetType: AssociatedEntityType.UNIT,
+            targetId: unitIdOf(unit),
+            inviter: actor
+          }, req);
+          if (result.error) {
+            invitationErrors.push({ row: unit.row, email: tenant.email, message: result.error.message });
+          }
+        } catch (error) {
+          invitationErrors.push({ row: unit.row, email: tenant.email, message: error.message });
+        }
+      }
+    }
+
+    await AuditService.record(AuditAction.PORTFOLIO_IMPORTED, {
+      req,
+      targetType: AssociatedEntityType.PORTFOLIO,
+      targetId: portfolio._id,
+      metadata: { ...plan.summary, invitationErrors: invitationErrors.length }
+    });
+    return { summary: plan.summary, invitationErrors };
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const Portfolio = require('../models/Portfolio');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const RoleAssignmentService = require('./RoleAssignmentService');
+const AuditService = require('./AuditService');
+const MailService = require('./mail');
+const { AssociatedEntityType, AuditAction, PolicyAction, Role } = require('../enums');
+require('dotenv').config();
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+
+// Policy action the inviter needs on the target, per target type
+const MANAGE_ACTIONS = Object.freeze({
+  [AssociatedEntityType.PORTFOLIO]: PolicyAction.PORTFOLIO_MANAGE_ADMINS,
+  [AssociatedEntityType.PROPERTY]: PolicyAction.PROPERTY_MANAGE_MANAGERS,
+  [AssociatedEntityType.UNIT]: PolicyAction.UNIT_MANAGE_TENANTS
+});
+
+const ROLE_LABELS = Object.freeze({
+  [Role.OWNER]: 'an owner',
+  [Role.PORTFOLIO_ADMIN]: 'a portfolio administrator',
+  [Role.PROPERTY_MANAGER]: 'a property manager',
+  [Role.TENANT]: 'a tenant',
+  [Role.GUEST]: 'a guest'
+});
+
+const TARGET_MODELS = Object.freeze({
+  [AssociatedEntityType.PORTFOLIO]: Portfolio,
+  [AssociatedEntityType.PROPERTY]: Property,
+  [AssociatedEntityType.UNIT]: Unit
+});
+
+class InvitationService {
+  manageActionFor(targetType) {
+    return MANAGE_ACTIONS[targetType];
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // New token and expiry for an invitation; the previous link stops working
+  refreshToken(invitation) {
+    const token = crypto.randomBytes(32).toString('hex');
+    invitation.tokenHash = this.hashToken(token);
+    invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+    return token;
+  }
+
+  async targetName(targetType, targetId) {
+    const target = await TARGET_MODELS[targetType].findById(targetId).select('name');
+    return target ? target.name : 'a property';
+  }
+
+  async deliver(invitation, token, inviter) {
+    await MailService.sendInvitation(invitation.email, token, {
+      inviterName: inviter ? `${inviter.firstName} ${inviter.lastName}` : 'Someone',
+      roleLabel: ROLE_LABELS[invitation.role],
+      targetName: await this.targetName(invitation.targetType, invitation.targetId),
+      expiresAt: invitation.expiresAt
+    });
+    invitation.lastSentAt = new Date();
+    invitation.sendCount += 1;
+    return invitation.save();
+  }
+
+  // Invite an email address to a role on an entity. A pending invitation for the same address and
+  // entity is updated and re-sent rather than duplicated. Resolves to { invitation } or { error }.
+  async invite({ email, role, targetType, targetId, inviter }, req) {
+    if (!RoleAssignmentService.isAssignable(role, targetType)) {
+      return { error: { status: 400, message: `Role ${role} cannot be granted on a ${targetType.toLowerCase()}.` } };
+    }
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    const existingUser = await User.findOne({ email: normalizedEmail }).select('_id');
+    if (existingUser && await UserRoleAssociation.exists({
+      userId: existingUser._id,
+      associatedEntityType: targetType,
+      associatedEntityId: targetId
+    })) {
+      return { error: { status: 409, message: 'This user already has a role here. Change it instead of sending an invitation.' } };
+    }
+
+    let invitation = await Invitation.findOne({
+      ...Invitation.pendingQuery(),
+      email: normalizedEmail,
+      targetType,
+      targetId
+    });
+    if (!invitation) {
+      invitation = new Invitation({ email: normalizedEmail, targetType, targetId });
+    }
+    invitation.role = role;
+    invitation.invitedBy = inviter._id;
+    const token = this.refreshToken(invitation);
+    await this.deliver(invitation, token, inviter);
+
+    await AuditService.record(AuditAction.INVITATION_SENT, {
+      req,
+      targetType,
+      targetId,
+      metadata: { invitationId: invitation._id, email: normalizedEmail, role }
+    });
+    return { invitation };
+  }
+
+  async resend(invitation, inviter, req) {
+    const token = this.refreshToken(invitation);
+    await this.deliver(invitation, token, inviter);
+    await AuditService.record(AuditAction.INVITATION_SENT, {
+      req,
+      targetType: invitation.targetType,
+      targetId: invitation.targetId,
+      metadata: { invitationId: invitation._id, email: invitation.email, role: invitation.role, resend: true }
+    });
+    return invitation;
+  }
+
+  async cancel(invitation, cancelledBy, req) {
+    invitation.cancelledAt = new Date();
+    invitation.cancelledBy = cancelledBy;
+    await invitation.save();
+    await AuditService.record(AuditAction.INVITATION_CANCELLED, {
+      req,
+      targetType: invitation.targetType,
+      targetId: invitation.targetId,
+      metadata: { invitationId: invitation._id, email: invitation.email }
+    });
+    return invitation;
+  }
+
+  // Accept an invitation as `user`, creating the role association. The invitation must have been
+  // sent to the user's email address. Resolves to { invitation, association } or { error }.
+  async accept(token, user, req) {
+    const invitation = await Invitation.findOne({ tokenHash: this.hashToken(String(token)) });
+    if (!invitation || invitation.status() !== 'PENDING') {
+      return { error: { status: 400, message: 'Invalid or expired invitation.' } };
+    }
+    if (invitation.email !== user.email) {
+      return { error: { status: 403, message: 'This invitation was sent to a different email address.' } };
+    }
+    if (!(await TARGET_MODELS[invitation.targetType].exists({ _id: invitation.targetId }))) {
+      return { error: { status: 410, message: 'The invited entity no longer exists.' } };
+    }
+
+    // Claim the invitation first so concurrent accepts can't both succeed
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, ...Invitation.pendingQuery() },
+      { $set: { acceptedAt: new Date(), acceptedBy: user._id } },
+      { new: true }
+    );
+    if (!claimed) {
+      return { error: { status: 400, message: 'Invalid or expired invitation.' } };
+    }
+
+    const association = await RoleAssignmentService.assign(user._id, claimed.role, claimed.targetType, claimed.targetId, req);
+
+    await AuditService.record(AuditAction.INVITATION_ACCEPTED, {
+      req,
+      actorId: user._id,
+      targetType: claimed.targetType,
+      targetId: claimed.targetId,
+      metadata: { invitationId: claimed._id, role: claimed.role }
+    });
+    return { invitation: claimed, association };
+  }
+
+  serialize(invitation, now = new Date()) {
+    const data = { ...invitation.toJSON(), status: invitation.status(now) };
+    delete data.tokenHash; // Present on documents whose token was just issued
+    return data;
+  }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,112 @@
+const bcrypt = require('bcryptjs');
+const LoginThrottle = require('../models/LoginThrottle');
+const logger = require('../logger');
+require('dotenv').config();
+
+const FAILURE_WINDOW_MS = 15 * 60 * 1000; // Counters reset after 15 minutes without failures
+const LOCKOUT_DURATION_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+const ACCOUNT_LOCK_THRESHOLD = parseInt(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD, 10) || 10;
+const IP_LOCK_THRESHOLD = parseInt(process.env.LOGIN_IP_LOCK_THRESHOLD, 10) || 50;
+const FREE_ATTEMPTS = 3; // Failures allowed before progressive delays kick in
+const MAX_DELAY_MS = 60 * 1000;
+
+// Hash compared against when the email is unknown, so response timing doesn't reveal whether an account exists
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('unified-smart-home-dummy-password', 10);
+
+class LoginThrottleService {
+  accountKey(email) {
+    return `account:${String(email).toLowerCase().trim()}`;
+  }
+
+  ipKey(ipAddress) {
+    return `ip:${ipAddress}`;
+  }
+
+  keysFor(email, ipAddress) {
+    return [
+      { key: this.accountKey(email), threshold: ACCOUNT_LOCK_THRESHOLD },
+      { key: this.ipKey(ipAddress), threshold: IP_LOCK_THRESHOLD }
+    ];
+  }
+
+  // Delay before the next attempt: 1s, 2s, 4s ... capped at MAX_DELAY_MS
+  delayFor(failures) {
+    if (failures <= FREE_ATTEMPTS) {
+      return 0;
+    }
+    return Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+  }
+
+  // Returns { allowed: true } or { allowed: false, retryAfterSeconds }
+  async check(keys) {
+    const now = new Date();
+    const records = await LoginThrottle.find({
+      key: { $in: keys.map(k => k.key) },
+      expiresAt: { $gt: now }
+    });
+
+    let blockedUntil = null;
+    for (const record of records) {
+      for (const until of [record.lockedUntil, record.nextAttemptAt]) {
+        if (until && until > now && (!blockedUntil || until > blockedUntil)) {
+          blockedUntil = until;
+        }
+      }
+    }
+
+    if (!blockedUntil) {
+      return { allowed: true };
+    }
+    return { allowed: false, retryAfterSeconds: Math.ceil((blockedUntil - now) / 1000) };
+  }
+
+  async recordFailure(keys) {
+    const now = new Date();
+    await Promise.all(keys.map(async ({ key, threshold }) => {
+      // Start a fresh counter if the previous window has lapsed (TTL cleanup is not immediate)
+      await LoginThrottle.deleteOne({ key, expiresAt: { $lte: now } });
+
+      const record = await LoginThrottle.findOneAndUpdate(
+        { key },
+        {
+          $inc: { failures: 1 },
+          $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS) }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      const update = { nextAttemptAt: new Date(now.getTime() + this.delayFor(record.failures)) };
+      if (record.failures >= threshold) {
+        update.lockedUntil = new Date(now.getTime() + LOCKOUT_DURATION_MS);
+        update.expiresAt = new Date(update.lockedUntil.getTime() + FAILURE_WINDOW_MS);
+        if (record.failures === threshold) {
+          logger.warn({ key, failures: record.failures, lockedUntil: update.lockedUntil }, 'Sign-in temporarily locked after repeated failures');
+        }
+      }
+      await LoginThrottle.updateOne({ _id: record._id }, { $set: update });
+    }));
+  }
+
+  // A successful sign-in clears the account counter; the IP counter keeps running so one
+  // valid credential can't be used to reset a stuffing run.
+  async recordSuccess(email) {
+    await LoginThrottle.deleteOne({ key: this.accountKey(email) });
+  }
+
+  // Admin unlock; returns true if a lock/counter existed
+  async unlock({ email, ipAddress }) {
+    const keys = [];
+    if (email) keys.push(this.accountKey(email));
+    if (ipAddress) keys.push(this.ipKey(ipAddress));
+    const result = await LoginThrottle.deleteMany({ key: { $in: keys } });
+    return result.deletedCount > 0;
+  }
+
+  // Burn comparable time to a real password check
+  async compareDummyPassword(password) {
+    await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+    return false;
+  }
+}
+
+module.exports = new LoginThrottleService();
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const Property = require('../models/Property');
+const Portfolio = require('../models/Portfolio');
+const { AssociatedEntityType, Role } = require('../enums');
+require('dotenv').config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ISSUER = 'Unified Smart Home';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept one step of clock drift either side
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// Roles that are forced to use MFA when a portfolio's security policy requires it
+const MFA_ENFORCED_ROLES = [Role.OWNER, Role.PORTFOLIO_ADMIN, Role.PROPERTY_MANAGER];
+
+// TOTP secrets are encrypted at rest with AES-256-GCM
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || `${JWT_SECRET}:mfa`)
+  .digest();
+
+class MfaService {
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30 second steps)
+  generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      ((hmac[offset + 1] & 0xff) << 16) |
+      ((hmac[offset + 2] & 0xff) << 8) |
+      (hmac[offset + 3] & 0xff);
+    return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+  }
+
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  }
+
+  // Returns the matching time step, or null. Steps at or before lastUsedStep are rejected
+  // so a code can't be replayed.
+  verifyTotp(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+      return null;
+    }
+    const step = this.currentStep();
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+      const candidate = step + drift;
+      if (lastUsedStep !== null && candidate <= lastUsedStep) {
+        continue;
+      }
+      const expected = this.generateTotp(secret, candidate);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  buildOtpAuthUrl(email, secret) {
+    const label = encodeURIComponent(`${ISSUER}:${email}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+      `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+  }
+
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+  }
+
+  // Returns { codes, hashes }; only the hashes are stored
+  generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(code => this.hashRecoveryCode(code)) };
+  }
+
+  // Verify a TOTP or recovery code for a user loaded with
+  // '+mfa.secret +mfa.recoveryCodeHashes +mfa.lastUsedStep'. Persists replay/consumption state.
+  // Returns 'totp', 'recovery', or null.
+  async verifyUserCode(user, code) {
+    if (!user.mfa || !user.mfa.enabled || !user.mfa.secret) {
+      return null;
+    }
+
+    const step = this.verifyTotp(this.decryptSecret(user.mfa.secret), code, user.mfa.lastUsedStep);
+    if (step !== null) {
+      user.mfa.lastUsedStep = step;
+      await user.save();
+      return 'totp';
+    }
+
+    const hash = this.hashRecoveryCode(String(code || ''));
+    const index = (user.mfa.recoveryCodeHashes || []).indexOf(hash);
+    if (index !== -1) {
+      user.mfa.recoveryCodeHashes.splice(index, 1);
+      await user.save();
+      return 'recovery';
+    }
+
+    return null;
+  }
+
+  // Short-lived token proving the password step of a two-step login succeeded
+  issueChallengeToken(user) {
+    return jwt.sign({ sub: user._id.toString(), purpose: 'MFA_CHALLENGE' }, JWT_SECRET, { expiresIn: CHALLENGE_TTL_SECONDS });
+  }
+
+  // Returns the user ID from a valid challenge token, or null
+  verifyChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      return decoded.purpose === 'MFA_CHALLENGE' ? decoded.sub : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // A user must use MFA if they hold an OWNER/PORTFOLIO_ADMIN/PROPERTY_MANAGER association
+  // within any portfolio whose security policy requires it.
+  async isMfaRequiredForUser(userId) {
+    const associations = await UserRoleAssociation.find({
+      userId,
+      roleWithinEntity: { $in: MFA_ENFORCED_ROLES },
+      associatedEntityType: { $in: [AssociatedEntityType.PORTFOLIO, AssociatedEntityType.PROPERTY] }
+    }).select('associatedEntityType associatedEntityId');
+
+    if (associations.length === 0) {
+      return false;
+    }
+
+    const portfolioIds = associations
+      .filter(a => a.associatedEntityType === AssociatedEntityType.PORTFOLIO)
+      .map(a => a.associatedEntityId);
+    const propertyIds = associations
+      .filter(a => a.associatedEntityType === AssociatedEntityType.PROPERTY)
+      .map(a => a.associatedEntityId);
+
+    if (propertyIds.length > 0) {
+      const properties = await Property.find({ _id: { $in: propertyIds } }).select('portfolioId');
+      portfolioIds.push(...properties.map(p => p.portfolioId));
+    }
+
+    const enforcingPortfolio = await Portfolio.exists({
+      _id: { $in: portfolioIds },
+      'securityPolicy.requireMfa': true
+    });
+    return !!enforcingPortfolio;
+  }
+
+  // True when a user without MFA enabled must enroll before using the API
+  async isEnrollmentRequired(user) {
+    if (user.mfa && user.mfa.enabled) {
+      return false;
+    }
+    return this.isMfaRequiredForUser(user._id);
+  }
+}
+
+module.exports = new MfaService();
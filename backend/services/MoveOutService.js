@@ -0,0 +1,156 @@
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const GuestAccessGrant = require('../models/GuestAccessGrant');
+const SmartThingsToken = require('../models/SmartThingsToken');
+const MoveOutReport = require('../models/MoveOutReport');
+const GuestAccessService = require('./GuestAccessService');
+const SmartThingsService = require('./SmartThingsService');
+const DeviceControlService = require('./DeviceControlService');
+const AuditService = require('./AuditService');
+const { AssociatedEntityType, AuditAction, Role } = require('../enums');
+
+// Commands that put a device into its vacant-unit state, by device type. Locks are handled
+// separately (codes cleared, then locked).
+const VACANT_STATE_COMMANDS = Object.freeze({
+  LIGHT: 'off',
+  TV: 'off',
+  SPEAKER: 'off',
+  APPLIANCE: 'off'
+});
+
+const idEquals = (a, b) => a.toString() === b.toString();
+
+class MoveOutService {
+  // Move tenants out of a unit. `tenantUserIds` defaults to every current tenant. Resolves to
+  // { report } or { error: { status, message } }.
+  async moveOut(unit, actor, { tenantUserIds = null, note } = {}, req = null) {
+    const unitId = unit._id;
+    const propertyId = unit.propertyId._id || unit.propertyId;
+
+    const tenancies = await UserRoleAssociation.find({
+      associatedEntityType: AssociatedEntityType.UNIT,
+      associatedEntityId: unitId,
+      roleWithinEntity: Role.TENANT
+    });
+    const currentTenantIds = tenancies.map(assoc => assoc.userId);
+
+    const leaving = tenantUserIds
+      ? currentTenantIds.filter(id => tenantUserIds.some(requested => idEquals(requested, id)))
+      : currentTenantIds;
+    if (tenantUserIds && leaving.length !== new Set(tenantUserIds.map(String)).size) {
+      return { error: { status: 400, message: 'Every tenantUserId must be a current tenant of this unit.' } };
+    }
+    if (leaving.length === 0) {
+      return { error: { status: 409, message: 'This unit has no tenants to move out.' } };
+    }
+    const unitVacant = leaving.length === currentTenantIds.length;
+
+    // 1. Access: role associations, the denormalized tenant list and navigation defaults
+    const associations = await UserRoleAssociation.deleteMany({
+      associatedEntityType: AssociatedEntityType.UNIT,
+      associatedEntityId: unitId,
+      roleWithinEntity: Role.TENANT,
+      userId: { $in: leaving }
+    });
+    const unitUpdate = { $pull: { tenantUserIds: { $in: leaving } } };
+    if (unitVacant) {
+      unitUpdate.$set = { occupancyStatus: 'VACANT', vacantSince: new Date() };
+    }
+    await Unit.findByIdAndUpdate(unitId, unitUpdate);
+    await User.updateMany(
+      { _id: { $in: leaving }, defaultUnitId: unitId },
+      { $set: { defaultUnitId: null } }
+    );
+
+    // 2. Guest grants the departing tenants handed out for this unit
+    const grants = await GuestAccessGrant.find({ unitId, grantedBy: { $in: leaving }, revokedAt: null });
+    for (const grant of grants) {
+      await GuestAccessService.revokeGrant(grant, actor._id, 'MOVE_OUT');
+    }
+
+    // 3. The tenants' SmartThings links for this unit
+    const tokens = await SmartThingsToken.updateMany(
+      { userId: { $in: leaving }, unitId, isActive: true },
+      { $set: { isActive: false, updatedAt: Date.now() } }
+    );
+
+    // 4. Devices: lock codes are always cleared; everything else is reset once the unit is empty
+    const devices = await this.resetDevices(unit, propertyId, actor, req, { unitVacant });
+
+    const report = await new MoveOutReport({
+      unitId,
+      propertyId,
+      performedBy: actor._id,
+      tenantUserIds: leaving,
+      unitVacant,
+      associationsRemoved: associations.deletedCount,
+      guestGrantsRevoked: grants.length,
+      smartThingsTokensDeactivated: tokens.modifiedCount,
+      devices,
+      followUpRequired: devices.some(device => device.actions.some(action => action.outcome !== 'DONE')),
+      note
+    }).save();
+
+    await AuditService.record(AuditAction.UNIT_MOVE_OUT, {
+      req,
+      targetType: AssociatedEntityType.UNIT,
+      targetId: unitId,
+      metadata: { reportId: report._id, tenantUserIds: leaving, unitVacant }
+    });
+    return { report };
+  }
+
+  async resetDevices(unit, propertyId, actor, req, { unitVacant }) {
+    const devices = await Device.find({ unitId: unit._id });
+    const token = await SmartThingsService.getActiveTokenForUnit(actor._id, propertyId, unit._id);
+    const results = [];
+
+    for (const device of devices) {
+      const planned = [];
+      if (device.type === 'LOCK') {
+        planned.push('CLEAR_LOCK_CODES');
+        if (unitVacant) planned.push('LOCK');
+      } else if (unitVacant && VACANT_STATE_COMMANDS[device.type]) {
+        planned.push('TURN_OFF');
+      }
+      if (planned.length === 0) continue;
+
+      const smartThingsDeviceId = SmartThingsService.linkedDeviceId(device);
+      const actions = [];
+      for (const action of planned) {
+        if (!smartThingsDeviceId) {
+          actions.push({ action, outcome: 'MANUAL_ACTION_REQUIRED', detail: 'Device is not linked to an integration.' });
+        } else if (!token) {
+          actions.push({ action, outcome: 'MANUAL_ACTION_REQUIRED', detail: 'No active SmartThings link for this unit or property.' });
+        } else {
+          actions.push(await this.runAction(action, device, smartThingsDeviceId, token, actor, req));
+        }
+      }
+      results.push({ deviceId: device._id, name: device.name, type: device.type, actions });
+    }
+    return results;
+  }
+
+  async runAction(action, device, smartThingsDeviceId, token, actor, req) {
+    if (action === 'CLEAR_LOCK_CODES') {
+      try {
+        const cleared = await SmartThingsService.clearLockCodes(token, smartThingsDeviceId);
+        return { action, outcome: 'DONE', detail: `${cleared} code(s) removed.` };
+      } catch (error) {
+        return { action, outcome: 'FAILED', detail: error.message };
+      }
+    }
+
+    // Sent through the driver registry like any other command, so it is recorded as a DeviceCommand
+    // and the device's stored state follows
+    const command = action === 'LOCK' ? 'lock' : VACANT_STATE_COMMANDS[device.type];
+    const record = await DeviceControlService.sendCommand(device, { command, parameters: {} }, { userId: actor._id, req });
+    return record.status === 'SUCCEEDED'
+      ? { action, outcome: 'DONE' }
+      : { action, outcome: 'FAILED', detail: record.error };
+  }
+}
+
+module.exports = new MoveOutService();
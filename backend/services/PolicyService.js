@@ -0,0 +1,330 @@
+const Portfolio = require('../models/Portfolio');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const Device = require('../models/Device');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const GuestAccessService = require('./GuestAccessService');
+const CommonAreaService = require('./CommonAreaService');
+const { AssociatedEntityType, Role, PolicyAction } = require('../enums');
+
+// Resources the policy can be asked about: the role-bearing hierarchy plus devices hanging off it
+const ResourceType = Object.freeze({
+  ...AssociatedEntityType,
+  DEVICE: 'DEVICE'
+});
+
+// Column order for the permission matrix below
+const ROLE_COLUMNS = [Role.OWNER, Role.PORTFOLIO_ADMIN, Role.PROPERTY_MANAGER, Role.TENANT, Role.GUEST, Role.SUPER_ADMIN];
+
+const row = (...allowed) => Object.freeze(
+  ROLE_COLUMNS.reduce((acc, role, index) => ({ ...acc, [role]: allowed[index] === true }), {})
+);
+
+// Role x action matrix. A role held on an entity applies to that entity and everything beneath it
+// (portfolio -> property -> unit -> device); roles never grant anything on ancestors.
+// SUPER_ADMIN is the platform-wide flag on User and applies everywhere.
+// Guest access grants (GuestAccessGrant) and common-area entitlements (CommonArea.access) add
+// device read/control on top of this table.
+const PERMISSION_MATRIX = Object.freeze({
+  //                                             OWNER  P_ADM  P_MGR  TENANT GUEST  SUPER
+  [PolicyAction.PORTFOLIO_CREATE]:           row(false, false, false, false, false, true),
+  [PolicyAction.PORTFOLIO_READ]:             row(true,  true,  false, false, false, true),
+  [PolicyAction.PORTFOLIO_UPDATE]:           row(true,  true,  false, false, false, true),
+  [PolicyAction.PORTFOLIO_DELETE]:           row(true,  false, false, false, false, true),
+  [PolicyAction.PORTFOLIO_MANAGE_SECURITY]:  row(true,  false, false, false, false, false),
+  [PolicyAction.PORTFOLIO_MANAGE_ADMINS]:    row(true,  false, false, false, false, true),
+  [PolicyAction.PORTFOLIO_EXPORT]:           row(true,  false, false, false, false, true),
+  [PolicyAction.PROPERTY_CREATE]:            row(true,  true,  false, false, false, true),
+  [PolicyAction.PROPERTY_READ]:              row(true,  true,  true,  false, false, true),
+  [PolicyAction.PROPERTY_UPDATE]:            row(true,  true,  true,  false, false, true),
+  [PolicyAction.PROPERTY_DELETE]:            row(true,  true,  false, false, false, true),
+  [PolicyAction.PROPERTY_MANAGE_MANAGERS]:   row(true,  true,  false, false, false, true),
+  [PolicyAction.PROPERTY_TRANSFER]:          row(true,  false, false, false, false, true),
+  [PolicyAction.UNIT_CREATE]:                row(true,  true,  true,  false, false, true),
+  [PolicyAction.UNIT_READ]:                  row(true,  true,  true,  true,  true,  true),
+  [PolicyAction.UNIT_UPDATE]:                row(true,  true,  true,  false, false, true),
+  [PolicyAction.UNIT_DELETE]:                row(true,  true,  true,  false, false, true),
+  [PolicyAction.UNIT_LIST_TENANTS]:          row(true,  true,  true,  true,  false, true),
+  [PolicyAction.UNIT_MANAGE_TENANTS]:        row(true,  true,  true,  false, false, true),
+  [PolicyAction.UNIT_GRANT_GUEST_ACCESS]:    row(true,  true,  true,  true,  false, true),
+  [PolicyAction.UNIT_TRANSFER]:              row(true,  false, false, false, false, true),
+  [PolicyAction.DEVICE_READ]:                row(true,  true,  true,  true,  true,  true),
+  [PolicyAction.DEVICE_CONTROL]:             row(true,  true,  true,  true,  true,  false),
+  [PolicyAction.DEVICE_MANAGE]:              row(true,  true,  true,  false, false, true),
+  [PolicyAction.INTEGRATION_LINK]:           row(true,  true,  true,  true,  false, false)
+});
+
+// Fail fast at startup if an action or role was added without deciding its permissions
+const assertMatrixComplete = () => {
+  for (const action of Object.values(PolicyAction)) {
+    const permissions = PERMISSION_MATRIX[action];
+    if (!permissions) {
+      throw new Error(`Permission matrix has no row for action '${action}'`);
+    }
+    for (const role of Object.values(Role)) {
+      if (typeof permissions[role] !== 'boolean') {
+        throw new Error(`Permission matrix row '${action}' has no entry for role '${role}'`);
+      }
+    }
+  }
+};
+assertMatrixComplete();
+
+// Device actions a current guest grant can satisfy
+const GUEST_GRANT_ACTIONS = [PolicyAction.DEVICE_READ, PolicyAction.DEVICE_CONTROL];
+
+// Device actions a common-area entitlement can satisfy (control only while the area is open)
+const COMMON_AREA_ACTIONS = [PolicyAction.DEVICE_READ, PolicyAction.DEVICE_CONTROL];
+
+// Denial reasons returned by authorize()
+const DenyReason = Object.freeze({
+  NOT_FOUND: 'NOT_FOUND',
+  API_KEY_PORTFOLIO: 'API_KEY_PORTFOLIO',
+  FORBIDDEN: 'FORBIDDEN'
+});
+
+const idOf = (value) => (value && value._id ? value._id : value) || null;
+
+class PolicyService {
+  get ResourceType() {
+    return ResourceType;
+  }
+
+  get DenyReason() {
+    return DenyReason;
+  }
+
+  get matrix() {
+    return PERMISSION_MATRIX;
+  }
+
+  // Whether `role` may perform `action` according to the matrix
+  roleAllows(role, action) {
+    const permissions = PERMISSION_MATRIX[action];
+    if (!permissions) {
+      throw new Error(`Unknown policy action '${action}'`);
+    }
+    return permissions[role] === true;
+  }
+
+  // Build the actor the policy evaluates from an authenticated request (see middleware/auth.middleware.js)
+  actorFromRequest(req) {
+    const record = req.userDbRecord;
+    return {
+      id: req.user.id,
+      isSuperAdmin: !!record && (record.isSuperAdmin === true || record.globalRole === Role.SUPER_ADMIN),
+      apiKeyPortfolioId: req.apiKey ? req.apiKey.portfolioId : null
+    };
+  }
+
+  // Accepts an actor from actorFromRequest() or a User document
+  toActor(user) {
+    if (!user) {
+      return null;
+    }
+    return {
+      id: String(user.id || user._id),
+      isSuperAdmin: user.isSuperAdmin === true || user.globalRole === Role.SUPER_ADMIN,
+      apiKeyPortfolioId: user.apiKeyPortfolioId || null
+    };
+  }
+
+  // Load a resource and its ancestors. `resource` is { type, id } or { type, doc } for an already
+  // loaded document. Units are returned with `propertyId` populated. Resolves to null if not found.
+  async resolveHierarchy(resource) {
+    const context = { portfolio: null, property: null, unit: null, device: null };
+    const { type } = resource;
+    let doc = resource.doc || null;
+
+    if (type === ResourceType.DEVICE) {
+      context.device = doc || await Device.findById(resource.id);
+      if (!context.device) return null;
+      if (context.device.unitId) {
+        doc = await Unit.findById(idOf(context.device.unitId)).populate('propertyId');
+        if (doc) context.unit = doc;
+      }
+      if (!context.unit && context.device.propertyId) {
+        context.property = await Property.findById(idOf(context.device.propertyId));
+      }
+    } else if (type === ResourceType.UNIT) {
+      context.unit = doc || await Unit.findById(resource.id).populate('propertyId');
+      if (!context.unit) return null;
+    } else if (type === ResourceType.PROPERTY) {
+      context.property = doc || await Property.findById(resource.id);
+      if (!context.property) return null;
+    } else if (type === ResourceType.PORTFOLIO) {
+      context.portfolio = doc || await Portfolio.findById(resource.id);
+      if (!context.portfolio) return null;
+    } else {
+      throw new Error(`Unknown policy resource type '${type}'`);
+    }
+
+    if (context.unit && !context.property) {
+      const parent = context.unit.propertyId;
+      context.property = parent && parent.portfolioId ? parent : await Property.findById(idOf(parent));
+    }
+    if (context.property && !context.portfolio) {
+      context.portfolio = await Portfolio.findById(context.property.portfolioId);
+    }
+
+    context.portfolioId = context.portfolio ? context.portfolio._id : (context.property ? context.property.portfolioId : null);
+    context.propertyId = context.property ? context.property._id : null;
+    context.unitId = context.unit ? context.unit._id : null;
+    return context;
+  }
+
+  // Roles the actor holds on the resolved entity or any of its ancestors
+  async effectiveRoles(actor, context) {
+    const roles = new Set();
+    if (actor.isSuperAdmin) {
+      roles.add(Role.SUPER_ADMIN);
+    }
+
+    const targets = [
+      [AssociatedEntityType.PORTFOLIO, context.portfolioId],
+      [AssociatedEntityType.PROPERTY, context.propertyId],
+      [AssociatedEntityType.UNIT, context.unitId]
+    ].filter(([, id]) => id);
+
+    if (targets.length > 0) {
+      const associations = await UserRoleAssociation.find({
+        userId: actor.id,
+        $or: targets.map(([entityType, id]) => ({ associatedEntityType: entityType, associatedEntityId: id }))
+      }).select('roleWithinEntity');
+      associations.forEach(assoc => roles.add(assoc.roleWithinEntity));
+    }
+
+    return [...roles];
+  }
+
+  // Full decision: { allowed, reason, context, roles }. `resource` may be null for global actions.
+  async authorize(user, action, resource = null) {
+    const actor = this.toActor(user);
+    if (!actor) {
+      return { allowed: false, reason: DenyReason.FORBIDDEN, context: null, roles: [] };
+    }
+
+    const context = resource ? await this.resolveHierarchy(resource) : { portfolioId: null, propertyId: null, unitId: null };
+    if (!context) {
+      return { allowed: false, reason: DenyReason.NOT_FOUND, context: null, roles: [] };
+    }
+
+    // Portfolio-bound API keys never reach outside their portfolio (or anything global)
+    if (actor.apiKeyPortfolioId && (!context.portfolioId || !context.portfolioId.equals(actor.apiKeyPortfolioId))) {
+      return { allowed: false, reason: DenyReason.API_KEY_PORTFOLIO, context, roles: [] };
+    }
+
+    const roles = await this.effectiveRoles(actor, context);
+    let allowed = roles.some(role => this.roleAllows(role, action));
+
+    // Fall back to time-bounded guest grants for device access
+    if (!allowed && context.device && GUEST_GRANT_ACTIONS.includes(action)) {
+      allowed = await GuestAccessService.hasActiveGrantForDevice(actor.id, context.device);
+      if (allowed) {
+        roles.push(Role.GUEST);
+      }
+    }
+
+    // ...and to common areas the user is entitled to as a tenant of the property
+    if (!allowed && context.device && context.device.commonAreaId && COMMON_AREA_ACTIONS.includes(action)) {
+      allowed = await CommonAreaService.allowsDevice(actor.id, context.device, { control: action === PolicyAction.DEVICE_CONTROL });
+      if (allowed) {
+        roles.push(Role.TENANT);
+      }
+    }
+
+    return { allowed, reason: allowed ? null : DenyReason.FORBIDDEN, context, roles };
+  }
+
+  // can(user, action, resource) -> boolean
+  async can(user, action, resource = null) {
+    const decision = await this.authorize(user, action, resource);
+    return decision.allowed;
+  }
+
+  // IDs of everything the actor may perform `action` on, for list endpoints.
+  // Resolves to { all: true } for unrestricted actors, otherwise { all: false, portfolioIds, propertyIds, unitIds, deviceIds }
+  // where deviceIds lists devices reachable only through guest grants or common-area entitlements.
+  async accessibleIds(user, action) {
+    const actor = this.toActor(user);
+    const boundPortfolioId = actor.apiKeyPortfolioId;
+    const superAdminAllowed = actor.isSuperAdmin && this.roleAllows(Role.SUPER_ADMIN, action);
+
+    if (superAdminAllowed && !boundPortfolioId) {
+      return { all: true };
+    }
+
+    let portfolioIds = [];
+    let propertyIds = [];
+    let unitIds = [];
+
+    if (superAdminAllowed) {
+      portfolioIds = [boundPortfolioId];
+    } else {
+      const associations = await UserRoleAssociation.find({ userId: actor.id });
+      for (const assoc of associations) {
+        if (!this.roleAllows(assoc.roleWithinEntity, action)) continue;
+        if (assoc.associatedEntityType === AssociatedEntityType.PORTFOLIO) portfolioIds.push(assoc.associatedEntityId);
+        if (assoc.associatedEntityType === AssociatedEntityType.PROPERTY) propertyIds.push(assoc.associatedEntityId);
+        if (assoc.associatedEntityType === AssociatedEntityType.UNIT) unitIds.push(assoc.associatedEntityId);
+      }
+      if (boundPortfolioId) {
+        portfolioIds = portfolioIds.filter(id => id.equals(boundPortfolioId));
+      }
+    }
+
+    // Expand downwards: portfolios -> their properties -> their units
+    const propertyFilter = { $or: [{ _id: { $in: propertyIds } }, { portfolioId: { $in: portfolioIds } }] };
+    if (boundPortfolioId) {
+      propertyFilter.portfolioId = boundPortfolioId;
+    }
+    propertyIds = await Property.find(propertyFilter).distinct('_id');
+
+    const unitFilter = { $or: [{ _id: { $in: unitIds } }, { propertyId: { $in: propertyIds } }] };
+    if (boundPortfolioId) {
+      unitFilter.propertyId = { $in: await Property.find({ portfolioId: boundPortfolioId }).distinct('_id') };
+    }
+    unitIds = await Unit.find(unitFilter).distinct('_id');
+
+    let deviceIds = [];
+    if (GUEST_GRANT_ACTIONS.includes(action)) {
+      deviceIds = await GuestAccessService.activeDeviceIdsForUser(actor.id);
+    }
+    if (COMMON_AREA_ACTIONS.includes(action)) {
+      deviceIds = deviceIds.concat(await CommonAreaService.entitledDeviceIds(actor.id, { control: action === PolicyAction.DEVICE_CONTROL }));
+    }
+    if (boundPortfolioId && deviceIds.length > 0) {
+      const boundPropertyIds = await Property.find({ portfolioId: boundPortfolioId }).distinct('_id');
+      deviceIds = await Device.find({ _id: { $in: deviceIds }, propertyId: { $in: boundPropertyIds } }).distinct('_id');
+    }
+
+    return { all: false, portfolioIds, propertyIds, unitIds, deviceIds };
+  }
+
+  // Mongo filter restricting a collection to the result of accessibleIds()
+  filterFor(scope, type) {
+    if (scope.all) {
+      return {};
+    }
+    switch (type) {
+      case ResourceType.PORTFOLIO:
+        return { _id: { $in: scope.portfolioIds } };
+      case ResourceType.PROPERTY:
+        return { _id: { $in: scope.propertyIds } };
+      case ResourceType.UNIT:
+        return { _id: { $in: scope.unitIds } };
+      case ResourceType.DEVICE:
+        return {
+          $or: [
+            { unitId: { $in: scope.unitIds } },
+            { propertyId: { $in: scope.propertyIds } },
+            { _id: { $in: scope.deviceIds || [] } }
+          ]
+        };
+      default:
+        throw new Error(`Unknown policy resource type '${type}'`);
+    }
+  }
+}
+
+module.exports = new PolicyService();
@@ -0,0 +1,284 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+const Portfolio = require('../models/Portfolio');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const Room = require('../models/Room');
+const CommonArea = require('../models/CommonArea');
+const Device = require('../models/Device');
+const User = require('../models/User');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const AuditService = require('./AuditService');
+const { AssociatedEntityType, AuditAction } = require('../enums');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_FORMAT = 'unified-smart-home/portfolio-archive';
+const ARCHIVE_VERSION = 1;
+const MAX_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+
+// Fields carried in the archive for each record type. IDs and references are remapped on import;
+// timestamps, soft-delete markers and runtime state (device status) are not carried over.
+const FIELDS = Object.freeze({
+  portfolio: ['_id', 'name', 'administratorUserIds', 'propertyIds', 'securityPolicy'],
+  properties: ['_id', 'name', 'portfolioId', 'address', 'unitIds', 'managerUserIds', 'defaultTimeZone'],
+  units: ['_id', 'name', 'propertyId', 'deviceIds', 'tenantUserIds', 'occupancyStatus', 'vacantSince'],
+  rooms: ['_id', 'name', 'propertyId', 'unitId', 'type', 'deviceIds', 'integrationData'],
+  commonAreas: ['_id', 'name', 'propertyId', 'type', 'description', 'deviceIds', 'access', 'schedule', 'timeZone'],
+  devices: ['_id', 'name', 'manufacturer', 'type', 'unitId', 'propertyId', 'roomId', 'commonAreaId', 'capabilities', 'integrationData', 'metadata'],
+  roleAssociations: ['userId', 'associatedEntityType', 'associatedEntityId', 'roleWithinEntity'],
+  users: ['_id', 'email', 'firstName', 'lastName']
+});
+
+const pick = (doc, fields) => fields.reduce((acc, field) => (doc[field] !== undefined ? { ...acc, [field]: doc[field] } : acc), {});
+
+// Snapshot of a whole portfolio as a versioned JSON archive, and re-creation of such an archive as
+// a new portfolio (in this or another deployment) with fresh IDs. Users are not exported: people
+// are referenced by email and matched to existing accounts on import.
+class PortfolioArchiveService {
+  get format() {
+    return ARCHIVE_FORMAT;
+  }
+
+  get version() {
+    return ARCHIVE_VERSION;
+  }
+
+  async buildArchive(portfolio) {
+    const properties = await Property.find({ portfolioId: portfolio._id }).lean();
+    const propertyIds = properties.map(property => property._id);
+    const units = await Unit.find({ propertyId: { $in: propertyIds } }).lean();
+    const unitIds = units.map(unit => unit._id);
+    const rooms = await Room.find({ propertyId: { $in: propertyIds } }).lean();
+    const commonAreas = await CommonArea.find({ propertyId: { $in: propertyIds } }).lean();
+    const devices = await Device.find({ $or: [{ propertyId: { $in: propertyIds } }, { unitId: { $in: unitIds } }] }).lean();
+    const roleAssociations = await UserRoleAssociation.find({
+      $or: [
+        { associatedEntityType: AssociatedEntityType.PORTFOLIO, associatedEntityId: portfolio._id },
+        { associatedEntityType: AssociatedEntityType.PROPERTY, associatedEntityId: { $in: propertyIds } },
+        { associatedEntityType: AssociatedEntityType.UNIT, associatedEntityId: { $in: unitIds } }
+      ]
+    }).lean();
+    const users = await User.find({ _id: { $in: roleAssociations.map(assoc => assoc.userId) } }).select('email firstName lastName').lean();
+
+    const source = portfolio.toObject ? portfolio.toObject() : portfolio;
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      generatedAt: new Date().toISOString(),
+      portfolioId: portfolio._id.toString(),
+      sections: {
+        portfolio: pick(source, FIELDS.portfolio),
+        properties: properties.map(doc => pick(doc, FIELDS.properties)),
+        units: units.map(doc => pick(doc, FIELDS.units)),
+        rooms: rooms.map(doc => pick(doc, FIELDS.rooms)),
+        commonAreas: commonAreas.map(doc => pick(doc, FIELDS.commonAreas)),
+        devices: devices.map(doc => pick(doc, FIELDS.devices)),
+        roleAssociations: roleAssociations.map(doc => pick(doc, FIELDS.roleAssociations)),
+        users: users.map(doc => pick(doc, FIELDS.users))
+      }
+    };
+  }
+
+  // Gzipped archive for download
+  async exportArchive(portfolio, req = null) {
+    const archive = await this.buildArchive(portfolio);
+    const buffer = await gzip(JSON.stringify(archive));
+
+    await AuditService.record(AuditAction.PORTFOLIO_ARCHIVE_EXPORTED, {
+      req,
+      targetType: AssociatedEntityType.PORTFOLIO,
+      targetId: portfolio._id,
+      metadata: {
+        properties: archive.sections.properties.length,
+        units: archive.sections.units.length,
+        devices: archive.sections.devices.length,
+        size: buffer.length
+      }
+    });
+    return buffer;
+  }
+
+  downloadHeaders(portfolio) {
+    const fileName = `portfolio-${portfolio._id}-${new Date().toISOString().slice(0, 10)}.json.gz`;
+    return {
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'no-store'
+    };
+  }
+
+  // Archive from an upload: a gzipped file (Buffer) or already-parsed JSON.
+  // Resolves to { archive } or { error: { status, message } }.
+  async readArchive(body) {
+    let archive = body;
+    if (Buffer.isBuffer(body)) {
+      try {
+        const json = await gunzip(body, { maxOutputLength: MAX_UNCOMPRESSED_BYTES });
+        archive = JSON.parse(json.toString('utf8'));
+      } catch (error) {
+        return { error: { status: 400, message: 'The archive is not a valid gzipped JSON file.' } };
+      }
+    }
+
+    if (!archive || archive.format !== ARCHIVE_FORMAT) {
+      return { error: { status: 400, message: `Not a portfolio archive (expected format "${ARCHIVE_FORMAT}").` } };
+    }
+    if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+      return { error: { status: 400, message: `Unsupported archive version ${archive.version}. This server reads up to version ${ARCHIVE_VERSION}.` } };
+    }
+    const sections = archive.sections || {};
+    if (!sections.portfolio || !sections.portfolio.name ||
+        !['properties', 'units', 'rooms', 'devices', 'roleAssociations', 'users'].every(name => Array.isArray(sections[name]))) {
+      return { error: { status: 400, message: 'The archive is missing required sections.' } };
+    }
+    return { archive };
+  }
+
+  // Re-create an archive as a new portfolio. Every record gets a new ID and all references are
+  // rewritten; roles are kept for users whose email exists here. Resolves to
+  // { portfolio, summary, idMap (old ID -> new ID), unmatchedUsers } or { error }.
+  async importArchive(archive, { name } = {}, req = null) {
+    const { sections } = archive;
+    // Archives written before common areas existed have no such section
+    const archivedCommonAreas = sections.commonAreas || [];
+    const idMap = new Map();
+    const newId = (oldId) => {
+      const id = new mongoose.Types.ObjectId();
+      idMap.set(String(oldId), id);
+      return id;
+    };
+    const mapId = (oldId) => (oldId ? idMap.get(String(oldId)) || null : null);
+    const mapIds = (oldIds = []) => oldIds.map(mapId).filter(Boolean);
+
+    newId(sections.portfolio._id);
+    [...sections.properties, ...sections.units, ...sections.rooms, ...archivedCommonAreas, ...sections.devices].forEach(doc => newId(doc._id));
+
+    // People: matched by email to accounts in this deployment
+    const archivedUsers = new Map(sections.users.map(user => [String(user._id), user]));
+    const emails = sections.users.map(user => String(user.email || '').toLowerCase()).filter(Boolean);
+    const localUsers = await User.find({ email: { $in: emails } }).select('_id email');
+    const userMap = new Map();
+    for (const user of sections.users) {
+      const local = localUsers.find(candidate => candidate.email === String(user.email || '').toLowerCase());
+      if (local) userMap.set(String(user._id), local._id);
+    }
+    const mapUsers = (oldIds = []) => oldIds.map(id => userMap.get(String(id))).filter(Boolean);
+
+    const portfolioDoc = {
+      ...pick(sections.portfolio, FIELDS.portfolio),
+      _id: mapId(sections.portfolio._id),
+      name: name || sections.portfolio.name,
+      administratorUserIds: mapUsers(sections.portfolio.administratorUserIds),
+      propertyIds: mapIds(sections.portfolio.propertyIds)
+    };
+    const propertyDocs = sections.properties.map(doc => ({
+      ...pick(doc, FIELDS.properties),
+      _id: mapId(doc._id),
+      portfolioId: portfolioDoc._id,
+      unitIds: mapIds(doc.unitIds),
+      managerUserIds: mapUsers(doc.managerUserIds)
+    }));
+    const unitDocs = sections.units.map(doc => ({
+      ...pick(doc, FIELDS.units),
+      _id: mapId(doc._id),
+      propertyId: mapId(doc.propertyId),
+      deviceIds: mapIds(doc.deviceIds),
+      tenantUserIds: mapUsers(doc.tenantUserIds)
+    }));
+    const roomDocs = sections.rooms.map(doc => ({
+      ...pick(doc, FIELDS.rooms),
+      _id: mapId(doc._id),
+      propertyId: mapId(doc.propertyId),
+      unitId: mapId(doc.unitId),
+      deviceIds: mapIds(doc.deviceIds)
+    }));
+    const commonAreaDocs = archivedCommonAreas.map(doc => ({
+      ...pick(doc, FIELDS.commonAreas),
+      _id: mapId(doc._id),
+      propertyId: mapId(doc.propertyId),
+      deviceIds: mapIds(doc.deviceIds),
+      access: {
+        allUnits: !doc.access || doc.access.allUnits !== false,
+        unitIds: mapIds(doc.access && doc.access.unitIds),
+        tenantUserIds: mapUsers(doc.access && doc.access.tenantUserIds)
+      }
+    }));
+    const deviceDocs = sections.devices.map(doc => ({
+      ...pick(doc, FIELDS.devices),
+      _id: mapId(doc._id),
+      propertyId: mapId(doc.propertyId),
+      unitId: mapId(doc.unitId),
+      roomId: mapId(doc.roomId),
+      commonAreaId: mapId(doc.commonAreaId)
+    }));
+
+    const unmatchedUsers = new Map();
+    const associationDocs = [];
+    for (const assoc of sections.roleAssociations) {
+      const userId = userMap.get(String(assoc.userId));
+      const entityId = mapId(assoc.associatedEntityId);
+      if (!entityId) continue;
+      if (!userId) {
+        const user = archivedUsers.get(String(assoc.userId));
+        unmatchedUsers.set(String(assoc.userId), { email: user ? user.email : null, roles: [] });
+        unmatchedUsers.get(String(assoc.userId)).roles.push({ entityType: assoc.associatedEntityType, role: assoc.roleWithinEntity });
+        continue;
+      }
+      associationDocs.push({ ...pick(assoc, FIELDS.roleAssociations), userId, associatedEntityId: entityId });
+    }
+
+    if (propertyDocs.some(doc => !doc.portfolioId) || unitDocs.some(doc => !doc.propertyId) || roomDocs.some(doc => !doc.propertyId) ||
+        commonAreaDocs.some(doc => !doc.propertyId)) {
+      return { error: { status: 400, message: 'The archive references properties that are not in it.' } };
+    }
+
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        await Portfolio.insertMany([portfolioDoc], { session });
+        await Property.insertMany(propertyDocs, { session });
+        await Unit.insertMany(unitDocs, { session });
+        await Room.insertMany(roomDocs, { session });
+        await CommonArea.insertMany(commonAreaDocs, { session });
+        await Device.insertMany(deviceDocs, { session });
+        await UserRoleAssociation.insertMany(associationDocs, { session });
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return { error: { status: 400, message: `The archive contains invalid records: ${error.message}` } };
+      }
+      // Vendor device IDs are unique, so devices still registered here cannot be imported again
+      if (error.code === 11000) {
+        return { error: { status: 409, message: 'The archive contains devices that are already registered in this deployment.' } };
+      }
+      throw error;
+    }
+
+    const summary = {
+      properties: propertyDocs.length,
+      units: unitDocs.length,
+      rooms: roomDocs.length,
+      commonAreas: commonAreaDocs.length,
+      devices: deviceDocs.length,
+      roleAssociations: associationDocs.length,
+      unmatchedUsers: unmatchedUsers.size
+    };
+    await AuditService.record(AuditAction.PORTFOLIO_ARCHIVE_IMPORTED, {
+      req,
+      targetType: AssociatedEntityType.PORTFOLIO,
+      targetId: portfolioDoc._id,
+      metadata: { ...summary, sourcePortfolioId: archive.portfolioId, archiveVersion: archive.version }
+    });
+
+    return {
+      portfolio: await Portfolio.findById(portfolioDoc._id),
+      summary,
+      idMap: Object.fromEntries([...idMap.entries()].map(([oldId, id]) => [oldId, id.toString()])),
+      unmatchedUsers: [...unmatchedUsers.values()]
+    };
+  }
+}
+
+module.exports = new PortfolioArchiveService();
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const Portfolio = require('../models/Portfolio');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const AuditService = require('./AuditService');
+const { AssociatedEntityType, AuditAction, Role } = require('../enums');
+
+// Roles that can be assigned on each entity type. Guests are not members of a unit: they get
+// time-limited access to chosen devices through guest access grants (see GuestAccessService).
+const ASSIGNABLE_ROLES = Object.freeze({
+  [AssociatedEntityType.PORTFOLIO]: [Role.OWNER, Role.PORTFOLIO_ADMIN],
+  [AssociatedEntityType.PROPERTY]: [Role.PROPERTY_MANAGER],
+  [AssociatedEntityType.UNIT]: [Role.TENANT]
+});
+
+// The user's navigation default that points at each entity type
+const DEFAULT_FIELDS = Object.freeze({
+  [AssociatedEntityType.PORTFOLIO]: 'defaultPortfolioId',
+  [AssociatedEntityType.PROPERTY]: 'defaultPropertyId',
+  [AssociatedEntityType.UNIT]: 'defaultUnitId'
+});
+
+// Denormalized user lists kept on the entity documents alongside the associations, per role
+const MEMBER_LISTS = Object.freeze({
+  [Role.OWNER]: { model: Portfolio, field: 'administratorUserIds' },
+  [Role.PORTFOLIO_ADMIN]: { model: Portfolio, field: 'administratorUserIds' },
+  [Role.PROPERTY_MANAGER]: { model: Property, field: 'managerUserIds' },
+  [Role.TENANT]: { model: Unit, field: 'tenantUserIds' }
+});
+
+class RoleAssignmentService {
+  isAssignable(role, entityType) {
+    return (ASSIGNABLE_ROLES[entityType] || []).includes(role);
+  }
+
+  // Keep the entity's denormalized user list in step with a role change (`role` null = removed)
+  async syncMemberList(userId, entityType, entityId, previousRole, role) {
+    const previousList = MEMBER_LISTS[previousRole];
+    const list = MEMBER_LISTS[role];
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+
+    if (list) {
+      const update = { $addToSet: { [list.field]: userObjectId } };
+      if (entityType === AssociatedEntityType.PORTFOLIO) {
+        update.$set = { updatedAt: Date.now() }; // Portfolio keeps its own timestamps
+      } else if (role === Role.TENANT) {
+        update.$set = { occupancyStatus: 'OCCUPIED', vacantSince: null };
+      }
+      await list.model.findByIdAndUpdate(entityId, update);
+    } else if (previousList) {
+      const entity = await previousList.model.findByIdAndUpdate(
+        entityId,
+        { $pull: { [previousList.field]: userObjectId } },
+        { new: true }
+      );
+      // The last tenant leaving makes the unit vacant (a full move-out also resets its devices)
+      if (entity && previousRole === Role.TENANT && entity.tenantUserIds.length === 0) {
+        await Unit.findByIdAndUpdate(entityId, { $set: { occupancyStatus: 'VACANT', vacantSince: new Date() } });
+      }
+    }
+  }
+
+  // Whether `userId` is the only OWNER of a portfolio
+  async isLastOwner(userId, portfolioId, session = null) {
+    const owners = await UserRoleAssociation.find({
+      associatedEntityType: AssociatedEntityType.PORTFOLIO,
+      associatedEntityId: portfolioId,
+      roleWithinEntity: Role.OWNER
+    }).select('userId').session(session);
+    return owners.length === 1 && owners[0].userId.equals(userId);
+  }
+
+  // Run `write(session)`, which takes away `userId`'s OWNER role on a portfolio, in a transaction
+  // that first re-checks they are not its last owner. Every such transaction writes the portfolio
+  // document before checking, so two owners demoting each other conflict and the retried one sees
+  // the other's change. Resolves to false (nothing written) for the last owner.
+  async unlessLastOwner(userId, portfolioId, write) {
+    let written = false;
+    await mongoose.connection.transaction(async (session) => {
+      written = false;
+      await Portfolio.updateOne({ _id: portfolioId }, { $set: { updatedAt: Date.now() } }, { session });
+      if (await this.isLastOwner(userId, portfolioId, session)) {
+        return;
+      }
+      await write(session);
+      written = true;
+    });
+    return written;
+  }
+
+  // Give `userId` a role on an entity, replacing any role they already hold there
+  async assign(userId, role, entityType, entityId, req = null) {
+    if (!this.isAssignable(role, entityType)) {
+      throw new Error(`Role ${role} cannot be assigned on ${entityType}`);
+    }
+
+    const filter = { userId, associatedEntityType: entityType, associatedEntityId: entityId };
+    const previous = await UserRoleAssociation.findOne(filter);
+    const previousRole = previous ? previous.roleWithinEntity : null;
+    const write = (session = null) => UserRoleAssociation.findOneAndUpdate(
+      filter,
+      { $set: { roleWithinEntity: role } },
+      { upsert: true, new: true, runValidators: true, session }
+    );
+
+    let association;
+    if (previousRole === Role.OWNER && role !== Role.OWNER) {
+      const demoted = await this.unlessLastOwner(userId, entityId, async (session) => {
+        association = await write(session);
+      });
+      if (!demoted) {
+        throw new Error('Cannot demote the last owner of a portfolio');
+      }
+    } else {
+      association = await write();
+    }
+    await this.syncMemberList(userId, entityType, entityId, previousRole, role);
+
+    if (previousRole !== role) {
+      await AuditService.record(previousRole ? AuditAction.ROLE_CHANGED : AuditAction.ROLE_ASSIGNED, {
+        req,
+        targetType: entityType,
+        targetId: entityId,
+        metadata: { userId, role, previousRole }
+      });
+    }
+    return association;
+  }
+
+  // Change the role of an existing member. Resolves to { association, previousRole } or { error }.
+  async changeRole(userId, role, entityType, entityId, req = null) {
+    if (!this.isAssignable(role, entityType)) {
+      return { error: { status: 400, message: `Invalid role. Must be one of: ${ASSIGNABLE_ROLES[entityType].join(', ')}.` } };
+    }
+
+    const association = await UserRoleAssociation.findOne({ userId, associatedEntityType: entityType, associatedEntityId: entityId });
+    if (!association) {
+      return { error: { status: 404, message: 'This user has no role here.' } };
+    }
+    const previousRole = association.roleWithinEntity;
+    if (previousRole === role) {
+      return { association, previousRole };
+    }
+    association.roleWithinEntity = role;
+    if (previousRole === Role.OWNER) {
+      const demoted = await this.unlessLastOwner(userId, entityId, session => association.save({ session }));
+      if (!demoted) {
+        return { error: { status: 409, message: 'Cannot demote the last owner of a portfolio. Make someone else an owner first.' } };
+      }
+    } else {
+      await association.save();
+    }
+    await this.syncMemberList(userId, entityType, entityId, previousRole, role);
+
+    await AuditService.record(AuditAction.ROLE_CHANGED, {
+      req,
+      targetType: entityType,
+      targetId: entityId,
+      metadata: { userId, role, previousRole }
+    });
+    return { association, previousRole };
+  }
+
+  // Remove a member's role on an entity. Resolves to { association } (the removed record) or { error }.
+  async remove(userId, entityType, entityId, req = null) {
+    const association = await UserRoleAssociation.findOne({ userId, associatedEntityType: entityType, associatedEntityId: entityId });
+    if (!association) {
+      return { error: { status: 404, message: 'This user has no role here.' } };
+    }
+    const previousRole = association.roleWithinEntity;
+    if (previousRole === Role.OWNER) {
+      const removed = await this.unlessLastOwner(userId, entityId, session => association.deleteOne({ session }));
+      if (!removed) {
+        return { error: { status: 409, message: 'Cannot remove the last owner of a portfolio. Make someone else an owner first.' } };
+      }
+    } else {
+      await association.deleteOne();
+    }
+    await this.syncMemberList(userId, entityType, entityId, previousRole, null);
+    await User.updateOne(
+      { _id: userId, [DEFAULT_FIELDS[entityType]]: entityId },
+      { $set: { [DEFAULT_FIELDS[entityType]]: null } }
+    );
+
+    await AuditService.record(AuditAction.ROLE_REMOVED, {
+      req,
+      targetType: entityType,
+      targetId: entityId,
+      metadata: { userId, previousRole }
+    });
+    return { association };
+  }
+}
+
+module.exports = new RoleAssignmentService();
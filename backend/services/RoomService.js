@@ -0,0 +1,210 @@
+const Room = require('../models/Room');
+const Device = require('../models/Device');
+const PolicyService = require('./PolicyService');
+const SmartThingsService = require('./SmartThingsService');
+const DeviceControlService = require('./DeviceControlService');
+const ImpersonationService = require('./ImpersonationService');
+const { AssociatedEntityType, PolicyAction } = require('../enums');
+
+const ROOM_TYPES = Room.schema.path('type').enumValues;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Rooms group the devices of a unit (or of a property, for rooms outside any unit). Access to a
+// room is access to the unit or property it belongs to.
+class RoomService {
+  get roomTypes() {
+    return ROOM_TYPES;
+  }
+
+  // Policy resource a room's access is decided on
+  scopeOf(room) {
+    return room.unitId
+      ? { type: AssociatedEntityType.UNIT, id: idOf(room.unitId) }
+      : { type: AssociatedEntityType.PROPERTY, id: idOf(room.propertyId) };
+  }
+
+  async authorize(user, action, room) {
+    return PolicyService.authorize(user, action, this.scopeOf(room));
+  }
+
+  // Rooms of a unit, or of a whole property (its own rooms and those of its units)
+  async listFor({ property = null, unit = null }) {
+    const filter = unit ? { unitId: unit._id } : { propertyId: property._id };
+    return Room.find(filter).sort({ unitId: 1, name: 1 });
+  }
+
+  // Validates name/type for create (all required) or update (only what is given).
+  // Returns an error message or null.
+  validate({ name, type }, { partial = false } = {}) {
+    if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+      return 'Room name is required.';
+    }
+    if ((!partial || type !== undefined) && !ROOM_TYPES.includes(type)) {
+      return `Room type must be one of: ${ROOM_TYPES.join(', ')}.`;
+    }
+    return null;
+  }
+
+  async create({ property = null, unit = null }, { name, type }) {
+    return new Room({
+      name,
+      type,
+      propertyId: unit ? idOf(unit.propertyId) : property._id,
+      unitId: unit ? unit._id : null
+    }).save();
+  }
+
+  // Deleting a room leaves its devices where they are, just unassigned
+  async remove(room) {
+    const devices = await Device.updateMany({ roomId: room._id }, { $set: { roomId: null } });
+    await room.deleteOne();
+    return { devicesUnassigned: devices.modifiedCount };
+  }
+
+  // A device can only be put in a room of the unit (or property-level area) it is attached to
+  belongsIn(device, room) {
+    if (!device.propertyId || !idOf(device.propertyId).equals(idOf(room.propertyId))) {
+      return false;
+    }
+    return room.unitId
+      ? !!device.unitId && idOf(device.unitId).equals(idOf(room.unitId))
+      : !device.unitId;
+  }
+
+  // Put devices in a room, taking them out of any room they were in. Resolves to { room } or { error }.
+  async assignDevices(room, deviceIds) {
+    const devices = await Device.find({ _id: { $in: deviceIds } });
+    if (devices.length !== new Set(deviceIds.map(String)).size) {
+      return { error: { status: 404, message: 'One or more devices were not found.' } };
+    }
+    const misplaced = devices.filter(device => !this.belongsIn(device, room));
+    if (misplaced.length > 0) {
+      return {
+        error: {
+          status: 400,
+          message: `Devices must be attached to the room's ${room.unitId ? 'unit' : 'property (outside any unit)'}: ${misplaced.map(device => device._id).join(', ')}.`
+        }
+      };
+    }
+
+    const ids = devices.map(device => device._id);
+    await Room.updateMany({ _id: { $ne: room._id }, deviceIds: { $in: ids } }, { $pull: { deviceIds: { $in: ids } } });
+    await Device.updateMany({ _id: { $in: ids } }, { $set: { roomId: room._id } });
+    return { room: await Room.findByIdAndUpdate(room._id, { $addToSet: { deviceIds: { $each: ids } } }, { new: true }) };
+  }
+
+  async unassignDevice(room, deviceId) {
+    await Device.updateOne({ _id: deviceId, roomId: room._id }, { $set: { roomId: null } });
+    return Room.findByIdAndUpdate(room._id, { $pull: { deviceIds: deviceId } }, { new: true });
+  }
+
+  // Take devices out of their rooms, e.g. after they moved to another unit
+  async detachDevices(deviceIds) {
+    await Room.updateMany({ deviceIds: { $in: deviceIds } }, { $pull: { deviceIds: { $in: deviceIds } } });
+    await Device.updateMany({ _id: { $in: deviceIds } }, { $set: { roomId: null } });
+  }
+
+  async devicesIn(room) {
+    return Device.find({ roomId: room._id }).sort({ name: 1 });
+  }
+
+  // Send one command (see DeviceControlService) to every device in the room the user may control.
+  // Devices that do not support the command, or the command is blocked for, are reported as skipped. Resolves to
+  // [{ deviceId, status: SUCCEEDED | FAILED | SKIPPED, commandId?, error? }].
+  async control(room, command, user, req = null) {
+    const results = [];
+    for (const device of await this.devicesIn(room)) {
+      if (!(await PolicyService.can(user, PolicyAction.DEVICE_CONTROL, { type: PolicyService.ResourceType.DEVICE, doc: device }))) {
+        results.push({ deviceId: device._id, status: 'SKIPPED', error: 'No access to this device.' });
+        continue;
+      }
+      const unsupported = DeviceControlService.validate(command, device);
+      if (unsupported) {
+        results.push({ deviceId: device._id, status: 'SKIPPED', error: unsupported });
+        continue;
+      }
+      if (req && ImpersonationService.blocksUnlock(req, command, device)) {
+        results.push({ deviceId: device._id, status: 'SKIPPED', error: 'Unlock commands are not allowed while impersonating.' });
+        continue;
+      }
+      const record = await DeviceControlService.sendCommand(device, command, { userId: PolicyService.toActor(user).id, req });
+      results.push({ deviceId: device._id, status: record.status, commandId: record._id, ...(record.error ? { error: record.error } : {}) });
+    }
+    return results;
+  }
+
+  // Mirror the rooms of a SmartThings location into a unit (or property-level area): each
+  // SmartThings room maps to an existing room already linked to it, else to an unlinked room of the
+  // same name, else to a new room. Devices linked to SmartThings are then placed in the mapped rooms.
+  // Resolves to { summary, rooms } or { error }.
+  async syncSmartThingsRooms({ property = null, unit = null }, userId, locationId = null) {
+    const propertyId = unit ? idOf(unit.propertyId) : property._id;
+    const unitId = unit ? unit._id : null;
+    const token = unit
+      ? await SmartThingsService.getActiveTokenForUnit(userId, propertyId, unitId)
+      : await SmartThingsService.getActiveToken(userId, propertyId, null);
+    if (!token) {
+      return { error: { status: 404, message: 'SmartThings integration not found. Link SmartThings for this location first.' } };
+    }
+
+    if (!locationId) {
+      const locations = await SmartThingsService.listLocations(token);
+      if (locations.length !== 1) {
+        return {
+          error: {
+            status: 400,
+            message: locations.length === 0
+              ? 'The linked SmartThings account has no locations.'
+              : 'The linked SmartThings account has several locations. Pass locationId to choose one.',
+            locations: locations.map(location => ({ locationId: location.locationId, name: location.name }))
+          }
+        };
+      }
+      locationId = locations[0].locationId;
+    }
+
+    const [remoteRooms, remoteDevices] = await Promise.all([
+      SmartThingsService.listRooms(token, locationId),
+      SmartThingsService.listDevices(token, locationId)
+    ]);
+
+    const rooms = await Room.find({ propertyId, unitId });
+    const summary = { created: 0, linked: 0, devicesAssigned: 0 };
+    const roomBySmartThingsId = new Map();
+    for (const remote of remoteRooms) {
+      let room = rooms.find(candidate => candidate.integrationData && candidate.integrationData.smartThingsRoomId === remote.roomId);
+      if (!room) {
+        room = rooms.find(candidate => !(candidate.integrationData && candidate.integrationData.smartThingsRoomId) &&
+          candidate.name.toLowerCase() === String(remote.name || '').trim().toLowerCase());
+        if (room) {
+          summary.linked += 1;
+        } else {
+          room = new Room({ name: remote.name || 'SmartThings room', type: 'OTHER', propertyId, unitId });
+          rooms.push(room);
+          summary.created += 1;
+        }
+        room.integrationData = { ...room.integrationData, smartThingsRoomId: remote.roomId, smartThingsLocationId: locationId };
+        await room.save();
+      }
+      roomBySmartThingsId.set(remote.roomId, room);
+    }
+
+    const localDevices = await Device.find({
+      propertyId,
+      unitId,
+      'integrationData.smartThingsDeviceId': { $in: remoteDevices.map(device => device.deviceId) }
+    });
+    for (const remote of remoteDevices) {
+      const room = remote.roomId && roomBySmartThingsId.get(remote.roomId);
+      const device = localDevices.find(candidate => SmartThingsService.linkedDeviceId(candidate) === remote.deviceId);
+      if (!room || !device || (device.roomId && device.roomId.equals(room._id))) continue;
+      await this.assignDevices(room, [device._id]);
+      summary.devicesAssigned += 1;
+    }
+
+    return { summary: { ...summary, locationId }, rooms: await Room.find({ propertyId, unitId }).sort({ name: 1 }) };
+  }
+}
+
+module.exports = new RoomService();
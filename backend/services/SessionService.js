@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const logger = require('../logger');
+require('dotenv').config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 30;
+
+class SessionService {
+  // Hash refresh token secrets before they are persisted or compared
+  hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  // Refresh tokens are "<sessionId>.<secret>" so the session can be located without a scan
+  buildRefreshToken(session, secret) {
+    return `${session._id.toString()}.${secret}`;
+  }
+
+  parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string') {
+      return null;
+    }
+    const separatorIndex = refreshToken.indexOf('.');
+    if (separatorIndex <= 0) {
+      return null;
+    }
+    return {
+      sessionId: refreshToken.slice(0, separatorIndex),
+      secret: refreshToken.slice(separatorIndex + 1)
+    };
+  }
+
+  generateSecret() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  // Sign a short-lived access token bound to a session
+  issueAccessToken(userId, session) {
+    const payload = {
+      user: {
+        id: userId.toString()
+      },
+      sid: session._id.toString()
+    };
+    return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+  }
+
+  // Shape returned to clients by register/login/refresh
+  buildTokenResponse(session, userId, refreshSecret) {
+    return {
+      token: this.issueAccessToken(userId, session),
+      refreshToken: this.buildRefreshToken(session, refreshSecret),
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      refreshTokenExpiresAt: session.expiresAt,
+      mfaEnrollmentRequired: session.mfaEnrollmentRequired
+    };
+  }
+
+  // Create a new session (token family) for a user after a successful login
+  async createSession(user, req, { mfaEnrollmentRequired = false } = {}) {
+    const secret = this.generateSecret();
+    const session = new Session({
+      userId: user._id,
+      refreshTokenHash: this.hashToken(secret),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip,
+      mfaEnrollmentRequired
+    });
+    await session.save();
+
+    return this.buildTokenResponse(session, user._id, secret);
+  }
+
+  // Start a SuperAdmin impersonation session acting as `targetUser`. Only an access token is issued
+  // (marked with an `imp` claim naming the impersonator); it cannot be refreshed.
+  async createImpersonationSession(impersonator, targetUser, req, { reason, allowLockUnlock = false, durationMinutes } = {}) {
+    const ttlMinutes = Math.min(durationMinutes || IMPERSONATION_TTL_MINUTES, IMPERSONATION_TTL_MINUTES);
+    const session = new Session({
+      userId: targetUser._id,
+      refreshTokenHash: this.hashToken(this.generateSecret()), // Never handed out
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip,
+      impersonatorId: impersonator._id,
+      impersonationReason: reason,
+      allowLockUnlock
+    });
+    await session.save();
+
+    const token = jwt.sign(
+      {
+        user: { id: targetUser._id.toString() },
+        sid: session._id.toString(),
+        imp: { by: impersonator._id.toString() }
+      },
+      JWT_SECRET,
+      { expiresIn: ttlMinutes * 60 }
+    );
+
+    return { session, token, expiresIn: ttlMinutes * 60, expiresAt: session.expiresAt };
+  }
+
+  // Exchange a refresh token for a new access/refresh token pair.
+  // Resolves to { session, tokens }, or null when the token is invalid, expired or revoked.
+  // Presenting a token that has already been rotated revokes the entire session family.
+  async rotateRefreshToken(refreshToken, req) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed || !parsed.secret) {
+      return null;
+    }
+
+    let session;
+    try {
+      session = await Session.findById(parsed.sessionId).select('+refreshTokenHash +rotatedTokenHashes');
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw error;
+    }
+    if (!session || !session.isActive() || session.impersonatorId) {
+      return null;
+    }
+
+    const presentedHash = this.hashToken(parsed.secret);
+
+    if (session.rotatedTokenHashes.includes(presentedHash)) {
+      logger.warn({ sessionId: session._id, userId: session.userId, ip: req.ip }, 'Refresh token reuse detected, revoking session family');
+      await this.revokeSession(session._id, 'TOKEN_REUSE');
+      return null;
+    }
+
+    if (presentedHash !== session.refreshTokenHash) {
+      return null;
+    }
+
+    // Atomically swap the current hash so two concurrent refreshes cannot both succeed
+    const newSecret = this.generateSecret();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: this.hashToken(newSecret),
+          lastUsedAt: new Date(),
+          userAgent: req.headers['user-agent'],
+          ipAddress: req.ip
+        },
+        $push: { rotatedTokenHashes: presentedHash }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      // Lost the race against another refresh with the same token: treat it as reuse
+      logger.warn({ sessionId: session._id, userId: session.userId, ip: req.ip }, 'Concurrent refresh token use detected, revoking session family');
+      await this.revokeSession(session._id, 'TOKEN_REUSE');
+      return null;
+    }
+
+    return { session: rotated, tokens: this.buildTokenResponse(rotated, rotated.userId, newSecret) };
+  }
+
+  // Look up the session behind an access token; returns null if it is no longer usable
+  async findActiveSession(sessionId) {
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive()) {
+      return null;
+    }
+    return session;
+  }
+
+  async revokeSession(sessionId, reason) {
+    return Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+  }
+
+  // Update the MFA enrollment gate on a user's sessions (e.g. once they finish enrolling)
+  async setMfaEnrollmentRequired(filter, required) {
+    return Session.updateMany(filter, { $set: { mfaEnrollmentRequired: required } });
+  }
+
+  async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    return Session.revokeAllForUser(userId, reason, exceptSessionId);
+  }
+}
+
+module.exports = new SessionService();
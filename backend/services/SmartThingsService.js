@@ -1,6 +1,69 @@
 const SmartThingsToken = require('../models/SmartThingsToken');
+const CapabilityCatalog = require('./CapabilityCatalog');
 const logger = require('../logger');
 
+// SmartThings capabilities translated into the canonical catalog (see CapabilityCatalog):
+// SmartThings capability -> { capability, attributes: { smartThingsAttribute: canonicalAttribute } }.
+// Several SmartThings capabilities may feed one canonical capability.
+const SMARTTHINGS_CAPABILITIES = Object.freeze({
+  switch: { capability: 'switch', attributes: { switch: 'switch' } },
+  switchLevel: { capability: 'level', attributes: { level: 'level' } },
+  colorControl: { capability: 'color', attributes: { hue: 'hue', saturation: 'saturation' } },
+  colorTemperature: { capability: 'colorTemperature', attributes: { colorTemperature: 'colorTemperature' } },
+  thermostat: {
+    capability: 'thermostat',
+    attributes: {
+      heatingSetpoint: 'heatingSetpoint',
+      coolingSetpoint: 'coolingSetpoint',
+      thermostatMode: 'thermostatMode',
+      thermostatOperatingState: 'thermostatOperatingState'
+    }
+  },
+  thermostatHeatingSetpoint: { capability: 'thermostat', attributes: { heatingSetpoint: 'heatingSetpoint' } },
+  thermostatCoolingSetpoint: { capability: 'thermostat', attributes: { coolingSetpoint: 'coolingSetpoint' } },
+  thermostatMode: { capability: 'thermostat', attributes: { thermostatMode: 'thermostatMode' } },
+  thermostatOperatingState: { capability: 'thermostat', attributes: { thermostatOperatingState: 'thermostatOperatingState' } },
+  lock: { capability: 'lock', attributes: { lock: 'lock' } },
+  doorControl: { capability: 'doorControl', attributes: { door: 'door' } },
+  valve: { capability: 'valve', attributes: { valve: 'valve' } },
+  audioVolume: { capability: 'audioVolume', attributes: { volume: 'volume' } },
+  audioMute: { capability: 'audioVolume', attributes: { mute: 'mute' } },
+  contactSensor: { capability: 'contact', attributes: { contact: 'contact' } },
+  motionSensor: { capability: 'motion', attributes: { motion: 'motion' } },
+  temperatureMeasurement: { capability: 'temperature', attributes: { temperature: 'temperature' } },
+  relativeHumidityMeasurement: { capability: 'humidity', attributes: { humidity: 'humidity' } },
+  illuminanceMeasurement: { capability: 'illuminance', attributes: { illuminance: 'illuminance' } },
+  battery: { capability: 'battery', attributes: { battery: 'battery' } },
+  energyMeter: { capability: 'energyMeter', attributes: { energy: 'energy' } },
+  powerMeter: { capability: 'powerMeter', attributes: { power: 'power' } },
+  waterSensor: { capability: 'waterLeak', attributes: { water: 'water' } },
+  smokeDetector: { capability: 'smoke', attributes: { smoke: 'smoke' } },
+  carbonMonoxideDetector: { capability: 'carbonMonoxide', attributes: { carbonMonoxide: 'carbonMonoxide' } }
+});
+
+// Canonical commands sent to SmartThings: command -> { capability, command, arguments(parameters) }
+const SMARTTHINGS_COMMANDS = Object.freeze({
+  on: { capability: 'switch', command: 'on' },
+  off: { capability: 'switch', command: 'off' },
+  setLevel: { capability: 'switchLevel', command: 'setLevel', arguments: (p) => [p.level] },
+  setColor: { capability: 'colorControl', command: 'setColor', arguments: (p) => [p.color] },
+  setHue: { capability: 'colorControl', command: 'setHue', arguments: (p) => [p.hue] },
+  setSaturation: { capability: 'colorControl', command: 'setSaturation', arguments: (p) => [p.saturation] },
+  setColorTemperature: { capability: 'colorTemperature', command: 'setColorTemperature', arguments: (p) => [p.temperature] },
+  setHeatingSetpoint: { capability: 'thermostat', command: 'setHeatingSetpoint', arguments: (p) => [p.temperature] },
+  setCoolingSetpoint: { capability: 'thermostat', command: 'setCoolingSetpoint', arguments: (p) => [p.temperature] },
+  setThermostatMode: { capability: 'thermostat', command: 'setThermostatMode', arguments: (p) => [p.mode] },
+  lock: { capability: 'lock', command: 'lock' },
+  unlock: { capability: 'lock', command: 'unlock' },
+  open: { capability: 'doorControl', command: 'open' },
+  close: { capability: 'doorControl', command: 'close' },
+  openValve: { capability: 'valve', command: 'open' },
+  closeValve: { capability: 'valve', command: 'close' },
+  setVolume: { capability: 'audioVolume', command: 'setVolume', arguments: (p) => [p.volume] },
+  mute: { capability: 'audioMute', command: 'mute' },
+  unmute: { capability: 'audioMute', command: 'unmute' }
+});
+
 class SmartThingsService {
   constructor() {
     this.baseUrl = 'https://api.smartthings.com/v1';
@@ -21,44 +84,76 @@ class SmartThingsService {
       .select('+accessToken +refreshToken');
   }
 
-  // Transform device capabilities to iOS-compatible format
+  // Transform device capabilities to iOS-compatible format: each SmartThings capability with the
+  // canonical capability it maps to (null when unsupported) and the canonical commands and
+  // attributes available through it
   transformDeviceCapabilities(capabilities) {
     return capabilities.map(capability => {
-      const transformed = {
+      const mapping = SMARTTHINGS_CAPABILITIES[capability.id];
+      const commands = mapping
+        ? Object.keys(SMARTTHINGS_COMMANDS).filter(command => SMARTTHINGS_COMMANDS[command].capability === capability.id)
+        : [];
+      return {
         id: capability.id,
-        version: capability.version
+        version: capability.version,
+        capability: mapping ? mapping.capability : null,
+        commands,
+        attributes: mapping ? Object.values(mapping.attributes) : []
       };
+    });
+  }
+
+  // Canonical capability declarations ([{ type, attributes }]) for a device's SmartThings
+  // capabilities (e.g. from components[].capabilities), skipping unsupported ones
+  canonicalCapabilities(capabilities) {
+    const types = new Set();
+    for (const capability of capabilities || []) {
+      const mapping = SMARTTHINGS_CAPABILITIES[capability.id || capability];
+      if (mapping) types.add(mapping.capability);
+    }
+    return [...types].map(type => ({ type, attributes: {} }));
+  }
 
-      // Add capability-specific transformations
-      switch (capability.id) {
-        case 'switch':
-          transformed.commands = ['on', 'off'];
-          transformed.attributes = ['switch'];
-          break;
-        case 'switchLevel':
-          transformed.commands = ['setLevel'];
-          transformed.attributes = ['level'];
-          break;
-        case 'colorControl':
-          transformed.commands = ['setColor', 'setHue', 'setSaturation'];
-          transformed.attributes = ['color', 'hue', 'saturation'];
-          break;
-        case 'thermostat':
-          transformed.commands = ['setHeatingSetpoint', 'setCoolingSetpoint', 'setThermostatMode'];
-          transformed.attributes = ['temperature', 'heatingSetpoint', 'coolingSetpoint', 'thermostatMode'];
-          break;
-        case 'lock':
-          transformed.commands = ['lock', 'unlock'];
-          transformed.attributes = ['lock'];
-          break;
-        default:
-          // Generic capability handling
-          transformed.commands = [];
-          transformed.attributes = [];
+  // Canonical state from a SmartThings component status ({ capability: { attribute: { value, unit,
+  // timestamp } } }): { capability: { attribute: { value, unit, timestamp } } }. Values the
+  // catalog does not accept are dropped.
+  canonicalStatus(componentStatus) {
+    const state = {};
+    for (const [smartThingsCapability, attributes] of Object.entries(componentStatus || {})) {
+      const mapping = SMARTTHINGS_CAPABILITIES[smartThingsCapability];
+      if (!mapping || !attributes) continue;
+      const spec = CapabilityCatalog.get(mapping.capability);
+      for (const [smartThingsAttribute, attribute] of Object.entries(mapping.attributes)) {
+        const reading = attributes[smartThingsAttribute];
+        if (!reading || reading.value === undefined || reading.value === null) continue;
+        if (!CapabilityCatalog.matches(spec.attributes[attribute], reading.value)) continue;
+        state[mapping.capability] = state[mapping.capability] || {};
+        state[mapping.capability][attribute] = {
+          value: reading.value,
+          unit: reading.unit || spec.attributes[attribute].unit || null,
+          timestamp: reading.timestamp || null
+        };
       }
+    }
+    return state;
+  }
 
-      return transformed;
-    });
+  // Canonical attribute changes ([{ capability, attribute, value, unit, timestamp }]) from SmartThings
+  // device history events, skipping other components and values outside the catalog
+  canonicalEvents(events) {
+    const changes = [];
+    for (const event of events || []) {
+      if (event.component && event.component !== 'main') continue;
+      const timestamp = event.time || event.date || (event.epoch ? new Date(event.epoch) : null);
+      if (!timestamp) continue;
+      const state = this.canonicalStatus({ [event.capability]: { [event.attribute]: { value: event.value, unit: event.unit, timestamp } } });
+      for (const [capability, attributes] of Object.entries(state)) {
+        for (const [attribute, reading] of Object.entries(attributes)) {
+          changes.push({ capability, attribute, ...reading });
+        }
+      }
+    }
+    return changes;
   }
 
   // Transform device status to iOS-compatible format
@@ -163,59 +258,20 @@ class SmartThingsService {
     }
   }
 
-  // Transform iOS command format to SmartThings format
+  // Transform a canonical command (see CapabilityCatalog) to SmartThings format. Commands outside
+  // the catalog are passed through with parameters.arguments.
   transformCommand(commandType, parameters) {
+    const mapping = SMARTTHINGS_COMMANDS[commandType];
     const command = {
       component: 'main',
       capability: this.getCapabilityForCommand(commandType),
-      command: commandType
+      command: mapping ? mapping.command : commandType
     };
 
-    // Add command-specific arguments
-    switch (commandType) {
-      case 'on':
-      case 'off':
-        // No arguments needed for switch commands
-        break;
-      
-      case 'setLevel':
-        command.arguments = [parameters.level];
-        break;
-      
-      case 'setColor':
-        command.arguments = [parameters.color];
-        break;
-      
-      case 'setHue':
-        command.arguments = [parameters.hue];
-        break;
-      
-      case 'setSaturation':
-        command.arguments = [parameters.saturation];
-        break;
-      
-      case 'setHeatingSetpoint':
-        command.arguments = [parameters.temperature];
-        break;
-      
-      case 'setCoolingSetpoint':
-        command.arguments = [parameters.temperature];
-        break;
-      
-      case 'setThermostatMode':
-        command.arguments = [parameters.mode];
-        break;
-      
-      case 'lock':
-      case 'unlock':
-        // No arguments needed for lock commands
-        break;
-      
-      default:
-        // Generic command handling
-        if (parameters.arguments) {
-          command.arguments = parameters.arguments;
-        }
+    if (mapping && mapping.arguments) {
+      command.arguments = mapping.arguments(parameters);
+    } else if (!mapping && parameters.arguments) {
+      command.arguments = parameters.arguments;
     }
 
     return command;
@@ -223,21 +279,12 @@ class SmartThingsService {
 
   // Get capability name for command
   getCapabilityForCommand(commandType) {
-    const commandCapabilityMap = {
-      'on': 'switch',
-      'off': 'switch',
-      'setLevel': 'switchLevel',
-      'setColor': 'colorControl',
-      'setHue': 'colorControl',
-      'setSaturation': 'colorControl',
-      'setHeatingSetpoint': 'thermostat',
-      'setCoolingSetpoint': 'thermostat',
-      'setThermostatMode': 'thermostat',
-      'lock': 'lock',
-      'unlock': 'lock'
-    };
+    return SMARTTHINGS_COMMANDS[commandType] ? SMARTTHINGS_COMMANDS[commandType].capability : 'switch';
+  }
 
-    return commandCapabilityMap[commandType] || 'switch';
+  // Whether a canonical command can be sent to SmartThings
+  supportsCommand(commandType) {
+    return !!SMARTTHINGS_COMMANDS[commandType];
   }
 
   // Get device health status
@@ -323,6 +370,99 @@ class SmartThingsService {
     }
   }
 
+  // SmartThings device ID of a Device registered in this app, if it is linked to SmartThings
+  linkedDeviceId(device) {
+    return (device.integrationData && device.integrationData.smartThingsDeviceId) || null;
+  }
+
+  // GET a list endpoint with a token record, following SmartThings' `_links.next` pages
+  async listAll(tokenRecord, path) {
+    const items = [];
+    let url = `${this.baseUrl}${path}`;
+    while (url) {
+      const response = await fetch(url, { headers: this.getHeaders(tokenRecord.accessToken) });
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`SmartThings request ${path} failed: ${error}`);
+      }
+      const page = await response.json();
+      items.push(...(page.items || []));
+      url = page._links && page._links.next ? page._links.next.href : null;
+    }
+    return items;
+  }
+
+  async listLocations(tokenRecord) {
+    return this.listAll(tokenRecord, '/locations');
+  }
+
+  // Rooms of a SmartThings location: [{ roomId, locationId, name }]
+  async listRooms(tokenRecord, locationId) {
+    return this.listAll(tokenRecord, `/locations/${encodeURIComponent(locationId)}/rooms`);
+  }
+
+  // Devices of a SmartThings location, each with the `roomId` it is placed in (if any)
+  async listDevices(tokenRecord, locationId) {
+    return this.listAll(tokenRecord, `/devices?locationId=${encodeURIComponent(locationId)}`);
+  }
+
+  // Current status of a device's main component in canonical terms (see canonicalStatus)
+  async getDeviceStatus(tokenRecord, deviceId) {
+    const response = await fetch(`${this.baseUrl}/devices/${encodeURIComponent(deviceId)}/components/main/status`, {
+      headers: this.getHeaders(tokenRecord.accessToken)
+    });
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Failed to get device status: ${error}`);
+    }
+    return this.canonicalStatus(await response.json());
+  }
+
+  // Token a user holds for a unit, falling back to their property-wide token
+  async getActiveTokenForUnit(userId, propertyId, unitId) {
+    return (await this.getActiveToken(userId, propertyId, unitId)) ||
+      (await this.getActiveToken(userId, propertyId, null));
+  }
+
+  // Delete every user code programmed on a lock (lockCodes capability). Resolves to the number
+  // of code slots cleared.
+  async clearLockCodes(tokenRecord, deviceId) {
+    const statusResponse = await fetch(`${this.baseUrl}/devices/${deviceId}/components/main/capabilities/lockCodes/status`, {
+      headers: this.getHeaders(tokenRecord.accessToken)
+    });
+    if (!statusResponse.ok) {
+      const error = await statusResponse.text();
+      throw new Error(`Failed to read lock codes: ${error}`);
+    }
+
+    const status = await statusResponse.json();
+    // `lockCodes.value` is a JSON-encoded map of slot number to code name
+    const slots = Object.keys(JSON.parse((status.lockCodes && status.lockCodes.value) || '{}'));
+    if (slots.length === 0) {
+      return 0;
+    }
+
+    const response = await fetch(`${this.baseUrl}/devices/${deviceId}/commands`, {
+      method: 'POST',
+      headers: this.getHeaders(tokenRecord.accessToken),
+      body: JSON.stringify({
+        commands: slots.map(slot => ({
+          component: 'main',
+          capability: 'lockCodes',
+          command: 'deleteCode',
+          arguments: [parseInt(slot, 10)]
+        }))
+      })
+    });
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Failed to delete lock codes: ${error}`);
+    }
+
+    logger.info('SmartThings lock codes cleared', { deviceId, slots: slots.length });
+    return slots.length;
+  }
+
   // Get device history/events
   async getDeviceHistory(userId, deviceId, propertyId = null, unitId = null, limit = 50) {
     try {
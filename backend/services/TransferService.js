@@ -0,0 +1,311 @@
+const mongoose = require('mongoose');
+const Portfolio = require('../models/Portfolio');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Room = require('../models/Room');
+const CommonArea = require('../models/CommonArea');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const GuestAccessGrant = require('../models/GuestAccessGrant');
+const SmartThingsToken = require('../models/SmartThingsToken');
+const TransferRequest = require('../models/TransferRequest');
+const PolicyService = require('./PolicyService');
+const AuditService = require('./AuditService');
+const { AssociatedEntityType, AuditAction, PolicyAction, Role } = require('../enums');
+
+const TRANSFER_TTL_DAYS = parseInt(process.env.TRANSFER_TTL_DAYS, 10) || 14;
+
+// How each transferable entity hangs off its parent
+const SPECS = Object.freeze({
+  [AssociatedEntityType.PROPERTY]: {
+    action: PolicyAction.PROPERTY_TRANSFER,
+    Model: Property,
+    parentType: AssociatedEntityType.PORTFOLIO,
+    ParentModel: Portfolio,
+    parentField: 'portfolioId',
+    listField: 'propertyIds'
+  },
+  [AssociatedEntityType.UNIT]: {
+    action: PolicyAction.UNIT_TRANSFER,
+    Model: Unit,
+    parentType: AssociatedEntityType.PROPERTY,
+    ParentModel: Property,
+    parentField: 'propertyId',
+    listField: 'unitIds'
+  }
+});
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Moving a property to another portfolio or a unit to another property. A request needs approval
+// from an owner of the source parent and of the destination parent (the requester's own side is
+// approved on creation); the move then runs in one transaction.
+class TransferService {
+  // Which sides of a move `user` may approve. Resolves to { source, destination, destinationFound }.
+  async sidesFor(user, entityType, fromParentId, toParentId) {
+    const { action, parentType } = SPECS[entityType];
+    const [source, destination] = await Promise.all([
+      PolicyService.authorize(user, action, { type: parentType, id: fromParentId }),
+      PolicyService.authorize(user, action, { type: parentType, id: toParentId })
+    ]);
+    return {
+      source: source.allowed,
+      destination: destination.allowed,
+      destinationFound: destination.reason !== PolicyService.DenyReason.NOT_FOUND
+    };
+  }
+
+  // Open a transfer of `entity` to `toParentId`. Resolves to { transfer } or { error }.
+  async request(entityType, entity, toParentId, user, { note, keepManagers = false } = {}, req = null) {
+    const { parentField } = SPECS[entityType];
+    const fromParentId = idOf(entity[parentField]);
+    if (fromParentId.equals(toParentId)) {
+      return { error: { status: 400, message: `The ${entityType.toLowerCase()} is already there.` } };
+    }
+
+    const sides = await this.sidesFor(user, entityType, fromParentId, toParentId);
+    if (!sides.destinationFound) {
+      return { error: { status: 404, message: `Destination ${SPECS[entityType].parentType.toLowerCase()} not found.` } };
+    }
+    if (!sides.source && !sides.destination) {
+      return { error: { status: 403, message: 'Forbidden. Only an owner on the source or destination side can request this transfer.' } };
+    }
+
+    const pending = await TransferRequest.findOne({ entityId: entity._id, status: 'PENDING', expiresAt: { $gt: new Date() } });
+    if (pending) {
+      return { error: { status: 409, message: 'A transfer of this entity is already pending.' } };
+    }
+
+    const now = new Date();
+    const approval = { approvedBy: user.id, approvedAt: now };
+    const transfer = await new TransferRequest({
+      entityType,
+      entityId: entity._id,
+      fromParentId,
+      toParentId,
+      requestedBy: user.id,
+      note,
+      keepManagers: entityType === AssociatedEntityType.PROPERTY && keepManagers === true,
+      sourceApproval: sides.source ? approval : {},
+      destinationApproval: sides.destination ? approval : {},
+      expiresAt: new Date(now.getTime() + TRANSFER_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }).save();
+
+    await this.audit(AuditAction.TRANSFER_REQUESTED, transfer, req);
+    return { transfer: await this.executeIfApproved(transfer, req) };
+  }
+
+  // Approve the side(s) of a pending transfer that `user` owns. Resolves to { transfer } or { error }.
+  async approve(transfer, user, req = null) {
+    const problem = this.checkPending(transfer);
+    if (problem) return problem;
+
+    const sides = await this.sidesFor(user, transfer.entityType, transfer.fromParentId, transfer.toParentId);
+    const approvable = [
+      sides.source && !transfer.sourceApproval.approvedAt ? 'sourceApproval' : null,
+      sides.destination && !transfer.destinationApproval.approvedAt ? 'destinationApproval' : null
+    ].filter(Boolean);
+    if (approvable.length === 0) {
+      return sides.source || sides.destination
+        ? { error: { status: 409, message: 'Your side has already approved this transfer.' } }
+        : { error: { status: 403, message: 'Forbidden. Only an owner on the source or destination side can approve this transfer.' } };
+    }
+
+    const now = new Date();
+    approvable.forEach(side => transfer.set(side, { approvedBy: user.id, approvedAt: now }));
+    await transfer.save();
+    await this.audit(AuditAction.TRANSFER_APPROVED, transfer, req, { sides: approvable });
+
+    return { transfer: await this.executeIfApproved(transfer, req) };
+  }
+
+  // Reject (an owner on either side) or cancel (the requester) a pending transfer
+  async close(transfer, user, status, req = null) {
+    const problem = this.checkPending(transfer);
+    if (problem) return problem;
+
+    if (status === 'CANCELLED' ? !transfer.requestedBy.equals(user.id) : !(await this.canView(user, transfer))) {
+      return { error: { status: 403, message: `Forbidden. You cannot ${status === 'CANCELLED' ? 'cancel' : 'reject'} this transfer.` } };
+    }
+
+    transfer.status = status;
+    transfer.decidedBy = user.id;
+    await transfer.save();
+    await this.audit(status === 'CANCELLED' ? AuditAction.TRANSFER_CANCELLED : AuditAction.TRANSFER_REJECTED, transfer, req);
+    return { transfer };
+  }
+
+  checkPending(transfer) {
+    if (transfer.status !== 'PENDING') {
+      return { error: { status: 409, message: `Transfer is already ${transfer.status.toLowerCase()}.` } };
+    }
+    if (transfer.isExpired()) {
+      return { error: { status: 410, message: 'Transfer request has expired.' } };
+    }
+    return null;
+  }
+
+  // The requester and owners on either side can see a transfer
+  async canView(user, transfer) {
+    if (transfer.requestedBy.equals(user.id)) {
+      return true;
+    }
+    const sides = await this.sidesFor(user, transfer.entityType, transfer.fromParentId, transfer.toParentId);
+    return sides.source || sides.destination;
+  }
+
+  // Pending transfers `user` is involved in or could approve
+  async listForUser(user, status = 'PENDING') {
+    const [propertyScope, unitScope] = await Promise.all([
+      PolicyService.accessibleIds(user, PolicyAction.PROPERTY_TRANSFER),
+      PolicyService.accessibleIds(user, PolicyAction.UNIT_TRANSFER)
+    ]);
+    const filter = { status };
+    if (!propertyScope.all) {
+      filter.$or = [
+        { requestedBy: user.id },
+        { entityType: AssociatedEntityType.PROPERTY, fromParentId: { $in: propertyScope.portfolioIds } },
+        { entityType: AssociatedEntityType.PROPERTY, toParentId: { $in: propertyScope.portfolioIds } },
+        { entityType: AssociatedEntityType.UNIT, fromParentId: { $in: unitScope.propertyIds } },
+        { entityType: AssociatedEntityType.UNIT, toParentId: { $in: unitScope.propertyIds } }
+      ];
+    }
+    return TransferRequest.find(filter).sort({ createdAt: -1 });
+  }
+
+  async executeIfApproved(transfer, req) {
+    if (!transfer.sourceApproval.approvedAt || !transfer.destinationApproval.approvedAt) {
+      return transfer;
+    }
+    try {
+      transfer.result = await this.execute(transfer);
+      transfer.status = 'COMPLETED';
+      transfer.completedAt = new Date();
+      await transfer.save();
+      await this.audit(AuditAction.TRANSFER_COMPLETED, transfer, req, transfer.result);
+    } catch (error) {
+      transfer.status = 'FAILED';
+      transfer.error = error.message;
+      await transfer.save();
+      await this.audit(AuditAction.TRANSFER_FAILED, transfer, req, { error: error.message });
+    }
+    return transfer;
+  }
+
+  // Move the entity, keeping both parents' denormalized lists and everything scoped to the entity in step
+  async execute(transfer) {
+    const { Model, ParentModel, parentField, listField } = SPECS[transfer.entityType];
+    const { entityId, fromParentId, toParentId } = transfer;
+    const isUnit = transfer.entityType === AssociatedEntityType.UNIT;
+    const parentTouch = ParentModel === Portfolio ? { $set: { updatedAt: Date.now() } } : {};
+    const result = { devicesMoved: 0, smartThingsTokensMoved: 0, guestGrantsMoved: 0, managerRolesRemoved: 0 };
+
+    await mongoose.connection.transaction(async (session) => {
+      const moved = await Model.updateOne({ _id: entityId, [parentField]: fromParentId }, { $set: { [parentField]: toParentId } }, { session });
+      if (moved.matchedCount === 0) {
+        throw new Error(`The ${transfer.entityType.toLowerCase()} is no longer in the source ${SPECS[transfer.entityType].parentType.toLowerCase()}.`);
+      }
+      if (!(await ParentModel.exists({ _id: toParentId }).session(session))) {
+        throw new Error(`The destination ${SPECS[transfer.entityType].parentType.toLowerCase()} no longer exists.`);
+      }
+      await ParentModel.updateOne({ _id: fromParentId }, { $pull: { [listField]: entityId }, ...parentTouch }, { session });
+      await ParentModel.updateOne({ _id: toParentId }, { $addToSet: { [listField]: entityId }, ...parentTouch }, { session });
+
+      if (isUnit) {
+        // Devices, rooms, SmartThings links and guest grants carry the property they belong to
+        const devices = await Device.updateMany({ unitId: entityId }, { $set: { propertyId: toParentId } }, { session });
+        await Room.updateMany({ unitId: entityId }, { $set: { propertyId: toParentId } }, { session });
+        // Common areas of the old property no longer admit the unit
+        await CommonArea.updateMany({ propertyId: fromParentId }, { $pull: { 'access.unitIds': entityId } }, { session });
+        const tokens = await SmartThingsToken.updateMany({ unitId: entityId }, { $set: { propertyId: toParentId, updatedAt: Date.now() } }, { session });
+        const grants = await GuestAccessGrant.updateMany({ unitId: entityId }, { $set: { propertyId: toParentId } }, { session });
+        result.devicesMoved = devices.modifiedCount;
+        result.smartThingsTokensMoved = tokens.modifiedCount;
+        result.guestGrantsMoved = grants.modifiedCount;
+      } else if (!transfer.keepManagers) {
+        // The property's managers worked for the previous owner
+        const managers = await UserRoleAssociation.deleteMany({
+          associatedEntityType: AssociatedEntityType.PROPERTY,
+          associatedEntityId: entityId,
+          roleWithinEntity: Role.PROPERTY_MANAGER
+        }, { session });
+        await Property.updateOne({ _id: entityId }, { $set: { managerUserIds: [] } }, { session });
+        result.managerRolesRemoved = managers.deletedCount;
+      }
+    });
+
+    Object.assign(result, await this.reevaluateAccess(transfer));
+    return result;
+  }
+
+  // Access inherited from the old parent is gone after a move: deactivate SmartThings links and
+  // clear navigation defaults of users who can no longer reach what they point at
+  async reevaluateAccess(transfer) {
+    const isUnit = transfer.entityType === AssociatedEntityType.UNIT;
+    const unitIds = isUnit ? [transfer.entityId] : await Unit.find({ propertyId: transfer.entityId }).distinct('_id');
+    const propertyIds = isUnit ? [] : [transfer.entityId];
+    const usersById = new Map();
+    const loadUser = async (userId) => {
+      if (!usersById.has(userId.toString())) {
+        usersById.set(userId.toString(), await User.findById(userId).select('+isSuperAdmin'));
+      }
+      return usersById.get(userId.toString());
+    };
+    const scopeOf = (doc, unitField, propertyField) => (doc[unitField]
+      ? { type: AssociatedEntityType.UNIT, id: doc[unitField] }
+      : { type: AssociatedEntityType.PROPERTY, id: doc[propertyField] });
+
+    const tokens = await SmartThingsToken.find({
+      isActive: true,
+      $or: [{ unitId: { $in: unitIds } }, { propertyId: { $in: propertyIds }, unitId: null }]
+    });
+    const revokedTokenIds = [];
+    for (const token of tokens) {
+      const user = await loadUser(token.userId);
+      if (!user || !(await PolicyService.can(user, PolicyAction.INTEGRATION_LINK, scopeOf(token, 'unitId', 'propertyId')))) {
+        revokedTokenIds.push(token._id);
+      }
+    }
+    if (revokedTokenIds.length > 0) {
+      await SmartThingsToken.updateMany({ _id: { $in: revokedTokenIds } }, { $set: { isActive: false, updatedAt: Date.now() } });
+    }
+
+    const users = await User.find({ $or: [{ defaultPropertyId: { $in: propertyIds } }, { defaultUnitId: { $in: unitIds } }] })
+      .select('+isSuperAdmin defaultPropertyId defaultUnitId');
+    let defaultsCleared = 0;
+    for (const user of users) {
+      const unset = {};
+      if (user.defaultUnitId && unitIds.some(id => id.equals(user.defaultUnitId)) &&
+          !(await PolicyService.can(user, PolicyAction.UNIT_READ, { type: AssociatedEntityType.UNIT, id: user.defaultUnitId }))) {
+        unset.defaultUnitId = null;
+      }
+      if (user.defaultPropertyId && propertyIds.some(id => id.equals(user.defaultPropertyId)) &&
+          !(await PolicyService.can(user, PolicyAction.PROPERTY_READ, { type: AssociatedEntityType.PROPERTY, id: user.defaultPropertyId }))) {
+        unset.defaultPropertyId = null;
+      }
+      if (Object.keys(unset).length > 0) {
+        await User.updateOne({ _id: user._id }, { $set: unset });
+        defaultsCleared += 1;
+      }
+    }
+
+    return { smartThingsTokensDeactivated: revokedTokenIds.length, userDefaultsCleared: defaultsCleared };
+  }
+
+  async audit(action, transfer, req, metadata = {}) {
+    await AuditService.record(action, {
+      req,
+      targetType: transfer.entityType,
+      targetId: transfer.entityId,
+      metadata: {
+        transferId: transfer._id,
+        fromParentId: transfer.fromParentId,
+        toParentId: transfer.toParentId,
+        ...metadata
+      }
+    });
+  }
+}
+
+module.exports = new TransferService();
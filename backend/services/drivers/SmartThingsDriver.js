@@ -0,0 +1,96 @@
+const SmartThingsToken = require('../../models/SmartThingsToken');
+const SmartThingsService = require('../SmartThingsService');
+
+// Devices linked to SmartThings (integrationData.smartThingsDeviceId), whatever their manufacturer
+class SmartThingsDriver {
+  get vendor() {
+    return 'SMARTTHINGS';
+  }
+
+  handles(device) {
+    return !!SmartThingsService.linkedDeviceId(device);
+  }
+
+  vendorDeviceId(device) {
+    return SmartThingsService.linkedDeviceId(device);
+  }
+
+  // Device filter matching every device this driver handles
+  linkedQuery() {
+    return { 'integrationData.smartThingsDeviceId': { $type: 'string' } };
+  }
+
+  supports(command) {
+    return SmartThingsService.supportsCommand(command);
+  }
+
+  // Vendor payload recorded on the DeviceCommand
+  translate(device, { command, parameters }) {
+    return [SmartThingsService.transformCommand(command, parameters || {})];
+  }
+
+  // The caller's own SmartThings link for the device's unit or property, else any active link
+  // there (a guest or tenant may control a device someone else connected). Without a caller, e.g.
+  // when polling, any active link is used.
+  async tokenFor(device, userId = null) {
+    const propertyId = device.propertyId || null;
+    const unitId = device.unitId || null;
+    let own = null;
+    if (userId) {
+      own = unitId
+        ? await SmartThingsService.getActiveTokenForUnit(userId, propertyId, unitId)
+        : await SmartThingsService.getActiveToken(userId, propertyId, null);
+    }
+    if (own) {
+      return own;
+    }
+    const scopes = unitId ? [{ propertyId, unitId }, { propertyId, unitId: null }] : [{ propertyId, unitId: null }];
+    for (const scope of scopes) {
+      const token = await SmartThingsToken.findOne({ ...scope, isActive: true, expiresAt: { $gt: new Date() } });
+      if (token) {
+        return token;
+      }
+    }
+    return null;
+  }
+
+  // Resolves to { vendorCommandId } or throws with the vendor's error
+  async execute(device, { command, parameters }, { userId }) {
+    const token = await this.tokenFor(device, userId);
+    if (!token) {
+      throw new Error('No active SmartThings link for this unit or property.');
+    }
+    const result = await SmartThingsService.executeDeviceCommand(
+      token.userId,
+      this.vendorDeviceId(device),
+      command,
+      parameters || {},
+      token.propertyId,
+      token.unitId
+    );
+    return { vendorCommandId: result.commandId || null };
+  }
+
+  // Resolves to the device's current canonical state ({ capability: { attribute: { value, unit,
+  // timestamp } } }) or throws
+  async fetchState(device) {
+    const token = await this.tokenFor(device);
+    if (!token) {
+      throw new Error('No active SmartThings link for this unit or property.');
+    }
+    return SmartThingsService.getDeviceStatus(token, this.vendorDeviceId(device));
+  }
+
+  // Resolves to the device's recent attribute changes from SmartThings history
+  // ([{ capability, attribute, value, unit, timestamp }]) or throws
+  async fetchHistory(device, { limit }) {
+    const token = await this.tokenFor(device);
+    if (!token) {
+      throw new Error('No active SmartThings link for this unit or property.');
+    }
+    const history = await SmartThingsService.getDeviceHistory(token.userId, this.vendorDeviceId(device), token.propertyId, token.unitId, limit);
+    return SmartThingsService.canonicalEvents(history.events);
+  }
+}
+
+module.exports = new SmartThingsDriver();
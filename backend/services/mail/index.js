@@ -0,0 +1,79 @@
+const logger = require('../../logger');
+const templates = require('./templates');
+const createSmtpTransport = require('./transports/smtp');
+const createFileTransport = require('./transports/file');
+const createConsoleTransport = require('./transports/console');
+require('dotenv').config();
+
+// Available transports, selected with MAIL_TRANSPORT (smtp | file | console)
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+const APP_BASE_URL = process.env.APP_BASE_URL || 'https://unifiedsmarthome.onrender.com';
+
+class MailService {
+  constructor() {
+    this.from = process.env.MAIL_FROM || 'Unified Smart Home <no-reply@unifiedsmarthome.com>';
+    this.transport = null;
+  }
+
+  // Resolve the transport lazily so scripts that never send mail don't need SMTP configured
+  getTransport() {
+    if (!this.transport) {
+      const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+      const factory = TRANSPORTS[name];
+      if (!factory) {
+        throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+      }
+      this.transport = factory();
+    }
+    return this.transport;
+  }
+
+  // Allow a custom transport (e.g. a provider SDK) to be plugged in at startup
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  buildLink(path, token) {
+    return `${APP_BASE_URL}${path}?token=${encodeURIComponent(token)}`;
+  }
+
+  async send({ to, subject, text, html }) {
+    const transport = this.getTransport();
+    const result = await transport.send({ from: this.from, to, subject, text, html });
+    logger.info({ to, subject, transport: transport.name, messageId: result.messageId }, 'Email sent');
+    return result;
+  }
+
+  async sendPasswordReset(user, token) {
+    const link = this.buildLink('/reset-password', token);
+    return this.send({ to: user.email, ...templates.passwordReset({ firstName: user.firstName, link }) });
+  }
+
+  async sendEmailVerification(user, token, email = user.email) {
+    const link = this.buildLink('/verify-email', token);
+    return this.send({ to: email, ...templates.emailVerification({ firstName: user.firstName, link }) });
+  }
+
+  // Sent to the new address; the change only takes effect once the link is followed
+  async sendEmailChangeConfirmation(user, token, newEmail) {
+    const link = this.buildLink('/confirm-email-change', token);
+    return this.send({ to: newEmail, ...templates.emailChange({ firstName: user.firstName, link, email: newEmail }) });
+  }
+
+  // Sent to the previous address once the change has been confirmed
+  async sendEmailChangedNotice(user, previousEmail) {
+    return this.send({ to: previousEmail, ...templates.emailChanged({ firstName: user.firstName, email: user.email }) });
+  }
+
+  async sendInvitation(email, token, { inviterName, roleLabel, targetName, expiresAt }) {
+    const link = this.buildLink('/accept-invitation', token);
+    return this.send({ to: email, ...templates.invitation({ inviterName, roleLabel, targetName, link, expiresAt }) });
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,46 @@
+// Plain-text/HTML bodies for transactional emails. Each template returns { subject, text, html }.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const passwordReset = ({ firstName, link }) => ({
+  subject: 'Reset your Unified Smart Home password',
+  text: `Hi ${firstName},\n\nWe received a request to reset your password. Use the link below within the next hour:\n\n${link}\n\nIf you did not request this, you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(firstName)},</p><p>We received a request to reset your password. Use the link below within the next hour:</p><p><a href="${escapeHtml(link)}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`
+});
+
+const emailVerification = ({ firstName, link }) => ({
+  subject: 'Verify your Unified Smart Home email address',
+  text: `Hi ${firstName},\n\nPlease confirm your email address using the link below:\n\n${link}\n\nThe link expires in 24 hours.`,
+  html: `<p>Hi ${escapeHtml(firstName)},</p><p>Please confirm your email address using the link below:</p><p><a href="${escapeHtml(link)}">Verify email</a></p><p>The link expires in 24 hours.</p>`
+});
+
+const emailChange = ({ firstName, link, email }) => ({
+  subject: 'Confirm your new Unified Smart Home email address',
+  text: `Hi ${firstName},\n\nWe received a request to change your sign-in email to ${email}. Confirm the change using the link below:\n\n${link}\n\nThe link expires in 24 hours. If you did not request this, you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(firstName)},</p><p>We received a request to change your sign-in email to ${escapeHtml(email)}. Confirm the change using the link below:</p><p><a href="${escapeHtml(link)}">Confirm email change</a></p><p>The link expires in 24 hours. If you did not request this, you can ignore this email.</p>`
+});
+
+const emailChanged = ({ firstName, email }) => ({
+  subject: 'Your Unified Smart Home email address was changed',
+  text: `Hi ${firstName},\n\nThe sign-in email for your account was changed to ${email}. If you did not make this change, please contact support immediately.`,
+  html: `<p>Hi ${escapeHtml(firstName)},</p><p>The sign-in email for your account was changed to ${escapeHtml(email)}. If you did not make this change, please contact support immediately.</p>`
+});
+
+const invitation = ({ inviterName, roleLabel, targetName, link, expiresAt }) => ({
+  subject: `You're invited to join ${targetName} on Unified Smart Home`,
+  text: `Hi,\n\n${inviterName} has invited you to join ${targetName} as ${roleLabel}. Sign in or create an account with this email address using the link below:\n\n${link}\n\nThe invitation expires on ${expiresAt.toUTCString()}.`,
+  html: `<p>Hi,</p><p>${escapeHtml(inviterName)} has invited you to join ${escapeHtml(targetName)} as ${escapeHtml(roleLabel)}. Sign in or create an account with this email address using the link below:</p><p><a href="${escapeHtml(link)}">Accept invitation</a></p><p>The invitation expires on ${escapeHtml(expiresAt.toUTCString())}.</p>`
+});
+
+module.exports = {
+  escapeHtml,
+  passwordReset,
+  emailVerification,
+  emailChange,
+  emailChanged,
+  invitation,
+};
@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+const logger = require('../../../logger');
+
+// Console transport for local development: messages are logged instead of delivered
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    const messageId = crypto.randomBytes(8).toString('hex');
+    logger.info({ messageId, to: message.to, subject: message.subject, text: message.text }, 'Outgoing email (console transport)');
+    return { messageId };
+  }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,21 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// File transport for local testing: each message is written as a JSON file to MAIL_FILE_DIR
+const createFileTransport = () => {
+  const directory = path.resolve(process.env.MAIL_FILE_DIR || './tmp/mail');
+
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const filePath = path.join(directory, `${messageId}.json`);
+      await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      return { messageId, filePath };
+    }
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,75 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AccessScheduleService = require('../services/AccessScheduleService');
+
+// 2026-01-05 is a Monday; 2026-03-08 is when US clocks go forward
+const WEEKDAYS = { daysOfWeek: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '17:00' };
+const FRIDAY_NIGHT = { daysOfWeek: [5], startTime: '22:00', endTime: '06:00' };
+const SATURDAY_NIGHT = { daysOfWeek: [6], startTime: '23:00', endTime: '01:00' };
+
+describe('AccessScheduleService.isWithinWindows', () => {
+  // [description, windows, timeZone, instant, expected]
+  const cases = [
+    ['no windows means no restriction', [], 'UTC', '2026-01-04T03:00:00Z', true],
+    ['a day window includes its start', [WEEKDAYS], 'UTC', '2026-01-05T09:00:00Z', true],
+    ['a day window runs up to its end', [WEEKDAYS], 'UTC', '2026-01-05T16:59:00Z', true],
+    ['a day window excludes its end', [WEEKDAYS], 'UTC', '2026-01-05T17:00:00Z', false],
+    ['a day window excludes other days', [WEEKDAYS], 'UTC', '2026-01-04T12:00:00Z', false],
+    ['a missing time zone means UTC', [WEEKDAYS], null, '2026-01-05T09:00:00Z', true],
+
+    ['an overnight window covers the evening of its day', [FRIDAY_NIGHT], 'UTC', '2026-01-09T23:00:00Z', true],
+    ['an overnight window covers the next morning', [FRIDAY_NIGHT], 'UTC', '2026-01-10T05:59:00Z', true],
+    ['an overnight window excludes its end the next morning', [FRIDAY_NIGHT], 'UTC', '2026-01-10T06:00:00Z', false],
+    ['an overnight window excludes the morning of its own day', [FRIDAY_NIGHT], 'UTC', '2026-01-09T05:00:00Z', false],
+    ['an overnight window excludes the evening of the next day', [FRIDAY_NIGHT], 'UTC', '2026-01-10T22:30:00Z', false],
+    ['an overnight window on Saturday runs into Sunday', [SATURDAY_NIGHT], 'UTC', '2026-01-11T00:30:00Z', true],
+    ['any matching window is enough', [WEEKDAYS, FRIDAY_NIGHT], 'UTC', '2026-01-10T02:00:00Z', true],
+
+    ['times are local to the time zone', [WEEKDAYS], 'America/New_York', '2026-01-05T14:00:00Z', true],
+    ['a UTC time inside the window can be outside it locally', [WEEKDAYS], 'America/New_York', '2026-01-05T09:00:00Z', false],
+    ['half-hour offsets are honoured', [WEEKDAYS], 'Asia/Kolkata', '2026-01-05T03:30:00Z', true],
+    ['half-hour offsets are honoured at the end', [WEEKDAYS], 'Asia/Kolkata', '2026-01-05T11:30:00Z', false],
+    ['the local day decides, not the UTC day', [WEEKDAYS], 'Pacific/Auckland', '2026-01-04T20:00:00Z', true],
+    ['the local day decides at the end of the week', [WEEKDAYS], 'Pacific/Auckland', '2026-01-09T20:00:00Z', false],
+    ['daylight saving time shifts the window in UTC', [WEEKDAYS], 'America/New_York', '2026-03-09T13:00:00Z', true],
+    ['daylight saving time shifts the window in UTC (before start)', [WEEKDAYS], 'America/New_York', '2026-03-09T12:30:00Z', false],
+    ['an overnight window in a time zone starts locally', [FRIDAY_NIGHT], 'America/New_York', '2026-01-10T03:00:00Z', true],
+    ['an overnight window in a time zone ends locally', [FRIDAY_NIGHT], 'America/New_York', '2026-01-10T11:30:00Z', false]
+  ];
+
+  for (const [description, windows, timeZone, instant, expected] of cases) {
+    test(description, () => {
+      assert.equal(AccessScheduleService.isWithinWindows(windows, timeZone, new Date(instant)), expected);
+    });
+  }
+});
+
+describe('AccessScheduleService.validateWindows', () => {
+  // [description, windows, expected error or null]
+  const cases = [
+    ['accepts no windows', [], null],
+    ['accepts day and overnight windows', [WEEKDAYS, FRIDAY_NIGHT], null],
+    ['accepts the edges of the day', [{ daysOfWeek: [0, 6], startTime: '00:00', endTime: '23:59' }], null],
+    ['rejects a schedule that is not an array', { ...WEEKDAYS }, 'schedule must be an array of windows.'],
+    ['rejects a missing window', [null], /^schedule\[0\]\.daysOfWeek/],
+    ['rejects empty daysOfWeek', [{ ...WEEKDAYS, daysOfWeek: [] }], /^schedule\[0\]\.daysOfWeek/],
+    ['rejects days outside 0-6', [WEEKDAYS, { ...WEEKDAYS, daysOfWeek: [7] }], /^schedule\[1\]\.daysOfWeek/],
+    ['rejects non-integer days', [{ ...WEEKDAYS, daysOfWeek: ['1'] }], /^schedule\[0\]\.daysOfWeek/],
+    ['rejects hours past 23', [{ ...WEEKDAYS, endTime: '24:00' }], 'schedule[0] startTime and endTime must be "HH:MM".'],
+    ['rejects times without leading zeros', [{ ...WEEKDAYS, startTime: '9:00' }], /must be "HH:MM"/],
+    ['rejects a missing time', [{ daysOfWeek: [1], startTime: '09:00' }], /must be "HH:MM"/],
+    ['rejects equal start and end', [{ ...WEEKDAYS, endTime: '09:00' }], 'schedule[0] startTime and endTime must differ.']
+  ];
+
+  for (const [description, windows, expected] of cases) {
+    test(description, () => {
+      const error = AccessScheduleService.validateWindows(windows);
+      if (expected instanceof RegExp) {
+        assert.match(error, expected);
+      } else {
+        assert.equal(error, expected);
+      }
+    });
+  }
+});
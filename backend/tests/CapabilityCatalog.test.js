@@ -0,0 +1,35 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CapabilityCatalog = require('../services/CapabilityCatalog');
+
+describe('CapabilityCatalog.resolveCommand', () => {
+  const light = { capabilities: [{ type: 'switch' }, { type: 'level' }] };
+
+  test('resolves a command the device declares, keeping only known parameters', () => {
+    assert.deepEqual(
+      CapabilityCatalog.resolveCommand({ command: 'setLevel', parameters: { level: 40, extra: true } }, light),
+      { capability: 'level', command: 'setLevel', parameters: { level: 40 } }
+    );
+  });
+
+  test('rejects a command of a capability the device does not declare', () => {
+    assert.match(CapabilityCatalog.resolveCommand({ command: 'unlock' }, light).error, /does not support unlock/);
+  });
+
+  test('rejects every command for a device that declares no capabilities', () => {
+    assert.match(CapabilityCatalog.resolveCommand({ command: 'unlock' }, { capabilities: [] }).error, /declares no capabilities/);
+    assert.match(CapabilityCatalog.resolveCommand({ command: 'off' }, { capabilities: [{ type: 'vendorOnly' }] }).error, /declares no capabilities/);
+  });
+
+  test('checks only the catalog without a device', () => {
+    assert.equal(CapabilityCatalog.resolveCommand({ command: 'unlock' }).command, 'unlock');
+    assert.match(CapabilityCatalog.resolveCommand({ command: 'selfDestruct' }).error, /command must be one of/);
+  });
+
+  test('rejects missing or out-of-range parameters', () => {
+    assert.match(CapabilityCatalog.resolveCommand({ command: 'setLevel', parameters: { level: 101 } }, light).error, /"level"/);
+    assert.match(CapabilityCatalog.resolveCommand({ command: 'setLevel' }, light).error, /"level"/);
+    assert.match(CapabilityCatalog.resolveCommand({ command: 'on', parameters: [] }, light).error, /parameters must be an object/);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Device = require('../models/Device');
+const DeviceCommand = require('../models/DeviceCommand');
+const DeviceStateService = require('../services/DeviceStateService');
+const DeviceControlService = require('../services/DeviceControlService');
+const logger = require('../logger');
+
+describe('DeviceControlService.sendCommand', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let device;
+  let driver;
+  let drivers;
+
+  beforeEach(() => {
+    device = { _id: new mongoose.Types.ObjectId(), status: 'OFFLINE', save: mock.fn(async () => device) };
+    driver = {
+      vendor: 'TEST',
+      handles: () => true,
+      vendorDeviceId: () => 'vendor-1',
+      supports: () => true,
+      translate: (target, command) => [command],
+      execute: mock.fn(async () => ({ vendorCommandId: 'cmd-1' }))
+    };
+    drivers = DeviceControlService.drivers;
+    DeviceControlService.drivers = [driver];
+    mock.method(DeviceCommand.prototype, 'save', async function() { return this; });
+    mock.method(DeviceStateService, 'applyCommand', async () => 1);
+    mock.method(logger, 'error', () => {});
+  });
+
+  afterEach(() => {
+    DeviceControlService.drivers = drivers;
+    mock.restoreAll();
+  });
+
+  test('records a command the vendor accepted as SUCCEEDED and applies its expected state', async () => {
+    const record = await DeviceControlService.sendCommand(device, { command: 'lock' }, { userId });
+
+    assert.equal(record.status, 'SUCCEEDED');
+    assert.equal(record.vendorCommandId, 'cmd-1');
+    assert.equal(DeviceStateService.applyCommand.mock.callCount(), 1);
+    assert.deepEqual(DeviceStateService.applyCommand.mock.calls[0].arguments[2], { userId });
+    assert.equal(device.status, 'ONLINE');
+  });
+
+  test('records a command the vendor rejected as FAILED without touching state', async () => {
+    driver.execute.mock.mockImplementation(async () => { throw new Error('Device offline'); });
+    const record = await DeviceControlService.sendCommand(device, { command: 'lock' }, { userId });
+
+    assert.equal(record.status, 'FAILED');
+    assert.equal(record.error, 'Device offline');
+    assert.equal(DeviceStateService.applyCommand.mock.callCount(), 0);
+  });
+
+  test('keeps a command SUCCEEDED when recording the state afterwards fails', async () => {
+    DeviceStateService.applyCommand.mock.mockImplementation(async () => { throw new Error('write failed'); });
+    const record = await DeviceControlService.sendCommand(device, { command: 'lock' }, { userId });
+
+    assert.equal(record.status, 'SUCCEEDED');
+    assert.equal(record.error, null);
+    assert.equal(logger.error.mock.callCount(), 1);
+  });
+});
+
+describe('DeviceControlService.pollStaleStates', () => {
+  const now = new Date('2026-01-01T12:00:00Z');
+  let drivers;
+  let linked;
+
+  beforeEach(() => {
+    linked = [];
+    drivers = DeviceControlService.drivers;
+    DeviceControlService.drivers = [{ vendor: 'TEST', linkedQuery: () => ({}) }];
+    DeviceControlService.polledAt.clear();
+    mock.method(Device, 'find', async () => linked);
+    mock.method(DeviceStateService, 'lastCheckedByDevice', async () => new Map());
+    mock.method(DeviceControlService, 'refreshState', async () => ({}));
+  });
+
+  afterEach(() => {
+    DeviceControlService.drivers = drivers;
+    DeviceControlService.polledAt.clear();
+    mock.restoreAll();
+  });
+
+  test('forgets devices that are no longer linked', async () => {
+    const kept = { _id: new mongoose.Types.ObjectId() };
+    const unlinked = new mongoose.Types.ObjectId();
+    linked = [kept];
+    DeviceControlService.polledAt.set(String(unlinked), now.getTime() - 1000);
+
+    assert.equal(await DeviceControlService.pollStaleStates(now), 1);
+    assert.deepEqual([...DeviceControlService.polledAt.keys()], [String(kept._id)]);
+  });
+});
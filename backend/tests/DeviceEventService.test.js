@@ -0,0 +1,73 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const DeviceEvent = require('../models/DeviceEvent');
+const DeviceEventService = require('../services/DeviceEventService');
+
+const at = (seconds) => new Date(Date.UTC(2026, 0, 1, 12, 0, seconds));
+
+describe('DeviceEventService.record', () => {
+  const deviceId = new mongoose.Types.ObjectId();
+  let stored;
+  let inserted;
+
+  beforeEach(() => {
+    stored = [];
+    inserted = [];
+    mock.method(DeviceEvent, 'find', () => ({ select: async () => stored }));
+    mock.method(DeviceEvent, 'insertMany', async (docs) => {
+      inserted.push(...docs);
+      return docs;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const change = (value, seconds) => ({ capability: 'switch', attribute: 'switch', value, unit: null, timestamp: at(seconds) });
+
+  test('skips a change already stored a moment earlier by another source', async () => {
+    stored = [{ capability: 'switch', attribute: 'switch', value: 'on', timestamp: at(0) }];
+    assert.equal(await DeviceEventService.record(deviceId, [change('on', 2)], 'BACKFILL'), 0);
+    assert.equal(inserted.length, 0);
+  });
+
+  test('skips a change already stored a moment later by another source', async () => {
+    stored = [{ capability: 'switch', attribute: 'switch', value: 'on', timestamp: at(3) }];
+    assert.equal(await DeviceEventService.record(deviceId, [change('on', 1)], 'BACKFILL'), 0);
+  });
+
+  test('keeps quick changes back and forth', async () => {
+    stored = [
+      { capability: 'switch', attribute: 'switch', value: 'on', timestamp: at(0) },
+      { capability: 'switch', attribute: 'switch', value: 'off', timestamp: at(5) }
+    ];
+    assert.equal(await DeviceEventService.record(deviceId, [change('on', 10)], 'WEBHOOK'), 1);
+    assert.equal(inserted[0].value, 'on');
+    assert.equal(inserted[0].source, 'WEBHOOK');
+  });
+
+  test('dedupes repeats within one batch and drops changes outside the catalog', async () => {
+    const changes = [
+      change('off', 20),
+      change('on', 0),
+      change('on', 1),
+      { capability: 'vendorOnly', attribute: 'x', value: 1, timestamp: at(0) },
+      { ...change('on', 0), timestamp: 'not a date' }
+    ];
+    assert.equal(await DeviceEventService.record(deviceId, changes, 'BACKFILL'), 2);
+    assert.deepEqual(inserted.map(doc => [doc.value, doc.timestamp.getTime()]), [['on', at(0).getTime()], ['off', at(20).getTime()]]);
+  });
+
+  test('counts duplicates rejected by the unique index as skipped', async () => {
+    DeviceEvent.insertMany.mock.mockImplementation(async (docs) => {
+      const error = new Error('E11000 duplicate key error');
+      error.writeErrors = [{ code: 11000 }];
+      error.insertedDocs = docs.slice(1);
+      throw error;
+    });
+    assert.equal(await DeviceEventService.record(deviceId, [change('on', 0), change('off', 90)], 'BACKFILL'), 1);
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const DeviceState = require('../models/DeviceState');
+const DeviceEventService = require('../services/DeviceEventService');
+const DeviceStateService = require('../services/DeviceStateService');
+
+describe('DeviceStateService.record', () => {
+  const deviceId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  const now = new Date('2026-01-01T12:00:00Z');
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    mock.method(DeviceState, 'find', async () => stored);
+    mock.method(DeviceState, 'bulkWrite', async () => ({}));
+    mock.method(DeviceEventService, 'record', async (id, changes) => changes.length);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const lastEventCall = () => DeviceEventService.record.mock.calls.at(-1).arguments;
+
+  test('records the change a command makes, attributed to the user who sent it', async () => {
+    stored = [{ capability: 'switch', attribute: 'switch', value: 'off', source: 'POLL', timestamp: new Date(now - 60000) }];
+    await DeviceStateService.applyCommand(deviceId, { capability: 'switch', command: 'on', parameters: {} }, { userId, now });
+
+    const [id, changes, source, options] = lastEventCall();
+    assert.equal(id, deviceId);
+    assert.equal(source, 'COMMAND');
+    assert.deepEqual(options, { initiatedBy: userId });
+    assert.deepEqual(changes.map(change => [change.capability, change.attribute, change.value]), [['switch', 'switch', 'on']]);
+  });
+
+  test('records no event for a command that leaves the value as it was', async () => {
+    stored = [{ capability: 'switch', attribute: 'switch', value: 'on', source: 'POLL', timestamp: new Date(now - 60000) }];
+    await DeviceStateService.applyCommand(deviceId, { capability: 'switch', command: 'on', parameters: {} }, { userId, now });
+    assert.equal(DeviceEventService.record.mock.callCount(), 0);
+  });
+
+  test('records vendor changes without an initiator', async () => {
+    stored = [{ capability: 'lock', attribute: 'lock', value: 'locked', source: 'WEBHOOK', timestamp: new Date(now - 60000) }];
+    await DeviceStateService.record(deviceId, { lock: { lock: { value: 'unlocked', unit: null, timestamp: now } } }, 'WEBHOOK', { now, initiatedBy: userId });
+
+    const [, changes, source, options] = lastEventCall();
+    assert.equal(source, 'WEBHOOK');
+    assert.deepEqual(options, { initiatedBy: null });
+    assert.equal(changes[0].value, 'unlocked');
+  });
+});
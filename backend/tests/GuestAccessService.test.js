@@ -0,0 +1,69 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const GuestAccessGrant = require('../models/GuestAccessGrant');
+const Device = require('../models/Device');
+const GuestAccessService = require('../services/GuestAccessService');
+
+const oid = () => new mongoose.Types.ObjectId();
+
+describe('GuestAccessService', () => {
+  const guestId = oid();
+  const unitA = oid();
+  const unitB = oid();
+  let grants;
+  let devices;
+  let grantQueries;
+
+  // A current grant with no schedule restriction
+  const grantFor = (unitId, deviceIds) => ({ unitId, deviceIds, schedule: [], timeZone: 'UTC', status: () => 'ACTIVE' });
+
+  beforeEach(() => {
+    grantQueries = [];
+    mock.method(GuestAccessGrant, 'find', async (filter) => {
+      grantQueries.push(filter);
+      return grants.filter(grant =>
+        (!filter.unitId || grant.unitId.equals(filter.unitId)) &&
+        (!filter.deviceIds || grant.deviceIds.some(id => id.equals(filter.deviceIds))));
+    });
+    mock.method(Device, 'find', (filter) => ({
+      distinct: async () => devices
+        .filter(device => filter.$or.some(clause => device.unitId && device.unitId.equals(clause.unitId) &&
+          clause._id.$in.some(id => id.equals(device._id))))
+        .map(device => device._id)
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('a grant covers a device still in the grant\'s unit', async () => {
+    const device = { _id: oid(), unitId: unitA };
+    grants = [grantFor(unitA, [device._id])];
+    devices = [device];
+
+    assert.equal(await GuestAccessService.hasActiveGrantForDevice(guestId, device), true);
+    assert.deepEqual(await GuestAccessService.activeDeviceIdsForUser(guestId), [device._id]);
+  });
+
+  test('a grant no longer covers a device moved to another unit', async () => {
+    const device = { _id: oid(), unitId: unitB };
+    grants = [grantFor(unitA, [device._id])];
+    devices = [device];
+
+    assert.equal(await GuestAccessService.hasActiveGrantForDevice(guestId, device), false);
+    assert.ok(grantQueries[0].unitId.equals(unitB));
+    assert.deepEqual(await GuestAccessService.activeDeviceIdsForUser(guestId), []);
+  });
+
+  test('a grant covers no device outside any unit', async () => {
+    const device = { _id: oid(), unitId: null };
+    grants = [grantFor(unitA, [device._id])];
+    devices = [device];
+
+    assert.equal(await GuestAccessService.hasActiveGrantForDevice(guestId, device), false);
+    assert.deepEqual(await GuestAccessService.activeDeviceIdsForUser(guestId), []);
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const ImportService = require('../services/ImportService');
+
+const HEADER = 'propertyName,street,city,state,zipCode,unitName,tenantEmails';
+
+describe('ImportService.parseInput (CSV)', () => {
+  test('reads quoted fields with commas, doubled quotes and line breaks', () => {
+    const { rows } = ImportService.parseInput(`${HEADER}\n"Elm, North","1 ""Old"" Rd",Springfield,IL,62701,"Apt\n1","a@x.com; b@x.com"\n`);
+
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].propertyName, 'Elm, North');
+    assert.equal(rows[0].street, '1 "Old" Rd');
+    assert.equal(rows[0].unitName, 'Apt\n1');
+    assert.deepEqual(rows[0].tenantEmails, ['a@x.com', 'b@x.com']);
+  });
+
+  test('accepts CRLF line endings, a byte order mark and a last line without a newline', () => {
+    const { rows } = ImportService.parseInput(`\uFEFF${HEADER}\r\nElm,1 Main St,Springfield,IL,62701,1A,\r\n\r\nElm,,,,,1B,`);
+
+    assert.deepEqual(rows.map(row => [row.propertyName, row.unitName]), [['Elm', '1A'], ['Elm', '1B']]);
+    assert.equal(rows[0].zipCode, '62701');
+  });
+
+  test('matches header names case-insensitively and ignores unknown columns', () => {
+    const { rows } = ImportService.parseInput('PROPERTYNAME,notes,UnitName\nElm,ignored,1A\n');
+    assert.deepEqual(rows[0], {
+      propertyName: 'Elm', street: '', city: '', state: '', zipCode: '', country: '', defaultTimeZone: '', unitName: '1A', tenantEmails: []
+    });
+  });
+
+  // [description, csv, expected message]
+  const invalid = [
+    ['rejects an unterminated quoted field', `${HEADER}\n"Elm,1 Main St\n`, 'Invalid CSV: Unterminated quoted field.'],
+    ['rejects an empty file', '\r\n \n', 'The CSV file is empty.'],
+    ['rejects a header without propertyName', 'name,unitName\nElm,1A\n', /must include propertyName/],
+    ['rejects a header with no rows', `${HEADER}\n`, 'There are no rows to import.']
+  ];
+
+  for (const [description, csv, expected] of invalid) {
+    test(description, () => {
+      const { error } = ImportService.parseInput(csv);
+      assert.equal(error.status, 400);
+      if (expected instanceof RegExp) {
+        assert.match(error.message, expected);
+      } else {
+        assert.equal(error.message, expected);
+      }
+    });
+  }
+});
+
+describe('ImportService.plan', () => {
+  const portfolio = { _id: new mongoose.Types.ObjectId() };
+  let existingProperties;
+  let existingUnits;
+  let users;
+  let memberships;
+
+  beforeEach(() => {
+    existingProperties = [];
+    existingUnits = [];
+    users = [];
+    memberships = [];
+    mock.method(Property, 'find', async () => existingProperties);
+    mock.method(Unit, 'find', async () => existingUnits);
+    mock.method(User, 'find', () => ({ select: async () => users }));
+    mock.method(UserRoleAssociation, 'find', () => ({ select: async () => memberships }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const address = { street: '1 Main St', city: 'Springfield', state: 'IL', zipCode: '62701', country: 'USA' };
+  const rowsOf = (...rows) => ImportService.parseInput(rows).rows;
+
+  test('plans new properties, units and tenants', async () => {
+    users = [{ _id: new mongoose.Types.ObjectId(), email: 'known@x.com' }];
+    const plan = await ImportService.plan(portfolio, rowsOf(
+      { propertyName: 'Elm', ...address, unitName: '1A', tenantEmails: 'known@x.com new@x.com' },
+      { propertyName: 'elm', unitName: '1B' }
+    ));
+
+    assert.equal(plan.valid, true);
+    assert.deepEqual(plan.summary, {
+      propertiesCreated: 1, propertiesExisting: 0, unitsCreated: 2, unitsExisting: 0, tenantsAssigned: 1, tenantsInvited: 1, tenantsExisting: 0
+    });
+    assert.deepEqual(plan.diff[0].units[0].tenants, [{ email: 'known@x.com', action: 'ASSIGN' }, { email: 'new@x.com', action: 'INVITE' }]);
+  });
+
+  test('rejects a later row giving a different address for the same property', async () => {
+    const plan = await ImportService.plan(portfolio, rowsOf(
+      { propertyName: 'Elm', ...address, unitName: '1A' },
+      { propertyName: 'Elm', ...address, unitName: '1B' },
+      { propertyName: 'ELM', ...address, city: 'Shelbyville', unitName: '1C' }
+    ));
+
+    assert.equal(plan.valid, false);
+    assert.deepEqual(plan.errors, [{ row: 3, field: 'city', message: 'Conflicts with the address given for "ELM" on row 1.' }]);
+  });
+
+  test('rejects the same unit twice for a property, whatever its case', async () => {
+    const plan = await ImportService.plan(portfolio, rowsOf(
+      { propertyName: 'Elm', ...address, unitName: '1A' },
+      { propertyName: 'Elm', unitName: '1a' },
+      { propertyName: 'Oak', ...address, unitName: '1A' }
+    ));
+
+    assert.deepEqual(plan.errors, [{ row: 2, field: 'unitName', message: 'Unit "1a" appears more than once for "Elm".' }]);
+    assert.equal(plan.summary.unitsCreated, 2);
+  });
+
+  test('matches existing properties, units and memberships by name', async () => {
+    const property = { _id: new mongoose.Types.ObjectId(), name: 'Elm' };
+    const unit = { _id: new mongoose.Types.ObjectId(), name: '1A', propertyId: property._id };
+    const tenant = { _id: new mongoose.Types.ObjectId(), email: 'tenant@x.com' };
+    existingProperties = [property];
+    existingUnits = [unit];
+    users = [tenant];
+    memberships = [{ userId: tenant._id, associatedEntityId: unit._id }];
+
+    const plan = await ImportService.plan(portfolio, rowsOf({ propertyName: ' elm ', unitName: '1a', tenantEmails: 'Tenant@x.com' }));
+
+    assert.equal(plan.valid, true);
+    assert.deepEqual(plan.diff, [{
+      name: 'Elm',
+      action: 'EXISTING',
+      propertyId: property._id,
+      units: [{ name: '1A', action: 'EXISTING', unitId: unit._id, tenants: [{ email: 'tenant@x.com', action: 'EXISTING' }] }]
+    }]);
+  });
+
+  // [description, row, expected errors]
+  const invalid = [
+    ['a row without a property name', { unitName: '1A' }, [{ row: 1, field: 'propertyName', message: 'propertyName is required.' }]],
+    ['a new property without an address', { propertyName: 'Elm', unitName: '1A' },
+      [{ row: 1, field: 'street', message: '"Elm" is a new property and needs an address.' }]],
+    ['tenants without a unit', { propertyName: 'Elm', ...address, tenantEmails: 'a@x.com' },
+      [{ row: 1, field: 'unitName', message: 'Tenants can only be imported into a unit.' }]],
+    ['an invalid tenant email', { propertyName: 'Elm', ...address, unitName: '1A', tenantEmails: 'not-an-email' },
+      [{ row: 1, field: 'tenantEmails', message: '"not-an-email" is not a valid email address.' }]]
+  ];
+
+  for (const [description, row, expected] of invalid) {
+    test(`rejects ${description}`, async () => {
+      const plan = await ImportService.plan(portfolio, rowsOf(row));
+      assert.equal(plan.valid, false);
+      assert.deepEqual(plan.errors, expected);
+    });
+  }
+});
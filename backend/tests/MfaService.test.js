@@ -0,0 +1,117 @@
+const { describe, test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MfaService = require('../services/MfaService');
+
+// RFC 6238 appendix B: the SHA-1 seed "12345678901234567890", base32-encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// [Unix time in seconds, expected 8-digit code]; we use the last 6 digits
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+const atSeconds = (seconds) => mock.method(Date, 'now', () => seconds * 1000);
+
+describe('MfaService base32', () => {
+  test('encodes the RFC seed and decodes it back', () => {
+    assert.equal(MfaService.base32Encode(Buffer.from('12345678901234567890')), RFC_SECRET);
+    assert.equal(MfaService.base32Decode(RFC_SECRET).toString('utf8'), '12345678901234567890');
+  });
+
+  test('round-trips lengths that do not fill a whole 5-bit group', () => {
+    for (let length = 1; length <= 11; length++) {
+      const bytes = Buffer.from(Array.from({ length }, (_, i) => (i * 37 + 11) & 255));
+      assert.deepEqual(MfaService.base32Decode(MfaService.base32Encode(bytes)), bytes);
+    }
+  });
+
+  test('ignores padding, whitespace and case, and rejects other characters', () => {
+    assert.equal(MfaService.base32Decode('gezd gnbv====').toString('utf8'), '12345');
+    assert.throws(() => MfaService.base32Decode('GEZD1'), /Invalid base32 character/);
+  });
+});
+
+describe('MfaService TOTP', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('generates the RFC 6238 test vectors', () => {
+    for (const [seconds, code] of RFC_VECTORS) {
+      assert.equal(MfaService.generateTotp(RFC_SECRET, MfaService.currentStep(seconds * 1000)), code.slice(-6), `at ${seconds}`);
+    }
+  });
+
+  test('accepts the RFC 6238 codes at their time and returns the step', () => {
+    for (const [seconds, code] of RFC_VECTORS) {
+      atSeconds(seconds);
+      assert.equal(MfaService.verifyTotp(RFC_SECRET, code.slice(-6)), Math.floor(seconds / 30), `at ${seconds}`);
+      mock.restoreAll();
+    }
+  });
+
+  test('accepts codes one step either side of now, but not two', () => {
+    const step = MfaService.currentStep(1234567890 * 1000);
+    atSeconds(1234567890);
+    for (const [drift, accepted] of [[-2, false], [-1, true], [0, true], [1, true], [2, false]]) {
+      const code = MfaService.generateTotp(RFC_SECRET, step + drift);
+      assert.equal(MfaService.verifyTotp(RFC_SECRET, code), accepted ? step + drift : null, `drift ${drift}`);
+    }
+  });
+
+  test('rejects a code for a step at or before lastUsedStep', () => {
+    const step = MfaService.currentStep(1234567890 * 1000);
+    atSeconds(1234567890);
+    const code = MfaService.generateTotp(RFC_SECRET, step);
+
+    assert.equal(MfaService.verifyTotp(RFC_SECRET, code, step - 1), step);
+    assert.equal(MfaService.verifyTotp(RFC_SECRET, code, step), null);
+    assert.equal(MfaService.verifyTotp(RFC_SECRET, code, step + 1), null);
+    assert.equal(MfaService.verifyTotp(RFC_SECRET, MfaService.generateTotp(RFC_SECRET, step + 1), step), step + 1);
+  });
+
+  test('rejects codes that are not six digits, allowing spaces', () => {
+    atSeconds(59);
+    assert.equal(MfaService.verifyTotp(RFC_SECRET, '287 082'), 1);
+    for (const code of ['', null, '28708', '2870820', '28708a']) {
+      assert.equal(MfaService.verifyTotp(RFC_SECRET, code), null, `code ${code}`);
+    }
+  });
+});
+
+describe('MfaService recovery codes', () => {
+  test('generates distinct codes, storing only their hashes', () => {
+    const { codes, hashes } = MfaService.generateRecoveryCodes();
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, codes.length);
+    codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    assert.deepEqual(hashes, codes.map(code => MfaService.hashRecoveryCode(code)));
+    hashes.forEach((hash, i) => assert.ok(!hash.includes(codes[i].replace('-', ''))));
+  });
+
+  test('hashes a code the same with or without the dash and in any case', () => {
+    const hash = MfaService.hashRecoveryCode('abcde-12345');
+    assert.equal(MfaService.hashRecoveryCode('ABCDE12345'), hash);
+    assert.notEqual(MfaService.hashRecoveryCode('abcde-12346'), hash);
+  });
+
+  test('verifyUserCode consumes a recovery code once', async () => {
+    const { codes, hashes } = MfaService.generateRecoveryCodes();
+    const user = {
+      mfa: { enabled: true, secret: MfaService.encryptSecret(RFC_SECRET), recoveryCodeHashes: hashes, lastUsedStep: null },
+      save: mock.fn(async () => user)
+    };
+
+    assert.equal(await MfaService.verifyUserCode(user, codes[3]), 'recovery');
+    assert.equal(user.mfa.recoveryCodeHashes.length, 9);
+    assert.equal(await MfaService.verifyUserCode(user, codes[3]), null);
+    assert.equal(user.save.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,217 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Portfolio = require('../models/Portfolio');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const Device = require('../models/Device');
+const UserRoleAssociation = require('../models/UserRoleAssociation');
+const GuestAccessService = require('../services/GuestAccessService');
+const CommonAreaService = require('../services/CommonAreaService');
+const PolicyService = require('../services/PolicyService');
+const { AssociatedEntityType, Role, PolicyAction } = require('../enums');
+
+const { OWNER, PORTFOLIO_ADMIN, PROPERTY_MANAGER, TENANT, GUEST, SUPER_ADMIN } = Role;
+
+// Roles allowed each action, written out independently of PolicyService's matrix so that any
+// change to who may do what has to be made (and reviewed) in both places
+const EXPECTED = {
+  [PolicyAction.PORTFOLIO_CREATE]: [SUPER_ADMIN],
+  [PolicyAction.PORTFOLIO_READ]: [OWNER, PORTFOLIO_ADMIN, SUPER_ADMIN],
+  [PolicyAction.PORTFOLIO_UPDATE]: [OWNER, PORTFOLIO_ADMIN, SUPER_ADMIN],
+  [PolicyAction.PORTFOLIO_DELETE]: [OWNER, SUPER_ADMIN],
+  [PolicyAction.PORTFOLIO_MANAGE_SECURITY]: [OWNER],
+  [PolicyAction.PORTFOLIO_MANAGE_ADMINS]: [OWNER, SUPER_ADMIN],
+  [PolicyAction.PORTFOLIO_EXPORT]: [OWNER, SUPER_ADMIN],
+  [PolicyAction.PROPERTY_CREATE]: [OWNER, PORTFOLIO_ADMIN, SUPER_ADMIN],
+  [PolicyAction.PROPERTY_READ]: [OWNER, PORTFOLIO_ADMIN, PROPERTY_MANAGER, SUPER_ADMIN],
+  [PolicyAction.PROPERTY_UPDATE]: [OWNER, PORTFOLIO_ADMIN, PROPERTY_MANAGER, SUPER_ADMIN],
+  [PolicyAction.PROPERTY_DELETE]: [OWNER, PORTFOLIO_ADMIN, SUPER_ADMIN],
+  [PolicyAction.PROPERTY_MANAGE_MANAGERS]: [OWNER, PORTFOLIO_ADMIN, SUPER_ADMIN],
+  [PolicyAction.PROPERTY_TRANSFER]: [OWNER, SUPER_ADMIN],
+  [PolicyAction.UNIT_CREATE]: [OWNER, PORTFOLIO_ADMIN, PROPERTY_MANAGER, SUPER_ADMIN],
+  [PolicyAction.UNIT_READ]: [OWNER, PORTFOLIO_ADMIN, PROPERTY_MANAGER, TENANT, GUEST, SUPER_ADMIN],
+  [PolicyAction.UNIT_UPDATE]: [OWNER, PORTFOLIO_ADMIN, PROPERTY_MANAGER, SUPER_ADMIN],
+  [PolicyAction.UNIT_DELETE]: [OWNER, PORTFOLIO_ADMIN, PROPERTY_MANAGER, SUPER_ADMIN],
+  [PolicyAction.UNIT_LIST_TENANTS]: [OWNER, PORTFOLIO_ADMIN, PROPERTY_MANAGER, TENANT, SUPER_ADMIN],
+  [PolicyAction.UNIT_MANAGE_TENANTS]: [OWNER, PORTFOLIO_ADMIN, PROPERTY_MANAGER, SUPER_ADMIN],
+  [PolicyAction.UNIT_GRANT_GUEST_ACCESS]: [OWNER, PORTFOLIO_ADMIN, PROPERTY_MANAGER, TENANT, SUPER_ADMIN],
+  [PolicyAction.UNIT_TRANSFER]: [OWNER, SUPER_ADMIN],
+  [PolicyAction.DEVICE_READ]: [OWNER, PORTFOLIO_ADMIN, PROPERTY_MANAGER, TENANT, GUEST, SUPER_ADMIN],
+  [PolicyAction.DEVICE_CONTROL]: [OWNER, PORTFOLIO_ADMIN, PROPERTY_MANAGER, TENANT, GUEST],
+  [PolicyAction.DEVICE_MANAGE]: [OWNER, PORTFOLIO_ADMIN, PROPERTY_MANAGER, SUPER_ADMIN],
+  [PolicyAction.INTEGRATION_LINK]: [OWNER, PORTFOLIO_ADMIN, PROPERTY_MANAGER, TENANT]
+};
+
+const ROLES = Object.values(Role);
+const ACTIONS = Object.values(PolicyAction);
+
+// The entity type each role is held on
+const ROLE_ENTITY = {
+  [OWNER]: AssociatedEntityType.PORTFOLIO,
+  [PORTFOLIO_ADMIN]: AssociatedEntityType.PORTFOLIO,
+  [PROPERTY_MANAGER]: AssociatedEntityType.PROPERTY,
+  [TENANT]: AssociatedEntityType.UNIT,
+  [GUEST]: AssociatedEntityType.UNIT
+};
+
+const oid = () => new mongoose.Types.ObjectId();
+const findIn = (docs, id) => docs.find(doc => doc._id.equals(id)) || null;
+
+// A portfolio with one property, two units and a device in the first unit
+const buildPortfolio = () => {
+  const portfolio = { _id: oid() };
+  const property = { _id: oid(), portfolioId: portfolio._id };
+  const unit = { _id: oid(), propertyId: property._id };
+  const otherUnit = { _id: oid(), propertyId: property._id };
+  const device = { _id: oid(), propertyId: property._id, unitId: unit._id, commonAreaId: null };
+  return { portfolio, property, unit, otherUnit, device };
+};
+
+describe('PolicyService', () => {
+  let home;
+  let other;
+  let associations;
+
+  const resources = (world) => [
+    { type: AssociatedEntityType.PORTFOLIO, id: world.portfolio._id },
+    { type: AssociatedEntityType.PROPERTY, id: world.property._id },
+    { type: AssociatedEntityType.UNIT, id: world.unit._id },
+    { type: PolicyService.ResourceType.DEVICE, id: world.device._id }
+  ];
+
+  // An actor holding `role` in `world` (on the portfolio, property or unit, as the role is)
+  const actorWith = (role, world = home) => {
+    const actor = { id: String(oid()), isSuperAdmin: role === SUPER_ADMIN };
+    if (role !== SUPER_ADMIN) {
+      const entityType = ROLE_ENTITY[role];
+      const entity = { PORTFOLIO: world.portfolio, PROPERTY: world.property, UNIT: world.unit }[entityType];
+      associations.push({ userId: actor.id, associatedEntityType: entityType, associatedEntityId: entity._id, roleWithinEntity: role });
+    }
+    return actor;
+  };
+
+  beforeEach(() => {
+    home = buildPortfolio();
+    other = buildPortfolio();
+    associations = [];
+    const worlds = [home, other];
+    const all = (key) => worlds.map(world => world[key]);
+
+    mock.method(Portfolio, 'findById', async id => findIn(all('portfolio'), id));
+    mock.method(Property, 'findById', async id => findIn(all('property'), id));
+    mock.method(Device, 'findById', async id => findIn(all('device'), id));
+    mock.method(Unit, 'findById', id => ({
+      populate: async () => {
+        const unit = findIn([...all('unit'), ...all('otherUnit')], id);
+        return unit && { ...unit, propertyId: findIn(all('property'), unit.propertyId) };
+      }
+    }));
+    mock.method(UserRoleAssociation, 'find', filter => ({
+      select: async () => associations.filter(assoc => assoc.userId === String(filter.userId) && filter.$or.some(target =>
+        target.associatedEntityType === assoc.associatedEntityType && assoc.associatedEntityId.equals(target.associatedEntityId)))
+    }));
+    mock.method(GuestAccessService, 'hasActiveGrantForDevice', async () => false);
+    mock.method(CommonAreaService, 'allowsDevice', async () => false);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('the matrix covers exactly the expected actions', () => {
+    assert.deepEqual(Object.keys(PolicyService.matrix).sort(), ACTIONS.slice().sort());
+    assert.deepEqual(Object.keys(EXPECTED).sort(), ACTIONS.slice().sort());
+  });
+
+  describe('roleAllows', () => {
+    for (const action of ACTIONS) {
+      for (const role of ROLES) {
+        const expected = EXPECTED[action].includes(role);
+        test(`${role} ${expected ? 'may' : 'may not'} ${action}`, () => {
+          assert.equal(PolicyService.roleAllows(role, action), expected);
+        });
+      }
+    }
+
+    test('rejects unknown actions', () => {
+      assert.throws(() => PolicyService.roleAllows(OWNER, 'portfolio:unknown'), /Unknown policy action/);
+    });
+  });
+
+  describe('can, on a device beneath the entity the role is held on', () => {
+    for (const action of ACTIONS) {
+      for (const role of ROLES) {
+        const expected = EXPECTED[action].includes(role);
+        test(`${role} ${expected ? 'may' : 'may not'} ${action}`, async () => {
+          const actor = actorWith(role);
+          assert.equal(await PolicyService.can(actor, action, { type: PolicyService.ResourceType.DEVICE, id: home.device._id }), expected);
+        });
+      }
+    }
+  });
+
+  describe('can, across portfolios', () => {
+    // A role in one portfolio must grant nothing in another: devices used to be reachable through
+    // any PORTFOLIO association, whichever portfolio it was for
+    for (const role of ROLES.filter(role => role !== SUPER_ADMIN)) {
+      test(`${role} in one portfolio is denied everything in another`, async () => {
+        const actor = actorWith(role, other);
+        for (const resource of resources(home)) {
+          for (const action of ACTIONS) {
+            assert.equal(await PolicyService.can(actor, action, resource), false, `${action} on ${resource.type}`);
+          }
+        }
+      });
+    }
+
+    test('an API key bound to one portfolio is denied in another, even for its owner', async () => {
+      const actor = actorWith(OWNER, home);
+      associations.push({ userId: actor.id, associatedEntityType: AssociatedEntityType.PORTFOLIO, associatedEntityId: other.portfolio._id, roleWithinEntity: OWNER });
+      const keyActor = { ...actor, apiKeyPortfolioId: home.portfolio._id };
+
+      assert.equal(await PolicyService.can(keyActor, PolicyAction.DEVICE_READ, { type: PolicyService.ResourceType.DEVICE, id: home.device._id }), true);
+      const decision = await PolicyService.authorize(keyActor, PolicyAction.DEVICE_READ, { type: PolicyService.ResourceType.DEVICE, id: other.device._id });
+      assert.equal(decision.allowed, false);
+      assert.equal(decision.reason, PolicyService.DenyReason.API_KEY_PORTFOLIO);
+    });
+  });
+
+  describe('can, within a portfolio', () => {
+    test('roles never grant anything on ancestors', async () => {
+      const manager = actorWith(PROPERTY_MANAGER);
+      const tenant = actorWith(TENANT);
+      // Both roles allow these actions, but not on the entity above the one they are held on
+      assert.equal(await PolicyService.can(manager, PolicyAction.PROPERTY_READ, { type: AssociatedEntityType.PORTFOLIO, id: home.portfolio._id }), false);
+      assert.equal(await PolicyService.can(tenant, PolicyAction.INTEGRATION_LINK, { type: AssociatedEntityType.PROPERTY, id: home.property._id }), false);
+      assert.equal(await PolicyService.can(tenant, PolicyAction.INTEGRATION_LINK, { type: AssociatedEntityType.UNIT, id: home.unit._id }), true);
+    });
+
+    test('a tenant of one unit has no access to another unit of the same property', async () => {
+      const tenant = actorWith(TENANT);
+      assert.equal(await PolicyService.can(tenant, PolicyAction.UNIT_READ, { type: AssociatedEntityType.UNIT, id: home.unit._id }), true);
+      assert.equal(await PolicyService.can(tenant, PolicyAction.UNIT_READ, { type: AssociatedEntityType.UNIT, id: home.otherUnit._id }), false);
+    });
+
+    test('a missing resource is NOT_FOUND', async () => {
+      const decision = await PolicyService.authorize(actorWith(OWNER), PolicyAction.DEVICE_READ, { type: PolicyService.ResourceType.DEVICE, id: oid() });
+      assert.equal(decision.allowed, false);
+      assert.equal(decision.reason, PolicyService.DenyReason.NOT_FOUND);
+    });
+  });
+
+  describe('can, through guest grants', () => {
+    test('an active grant gives device read and control only', async () => {
+      GuestAccessService.hasActiveGrantForDevice.mock.mockImplementation(async (userId, device) => device._id.equals(home.device._id));
+      const guest = { id: String(oid()), isSuperAdmin: false };
+      const device = { type: PolicyService.ResourceType.DEVICE, id: home.device._id };
+
+      for (const action of ACTIONS) {
+        const expected = action === PolicyAction.DEVICE_READ || action === PolicyAction.DEVICE_CONTROL;
+        assert.equal(await PolicyService.can(guest, action, device), expected, action);
+      }
+      assert.equal(await PolicyService.can(guest, PolicyAction.DEVICE_READ, { type: PolicyService.ResourceType.DEVICE, id: other.device._id }), false);
+    });
+  });
+});